@@ -26,19 +26,26 @@ import Keyring from './keyring/Keyring';
 import EncryptFile from './encryption/encryptFile';
 import EncryptText from './encryption/encryptText';
 import DecryptText from './encryption/decryptText';
+import SignFile from './encryption/signFile';
+import VerifyFile from './encryption/verifyFile';
+import Drafts from './encryption/drafts';
 
 import General from './settings/general';
 import Security from './settings/security';
 import WatchList from './settings/watchList';
 import SecurityLog from './settings/securityLog';
 import KeyServer from './settings/keyserver';
+import TrustAnchors from './settings/trustAnchors';
 
 import './app.css';
 
 l10n.register([
+  'drafts_title',
   'encrypting_home',
   'file_encrypting',
   'file_decrypting',
+  'file_signing',
+  'file_verifying',
   'keyring_header',
   'keyring_display_keys',
   'keyring_import_keys',
@@ -54,6 +61,7 @@ l10n.register([
   'settings_watchlist',
   'settings_security_log',
   'settings_keyserver',
+  'settings_trust_anchors',
   'text_encrypting',
   'text_decrypting'
 ]);
@@ -154,9 +162,13 @@ export class App extends React.Component {
                       <ul className="nav nav-pills nav-stacked">
                         <NavLink to="/encryption/file-encrypt">{l10n.map.file_encrypting}</NavLink>
                         <NavLink to="/encryption/file-decrypt">{l10n.map.file_decrypting}</NavLink>
+                        <NavLink to="/encryption/file-sign">{l10n.map.file_signing}</NavLink>
+                        <NavLink to="/encryption/file-verify">{l10n.map.file_verifying}</NavLink>
                         <li role="separator" className="divider"></li>
                         <NavLink to="/encryption/text-encrypt">{l10n.map.text_encrypting}</NavLink>
                         <NavLink to="/encryption/text-decrypt">{l10n.map.text_decrypting}</NavLink>
+                        <li role="separator" className="divider"></li>
+                        <NavLink to="/encryption/drafts">{l10n.map.drafts_title}</NavLink>
                       </ul>
                     </div>
                   </div>
@@ -165,8 +177,11 @@ export class App extends React.Component {
                       <section className="well">
                         <Route path='/encryption/file-encrypt' component={EncryptFile} />
                         <Route path='/encryption/file-decrypt' component={EncryptFile} />
+                        <Route path='/encryption/file-sign' component={SignFile} />
+                        <Route path='/encryption/file-verify' component={VerifyFile} />
                         <Route path='/encryption/text-encrypt' component={EncryptText} />
                         <Route path='/encryption/text-decrypt' component={DecryptText} />
+                        <Route path='/encryption/drafts' component={Drafts} />
                       </section>
                       <button type="button" className="btn btn-link pull-right secureBgndSettingsBtn lockBtnIcon" title={l10n.map.security_background_button_title} disabled="disabled"></button>
                     </div>
@@ -183,6 +198,7 @@ export class App extends React.Component {
                         <NavLink to="/settings/watchlist">{l10n.map.settings_watchlist}</NavLink>
                         <NavLink to="/settings/security-log">{l10n.map.settings_security_log}</NavLink>
                         <NavLink to="/settings/key-server">{l10n.map.settings_keyserver}</NavLink>
+                        <NavLink to="/settings/trust-anchors">{l10n.map.settings_trust_anchors}</NavLink>
                       </ul>
                     </div>
                   </div>
@@ -194,6 +210,7 @@ export class App extends React.Component {
                         <Route path='/settings/watchlist' component={WatchList} />
                         <Route path='/settings/security-log' component={SecurityLog} />
                         <Route path='/settings/key-server' render={() => <KeyServer prefs={this.state.prefs} onChangePrefs={this.handleChangePrefs} />} />
+                        <Route path='/settings/trust-anchors' component={TrustAnchors} />
                       </section>
                       <button type="button" className="btn btn-link pull-right secureBgndSettingsBtn lockBtnIcon" title={l10n.map.security_background_button_title} disabled="disabled"></button>
                     </div>
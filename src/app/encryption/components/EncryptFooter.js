@@ -11,6 +11,7 @@ l10n.register([
   'options_home',
   'form_back',
   'editor_encrypt_button',
+  'file_encrypt_archive',
   'file_encrypt_armored_output'
 ]);
 
@@ -33,6 +34,12 @@ class EncryptFooter extends React.Component {
               <span>{l10n.map.file_encrypt_armored_output}</span>
             </label>
           </div>
+          <div className="checkbox">
+            <label className="checkbox" htmlFor="archiveOption">
+              <input checked={this.props.archive} onChange={event => this.props.onChangeArchive(event.target.checked)} type="checkbox" id="archiveOption" />
+              <span>{l10n.map.file_encrypt_archive}</span>
+            </label>
+          </div>
         </div>
       </form>
     );
@@ -61,8 +68,10 @@ EncryptFooter.propTypes = {
   onBack: PropTypes.func, // click on back button
   onEncrypt: PropTypes.func, // click on encrypt button
   onChangeArmored: PropTypes.func, // change output format
+  onChangeArchive: PropTypes.func, // change bundling of files
   encryptDisabled: PropTypes.bool, // encrypt action disabled
   armored: PropTypes.bool, // output format, false: binary / true: ASCII-armored
+  archive: PropTypes.bool // bundle all files in one ZIP archive
 };
 
 export default EncryptFooter;
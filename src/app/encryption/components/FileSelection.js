@@ -0,0 +1,76 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import mvelo from '../../../mvelo';
+import * as l10n from '../../../lib/l10n';
+import * as fileLib from '../../../lib/file';
+import {FileUploadPanel} from '../../../components/util/FilePanel';
+
+l10n.register([
+  'encrypt_dialog_add',
+  'encrypt_upload_file_help',
+  'encrypt_upload_file_warning_too_big'
+]);
+
+const MAX_FILE_UPLOAD_SIZE = Math.ceil(mvelo.MAX_FILE_UPLOAD_SIZE / 1024 / 1024);
+
+/**
+ * Selection of files that are read as data URL
+ */
+export default class FileSelection extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: ''
+    };
+    this.handleAddFiles = this.handleAddFiles.bind(this);
+    this.handleRemoveFile = this.handleRemoveFile.bind(this);
+  }
+
+  async handleAddFiles(event) {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    let error = '';
+    if (files.some(file => fileLib.isOversize(file))) {
+      error = l10n.map.encrypt_upload_file_warning_too_big;
+    }
+    const uploads = await Promise.all(files.filter(file => !fileLib.isOversize(file)).map(file => fileLib.readUploadFile(file)));
+    this.setState({error});
+    this.props.onChange([...this.props.files, ...uploads]);
+  }
+
+  handleRemoveFile(id) {
+    this.props.onChange(this.props.files.filter(file => file.id !== id));
+  }
+
+  render() {
+    return (
+      <div className="row">
+        <div className="col-xs-9">
+          <div className="itemSelection">
+            <FileUploadPanel files={this.props.files} onRemoveFile={this.handleRemoveFile} />
+          </div>
+        </div>
+        <div className="col-xs-3">
+          <input type="file" className="hidden" multiple accept={this.props.accept} onChange={this.handleAddFiles} ref={node => this.fileInput = node} />
+          <button type="button" className="btn btn-sm btn-block btn-success" onClick={() => this.fileInput.click()}>
+            <i className="glyphicon glyphicon-plus"></i>
+            <span>{l10n.map.encrypt_dialog_add}</span>
+          </button>
+          <span className="help-block">{l10n.map.encrypt_upload_file_help.replace('##', MAX_FILE_UPLOAD_SIZE)}</span>
+          {this.state.error && <div className="alert alert-danger" role="alert">{this.state.error}</div>}
+        </div>
+      </div>
+    );
+  }
+}
+
+FileSelection.propTypes = {
+  files: PropTypes.array.isRequired, // {id, name, content} with content as data URL
+  onChange: PropTypes.func.isRequired, // receives the changed list of files
+  accept: PropTypes.string // accepted file types of the file input
+};
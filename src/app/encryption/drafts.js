@@ -0,0 +1,80 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import * as l10n from '../../lib/l10n';
+import {port} from '../app';
+
+l10n.register([
+  'drafts_delete_confirmation',
+  'drafts_empty',
+  'drafts_help',
+  'drafts_last_modified',
+  'drafts_title',
+  'drafts_webmail',
+  'keygrid_delete'
+]);
+
+/**
+ * Autosaved drafts of the editor popup, the content is encrypted and can only be restored in the editor
+ */
+export default class Drafts extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {drafts: []};
+  }
+
+  componentDidMount() {
+    this.loadDrafts();
+  }
+
+  loadDrafts() {
+    return port.send('get-drafts')
+    .then(drafts => this.setState({drafts}));
+  }
+
+  deleteDraft(id) {
+    if (!confirm(l10n.map.drafts_delete_confirmation)) {
+      return;
+    }
+    port.send('delete-draft', {id})
+    .then(() => this.loadDrafts());
+  }
+
+  render() {
+    return (
+      <div>
+        <h3>{l10n.map.drafts_title}</h3>
+        <p>{l10n.map.drafts_help}</p>
+        <table className="table table-hover table-striped optionsTable">
+          <thead>
+            <tr>
+              <th style={{width: '40%'}}>{l10n.map.drafts_webmail}</th>
+              <th>{l10n.map.drafts_last_modified}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            { this.state.drafts.map(draft =>
+              <tr key={draft.id}>
+                <td>{draft.host}</td>
+                <td><span className="glyphicon glyphicon-time"></span>&nbsp;<span>{new Date(draft.lastModified).toLocaleString()}</span></td>
+                <td className="text-center">
+                  <button type="button" onClick={() => this.deleteDraft(draft.id)} className="btn btn-default"><span className="glyphicon glyphicon-trash"></span>&nbsp;<span>{l10n.map.keygrid_delete}</span></button>
+                </td>
+              </tr>
+            )
+            }
+            { !this.state.drafts.length &&
+              <tr>
+                <td colSpan="3" className="text-muted">{l10n.map.drafts_empty}</td>
+              </tr>
+            }
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+}
@@ -11,6 +11,8 @@ import {port} from '../app';
 import * as l10n from '../../lib/l10n';
 import * as fileLib from '../../lib/file';
 import EncryptFooter from './components/EncryptFooter';
+import PasswordProtection from '../../components/util/PasswordProtection';
+import {FileDownloadPanel} from '../../components/util/FilePanel';
 
 import './encrypt.css';
 
@@ -26,6 +28,7 @@ let $encryptFileUpload;
 let $encryptFileDownload;
 let $encryptToPersonBtn;
 let $encryptAddFileBtn;
+let $encryptFolderUpload;
 let $encryptDownloadAllBtn;
 let $encryptFileSelection;
 
@@ -52,13 +55,14 @@ let $decryptFileDownload;
 l10n.register([
   'editor_encrypt_button',
   'encrypt_dialog_add',
+  'encrypt_dialog_add_folder',
   'encrypt_dialog_header',
   'encrypt_dialog_subheader',
   'encrypt_download_file_title',
   'encrypt_download_all_button',
   'encrypt_file_selection',
-  'encrypt_upload_file_warning_too_big',
-  'encrypt_upload_file_help',
+  'file_decrypt_archive_content',
+  'encrypt_upload_file_stream_help',
   'form_next',
   'form_back'
 ]);
@@ -71,7 +75,14 @@ export default class EncryptFile extends React.Component {
     super(props);
     this.state = {
       encryptDisabled: true,
-      armored: false
+      passwordProtection: {enabled: false, password: null},
+      armored: false,
+      archive: false,
+      // files that are processed as stream
+      encryptStreams: [],
+      decryptStreams: [],
+      // decrypted ZIP archives: {id, name, files}
+      archives: []
     };
     encryptFile = this;
   }
@@ -103,6 +114,13 @@ export default class EncryptFile extends React.Component {
                     </button>
                     <span className="help-block"></span>
                   </p>
+                  <p>
+                    <input id="encrypt_folderUpload" type="file" className="hidden" webkitdirectory="" />
+                    <button type="button" id="encrypt_addFolderBtn" className="btn btn-sm btn-block btn-default">
+                      <i className="glyphicon glyphicon-folder-open"></i>
+                      <span>{l10n.map.encrypt_dialog_add_folder}</span>
+                    </button>
+                  </p>
                 </div>
               </div>
               <div className="fileUploadError alert alert-danger" role="alert"></div>
@@ -133,17 +151,25 @@ export default class EncryptFile extends React.Component {
                   <output id="encrypt_keyList" className="itemSelection"></output>
                 </div>
               </div>
+              <PasswordProtection onChange={passwordProtection => {
+                isEncryptCached = false;
+                this.setState({passwordProtection});
+              }} />
             </div>
 
             <div className="panel-footer">
-              <EncryptFooter encryptDisabled={this.state.encryptDisabled} armored={this.state.armored}
+              <EncryptFooter encryptDisabled={this.state.passwordProtection.enabled ? !this.state.passwordProtection.password : this.state.encryptDisabled} armored={this.state.armored}
                 onBack={() => switchPanel($encryptFileUploadPanel, $encryptPanels)}
                 onEncrypt={onEncryptFiles}
                 onChangeArmored={armored => {
                   isEncryptCached = false;
                   this.setState({armored});
                 }}
-
+                archive={this.state.archive}
+                onChangeArchive={archive => {
+                  isEncryptCached = false;
+                  this.setState({archive});
+                }}
               />
             </div>
           </div>
@@ -157,7 +183,10 @@ export default class EncryptFile extends React.Component {
             <div className="panel-body">
               <div className="row">
                 <div className="col-xs-12">
-                  <output id="encrypt_fileDownload" className="itemSelection"></output>
+                  <div className="itemSelection">
+                    <FileDownloadPanel files={this.state.encryptStreams} />
+                    <output id="encrypt_fileDownload"></output>
+                  </div>
                 </div>
               </div>
               <div id="encrypt_fileDownloadError" className="alert alert-danger" role="alert"></div>
@@ -213,9 +242,20 @@ export default class EncryptFile extends React.Component {
             <div className="panel-body">
               <div className="row">
                 <div className="col-xs-12">
-                  <output id="decrypt_fileDownload" className="itemSelection"></output>
+                  <div className="itemSelection">
+                    <FileDownloadPanel files={this.state.decryptStreams} />
+                    <output id="decrypt_fileDownload"></output>
+                  </div>
                 </div>
               </div>
+              {this.state.archives.map(archive =>
+                <div key={archive.id} className="archive-content">
+                  <h4>{l10n.map.file_decrypt_archive_content.replace('##', archive.name)}</h4>
+                  <div className="itemSelection">
+                    <FileDownloadPanel files={archive.files} />
+                  </div>
+                </div>
+              )}
               <div id="decrypt_fileDownloadError" className="alert alert-danger" role="alert"></div>
             </div>
 
@@ -264,7 +304,9 @@ function addEncryptInteractivity() {
   $encryptPersonPanel = $('#encrypt_personPanel');
   $encryptFileDownloadPanel = $('#encrypt_fileDownloadPanel');
   $encryptPanels = $('.panel.encrypt-panel');
-  $encryptFileSelection = $('#encrypt_fileSelection');
+  $encryptFileSelection = $('#encrypt_fileSelection')
+  .on('dragover', e => e.preventDefault())
+  .on('drop', onDropFiles);
   $encryptFileDownloadError = $('#encrypt_fileDownloadError');
 
   const $waiting = $('.waiting', $encryptFileDownloadPanel).hide();
@@ -275,6 +317,11 @@ function addEncryptInteractivity() {
   .on('click', () => {
     $encryptFileUpload.click();
   });
+  $encryptFolderUpload = $('#encrypt_folderUpload').change(onAddFile.bind(null, $encryptFileUploadPanel));
+  $('#encrypt_addFolderBtn')
+  .on('click', () => {
+    $encryptFolderUpload.click();
+  });
   $encryptToPersonBtn = $('#encrypt_goToPersonBtn')
   .prop('disabled', true)
   .on('click', () => {
@@ -283,7 +330,7 @@ function addEncryptInteractivity() {
   $encryptDownloadAllBtn = $('#encrypt_downloadAllBtn')
   .prop('disabled', true)
   .on('click', () => {
-    $encryptFileDownload.children().each(function() {
+    $encryptFileDownload.parent().find('a[href]').each(function() {
       this.click();
     });
   });
@@ -294,7 +341,7 @@ function addEncryptInteractivity() {
   $encryptFileDownload = $('#encrypt_fileDownload');
 
   $encryptAddFileBtn.next()
-  .text(l10n.map.encrypt_upload_file_help.replace('##', MAX_FILE_UPLOAD_SIZE));
+  .text(l10n.map.encrypt_upload_file_stream_help.replace('##', MAX_FILE_UPLOAD_SIZE));
 
   $encryptKeyList = $('#encrypt_keyList');
   $encryptKeySelect = $('#encrypt_keySelect');
@@ -325,7 +372,7 @@ function addDecryptInteractivity() {
   });
 
   $decryptAddFileBtn.next()
-  .text(l10n.map.encrypt_upload_file_help.replace('##', MAX_FILE_UPLOAD_SIZE));
+  .text(l10n.map.encrypt_upload_file_stream_help.replace('##', MAX_FILE_UPLOAD_SIZE));
 
   $decryptToDownloadBtn = $('#decrypt_goToDownloadBtn')
   .prop('disabled', true)
@@ -334,7 +381,7 @@ function addDecryptInteractivity() {
   $decryptDownloadAllBtn = $('#decrypt_downloadAllBtn')
   .prop('disabled', true)
   .on('click', () => {
-    $decryptFileDownload.children().each(function() {
+    $decryptFileDownload.parent().find('a[href]').each(function() {
       this.click();
     });
   });
@@ -355,6 +402,8 @@ function onDecryptFiles(e) {
 
   if (!isDecryptCached) {
     $decryptFileDownload.children().remove();
+    clearStreamFiles('decryptStreams');
+    clearArchives();
     hideError($decryptFileDownloadError);
     $('.waiting', $decryptFileDownloadPanel).show();
     const encryptedFiles = fileLib.getFiles($decryptFileUploadPanel);
@@ -365,7 +414,7 @@ function onDecryptFiles(e) {
     .then(() => {
       $('.waiting', $decryptFileDownloadPanel).hide();
       isDecryptCached = hasError($decryptFileDownloadError) ? false : true;
-      if ($decryptFileDownload.children().length) {
+      if ($decryptFileDownload.children().length || encryptFile.state.decryptStreams.length) {
         $decryptDownloadAllBtn.prop('disabled', false);
       }
     });
@@ -377,6 +426,15 @@ function onDecryptFiles(e) {
 function decryptFiles(encryptedFiles) {
   const decryptProcesses = [];
   encryptedFiles.forEach(encryptedFile => {
+    if (encryptedFile.file) {
+      decryptProcesses.push(
+        decryptFileStream(encryptedFile)
+        .catch(error => {
+          showError(error.message, $decryptFileDownloadError);
+        })
+      );
+      return;
+    }
     decryptProcesses.push(port.send('decryptFile', {encryptedFile})
     .then(file => {
       addFileToDownload({
@@ -384,6 +442,7 @@ function decryptFiles(encryptedFiles) {
         content: file.data,
         type: 'application/octet-stream'
       }, $decryptFileDownload);
+      return addArchive(file.filename, mvelo.util.str2Uint8Array(file.data));
     })
     .catch(error => {
       showError(error.message, $decryptFileDownloadError);
@@ -401,6 +460,7 @@ function onEncryptFiles(e) {
 
   if (!isEncryptCached) {
     $encryptFileDownload.children().remove();
+    clearStreamFiles('encryptStreams');
     hideError($encryptFileDownloadError);
     $('.waiting', $encryptFileDownloadPanel).show();
     const plainFiles = fileLib.getFiles($encryptFileUploadPanel);
@@ -423,19 +483,135 @@ function onEncryptFiles(e) {
 }
 
 function encryptFiles(plainFiles, receipients) {
-  const encryptProcesses = [];
-  const {armored} = encryptFile.state;
-  plainFiles.forEach(plainFile => {
-    encryptProcesses.push(
-      port.send('encryptFile', {plainFile, encryptionKeyFprs: receipients.map(r => r.fingerprint), armor: armored})
-      .then(content => addFileToDownload({
-        name: `${plainFile.name}${armored ? '.asc' : '.gpg'}`,
-        content,
-        type: 'application/octet-stream'
-      }, $encryptFileDownload, {secureIcon: true}))
-    );
-  });
-  return Promise.all(encryptProcesses);
+  const {armored, passwordProtection, archive} = encryptFile.state;
+  const password = passwordProtection.enabled ? passwordProtection.password : undefined;
+  const options = {encryptionKeyFprs: receipients.map(r => r.fingerprint), password, armor: armored};
+  if (archive) {
+    return encryptArchive(plainFiles, options);
+  }
+  return Promise.all(plainFiles.map(plainFile => encryptPlainFile(plainFile, options)));
+}
+
+/**
+ * @param {Object} plainFile - {name} and content as data URL or file as File object
+ * @param {Object} options - {encryptionKeyFprs, password, armor}
+ * @returns {Promise}
+ */
+function encryptPlainFile(plainFile, options) {
+  if (plainFile.file) {
+    return encryptFileStream(plainFile, options);
+  }
+  return port.send('encryptFile', {plainFile, ...options})
+  .then(content => addFileToDownload({
+    name: `${plainFile.name}${options.armor ? '.asc' : '.gpg'}`,
+    content,
+    type: 'application/octet-stream'
+  }, $encryptFileDownload, {secureIcon: true}));
+}
+
+/**
+ * Bundle all files in one ZIP archive that is encrypted as a whole
+ * @param {Array<Object>} plainFiles - {name, path} and content as data URL or file as File object
+ * @param {Object} options - {encryptionKeyFprs, password, armor}
+ * @returns {Promise}
+ * @throws {Error} - ARCHIVE_TOO_BIG if the files exceed the size limit of in-memory processing
+ */
+async function encryptArchive(plainFiles, options) {
+  const archive = await fileLib.createArchive(plainFiles, getArchiveName(plainFiles));
+  return encryptPlainFile(await fileLib.readUploadFile(archive), options);
+}
+
+/**
+ * The archive is named after the folder that contains all files
+ * @param {Array<Object>} plainFiles - {name, path}
+ * @returns {String}
+ */
+function getArchiveName(plainFiles) {
+  const folders = new Set(plainFiles.map(({path}) => path && path.includes('/') ? path.split('/')[0] : ''));
+  const [folder] = folders;
+  return `${folders.size === 1 && folder ? folder : 'archive'}.zip`;
+}
+
+/**
+ * Encrypt file that exceeds the size limit of in-memory processing as stream
+ * @param {Object} plainFile - {file: File, name}
+ * @param {Object} options - {encryptionKeyFprs, password, armor}
+ * @returns {Promise}
+ */
+async function encryptFileStream({file, name}, options) {
+  const streamFile = {id: mvelo.util.getHash(), name: `${name}${options.armor ? '.asc' : '.gpg'}`, progress: 0};
+  updateStreamFile('encryptStreams', streamFile);
+  try {
+    const streamId = await port.send('encrypt-file-stream', {name, ...options});
+    const {blob} = await fileLib.streamFile({file, streamId, port, onProgress: progress => updateStreamFile('encryptStreams', {...streamFile, progress})});
+    updateStreamFile('encryptStreams', {...streamFile, objectURL: window.URL.createObjectURL(blob)});
+  } catch (error) {
+    removeStreamFile('encryptStreams', streamFile);
+    throw error;
+  }
+}
+
+/**
+ * Decrypt file that exceeds the size limit of in-memory processing as stream
+ * @param {Object} encryptedFile - {file: File, name}
+ * @returns {Promise}
+ */
+async function decryptFileStream({file, name}) {
+  let streamFile = {id: mvelo.util.getHash(), name: name.replace(/\.(asc|gpg|pgp)$/i, ''), progress: 0};
+  updateStreamFile('decryptStreams', streamFile);
+  try {
+    const streamId = await port.send('decrypt-file-stream', {name});
+    const {blob, filename} = await fileLib.streamFile({file, streamId, port, onProgress: progress => updateStreamFile('decryptStreams', {...streamFile, progress})});
+    streamFile = {...streamFile, name: filename || streamFile.name, objectURL: window.URL.createObjectURL(blob)};
+    updateStreamFile('decryptStreams', streamFile);
+    await addArchive(streamFile.name, blob);
+  } catch (error) {
+    removeStreamFile('decryptStreams', streamFile);
+    throw error;
+  }
+}
+
+/**
+ * @param {String} list - encryptStreams or decryptStreams
+ * @param {Object} streamFile - {id, name, progress, objectURL}
+ */
+function updateStreamFile(list, streamFile) {
+  encryptFile.setState(prevState => ({
+    [list]: prevState[list].some(({id}) => id === streamFile.id) ? prevState[list].map(file => file.id === streamFile.id ? streamFile : file) : [...prevState[list], streamFile]
+  }));
+}
+
+function removeStreamFile(list, streamFile) {
+  encryptFile.setState(prevState => ({[list]: prevState[list].filter(({id}) => id !== streamFile.id)}));
+}
+
+function clearStreamFiles(list) {
+  encryptFile.state[list].forEach(({objectURL}) => objectURL && window.URL.revokeObjectURL(objectURL));
+  encryptFile.setState({[list]: []});
+}
+
+/**
+ * List the content of a decrypted ZIP archive for download
+ * @param {String} name - file name of the archive
+ * @param {Uint8Array|Blob} data
+ * @returns {Promise}
+ */
+async function addArchive(name, data) {
+  if (!/\.zip$/i.test(name)) {
+    return;
+  }
+  try {
+    const files = await fileLib.unpackArchive(data);
+    encryptFile.setState(prevState => ({archives: [...prevState.archives, {id: mvelo.util.getHash(), name, files}]}));
+  } catch (e) {
+    // archive that can't be unpacked is only offered as a whole
+    console.log(`Unpacking of archive ${name} failed`, e);
+  }
+}
+
+function clearArchives() {
+  encryptFile.state.archives.forEach(({files}) => files.forEach(({objectURL}) => window.URL.revokeObjectURL(objectURL)));
+  encryptFile.setState({archives: []});
 }
 
 function getSelectedRecipients() {
@@ -489,46 +665,77 @@ function onRemoveRecipient(e) {
  * @param {Event} evt
  */
 function onAddFile($filePanel, evt) {
-  const files = evt.target.files;
+  // files of a selected folder have a path relative to the parent of the folder
+  addFiles($filePanel, Array.from(evt.target.files).map(file => ({file, path: file.webkitRelativePath})));
+  evt.target.value = '';
+}
 
+/**
+ * @param {Event} evt
+ */
+function onDropFiles(evt) {
+  evt.preventDefault();
+  fileLib.getDroppedFiles(evt.originalEvent.dataTransfer)
+  .then(files => addFiles($encryptFileUploadPanel, files));
+}
+
+/**
+ * @param {jQuery} $filePanel
+ * @param {Array<Object>} files - {file: File, path: String}
+ */
+function addFiles($filePanel, files) {
   const $fileUploadError = $filePanel.find('.fileUploadError');
 
   hideError($fileUploadError);
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
+  if ($filePanel.attr('id') === 'encrypt_fileUploadPanel' && files.some(({path}) => path && path.includes('/'))) {
+    // folders are only preserved in an archive
+    encryptFile.setState({archive: true});
+  }
 
+  for (const {file, path} of files) {
     if (fileLib.isOversize(file)) {
-      showError(l10n.map.encrypt_upload_file_warning_too_big, $fileUploadError, true);
+      // large files are not read into memory but processed as stream
+      addFileElement($filePanel, {id: mvelo.util.getHash(), name: file.name, size: file.size, type: file.type, path, file});
+      updateNextButton($filePanel);
       continue;
     }
 
     numUploadsInProgress++;
     fileLib.readUploadFile(file, afterLoadEnd.bind(null, $filePanel))
-    .then(response => {
-      const $fileElement = fileLib.createFileElement(response, {
-        removeButton: true,
-        onRemove: onRemoveFile,
-        secureIcon: $filePanel.attr('id') === 'decrypt_fileUploadPanel' ? true : false
-      });
-      if ($filePanel.attr('id') === 'encrypt_fileUploadPanel') {
-        $encryptFileSelection.append($fileElement);
-        isEncryptCached = false;
-      } else if ($filePanel.attr('id') === 'decrypt_fileUploadPanel') {
-        $decryptFileSelection.append($fileElement);
-        isDecryptCached = false;
-      }
-    })
+    .then(response => addFileElement($filePanel, {...response, path}))
     .catch(error => {
       console.log(error);
       showError('Unknown Error', $fileUploadError);
     });
   }
-  evt.target.value = '';
+}
+
+/**
+ * @param {jQuery} $filePanel
+ * @param {Object} file - {id, name, size, type, path} and content as data URL or file as File object
+ */
+function addFileElement($filePanel, file) {
+  const $fileElement = fileLib.createFileElement(file, {
+    removeButton: true,
+    onRemove: onRemoveFile,
+    secureIcon: $filePanel.attr('id') === 'decrypt_fileUploadPanel' ? true : false
+  });
+  if ($filePanel.attr('id') === 'encrypt_fileUploadPanel') {
+    $encryptFileSelection.append($fileElement);
+    isEncryptCached = false;
+  } else if ($filePanel.attr('id') === 'decrypt_fileUploadPanel') {
+    $decryptFileSelection.append($fileElement);
+    isDecryptCached = false;
+  }
 }
 
 function afterLoadEnd($filePanel) {
   numUploadsInProgress--;
+  updateNextButton($filePanel);
+}
+
+function updateNextButton($filePanel) {
   if (numUploadsInProgress) {
     return;
   }
@@ -0,0 +1,141 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import mvelo from '../../mvelo';
+import * as l10n from '../../lib/l10n';
+import {port} from '../app';
+import FileSelection from './components/FileSelection';
+import {FileDownloadPanel} from '../../components/util/FilePanel';
+import Alert from '../../components/util/Alert';
+import Spinner from '../../components/util/Spinner';
+
+import './encrypt.css';
+
+l10n.register([
+  'alert_header_error',
+  'encrypt_download_all_button',
+  'encrypt_download_file_title',
+  'encrypt_file_selection',
+  'file_sign_armored_output',
+  'file_sign_button',
+  'file_sign_key',
+  'file_sign_no_keys',
+  'form_back'
+]);
+
+/**
+ * Create detached signatures of files
+ */
+export default class SignFile extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      files: [],
+      privKeys: null,
+      signingKeyFpr: '',
+      armored: true,
+      signatures: null,
+      errors: []
+    };
+    this.handleSign = this.handleSign.bind(this);
+    this.handleDownloadAll = this.handleDownloadAll.bind(this);
+  }
+
+  async componentDidMount() {
+    const {privKeys, defaultKeyFpr} = await port.send('get-signing-keys');
+    const signingKeyFpr = privKeys.some(key => key.fingerprint === defaultKeyFpr) ? defaultKeyFpr : privKeys.length && privKeys[0].fingerprint;
+    this.setState({privKeys, signingKeyFpr: signingKeyFpr || ''});
+  }
+
+  async handleSign() {
+    this.setState({signatures: [], errors: []});
+    const {signingKeyFpr, armored} = this.state;
+    for (const plainFile of this.state.files) {
+      try {
+        const content = await port.send('signFile', {plainFile, signingKeyFpr, armor: armored});
+        const blob = new Blob([mvelo.util.str2ab(content)], {type: 'application/octet-stream'});
+        const signature = {
+          id: mvelo.util.getHash(),
+          name: `${plainFile.name}${armored ? '.asc' : '.sig'}`,
+          objectURL: window.URL.createObjectURL(blob)
+        };
+        this.setState(prevState => ({signatures: [...prevState.signatures, signature]}));
+      } catch (error) {
+        if (error.code === 'PWD_DIALOG_CANCEL') {
+          return this.setState({signatures: null});
+        }
+        this.setState(prevState => ({errors: [...prevState.errors, `${plainFile.name}: ${error.message}`]}));
+      }
+    }
+  }
+
+  handleDownloadAll() {
+    this.downloadPanel.querySelectorAll('a').forEach(link => link.click());
+  }
+
+  renderSelection() {
+    const privKeys = this.state.privKeys || [];
+    return (
+      <div className="panel panel-default">
+        <div className="panel-heading">
+          <h3 className="panel-title">{l10n.map.encrypt_file_selection}</h3>
+        </div>
+        <div className="panel-body">
+          <FileSelection files={this.state.files} onChange={files => this.setState({files})} />
+          <div className="form-group">
+            <label htmlFor="signingKey">{l10n.map.file_sign_key}</label>
+            <select id="signingKey" className="form-control" value={this.state.signingKeyFpr} onChange={event => this.setState({signingKeyFpr: event.target.value})} disabled={!privKeys.length}>
+              {privKeys.map(key => <option key={key.fingerprint} value={key.fingerprint}>{`${key.userId} - ${key.keyId}`}</option>)}
+            </select>
+            {this.state.privKeys && !privKeys.length && <span className="help-block">{l10n.map.file_sign_no_keys}</span>}
+          </div>
+          <div className="checkbox">
+            <label>
+              <input type="checkbox" checked={this.state.armored} onChange={event => this.setState({armored: event.target.checked})} />
+              <span>{l10n.map.file_sign_armored_output}</span>
+            </label>
+          </div>
+        </div>
+        <div className="panel-footer text-right">
+          <button type="button" className="btn btn-primary btn-sm" onClick={this.handleSign} disabled={!this.state.files.length || !this.state.signingKeyFpr}>{l10n.map.file_sign_button}</button>
+        </div>
+      </div>
+    );
+  }
+
+  renderSignatures() {
+    const {signatures, errors, files} = this.state;
+    const pending = signatures.length + errors.length < files.length;
+    return (
+      <div className="panel panel-default">
+        <div className="panel-heading">
+          <h3 className="panel-title">{l10n.map.encrypt_download_file_title}</h3>
+        </div>
+        <div className="panel-body">
+          <div className="itemSelection" ref={node => this.downloadPanel = node}>
+            <FileDownloadPanel files={signatures} />
+            {pending && <Spinner delay={0} />}
+          </div>
+          {errors.map((error, index) => <Alert header={l10n.map.alert_header_error} message={error} type="danger" key={index} />)}
+        </div>
+        <div className="panel-footer text-right">
+          <button type="button" className="btn btn-sm btn-default" onClick={() => this.setState({signatures: null})} disabled={pending}>{l10n.map.form_back}</button>
+          <button type="button" className="btn btn-sm btn-primary" onClick={this.handleDownloadAll} disabled={pending || !signatures.length}>
+            <i className="glyphicon glyphicon-save"></i> <span>{l10n.map.encrypt_download_all_button}</span>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div>
+        {this.state.signatures ? this.renderSignatures() : this.renderSelection()}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import * as l10n from '../../lib/l10n';
+import {port} from '../app';
+import FileSelection from './components/FileSelection';
+import SignatureModal from '../../components/decrypt-message/components/SignatureModal';
+import Spinner from '../../components/util/Spinner';
+
+import './encrypt.css';
+
+l10n.register([
+  'digital_signature_status_false',
+  'digital_signature_status_null',
+  'digital_signature_status_true',
+  'file_verify_button',
+  'file_verify_details',
+  'file_verify_file',
+  'file_verify_files',
+  'file_verify_no_file',
+  'file_verify_no_signature',
+  'file_verify_result_title',
+  'file_verify_signature_files',
+  'form_back',
+  'keygrid_signer_name',
+  'keygrid_validity_status'
+]);
+
+const SIGNATURE_EXTENSION = /\.(asc|sig|sign|gpg)$/i;
+
+/**
+ * Assign signature files to the files they sign. A signature file belongs to the file of the same name
+ * without the extension .asc, .sig, .sign or .gpg. If only one file is verified, all signature files
+ * are verified against this file.
+ * @param  {Array<Object>} files - {name}
+ * @param  {Array<Object>} signatureFiles - {name}
+ * @return {Array<Object>} - {file, signatureFile}, file or signatureFile is null if no match was found
+ */
+export function matchSignatureFiles(files, signatureFiles) {
+  if (files.length === 1) {
+    return signatureFiles.length ? signatureFiles.map(signatureFile => ({file: files[0], signatureFile})) : [{file: files[0], signatureFile: null}];
+  }
+  const result = [];
+  const matched = new Set();
+  for (const file of files) {
+    const fileSignatures = signatureFiles.filter(signatureFile => signatureFile.name.replace(SIGNATURE_EXTENSION, '') === file.name);
+    if (!fileSignatures.length) {
+      result.push({file, signatureFile: null});
+    }
+    for (const signatureFile of fileSignatures) {
+      result.push({file, signatureFile});
+      matched.add(signatureFile);
+    }
+  }
+  for (const signatureFile of signatureFiles.filter(signatureFile => !matched.has(signatureFile))) {
+    result.push({file: null, signatureFile});
+  }
+  return result;
+}
+
+/**
+ * Verify files with detached signatures
+ */
+export default class VerifyFile extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      files: [],
+      signatureFiles: [],
+      results: null,
+      signer: null
+    };
+    this.handleVerify = this.handleVerify.bind(this);
+  }
+
+  async handleVerify() {
+    const {files, signatureFiles} = this.state;
+    const results = matchSignatureFiles(files, signatureFiles);
+    this.setState({results});
+    for (const result of results) {
+      if (!result.file || !result.signatureFile) {
+        continue;
+      }
+      try {
+        ({signatures: result.signatures} = await port.send('verifyFile', {plainFile: result.file, signatureFile: result.signatureFile}));
+      } catch (error) {
+        result.error = error.message;
+      }
+      this.setState({results: [...results]});
+    }
+  }
+
+  renderStatus(result) {
+    if (!result.file) {
+      return <span className="label label-default">{l10n.map.file_verify_no_file}</span>;
+    }
+    if (!result.signatureFile) {
+      return <span className="label label-default">{l10n.map.file_verify_no_signature}</span>;
+    }
+    if (result.error) {
+      return <span className="text-danger">{result.error}</span>;
+    }
+    if (!result.signatures) {
+      return <Spinner delay={0} style={{margin: 0, width: '20px', height: '20px'}} />;
+    }
+    return result.signatures.map((signer, index) =>
+      <div key={index}>
+        {signer.valid === true && <span className="label label-success">{l10n.map.digital_signature_status_true}</span>}
+        {signer.valid === false && <span className="label label-danger">{l10n.map.digital_signature_status_false}</span>}
+        {signer.valid === null && <span className="label label-warning">{l10n.map.digital_signature_status_null}</span>}
+        &nbsp;{signer.keyDetails ? signer.keyDetails.userId : (signer.keyId || signer.fingerprint).toUpperCase()}&nbsp;
+        {(signer.keyDetails || signer.valid === null && signer.keyId) &&
+          <button type="button" className="btn btn-link btn-xs" onClick={() => this.setState({signer})}>{l10n.map.file_verify_details}</button>
+        }
+      </div>
+    );
+  }
+
+  renderSelection() {
+    return (
+      <div className="panel panel-default">
+        <div className="panel-heading">
+          <h3 className="panel-title">{l10n.map.file_verify_files}</h3>
+        </div>
+        <div className="panel-body">
+          <FileSelection files={this.state.files} onChange={files => this.setState({files})} />
+          <h4>{l10n.map.file_verify_signature_files}</h4>
+          <FileSelection files={this.state.signatureFiles} onChange={signatureFiles => this.setState({signatureFiles})} accept=".asc,.sig,.sign,.gpg" />
+        </div>
+        <div className="panel-footer text-right">
+          <button type="button" className="btn btn-primary btn-sm" onClick={this.handleVerify} disabled={!this.state.files.length || !this.state.signatureFiles.length}>{l10n.map.file_verify_button}</button>
+        </div>
+      </div>
+    );
+  }
+
+  renderResults() {
+    const pending = this.state.results.some(result => result.file && result.signatureFile && !result.signatures && !result.error);
+    return (
+      <div className="panel panel-default">
+        <div className="panel-heading">
+          <h3 className="panel-title">{l10n.map.file_verify_result_title}</h3>
+        </div>
+        <div className="panel-body">
+          <table className="table table-condensed">
+            <thead>
+              <tr>
+                <th>{l10n.map.file_verify_file}</th>
+                <th>{l10n.map.file_verify_signature_files}</th>
+                <th>{l10n.map.keygrid_validity_status} / {l10n.map.keygrid_signer_name}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {this.state.results.map((result, index) =>
+                <tr key={index}>
+                  <td>{result.file && result.file.name}</td>
+                  <td>{result.signatureFile && result.signatureFile.name}</td>
+                  <td>{this.renderStatus(result)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="panel-footer text-right">
+          <button type="button" className="btn btn-sm btn-default" onClick={() => this.setState({results: null})} disabled={pending}>{l10n.map.form_back}</button>
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div>
+        {this.state.results ? this.renderResults() : this.renderSelection()}
+        {this.state.signer && <SignatureModal signer={this.state.signer} onHide={() => this.setState({signer: null})} />}
+      </div>
+    );
+  }
+}
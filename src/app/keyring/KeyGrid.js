@@ -3,15 +3,17 @@
  * Licensed under the GNU Affero General Public License version 3
  */
 
+import mvelo from '../../mvelo';
 import React from 'react';
 import PropTypes from 'prop-types';
 import * as l10n from '../../lib/l10n';
 
-import {port} from '../app';
+import {port, AppOptions} from '../app';
 import {KeyringOptions} from './Keyring';
 import Spinner from '../../components/util/Spinner';
 import KeyDetails from './components/KeyDetails';
 import KeyringBackup from './components/KeyringBackup';
+import KeyringTransfer from './components/KeyringTransfer';
 import {Link} from 'react-router-dom';
 import './KeyGrid.css';
 
@@ -27,13 +29,26 @@ l10n.register([
   'key_gen_generate',
   'keygrid_generate_title',
   'keygrid_keyid',
+  'keygrid_policy_title',
   'keygrid_public_keys',
   'keyring_public_private',
   'keygrid_refresh',
   'keygrid_refresh_title',
+  'keygrid_select_all',
   'keygrid_sort_type',
+  'keygrid_transfer',
+  'keygrid_transfer_title',
   'keygrid_user_name',
-  'keygrid_user_email'
+  'keygrid_user_email',
+  'keyring_policy',
+  'key_owner_trust',
+  'key_validity',
+  'key_validity_full',
+  'key_validity_marginal',
+  'key_validity_never',
+  'key_validity_ultimate',
+  'key_validity_undefined',
+  'key_validity_unknown'
 ]);
 
 class KeyGridBase extends React.Component {
@@ -42,7 +57,9 @@ class KeyGridBase extends React.Component {
     this.state = {
       keyTypeFilter: 'allkeys',
       keyDetails: null,
-      keyringBackup: null
+      keyringBackup: null,
+      keyringTransfer: false,
+      selectedKeys: []
     };
   }
 
@@ -50,6 +67,17 @@ class KeyGridBase extends React.Component {
     this.setState({keyTypeFilter: e.target.value});
   }
 
+  /**
+   * Select keys for the transfer to the other keyring
+   * @param  {Array<String>} fprs - fingerprints of the keys
+   * @param  {Boolean} selected
+   */
+  handleSelectKeys(fprs, selected) {
+    this.setState(({selectedKeys}) => ({
+      selectedKeys: selected ? [...new Set([...selectedKeys, ...fprs])] : selectedKeys.filter(fpr => !fprs.includes(fpr))
+    }));
+  }
+
   handleKeyPress(e, index) {
     if (e.key === 'Enter') {
       this.showKeyDetails(index);
@@ -72,6 +100,34 @@ class KeyGridBase extends React.Component {
     .then(details => this.setState({keyDetails: {...key, ...details}}));
   }
 
+  /**
+   * Modify key in the backend and reload keyring and details of modified key
+   * @param  {String} event - event name of the key operation
+   * @param  {Object} options - parameters of the key operation
+   */
+  async handleModifyKey(event, options) {
+    const {fingerprint} = this.state.keyDetails;
+    await port.send(event, {fingerprint, keyringId: this.props.keyringId, ...options});
+    await this.props.onKeyringChange();
+    const key = this.props.keys.find(key => key.fingerprint === fingerprint);
+    const details = await port.send('getKeyDetails', {fingerprint, keyringId: this.props.keyringId});
+    this.setState({keyDetails: {...key, ...details}});
+  }
+
+  /**
+   * @return {bool} true if the key in the details dialog can be modified
+   */
+  isEditable() {
+    return !this.props.gnupg && this.state.keyDetails.type === 'private';
+  }
+
+  /**
+   * @return {bool} true if the user IDs of the key in the details dialog can be certified with the default key
+   */
+  isCertifiable() {
+    return !this.props.gnupg && this.state.keyDetails.type === 'public' && Boolean(this.props.defaultKeyFpr);
+  }
+
   deleteKeyEntry(e, index) {
     e.stopPropagation();
     const deleteConfirm = confirm(l10n.map.keygrid_delete_confirmation);
@@ -110,7 +166,16 @@ class KeyGridBase extends React.Component {
 
 
 
+  /**
+   * @return {Array<Object>} keys not hidden by the key type filter
+   */
+  visibleKeys() {
+    return this.props.keys.filter(key => !this.filterKey(key.type));
+  }
+
   render() {
+    const selectedKeys = this.state.selectedKeys.filter(fpr => this.props.keys.some(key => key.fingerprint === fpr));
+    const visibleFprs = this.visibleKeys().map(key => key.fingerprint);
     return (
       <div style={{minHeight: '300px'}}>
         <div className="table-responsive-custom">
@@ -131,6 +196,16 @@ class KeyGridBase extends React.Component {
               <span className="glyphicon glyphicon-refresh"></span>&nbsp;
               <span>{l10n.map.keygrid_refresh}</span>
             </button>
+            <Link className="btn btn-default" to='/keyring/policy' replace tabIndex="0" title={l10n.map.keygrid_policy_title}>
+              <span className="glyphicon glyphicon-lock"></span>&nbsp;
+              <span>{l10n.map.keyring_policy}</span>
+            </Link>
+            {this.props.transfer &&
+              <button type="button" onClick={() => this.setState({keyringTransfer: true})} className="btn btn-default" title={l10n.map.keygrid_transfer_title} disabled={!selectedKeys.length}>
+                <span className="glyphicon glyphicon-transfer"></span>&nbsp;
+                <span>{l10n.map.keygrid_transfer}</span>
+              </button>
+            }
 
             <div className="pull-right form-inline" >
               <label htmlFor="keyringFilterBtn" className="keyringFilterLabel">
@@ -147,11 +222,18 @@ class KeyGridBase extends React.Component {
           <table className="table table-striped table-hover optionsTable" id="keyRingTable">
             <thead>
               <tr>
+                {this.props.transfer &&
+                  <th className="text-center">
+                    <input type="checkbox" title={l10n.map.keygrid_select_all} checked={visibleFprs.length > 0 && visibleFprs.every(fpr => selectedKeys.includes(fpr))} onChange={e => this.handleSelectKeys(visibleFprs, e.target.checked)} />
+                  </th>
+                }
                 <th></th>
                 <th>{l10n.map.keygrid_user_name}</th>
                 <th>{l10n.map.keygrid_user_email}</th>
                 <th style={{minWidth: '140px'}}>{l10n.map.keygrid_keyid}</th>
                 <th>{l10n.map.keygrid_creation_date_short}</th>
+                {this.props.gnupg && <th>{l10n.map.key_validity}</th>}
+                {this.props.gnupg && <th>{l10n.map.key_owner_trust}</th>}
                 <th></th>
               </tr>
             </thead>
@@ -159,6 +241,11 @@ class KeyGridBase extends React.Component {
               { this.props.keys.map((key, index) =>
                 !this.filterKey(key.type) &&
                 <tr key={index} onClick={() => this.showKeyDetails(index)} onKeyPress={e => this.handleKeyPress(e, index)} tabIndex="0" aria-haspopup="true">
+                  {this.props.transfer &&
+                    <td className="text-center" onClick={e => e.stopPropagation()}>
+                      <input type="checkbox" checked={selectedKeys.includes(key.fingerprint)} onChange={e => this.handleSelectKeys([key.fingerprint], e.target.checked)} />
+                    </td>
+                  }
                   <td className="text-center">
                     <span className={key.type === 'public' ? 'publicKey' : 'keyPair'}>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;</span>
                   </td>
@@ -166,6 +253,8 @@ class KeyGridBase extends React.Component {
                   <td className="emailCell">{key.email}</td>
                   <td className="monospaced">{key.keyId}</td>
                   <td className="monospaced">{key.crDate.substr(0, 10)}</td>
+                  {this.props.gnupg && <td>{l10n.map[`key_validity_${key.validity}`]}</td>}
+                  {this.props.gnupg && <td>{l10n.map[`key_validity_${key.ownerTrust}`]}</td>}
                   <td className="text-center text-nowrap">
                     <div className="actions">
                       <button type="button" className="btn btn-default keyDetailsBtn" aria-haspopup="true"><span className="glyphicon glyphicon-info-sign"></span></button>
@@ -182,6 +271,12 @@ class KeyGridBase extends React.Component {
         {this.state.keyDetails &&
           <KeyDetails keyDetails={this.state.keyDetails}
             onSetDefaultKey={() => this.props.onChangeDefaultKey(this.state.keyDetails.fingerprint)}
+            onRevoke={this.isEditable() ? options => this.handleModifyKey('revoke-key', options) : undefined}
+            onChangeExpiration={this.isEditable() ? options => this.handleModifyKey('set-key-expiration-date', options) : undefined}
+            onAddUser={this.isEditable() && !this.props.demail ? options => this.handleModifyKey('add-user', options) : undefined}
+            onSetPrimaryUser={this.isEditable() ? options => this.handleModifyKey('set-primary-user', options) : undefined}
+            onCertifyUser={this.isCertifiable() ? options => this.handleModifyKey('certify-user', options) : undefined}
+            onUpload={() => port.send('upload-key', {fingerprint: this.state.keyDetails.fingerprint, keyringId: this.props.keyringId})}
             isDefault={this.props.defaultKeyFpr === this.state.keyDetails.fingerprint}
             onHide={() => this.setState({keyDetails: null})}
           />
@@ -194,6 +289,15 @@ class KeyGridBase extends React.Component {
             publicOnly={this.props.gnupg}
           />
         }
+        {this.state.keyringTransfer &&
+          <KeyringTransfer keyringId={this.props.keyringId} keyFprs={selectedKeys}
+            onTransfer={() => {
+              this.setState({selectedKeys: []});
+              this.props.onKeyringChange();
+            }}
+            onHide={() => this.setState({keyringTransfer: false})}
+          />
+        }
       </div>
     );
   }
@@ -202,18 +306,26 @@ class KeyGridBase extends React.Component {
 KeyGridBase.propTypes = {
   keyringId: PropTypes.string,
   gnupg: PropTypes.bool,
+  transfer: PropTypes.bool,
+  demail: PropTypes.bool,
   keys: PropTypes.array,
   defaultKeyFpr: PropTypes.string,
   onChangeDefaultKey: PropTypes.func.isRequired,
   onDeleteKey: PropTypes.func,
+  onKeyringChange: PropTypes.func,
   onRefreshKeyring: PropTypes.func,
   spinner: PropTypes.bool
 };
 
 export default function KeyGrid(props) {
   return (
-    <KeyringOptions.Consumer>
-      {options => <KeyGridBase {...props} keyringId={options.keyringId} gnupg={options.gnupg} />}
-    </KeyringOptions.Consumer>
+    <AppOptions.Consumer>
+      {appOptions =>
+        <KeyringOptions.Consumer>
+          {options => <KeyGridBase {...props} keyringId={options.keyringId} gnupg={options.gnupg} demail={options.demail}
+            transfer={appOptions.gnupg && (options.gnupg || options.keyringId === mvelo.MAIN_KEYRING_ID)} />}
+        </KeyringOptions.Consumer>
+      }
+    </AppOptions.Consumer>
   );
 }
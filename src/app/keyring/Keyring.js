@@ -15,6 +15,7 @@ import KeyGrid from './KeyGrid';
 import ImportKey from './importKey';
 import GenerateKey from './GenerateKey';
 import KeyringSetup from './KeyringSetup';
+import KeyringPolicy from './KeyringPolicy';
 import Spinner from '../../components/util/Spinner';
 
 l10n.register([
@@ -70,8 +71,8 @@ export default class Keyring extends React.Component {
   }
 
   loadKeyring() {
-    port.send('get-all-keyring-attr')
-    .then(keyringAttr => {
+    return port.send('get-all-keyring-attr')
+    .then(keyringAttr => new Promise(resolve => {
       this.setState(prevState => {
         const keyringId = keyringAttr[prevState.keyringId] ? prevState.keyringId : mvelo.MAIN_KEYRING_ID;
         const defaultKeyFpr = keyringAttr[keyringId].default_key || '';
@@ -85,10 +86,10 @@ export default class Keyring extends React.Component {
         .then(keys => {
           keys = keys.sort((a, b) => a.name.localeCompare(b.name));
           const hasPrivateKey = keys.some(key => key.type === 'private');
-          this.setState({hasPrivateKey, keys, keysLoading: false});
+          this.setState({hasPrivateKey, keys, keysLoading: false}, resolve);
         });
       });
-    });
+    }));
   }
 
   handleChangeKeyring(keyringId) {
@@ -136,10 +137,11 @@ export default class Keyring extends React.Component {
                 ) : (
                   <>
                     <Route exact path="/keyring" render={() => this.state.keys.length ? <Redirect to='/keyring/display' /> : <Redirect to='/keyring/setup' />} />
-                    <Route path='/keyring/display' render={() => <KeyGrid keys={this.state.keys} defaultKeyFpr={this.state.defaultKeyFpr} onChangeDefaultKey={this.handleChangeDefaultKey} onDeleteKey={this.handleDeleteKey} onRefreshKeyring={this.handleRefreshKeyring} spinner={this.state.keysLoading} />} />
+                    <Route path='/keyring/display' render={() => <KeyGrid keys={this.state.keys} defaultKeyFpr={this.state.defaultKeyFpr} onChangeDefaultKey={this.handleChangeDefaultKey} onDeleteKey={this.handleDeleteKey} onKeyringChange={this.loadKeyring} onRefreshKeyring={this.handleRefreshKeyring} spinner={this.state.keysLoading} />} />
                     <Route path='/keyring/import' render={({location}) => <ImportKey onKeyringChange={this.loadKeyring} prefs={this.props.prefs} location={location} />} />
                     <Route path='/keyring/generate' render={() => <GenerateKey onKeyringChange={this.loadKeyring} defaultName={this.state.name} defaultEmail={this.state.email} />} />
                     <Route path='/keyring/setup' render={() => <KeyringSetup hasPrivateKey={this.state.hasPrivateKey} />} />
+                    <Route path='/keyring/policy' render={() => this.props.prefs && <KeyringPolicy keyringId={this.state.keyringId} keyringAttr={this.state.keyringAttr[this.state.keyringId]} keys={this.state.keys} prefs={this.props.prefs} onKeyringChange={this.loadKeyring} />} />
                   </>
                 )}
               </section>
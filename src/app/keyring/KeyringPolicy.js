@@ -0,0 +1,118 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Link} from 'react-router-dom';
+import * as l10n from '../../lib/l10n';
+import {port} from '../app';
+import Alert from '../../components/util/Alert';
+
+l10n.register([
+  'action_menu_back',
+  'form_save',
+  'keyring_policy',
+  'keyring_policy_add_key',
+  'keyring_policy_encrypt_to_keys',
+  'keyring_policy_encrypt_to_keys_help',
+  'keyring_policy_encrypt_to_self',
+  'keyring_policy_no_keys',
+  'keyring_policy_remove_key',
+  'keyring_policy_saved'
+]);
+
+/**
+ * Encryption policy of the keyring: always encrypt to the own default key and to additional archive keys
+ */
+export default class KeyringPolicy extends React.Component {
+  constructor(props) {
+    super(props);
+    const {encrypt_to_self, encrypt_to_keys = []} = props.keyringAttr;
+    this.state = {
+      encryptToSelf: encrypt_to_self !== undefined ? encrypt_to_self : props.prefs.general.auto_add_primary,
+      encryptToKeys: encrypt_to_keys.filter(keyFpr => props.keys.some(key => key.fingerprint === keyFpr)),
+      selectedKeyFpr: '',
+      saved: false
+    };
+    this.handleAddKey = this.handleAddKey.bind(this);
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  handleAddKey() {
+    this.setState(prevState => ({encryptToKeys: [...prevState.encryptToKeys, prevState.selectedKeyFpr], selectedKeyFpr: '', saved: false}));
+  }
+
+  handleRemoveKey(keyFpr) {
+    this.setState(prevState => ({encryptToKeys: prevState.encryptToKeys.filter(fpr => fpr !== keyFpr), saved: false}));
+  }
+
+  async handleSave() {
+    const {encryptToSelf, encryptToKeys} = this.state;
+    await port.send('set-keyring-attr', {keyringId: this.props.keyringId, keyringAttr: {encrypt_to_self: encryptToSelf, encrypt_to_keys: encryptToKeys}});
+    this.setState({saved: true});
+  }
+
+  render() {
+    const encryptToKeys = this.state.encryptToKeys.map(keyFpr => this.props.keys.find(key => key.fingerprint === keyFpr));
+    const availableKeys = this.props.keys.filter(key => !this.state.encryptToKeys.includes(key.fingerprint));
+    return (
+      <div>
+        <h3 className="logo-header">
+          <span>{l10n.map.keyring_policy}</span>
+        </h3>
+        <form className="form">
+          <div className="form-group">
+            <div className="checkbox">
+              <label className="checkbox" htmlFor="encryptToSelf">
+                <input type="checkbox" id="encryptToSelf" checked={this.state.encryptToSelf} onChange={event => this.setState({encryptToSelf: event.target.checked, saved: false})} />
+                <span>{l10n.map.keyring_policy_encrypt_to_self}</span>
+              </label>
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="encryptToKeys">{l10n.map.keyring_policy_encrypt_to_keys}</label>
+            <p className="help-block">{l10n.map.keyring_policy_encrypt_to_keys_help}</p>
+            <ul className="list-group" id="encryptToKeys">
+              {encryptToKeys.map(key =>
+                <li className="list-group-item" key={key.fingerprint}>
+                  <span className="glyphicon glyphicon-lock"></span>&nbsp;
+                  <span>{`${key.name} <${key.email}> - ${key.keyId}`}</span>
+                  <button type="button" className="btn btn-link btn-xs pull-right" onClick={() => this.handleRemoveKey(key.fingerprint)}>{l10n.map.keyring_policy_remove_key}</button>
+                </li>
+              )}
+              {!encryptToKeys.length && <li className="list-group-item text-muted">{l10n.map.keyring_policy_no_keys}</li>}
+            </ul>
+            <div className="input-group">
+              <select className="form-control" value={this.state.selectedKeyFpr} onChange={event => this.setState({selectedKeyFpr: event.target.value})}>
+                <option value=""></option>
+                {availableKeys.map(key => <option key={key.fingerprint} value={key.fingerprint}>{`${key.name} <${key.email}> - ${key.keyId}`}</option>)}
+              </select>
+              <span className="input-group-btn">
+                <button type="button" className="btn btn-default" onClick={this.handleAddKey} disabled={!this.state.selectedKeyFpr}>{l10n.map.keyring_policy_add_key}</button>
+              </span>
+            </div>
+          </div>
+          <div className="form-group">
+            {this.state.saved && <Alert message={l10n.map.keyring_policy_saved} type="success" />}
+          </div>
+          <div className="form-group">
+            <button type="button" className="btn btn-primary" onClick={this.handleSave}>{l10n.map.form_save}</button>
+            <Link className="btn btn-default" to='/keyring' onClick={this.props.onKeyringChange} replace tabIndex="0">
+              <span>{l10n.map.action_menu_back}</span>
+            </Link>
+          </div>
+        </form>
+      </div>
+    );
+  }
+}
+
+KeyringPolicy.propTypes = {
+  keyringId: PropTypes.string,
+  keyringAttr: PropTypes.object, // attributes of the active keyring
+  keys: PropTypes.array,
+  prefs: PropTypes.object,
+  onKeyringChange: PropTypes.func
+};
@@ -0,0 +1,88 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import mvelo from '../../../mvelo';
+import NameAddrInput from './NameAddrInput';
+import Alert from '../../../components/util/Alert';
+
+l10n.register([
+  'form_cancel',
+  'form_save',
+  'key_add_userid_btn',
+  'key_add_userid_primary'
+]);
+
+/**
+ * Add a new user ID to a key, optionally as primary user ID
+ */
+export default class AddUserId extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      expanded: false,
+      name: '',
+      email: '',
+      primary: false,
+      pending: false,
+      errors: {},
+      error: null
+    };
+    this.handleChange = this.handleChange.bind(this);
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  handleChange(event) {
+    const target = event.target;
+    this.setState({[target.id]: target.type === 'checkbox' ? target.checked : target.value});
+  }
+
+  async handleSave() {
+    if (!mvelo.util.checkEmail(this.state.email)) {
+      this.setState({errors: {email: new Error()}});
+      return;
+    }
+    this.setState({pending: true, errors: {}, error: null});
+    try {
+      await this.props.onAddUser({
+        user: {fullName: this.state.name, email: this.state.email},
+        primary: this.state.primary
+      });
+      this.setState({pending: false, expanded: false, name: '', email: '', primary: false});
+    } catch (error) {
+      this.setState({pending: false, error: error.code === 'PWD_DIALOG_CANCEL' ? null : error.message});
+    }
+  }
+
+  render() {
+    if (!this.state.expanded) {
+      return (
+        <button type="button" className="btn btn-default" onClick={() => this.setState({expanded: true})}>
+          <span className="glyphicon glyphicon-plus" aria-hidden="true"></span>&nbsp;{l10n.map.key_add_userid_btn}
+        </button>
+      );
+    }
+    return (
+      <div className="well">
+        <NameAddrInput name={this.state.name} email={this.state.email} onChange={this.handleChange} disabled={this.state.pending} errors={this.state.errors} />
+        <div className="checkbox">
+          <label>
+            <input type="checkbox" id="primary" checked={this.state.primary} onChange={this.handleChange} disabled={this.state.pending} />
+            <span>{l10n.map.key_add_userid_primary}</span>
+          </label>
+        </div>
+        {this.state.error && <Alert type="danger" message={this.state.error} />}
+        <button type="button" className="btn btn-primary" onClick={this.handleSave} disabled={this.state.pending}>{l10n.map.form_save}</button>&nbsp;
+        <button type="button" className="btn btn-default" onClick={() => this.setState({expanded: false, errors: {}, error: null})} disabled={this.state.pending}>{l10n.map.form_cancel}</button>
+      </div>
+    );
+  }
+}
+
+AddUserId.propTypes = {
+  onAddUser: PropTypes.func.isRequired
+};
@@ -0,0 +1,91 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+import DatePicker from './DatePicker';
+import Alert from '../../../components/util/Alert';
+
+l10n.register([
+  'form_cancel',
+  'key_certify_btn',
+  'key_certify_confirm',
+  'key_certify_desc',
+  'key_certify_expiration',
+  'key_certify_exportable',
+  'key_certify_local',
+  'keygrid_key_not_expire'
+]);
+
+/**
+ * Certify a user ID of another key with the default key, exportable or as local certification
+ */
+export default class CertifyUserId extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      expanded: false,
+      exportable: true,
+      expirationDate: null,
+      pending: false,
+      error: null
+    };
+    this.handleCertify = this.handleCertify.bind(this);
+  }
+
+  async handleCertify() {
+    this.setState({pending: true, error: null});
+    try {
+      await this.props.onCertifyUser({
+        exportable: this.state.exportable,
+        expirationDate: this.state.expirationDate ? this.state.expirationDate.toISOString() : null
+      });
+      this.setState({pending: false, expanded: false, exportable: true, expirationDate: null});
+    } catch (error) {
+      this.setState({pending: false, error: error.code === 'PWD_DIALOG_CANCEL' ? null : error.message});
+    }
+  }
+
+  render() {
+    if (!this.state.expanded) {
+      return (
+        <button type="button" className="btn btn-default" onClick={() => this.setState({expanded: true})}>
+          <span className="glyphicon glyphicon-ok" aria-hidden="true"></span>&nbsp;{l10n.map.key_certify_btn}
+        </button>
+      );
+    }
+    return (
+      <div className="well">
+        <p>{l10n.map.key_certify_desc}</p>
+        <div className="radio">
+          <label>
+            <input type="radio" name="certifyExportable" checked={this.state.exportable} onChange={() => this.setState({exportable: true})} disabled={this.state.pending} />
+            <span>{l10n.map.key_certify_exportable}</span>
+          </label>
+        </div>
+        <div className="radio">
+          <label>
+            <input type="radio" name="certifyExportable" checked={!this.state.exportable} onChange={() => this.setState({exportable: false})} disabled={this.state.pending} />
+            <span>{l10n.map.key_certify_local}</span>
+          </label>
+        </div>
+        <div className="form-group">
+          <label>{l10n.map.key_certify_expiration}</label>
+          <DatePicker value={this.state.expirationDate} onChange={expirationDate => this.setState({expirationDate})} placeholder={l10n.map.keygrid_key_not_expire}
+            minDate={moment().add({days: 1})} maxDate={moment('2080-12-31')} disabled={this.state.pending} />
+        </div>
+        {this.state.error && <Alert type="danger" message={this.state.error} />}
+        <button type="button" className="btn btn-primary" onClick={this.handleCertify} disabled={this.state.pending}>{l10n.map.key_certify_confirm}</button>&nbsp;
+        <button type="button" className="btn btn-default" onClick={() => this.setState({expanded: false, error: null})} disabled={this.state.pending}>{l10n.map.form_cancel}</button>
+      </div>
+    );
+  }
+}
+
+CertifyUserId.propTypes = {
+  onCertifyUser: PropTypes.func.isRequired
+};
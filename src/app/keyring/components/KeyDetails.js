@@ -15,6 +15,8 @@ import KeyDetailsPrimary from './KeyDetailsPrimary';
 import KeyDetailsSubkeys from './KeyDetailsSubkeys';
 import KeyDetailsUserids from './KeyDetailsUserids';
 import KeyDetailsExport from './KeyDetailsExport';
+import KeyDetailsWKS from './KeyDetailsWKS';
+import KeyDetailsVerification from './KeyDetailsVerification';
 
 import './KeyDetails.css';
 
@@ -24,6 +26,8 @@ l10n.register([
   'keygrid_subkeys',
   'keygrid_user_ids',
   'keygrid_export',
+  'keygrid_verification',
+  'keygrid_wks',
   'dialog_popup_close'
 ]);
 
@@ -40,6 +44,10 @@ export default class KeyDetails extends React.Component {
   }
 
   render() {
+    // Web Key Service for own keys, GnuPG users have gpg-wks-client
+    const wks = options => this.props.keyDetails.type === 'private' && !options.gnupg;
+    // the fingerprints of the keys of contacts are verified
+    const verification = this.props.keyDetails.type !== 'private';
     return (
       <ModalDialog title={l10n.map.key_details_title} onHide={this.props.onHide} footer={
         <KeyDetailsFooter keyDetails={this.props.keyDetails} onDefaultClick={this.handleDefaultClick} isDefault={this.state.isDefault} />
@@ -50,22 +58,41 @@ export default class KeyDetails extends React.Component {
             <li role="presentation"><a href="#subKeysTab" aria-controls="subKeysTab" role="tab" data-toggle="tab">{l10n.map.keygrid_subkeys}</a></li>
             <li role="presentation"><a href="#userIdsTab" aria-controls="userIdsTab" role="tab" data-toggle="tab">{l10n.map.keygrid_user_ids}</a></li>
             <li role="presentation"><a href="#exportTab" aria-controls="exportTab" role="tab" data-toggle="tab">{l10n.map.keygrid_export}</a></li>
+            {verification && <li role="presentation"><a href="#verificationTab" aria-controls="verificationTab" role="tab" data-toggle="tab">{l10n.map.keygrid_verification}</a></li>}
+            <KeyringOptions.Consumer>
+              {options => wks(options) && <li role="presentation"><a href="#wksTab" aria-controls="wksTab" role="tab" data-toggle="tab">{l10n.map.keygrid_wks}</a></li>}
+            </KeyringOptions.Consumer>
           </ul>
           <div className="tab-content">
             <div role="tabpanel" className="tab-pane active" id="primaryKeyTab">
-              <KeyDetailsPrimary keyDetails={this.props.keyDetails} />
+              <KeyDetailsPrimary keyDetails={this.props.keyDetails} onRevoke={this.props.onRevoke} onUpload={this.props.onUpload} onChangeExpiration={this.props.onChangeExpiration} />
             </div>
             <div role="tabpanel" className="tab-pane" id="subKeysTab">
-              <KeyDetailsSubkeys subkeys={this.props.keyDetails.subkeys} />
+              <KeyDetailsSubkeys subkeys={this.props.keyDetails.subkeys} onRevoke={this.props.onRevoke} onUpload={this.props.onUpload} onChangeExpiration={this.props.onChangeExpiration} />
             </div>
             <div role="tabpanel" className="tab-pane" id="userIdsTab">
-              <KeyDetailsUserids users={this.props.keyDetails.users} />
+              <KeyDetailsUserids users={this.props.keyDetails.users} primaryUserId={this.props.keyDetails.userId} onRevoke={this.props.onRevoke} onUpload={this.props.onUpload}
+                onAddUser={this.props.onAddUser} onSetPrimaryUser={this.props.onSetPrimaryUser} onCertifyUser={this.props.onCertifyUser} />
             </div>
             <div role="tabpanel" className="tab-pane" id="exportTab">
               <KeyringOptions.Consumer>
-                {options => <KeyDetailsExport keyringId={options.keyringId} keyFprs={[this.props.keyDetails.fingerprint]} keyName={this.props.keyDetails.name} publicOnly={options.gnupg} />}
+                {options => <KeyDetailsExport key={this.props.keyDetails.lastModified} keyringId={options.keyringId} keyFprs={[this.props.keyDetails.fingerprint]} keyName={this.props.keyDetails.name} publicOnly={options.gnupg} revocationCert={this.props.keyDetails.hasRevocationCert} />}
               </KeyringOptions.Consumer>
             </div>
+            {verification &&
+              <div role="tabpanel" className="tab-pane" id="verificationTab">
+                <KeyringOptions.Consumer>
+                  {options => <KeyDetailsVerification key={this.props.keyDetails.lastModified} keyringId={options.keyringId} fingerprint={this.props.keyDetails.fingerprint} />}
+                </KeyringOptions.Consumer>
+              </div>
+            }
+            <KeyringOptions.Consumer>
+              {options => wks(options) &&
+                <div role="tabpanel" className="tab-pane" id="wksTab">
+                  <KeyDetailsWKS key={this.props.keyDetails.lastModified} keyringId={options.keyringId} fingerprint={this.props.keyDetails.fingerprint} users={this.props.keyDetails.users} />
+                </div>
+              }
+            </KeyringOptions.Consumer>
           </div>
         </div>
       </ModalDialog>
@@ -76,6 +103,12 @@ export default class KeyDetails extends React.Component {
 KeyDetails.propTypes = {
   keyDetails: PropTypes.object.isRequired,
   onSetDefaultKey: PropTypes.func,
+  onRevoke: PropTypes.func,
+  onUpload: PropTypes.func,
+  onChangeExpiration: PropTypes.func,
+  onAddUser: PropTypes.func,
+  onSetPrimaryUser: PropTypes.func,
+  onCertifyUser: PropTypes.func,
   onHide: PropTypes.func,
   isDefault: PropTypes.bool.isRequired
 };
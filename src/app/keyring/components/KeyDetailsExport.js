@@ -4,9 +4,11 @@
  */
 
 import * as l10n from '../../../lib/l10n';
+import mvelo from '../../../mvelo';
 import {port} from '../../app';
 import React from 'react';
 import PropTypes from 'prop-types';
+import Alert from '../../../components/util/Alert';
 
 l10n.register([
   'keyring_public',
@@ -14,7 +16,15 @@ l10n.register([
   'keygrid_all_keys',
   'key_export_create_file',
   'header_warning',
-  'key_export_warning_private'
+  'key_export_revocation_cert',
+  'key_export_warning_private',
+  'key_export_warning_revocation_cert',
+  'key_export_wkd',
+  'key_export_wkd_advanced',
+  'key_export_wkd_btn',
+  'key_export_wkd_desc',
+  'key_export_wkd_direct',
+  'key_export_wkd_error'
 ]);
 
 export default class KeyDetailsExport extends React.Component {
@@ -24,16 +34,25 @@ export default class KeyDetailsExport extends React.Component {
     this.state = {
       type,
       keys: [],
-      fileName: `${props.keyName.replace(/\s/g, '_')}_${type}.asc`
+      revocationCert: '',
+      fileName: `${props.keyName.replace(/\s/g, '_')}_${type}.asc`,
+      wkdMethod: 'advanced',
+      wkdError: null
     };
     this.fileURL = '';
+    this.wkdFileURL = '';
     this.handleClickExport = this.handleClickExport.bind(this);
+    this.handleClickWKDExport = this.handleClickWKDExport.bind(this);
     this.handleFileNameChange = this.handleFileNameChange.bind(this);
   }
 
   async componentDidMount() {
     const keys = await port.send('getArmoredKeys', {keyringId: this.props.keyringId, keyFprs: this.props.keyFprs, options: {pub: true, priv: !this.props.publicOnly, all: this.props.all}});
     this.setState({keys});
+    if (this.props.revocationCert) {
+      const revocationCert = await port.send('get-revocation-cert', {keyringId: this.props.keyringId, fingerprint: this.props.keyFprs[0]});
+      this.setState({revocationCert});
+    }
   }
 
   handleTypeChange(type) {
@@ -48,13 +67,47 @@ export default class KeyDetailsExport extends React.Component {
     this.exportLink.click();
   }
 
+  async handleClickWKDExport() {
+    this.setState({wkdError: null});
+    try {
+      const archive = await port.send('get-wkd-archive', {keyringId: this.props.keyringId, keyFprs: this.props.keyFprs, all: this.props.all, method: this.state.wkdMethod});
+      const file = new File([mvelo.util.str2ab(archive)], `${this.props.keyName.replace(/\s/g, '_')}_wkd.zip`, {type: 'application/zip'});
+      window.URL.revokeObjectURL(this.wkdFileURL);
+      this.wkdFileURL = window.URL.createObjectURL(file);
+      this.wkdExportLink.download = file.name;
+      this.wkdExportLink.href = this.wkdFileURL;
+      this.wkdExportLink.click();
+    } catch (error) {
+      this.setState({wkdError: error.message});
+    }
+  }
+
   componentWillUnmount() {
     window.URL.revokeObjectURL(this.fileURL);
+    window.URL.revokeObjectURL(this.wkdFileURL);
+  }
+
+  renderWKDExport() {
+    return (
+      <div style={{marginTop: '20px'}}>
+        <h4>{l10n.map.key_export_wkd}</h4>
+        <p className="help-block">{l10n.map.key_export_wkd_desc}</p>
+        <div className="form-inline">
+          <select id="wkdMethod" value={this.state.wkdMethod} onChange={event => this.setState({wkdMethod: event.target.value})} className="form-control" style={{width: '250px', marginRight: '10px'}}>
+            <option value="advanced">{l10n.map.key_export_wkd_advanced}</option>
+            <option value="direct">{l10n.map.key_export_wkd_direct}</option>
+          </select>
+          <button type="button" className="btn btn-default" onClick={this.handleClickWKDExport}>{l10n.map.key_export_wkd_btn}</button>
+          <a className="hide" ref={node => this.wkdExportLink = node}></a>
+        </div>
+        {this.state.wkdError && <Alert header={l10n.map.key_export_wkd_error} message={this.state.wkdError} type="danger" />}
+      </div>
+    );
   }
 
   render() {
     const type = this.state.type;
-    const armoredExport = this.state.keys.reduce((acc, key) => {
+    const armoredExport = type === 'rev' ? this.state.revocationCert : this.state.keys.reduce((acc, key) => {
       let result = acc;
       if (key.armoredPrivate && (type === 'priv' || type === 'all')) {
         result += `${key.armoredPrivate || ''}\n`;
@@ -88,6 +141,14 @@ export default class KeyDetailsExport extends React.Component {
                 <span>{l10n.map.keygrid_all_keys}</span>
               </label>
             </div>
+            {this.state.revocationCert &&
+              <div className="btn-group" data-toggle="buttons" style={{marginBottom: '10px', marginLeft: '20px'}}>
+                <label className={`btn btn-danger ${type === 'rev' ? 'active' : ''}`} onClick={() => this.handleTypeChange('rev')}>
+                  <input type="radio" name="revocation" defaultChecked={type === 'rev'} />
+                  <span>{l10n.map.key_export_revocation_cert}</span>
+                </label>
+              </div>
+            }
           </div>
         }
         <div className="form-group">
@@ -102,9 +163,10 @@ export default class KeyDetailsExport extends React.Component {
           this.state.type !== 'pub' &&
           <div style={{marginTop: '10px'}} id="exportWarn" className="alert alert-warning">
             <b>{l10n.map.header_warning}</b>&nbsp;
-            <span>{l10n.map.key_export_warning_private}</span>
+            <span>{type === 'rev' ? l10n.map.key_export_warning_revocation_cert : l10n.map.key_export_warning_private}</span>
           </div>
         }
+        {type === 'pub' && this.renderWKDExport()}
       </div>
     );
   }
@@ -116,7 +178,8 @@ KeyDetailsExport.propTypes = {
   all: PropTypes.bool,
   keyName: PropTypes.string.isRequired,
   type: PropTypes.string,
-  publicOnly: PropTypes.bool
+  publicOnly: PropTypes.bool,
+  revocationCert: PropTypes.bool // offer export of the revocation certificate of the key
 };
 
 KeyDetailsExport.defaultProps = {
@@ -7,6 +7,8 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import mvelo from '../../../mvelo';
 import * as l10n from '../../../lib/l10n';
+import KeyRevocation from './KeyRevocation';
+import KeyExpiration from './KeyExpiration';
 
 l10n.register([
   'keygrid_user_name',
@@ -20,78 +22,91 @@ l10n.register([
   'keygrid_validity_status',
   'keygrid_status_valid',
   'keygrid_status_invalid',
+  'keygrid_status_revoked',
   'keygrid_key_type',
   'keyring_keypair',
-  'keyring_public',
-  'keygrid_key_not_expire'
+  'keyring_public'
 ]);
 
-export default function KeyDetailsPrimary({keyDetails}) {
+export default function KeyDetailsPrimary({keyDetails, onRevoke, onUpload, onChangeExpiration}) {
   const isPrivate = keyDetails.type === 'private';
+  let status = keyDetails.validity ? 'valid' : 'invalid';
+  if (keyDetails.revoked) {
+    status = 'revoked';
+  }
   return (
-    <form className="form-horizontal" role="form">
-      <div className="form-group">
-        <label htmlFor="keyName" className="col-sm-3 control-label">{l10n.map.keygrid_user_name}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.name} readOnly className="form-control" id="keyName" />
+    <div>
+      <form className="form-horizontal" role="form">
+        <div className="form-group">
+          <label htmlFor="keyName" className="col-sm-3 control-label">{l10n.map.keygrid_user_name}</label>
+          <div className="col-sm-9">
+            <input type="text" value={keyDetails.name} readOnly className="form-control" id="keyName" />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyEmail" className="col-sm-3 control-label">{l10n.map.keygrid_user_email}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.email} readOnly className="form-control" id="keyEmail" />
+        <div className="form-group">
+          <label htmlFor="keyEmail" className="col-sm-3 control-label">{l10n.map.keygrid_user_email}</label>
+          <div className="col-sm-9">
+            <input type="text" value={keyDetails.email} readOnly className="form-control" id="keyEmail" />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyId" className="col-sm-3 control-label">{l10n.map.keygrid_keyid}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.keyId} readOnly className="form-control" id="keyId" />
+        <div className="form-group">
+          <label htmlFor="keyId" className="col-sm-3 control-label">{l10n.map.keygrid_keyid}</label>
+          <div className="col-sm-9">
+            <input type="text" value={keyDetails.keyId} readOnly className="form-control" id="keyId" />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyAlgorithm" className="col-sm-3 control-label">{l10n.map.keygrid_algorithm}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.algorithm} readOnly className="form-control" id="keyAlgorithm" />
+        <div className="form-group">
+          <label htmlFor="keyAlgorithm" className="col-sm-3 control-label">{l10n.map.keygrid_algorithm}</label>
+          <div className="col-sm-9">
+            <input type="text" value={keyDetails.algorithm} readOnly className="form-control" id="keyAlgorithm" />
+          </div>
         </div>
-      </div>
-      <div className={`form-group ${keyDetails.bitLength ? '' : 'hide'}`}>
-        <label htmlFor="keyLength" className="col-sm-3 control-label">{l10n.map.keygrid_key_length}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.bitLength} readOnly className="form-control" id="keyLength" />
+        <div className={`form-group ${keyDetails.bitLength ? '' : 'hide'}`}>
+          <label htmlFor="keyLength" className="col-sm-3 control-label">{l10n.map.keygrid_key_length}</label>
+          <div className="col-sm-9">
+            <input type="text" value={keyDetails.bitLength} readOnly className="form-control" id="keyLength" />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyCreationDate" className="col-sm-3 control-label">{l10n.map.keygrid_creation_date}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.crDate.substr(0, 10)} readOnly className="form-control" id="keyCreationDate" />
+        <div className="form-group">
+          <label htmlFor="keyCreationDate" className="col-sm-3 control-label">{l10n.map.keygrid_creation_date}</label>
+          <div className="col-sm-9">
+            <input type="text" value={keyDetails.crDate.substr(0, 10)} readOnly className="form-control" id="keyCreationDate" />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyExpirationDate" className="col-sm-3 control-label">{l10n.map.keygrid_expiration_date}</label>
-        <div className="col-sm-9">
-          <input type="text" value={keyDetails.exDate ? keyDetails.exDate.substr(0, 10) : l10n.map.keygrid_key_not_expire} readOnly className="form-control" id="keyExpirationDate" />
+        <div className="form-group">
+          <label htmlFor="keyExpirationDate" className="col-sm-3 control-label">{l10n.map.keygrid_expiration_date}</label>
+          <div className="col-sm-9">
+            <KeyExpiration id="keyExpirationDate" exDate={keyDetails.exDate} subkeysOption={keyDetails.subkeys.length > 0}
+              onChange={onChangeExpiration && !keyDetails.revoked ? onChangeExpiration : undefined} />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyFingerPrint" className="col-sm-3 control-label">{l10n.map.keygrid_key_fingerprint}</label>
-        <div className="col-sm-9">
-          <input type="text" value={mvelo.ui.formatFpr(keyDetails.fingerprint)} readOnly className="form-control" id="keyFingerPrint" />
+        <div className="form-group">
+          <label htmlFor="keyFingerPrint" className="col-sm-3 control-label">{l10n.map.keygrid_key_fingerprint}</label>
+          <div className="col-sm-9">
+            <input type="text" value={mvelo.ui.formatFpr(keyDetails.fingerprint)} readOnly className="form-control" id="keyFingerPrint" />
+          </div>
         </div>
-      </div>
-      <div className="form-group">
-        <label htmlFor="keyStatus" className="col-sm-3 control-label">{l10n.map.keygrid_validity_status}</label>
-        <div className="col-sm-3" id="keyStatus" style={{paddingTop: '5px'}}>
-          <span className={`label label-${keyDetails.validity ? 'success' : 'danger'}`}>{keyDetails.validity ? l10n.map.keygrid_status_valid : l10n.map.keygrid_status_invalid}</span>
+        <div className="form-group">
+          <label htmlFor="keyStatus" className="col-sm-3 control-label">{l10n.map.keygrid_validity_status}</label>
+          <div className="col-sm-3" id="keyStatus" style={{paddingTop: '5px'}}>
+            <span className={`label label-${status === 'valid' ? 'success' : 'danger'}`}>{l10n.map[`keygrid_status_${status}`]}</span>
+          </div>
+          <label htmlFor="keyType" className="col-sm-1 control-label">{l10n.map.keygrid_key_type}</label>
+          <div className="col-sm-5" id="keyType" style={{paddingTop: '5px', whiteSpace: 'nowrap'}}>
+            <span className={isPrivate ? 'keyPair' : 'publicKey'} style={{paddingLeft: '25px'}}><span>{isPrivate ? l10n.map.keyring_keypair : l10n.map.keyring_public}</span></span>
+          </div>
         </div>
-        <label htmlFor="keyType" className="col-sm-1 control-label">{l10n.map.keygrid_key_type}</label>
-        <div className="col-sm-5" id="keyType" style={{paddingTop: '5px', whiteSpace: 'nowrap'}}>
-          <span className={isPrivate ? 'keyPair' : 'publicKey'} style={{paddingLeft: '25px'}}><span>{isPrivate ? l10n.map.keyring_keypair : l10n.map.keyring_public}</span></span>
-        </div>
-      </div>
-    </form>
+      </form>
+      {onRevoke &&
+        <KeyRevocation type="key" revoked={keyDetails.revoked} hasRevocationCert={keyDetails.hasRevocationCert} onRevoke={onRevoke} onUpload={onUpload} />
+      }
+    </div>
   );
 }
 
 KeyDetailsPrimary.propTypes = {
-  keyDetails: PropTypes.object
+  keyDetails: PropTypes.object,
+  onRevoke: PropTypes.func,
+  onUpload: PropTypes.func,
+  onChangeExpiration: PropTypes.func
 };
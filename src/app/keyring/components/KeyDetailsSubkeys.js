@@ -7,6 +7,8 @@ import * as l10n from '../../../lib/l10n';
 import React from 'react';
 import PropTypes from 'prop-types';
 import mvelo from '../../../mvelo';
+import KeyRevocation from './KeyRevocation';
+import KeyExpiration from './KeyExpiration';
 
 l10n.register([
   'keygrid_subkeyid',
@@ -15,8 +17,11 @@ l10n.register([
   'keygrid_creation_date',
   'keygrid_expiration_date',
   'keygrid_key_fingerprint',
-  'keygrid_key_not_expire',
-  'keygrid_no_subkeys'
+  'keygrid_no_subkeys',
+  'keygrid_validity_status',
+  'keygrid_status_valid',
+  'keygrid_status_invalid',
+  'keygrid_status_revoked'
 ]);
 
 export default class KeyDetailsSubkeys extends React.Component {
@@ -73,7 +78,8 @@ export default class KeyDetailsSubkeys extends React.Component {
             <div className="form-group">
               <label htmlFor="subkeyExpirationDate" className="col-sm-3 control-label">{l10n.map.keygrid_expiration_date}</label>
               <div className="col-sm-9">
-                <input type="text" value={selected.exDate ? selected.exDate.substr(0, 10) : l10n.map.keygrid_key_not_expire} readOnly className="form-control" id="subkeyExpirationDate" />
+                <KeyExpiration id="subkeyExpirationDate" key={selected.fingerprint} exDate={selected.exDate}
+                  onChange={this.props.onChangeExpiration && !selected.revoked ? options => this.props.onChangeExpiration({...options, subkeyFpr: selected.fingerprint}) : undefined} />
               </div>
             </div>
             <div className="form-group">
@@ -82,6 +88,16 @@ export default class KeyDetailsSubkeys extends React.Component {
                 <input type="text" value={mvelo.ui.formatFpr(selected.fingerprint)} readOnly className="form-control" id="subkeyFingerPrint" />
               </div>
             </div>
+            <div className="form-group">
+              <label htmlFor="subkeyStatus" className="col-sm-3 control-label">{l10n.map.keygrid_validity_status}</label>
+              <div className="col-sm-9" id="subkeyStatus" style={{paddingTop: '5px'}}>
+                <span className={`label label-${selected.validity ? 'success' : 'danger'}`}>{selected.revoked ? l10n.map.keygrid_status_revoked : (selected.validity ? l10n.map.keygrid_status_valid : l10n.map.keygrid_status_invalid)}</span>
+              </div>
+            </div>
+            {this.props.onRevoke &&
+              <KeyRevocation type="subkey" key={selected.fingerprint} revoked={selected.revoked}
+                onRevoke={options => this.props.onRevoke({...options, subkeyFpr: selected.fingerprint})} onUpload={this.props.onUpload} />
+            }
           </div>
         </div>
       </form>
@@ -90,5 +106,8 @@ export default class KeyDetailsSubkeys extends React.Component {
 }
 
 KeyDetailsSubkeys.propTypes = {
-  subkeys: PropTypes.array
+  subkeys: PropTypes.array,
+  onRevoke: PropTypes.func,
+  onUpload: PropTypes.func,
+  onChangeExpiration: PropTypes.func
 };
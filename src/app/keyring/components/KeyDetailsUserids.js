@@ -6,6 +6,10 @@
 import * as l10n from '../../../lib/l10n';
 import React from 'react';
 import PropTypes from 'prop-types';
+import KeyRevocation from './KeyRevocation';
+import AddUserId from './AddUserId';
+import CertifyUserId from './CertifyUserId';
+import Alert from '../../../components/util/Alert';
 
 l10n.register([
   'keygrid_no_userid',
@@ -13,19 +17,37 @@ l10n.register([
   'keygrid_userid_signatures',
   'keygrid_signer_name',
   'keygrid_keyid',
-  'keygrid_creation_date_short'
+  'keygrid_creation_date_short',
+  'key_certification_local',
+  'key_certification_own',
+  'keygrid_status_revoked',
+  'key_userid_primary',
+  'key_userid_set_primary_btn',
+  'key_userid_verified',
+  'trust_anchor'
 ]);
 
 export default class KeyDetailsUserids extends React.Component {
   constructor(props) {
     super(props);
     const userId = props.users[0] && props.users[0].userId || '';
-    this.state = {userId};
+    this.state = {userId, pending: false, error: null};
     this.handleChange = this.handleChange.bind(this);
+    this.handleSetPrimary = this.handleSetPrimary.bind(this);
   }
 
   handleChange(event) {
-    this.setState({userId: event.target.value});
+    this.setState({userId: event.target.value, error: null});
+  }
+
+  async handleSetPrimary() {
+    this.setState({pending: true, error: null});
+    try {
+      await this.props.onSetPrimaryUser({userId: this.state.userId});
+      this.setState({pending: false});
+    } catch (error) {
+      this.setState({pending: false, error: error.code === 'PWD_DIALOG_CANCEL' ? null : error.message});
+    }
   }
 
   render() {
@@ -35,6 +57,9 @@ export default class KeyDetailsUserids extends React.Component {
       );
     }
     const selected = this.props.users.find(user => user.userId === this.state.userId);
+    const primary = selected.userId === this.props.primaryUserId;
+    // the last valid user ID of a key can't be revoked
+    const revocable = this.props.onRevoke && (selected.revoked || this.props.users.filter(user => !user.revoked).length > 1);
     return (
       <form className="form-horizontal" role="form">
         <div className="form-group">
@@ -45,6 +70,15 @@ export default class KeyDetailsUserids extends React.Component {
                 <option value={user.userId} key={index}>{user.userId}</option>
               )}
             </select>
+            {selected.revoked && <span className="label label-danger" style={{display: 'inline-block', marginTop: '5px'}}>{l10n.map.keygrid_status_revoked}</span>}
+            {primary && <span className="label label-primary" style={{display: 'inline-block', marginTop: '5px'}}>{l10n.map.key_userid_primary}</span>}
+            {selected.verified && <span className="label label-success" style={{display: 'inline-block', marginTop: '5px', marginLeft: '5px'}}>{l10n.map.key_userid_verified}</span>}
+            {this.props.onSetPrimaryUser && !primary && !selected.revoked &&
+              <button type="button" className="btn btn-default btn-sm" style={{display: 'block', marginTop: '5px'}} onClick={this.handleSetPrimary} disabled={this.state.pending}>
+                {l10n.map.key_userid_set_primary_btn}
+              </button>
+            }
+            {this.state.error && <div style={{marginTop: '5px'}}><Alert type="danger" message={this.state.error} /></div>}
           </div>
         </div>
         <div className="tab-content">
@@ -61,13 +95,31 @@ export default class KeyDetailsUserids extends React.Component {
               <tbody>
                 {selected.signatures.map((sgn, index) =>
                   <tr key={index}>
-                    <td>{sgn.signer}</td>
+                    <td>
+                      {sgn.signer} {sgn.trustAnchor && <span className="label label-success">{l10n.map.trust_anchor}</span>}
+                      {sgn.own && <span className="label label-success">{l10n.map.key_certification_own}</span>}
+                      {sgn.local && <span className="label label-default" style={{marginLeft: '5px'}}>{l10n.map.key_certification_local}</span>}
+                    </td>
                     <td>{sgn.keyId}</td>
                     <td style={{whiteSpace: 'nowrap'}}>{sgn.crDate.substr(0, 10)}</td>
                   </tr>
                 )}
               </tbody>
             </table>
+            {revocable &&
+              <KeyRevocation type="user" key={selected.userId} revoked={selected.revoked}
+                onRevoke={options => this.props.onRevoke({...options, userId: selected.userId})} onUpload={this.props.onUpload} />
+            }
+            {this.props.onCertifyUser && !selected.revoked && !selected.signatures.some(sgn => sgn.own) &&
+              <div style={{marginTop: '10px'}}>
+                <CertifyUserId key={selected.userId} onCertifyUser={options => this.props.onCertifyUser({...options, userId: selected.userId})} />
+              </div>
+            }
+            {this.props.onAddUser &&
+              <div style={{marginTop: '10px'}}>
+                <AddUserId onAddUser={this.props.onAddUser} />
+              </div>
+            }
           </div>
         </div>
       </form>
@@ -76,5 +128,11 @@ export default class KeyDetailsUserids extends React.Component {
 }
 
 KeyDetailsUserids.propTypes = {
-  users: PropTypes.array
+  users: PropTypes.array,
+  primaryUserId: PropTypes.string,
+  onRevoke: PropTypes.func,
+  onUpload: PropTypes.func,
+  onAddUser: PropTypes.func,
+  onSetPrimaryUser: PropTypes.func,
+  onCertifyUser: PropTypes.func
 };
@@ -0,0 +1,110 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import mvelo from '../../../mvelo';
+import {port} from '../../app';
+import Alert from '../../../components/util/Alert';
+
+l10n.register([
+  'key_verification_btn',
+  'key_verification_desc',
+  'key_verification_error',
+  'key_verification_first_used',
+  'key_verification_state',
+  'key_verification_state_conflict',
+  'key_verification_state_tofu',
+  'key_verification_state_unverified',
+  'key_verification_state_verified',
+  'keygrid_key_fingerprint',
+  'keygrid_user_email'
+]);
+
+const STATE_CLASS = {
+  unverified: 'label-default',
+  tofu: 'label-info',
+  verified: 'label-success',
+  conflict: 'label-warning'
+};
+
+/**
+ * Verification state of a public key: the user compares the fingerprint with the contact and marks the key as verified
+ */
+export default class KeyDetailsVerification extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      addresses: [],
+      pending: false,
+      error: null
+    };
+    this.handleVerify = this.handleVerify.bind(this);
+  }
+
+  componentDidMount() {
+    this.loadVerification();
+  }
+
+  async loadVerification() {
+    try {
+      const addresses = await port.send('get-key-verification', {keyringId: this.props.keyringId, fingerprint: this.props.fingerprint});
+      this.setState({addresses});
+    } catch (error) {
+      this.setState({error: error.message});
+    }
+  }
+
+  async handleVerify() {
+    this.setState({pending: true, error: null});
+    try {
+      await port.send('set-key-verified', {keyringId: this.props.keyringId, fingerprint: this.props.fingerprint});
+      await this.loadVerification();
+    } catch (error) {
+      this.setState({error: error.message});
+    }
+    this.setState({pending: false});
+  }
+
+  render() {
+    const {addresses} = this.state;
+    const verified = addresses.length && addresses.every(address => address.state === 'verified');
+    return (
+      <div className="keyDetailsVerification">
+        <p className="help-block">{l10n.map.key_verification_desc}</p>
+        <p><b>{l10n.map.keygrid_key_fingerprint}:</b></p>
+        <pre>{mvelo.ui.formatFpr(this.props.fingerprint)}</pre>
+        <table className="table table-condensed">
+          <thead>
+            <tr>
+              <th>{l10n.map.keygrid_user_email}</th>
+              <th>{l10n.map.key_verification_state}</th>
+              <th>{l10n.map.key_verification_first_used}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {addresses.map(({email, state, firstSeen}) =>
+              <tr key={email}>
+                <td>{email}</td>
+                <td><span className={`label ${STATE_CLASS[state]}`}>{l10n.map[`key_verification_state_${state}`]}</span></td>
+                <td>{firstSeen ? firstSeen.substr(0, 10) : '-'}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <button type="button" className="btn btn-default" onClick={this.handleVerify} disabled={this.state.pending || !addresses.length || verified}>
+          <span className="glyphicon glyphicon-ok" aria-hidden="true"></span>&nbsp;{l10n.map.key_verification_btn}
+        </button>
+        {this.state.error && <Alert header={l10n.map.key_verification_error} message={this.state.error} type="danger" />}
+      </div>
+    );
+  }
+}
+
+KeyDetailsVerification.propTypes = {
+  keyringId: PropTypes.string,
+  fingerprint: PropTypes.string.isRequired
+};
@@ -0,0 +1,153 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import mvelo from '../../../mvelo';
+import {port} from '../../app';
+import Alert from '../../../components/util/Alert';
+
+l10n.register([
+  'key_wks_desc',
+  'key_wks_submission',
+  'key_wks_submission_btn',
+  'key_wks_submission_info',
+  'key_wks_submission_unencrypted',
+  'key_wks_confirmation',
+  'key_wks_confirmation_ph',
+  'key_wks_confirmation_btn',
+  'key_wks_confirmation_info',
+  'key_wks_save_mail',
+  'key_wks_error'
+]);
+
+/**
+ * Publish own key with the Web Key Service of the email provider. Mailvelope can not send mails,
+ * the user saves the mails of the submission process and sends them with their email program.
+ */
+export default class KeyDetailsWKS extends React.Component {
+  constructor(props) {
+    super(props);
+    const emails = getEmails(props.users);
+    this.state = {
+      emails,
+      email: emails[0] || '',
+      submission: null,
+      request: '',
+      confirmation: null,
+      pending: false,
+      error: null
+    };
+    this.handleCreateSubmission = this.handleCreateSubmission.bind(this);
+    this.handleCreateConfirmation = this.handleCreateConfirmation.bind(this);
+  }
+
+  componentWillUnmount() {
+    this.revokeFileURLs();
+  }
+
+  revokeFileURLs() {
+    if (this.state.submission) {
+      window.URL.revokeObjectURL(this.state.submission.fileURL);
+    }
+    if (this.state.confirmation) {
+      window.URL.revokeObjectURL(this.state.confirmation.fileURL);
+    }
+  }
+
+  async handleCreateSubmission() {
+    this.revokeFileURLs();
+    this.setState({pending: true, submission: null, confirmation: null, error: null});
+    try {
+      const {mail, submissionAddress, encrypted} = await port.send('wks-create-submission', {keyringId: this.props.keyringId, fingerprint: this.props.fingerprint, email: this.state.email});
+      this.setState({submission: {fileURL: createMailURL(mail, 'key-submission.eml'), submissionAddress, encrypted}});
+    } catch (error) {
+      this.setState({error: error.message});
+    }
+    this.setState({pending: false});
+  }
+
+  async handleCreateConfirmation() {
+    if (this.state.confirmation) {
+      window.URL.revokeObjectURL(this.state.confirmation.fileURL);
+    }
+    this.setState({pending: true, confirmation: null, error: null});
+    try {
+      const {mail, address, sender} = await port.send('wks-create-confirmation', {keyringId: this.props.keyringId, armored: this.state.request});
+      this.setState({confirmation: {fileURL: createMailURL(mail, 'key-confirmation.eml'), address, sender}, request: ''});
+    } catch (error) {
+      this.setState({error: error.code === 'PWD_DIALOG_CANCEL' ? null : error.message});
+    }
+    this.setState({pending: false});
+  }
+
+  renderSaveMail(fileURL, fileName) {
+    return (
+      <a className="btn btn-primary btn-sm" download={fileName} href={fileURL}>
+        <span className="glyphicon glyphicon-save" aria-hidden="true"></span>&nbsp;{l10n.map.key_wks_save_mail}
+      </a>
+    );
+  }
+
+  render() {
+    const {submission, confirmation} = this.state;
+    return (
+      <div className="keyDetailsWKS">
+        <p className="help-block">{l10n.map.key_wks_desc}</p>
+        <h4>{l10n.map.key_wks_submission}</h4>
+        <div className="form-inline" style={{marginBottom: '10px'}}>
+          <select id="wksEmail" value={this.state.email} onChange={event => this.setState({email: event.target.value})} className="form-control" style={{marginRight: '10px'}} disabled={this.state.pending}>
+            {this.state.emails.map(email => <option key={email} value={email}>{email}</option>)}
+          </select>
+          <button type="button" className="btn btn-default" onClick={this.handleCreateSubmission} disabled={this.state.pending || !this.state.email}>{l10n.map.key_wks_submission_btn}</button>
+        </div>
+        {submission &&
+          <div className="well well-sm">
+            <p>{l10n.map.key_wks_submission_info} <strong>{submission.submissionAddress}</strong></p>
+            {!submission.encrypted && <p className="text-warning">{l10n.map.key_wks_submission_unencrypted}</p>}
+            {this.renderSaveMail(submission.fileURL, 'key-submission.eml')}
+          </div>
+        }
+        <h4>{l10n.map.key_wks_confirmation}</h4>
+        <div className="form-group">
+          <textarea id="wksRequest" className="form-control" rows="6" value={this.state.request} onChange={event => this.setState({request: event.target.value})} placeholder={l10n.map.key_wks_confirmation_ph} spellCheck="false" autoComplete="off" disabled={this.state.pending}></textarea>
+        </div>
+        <button type="button" className="btn btn-default" onClick={this.handleCreateConfirmation} disabled={this.state.pending || !this.state.request.trim()} style={{marginBottom: '10px'}}>{l10n.map.key_wks_confirmation_btn}</button>
+        {confirmation &&
+          <div className="well well-sm">
+            <p>{l10n.map.key_wks_confirmation_info} <strong>{confirmation.sender}</strong></p>
+            {this.renderSaveMail(confirmation.fileURL, 'key-confirmation.eml')}
+          </div>
+        }
+        {this.state.error && <Alert header={l10n.map.key_wks_error} message={this.state.error} type="danger" />}
+      </div>
+    );
+  }
+}
+
+KeyDetailsWKS.propTypes = {
+  keyringId: PropTypes.string,
+  fingerprint: PropTypes.string.isRequired,
+  users: PropTypes.array.isRequired
+};
+
+/**
+ * Email addresses of the valid user IDs
+ * @param  {Array<Object>} users
+ * @return {Array<String>}
+ */
+function getEmails(users) {
+  const emails = users.filter(user => !user.revoked).map(user => {
+    const match = /<([^>]+)>\s*$/.exec(user.userId);
+    return (match ? match[1] : user.userId).trim().toLowerCase();
+  }).filter(email => mvelo.util.checkEmail(email));
+  return mvelo.util.deDup(emails);
+}
+
+function createMailURL(mail, fileName) {
+  const file = new File([mail], fileName, {type: 'message/rfc822'});
+  return window.URL.createObjectURL(file);
+}
@@ -0,0 +1,98 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+import DatePicker from './DatePicker';
+import Alert from '../../../components/util/Alert';
+
+l10n.register([
+  'form_cancel',
+  'form_save',
+  'key_expiration_change',
+  'key_expiration_subkeys',
+  'keygrid_key_not_expire'
+]);
+
+/**
+ * Display expiration date of a key, optionally with the possibility to change it
+ */
+export default class KeyExpiration extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      editing: false,
+      expirationDate: null,
+      includeSubkeys: true,
+      pending: false,
+      error: null
+    };
+    this.handleEdit = this.handleEdit.bind(this);
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  handleEdit() {
+    const expirationDate = this.props.exDate ? moment(this.props.exDate) : null;
+    this.setState({editing: true, expirationDate, error: null});
+  }
+
+  async handleSave() {
+    this.setState({pending: true, error: null});
+    try {
+      await this.props.onChange({
+        expirationDate: this.state.expirationDate ? this.state.expirationDate.toISOString() : null,
+        includeSubkeys: this.props.subkeysOption && this.state.includeSubkeys
+      });
+      this.setState({pending: false, editing: false});
+    } catch (error) {
+      this.setState({pending: false, error: error.code === 'PWD_DIALOG_CANCEL' ? null : error.message});
+    }
+  }
+
+  render() {
+    const exDate = this.props.exDate ? this.props.exDate.substr(0, 10) : l10n.map.keygrid_key_not_expire;
+    if (!this.state.editing) {
+      if (!this.props.onChange) {
+        return <input type="text" value={exDate} readOnly className="form-control" id={this.props.id} />;
+      }
+      return (
+        <div className="input-group">
+          <input type="text" value={exDate} readOnly className="form-control" id={this.props.id} />
+          <span className="input-group-btn">
+            <button type="button" className="btn btn-default" onClick={this.handleEdit}>{l10n.map.key_expiration_change}</button>
+          </span>
+        </div>
+      );
+    }
+    return (
+      <div className="well well-sm">
+        <DatePicker value={this.state.expirationDate} onChange={expirationDate => this.setState({expirationDate})} placeholder={l10n.map.keygrid_key_not_expire}
+          minDate={moment().add({days: 1})} maxDate={moment('2080-12-31')} disabled={this.state.pending} />
+        {this.props.subkeysOption &&
+          <div className="checkbox">
+            <label>
+              <input type="checkbox" checked={this.state.includeSubkeys} onChange={event => this.setState({includeSubkeys: event.target.checked})} disabled={this.state.pending} />
+              <span>{l10n.map.key_expiration_subkeys}</span>
+            </label>
+          </div>
+        }
+        {this.state.error && <Alert type="danger" message={this.state.error} />}
+        <div style={{marginTop: '10px'}}>
+          <button type="button" className="btn btn-primary" onClick={this.handleSave} disabled={this.state.pending}>{l10n.map.form_save}</button>&nbsp;
+          <button type="button" className="btn btn-default" onClick={() => this.setState({editing: false, error: null})} disabled={this.state.pending}>{l10n.map.form_cancel}</button>
+        </div>
+      </div>
+    );
+  }
+}
+
+KeyExpiration.propTypes = {
+  id: PropTypes.string,
+  exDate: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
+  subkeysOption: PropTypes.bool, // offer to change the expiration date of the subkeys as well
+  onChange: PropTypes.func
+};
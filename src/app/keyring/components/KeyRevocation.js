@@ -0,0 +1,166 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import Alert from '../../../components/util/Alert';
+
+l10n.register([
+  'form_cancel',
+  'header_warning',
+  'key_revoke_btn',
+  'key_revoke_comment',
+  'key_revoke_confirm',
+  'key_revoke_reason',
+  'key_revoke_reason_compromised',
+  'key_revoke_reason_none',
+  'key_revoke_reason_retired',
+  'key_revoke_reason_superseded',
+  'key_revoke_reason_userid_invalid',
+  'key_revoke_revoked',
+  'key_revoke_subkey_btn',
+  'key_revoke_upload',
+  'key_revoke_upload_success',
+  'key_revoke_use_cert',
+  'key_revoke_userid_btn',
+  'key_revoke_warning'
+]);
+
+// reason for revocation codes as defined in RFC 4880 5.2.3.23
+const KEY_REASONS = [
+  {value: 0, label: 'key_revoke_reason_none'},
+  {value: 1, label: 'key_revoke_reason_superseded'},
+  {value: 2, label: 'key_revoke_reason_compromised'},
+  {value: 3, label: 'key_revoke_reason_retired'}
+];
+const USER_REASONS = [
+  {value: 0, label: 'key_revoke_reason_none'},
+  {value: 32, label: 'key_revoke_reason_userid_invalid'}
+];
+const BUTTON_LABELS = {
+  key: 'key_revoke_btn',
+  subkey: 'key_revoke_subkey_btn',
+  user: 'key_revoke_userid_btn'
+};
+
+/**
+ * Revocation of primary key, subkey or user ID. If already revoked, upload of the key is offered.
+ */
+export default class KeyRevocation extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      expanded: false,
+      reason: 0,
+      comment: '',
+      useRevocationCert: false,
+      pending: false,
+      uploaded: false,
+      error: null
+    };
+    this.handleRevoke = this.handleRevoke.bind(this);
+    this.handleUpload = this.handleUpload.bind(this);
+  }
+
+  async handleRevoke() {
+    this.setState({pending: true, error: null});
+    try {
+      await this.props.onRevoke({
+        reason: this.state.reason,
+        comment: this.state.comment,
+        revocationCert: this.state.useRevocationCert
+      });
+      this.setState({pending: false, expanded: false});
+    } catch (error) {
+      this.setState({pending: false, error: error.code === 'PWD_DIALOG_CANCEL' ? null : error.message});
+    }
+  }
+
+  async handleUpload() {
+    this.setState({pending: true, error: null});
+    try {
+      await this.props.onUpload();
+      this.setState({pending: false, uploaded: true});
+    } catch (error) {
+      this.setState({pending: false, error: error.message});
+    }
+  }
+
+  renderRevoked() {
+    return (
+      <div>
+        <div className="alert alert-warning">
+          <p>{l10n.map.key_revoke_revoked}</p>
+          {this.props.onUpload && !this.state.uploaded &&
+            <button type="button" className="btn btn-default" style={{marginTop: '10px'}} onClick={this.handleUpload} disabled={this.state.pending}>
+              <span className="glyphicon glyphicon-cloud-upload" aria-hidden="true"></span>&nbsp;{l10n.map.key_revoke_upload}
+            </button>
+          }
+        </div>
+        {this.state.uploaded && <Alert type="success" message={l10n.map.key_revoke_upload_success} />}
+        {this.state.error && <Alert type="danger" message={this.state.error} />}
+      </div>
+    );
+  }
+
+  renderForm() {
+    const reasons = this.props.type === 'user' ? USER_REASONS : KEY_REASONS;
+    const certOption = this.props.type === 'key' && this.props.hasRevocationCert;
+    return (
+      <div className="well">
+        <div className="alert alert-danger">
+          <strong>{`${l10n.map.header_warning} `}</strong>
+          <span>{l10n.map.key_revoke_warning}</span>
+        </div>
+        {certOption &&
+          <div className="checkbox">
+            <label>
+              <input type="checkbox" checked={this.state.useRevocationCert} onChange={event => this.setState({useRevocationCert: event.target.checked})} />
+              <span>{l10n.map.key_revoke_use_cert}</span>
+            </label>
+          </div>
+        }
+        <div className="form-group">
+          <label htmlFor="revocationReason">{l10n.map.key_revoke_reason}</label>
+          <select id="revocationReason" className="form-control" value={this.state.reason} disabled={this.state.useRevocationCert}
+            onChange={event => this.setState({reason: parseInt(event.target.value)})}>
+            {reasons.map(reason => <option value={reason.value} key={reason.value}>{l10n.map[reason.label]}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="revocationComment">{l10n.map.key_revoke_comment}</label>
+          <textarea id="revocationComment" className="form-control" rows="2" value={this.state.comment} disabled={this.state.useRevocationCert}
+            onChange={event => this.setState({comment: event.target.value})} />
+        </div>
+        {this.state.error && <Alert type="danger" message={this.state.error} />}
+        <button type="button" className="btn btn-danger" onClick={this.handleRevoke} disabled={this.state.pending}>{l10n.map.key_revoke_confirm}</button>&nbsp;
+        <button type="button" className="btn btn-default" onClick={() => this.setState({expanded: false, error: null})} disabled={this.state.pending}>{l10n.map.form_cancel}</button>
+      </div>
+    );
+  }
+
+  render() {
+    if (this.props.revoked) {
+      return this.renderRevoked();
+    }
+    if (this.state.expanded) {
+      return this.renderForm();
+    }
+    return (
+      <button type="button" className="btn btn-danger" onClick={() => this.setState({expanded: true})}>
+        <span className="glyphicon glyphicon-ban-circle" aria-hidden="true"></span>&nbsp;{l10n.map[BUTTON_LABELS[this.props.type]]}
+      </button>
+    );
+  }
+}
+
+KeyRevocation.propTypes = {
+  type: PropTypes.oneOf(['key', 'subkey', 'user']).isRequired,
+  revoked: PropTypes.bool,
+  hasRevocationCert: PropTypes.bool,
+  onRevoke: PropTypes.func.isRequired,
+  onUpload: PropTypes.func
+};
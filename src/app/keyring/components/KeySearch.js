@@ -7,6 +7,8 @@ import * as l10n from '../../../lib/l10n';
 import React from 'react';
 import PropTypes from 'prop-types';
 import {Link} from 'react-router-dom';
+import Spinner from '../../../components/util/Spinner';
+import Alert from '../../../components/util/Alert';
 
 import {port} from '../../app';
 
@@ -16,27 +18,127 @@ l10n.register([
   'key_import_hkp_search_btn',
   'key_import_hkp_search_ph',
   'key_import_hkp_server',
-  'change_link'
+  'key_import_hkp_search_error',
+  'key_import_hkp_no_results',
+  'key_import_hkp_known',
+  'key_import_hkp_new_userids',
+  'key_import_hkp_import_btn',
+  'key_import_hkp_update_btn',
+  'key_import_hkp_disabled',
+  'key_import_hkp_expired',
+  'change_link',
+  'keygrid_user_ids',
+  'keygrid_keyid',
+  'keygrid_creation_date_short',
+  'keygrid_algorithm',
+  'keygrid_status_revoked'
 ]);
 
 const KEY_ID_REGEX = /^([0-9a-f]{8}|[0-9a-f]{16}|[0-9a-f]{40})$/i;
+const LABEL_STYLE = {display: 'inline-block', marginRight: '3px'};
 
 export default class KeySearch extends React.Component {
   constructor(props) {
     super(props);
-    this.query = null;
+    this.state = {
+      query: '',
+      results: null,
+      searching: false,
+      importing: null, // key ID of key that is currently imported
+      error: null
+    };
     this.handleKeySearch = this.handleKeySearch.bind(this);
   }
 
   handleKeySearch(event) {
     event.preventDefault();
-    let query = this.query.value;
+    this.search();
+  }
+
+  async search() {
+    let query = this.state.query.trim();
+    if (!query) {
+      return;
+    }
     query = KEY_ID_REGEX.test(query) ? (`0x${query}`) : query; // prepend '0x' to query for key IDs
-    let url = `${this.props.prefs.keyserver.hkp_base_url}/pks/lookup?op=index&search=${window.encodeURIComponent(query)}`;
-    if (url.includes('keys.mailvelope.com')) {
-      url = url.replace('op=index', 'op=get');
+    this.setState({searching: true, error: null});
+    try {
+      const results = await port.send('search-keyserver', {keyringId: this.props.keyringId, query});
+      this.setState({results, searching: false});
+    } catch (error) {
+      this.setState({results: null, searching: false, error: error.message});
+    }
+  }
+
+  async handleImport(key) {
+    this.setState({importing: key.keyId, error: null});
+    try {
+      const armored = await port.send('lookup-keyserver-key', {fingerprint: key.fingerprint, keyId: key.keyId});
+      if (!armored) {
+        throw new Error(l10n.map.key_import_hkp_no_results);
+      }
+      await this.props.onImport(armored);
+      // update comparison with the keyring
+      await this.search();
+    } catch (error) {
+      this.setState({error: error.message});
     }
-    port.emit('open-tab', {url});
+    this.setState({importing: null});
+  }
+
+  renderStatus(key) {
+    return (
+      <>
+        {key.revoked && <span className="label label-danger" style={LABEL_STYLE}>{l10n.map.keygrid_status_revoked}</span>}
+        {key.expired && <span className="label label-warning" style={LABEL_STYLE}>{l10n.map.key_import_hkp_expired}</span>}
+        {key.disabled && <span className="label label-default" style={LABEL_STYLE}>{l10n.map.key_import_hkp_disabled}</span>}
+        {key.known && <span className="label label-info" style={LABEL_STYLE}>{l10n.map.key_import_hkp_known}</span>}
+        {key.newUserIds.length > 0 && <span className="label label-success" style={LABEL_STYLE} title={key.newUserIds.join('\n')}>{l10n.map.key_import_hkp_new_userids}</span>}
+      </>
+    );
+  }
+
+  renderResults() {
+    if (!this.state.results.length) {
+      return <Alert type="info" message={l10n.map.key_import_hkp_no_results} />;
+    }
+    return (
+      <table className="table table-striped table-condensed optionsTable" id="keySearchTable">
+        <thead>
+          <tr>
+            <th>{l10n.map.keygrid_user_ids}</th>
+            <th>{l10n.map.keygrid_keyid}</th>
+            <th>{l10n.map.keygrid_creation_date_short}</th>
+            <th>{l10n.map.keygrid_algorithm}</th>
+            <th></th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {this.state.results.map(key =>
+            <tr key={key.fingerprint || key.keyId}>
+              <td>
+                {key.users.map((user, index) =>
+                  <div key={index} className={user.revoked ? 'text-muted' : ''} style={user.revoked ? {textDecoration: 'line-through'} : null}>{user.userId}</div>
+                )}
+              </td>
+              <td className="monospaced">{key.keyId}</td>
+              <td className="monospaced">{key.crDate ? key.crDate.substr(0, 10) : ''}</td>
+              <td>{key.algorithm}{key.keySize && ` (${key.keySize})`}</td>
+              <td>{this.renderStatus(key)}</td>
+              <td className="text-right text-nowrap">
+                {(!key.known || key.newUserIds.length > 0) &&
+                  <button type="button" className="btn btn-default btn-sm" onClick={() => this.handleImport(key)} disabled={this.state.importing !== null}>
+                    <span className="glyphicon glyphicon-import" aria-hidden="true"></span>&nbsp;
+                    {key.known ? l10n.map.key_import_hkp_update_btn : l10n.map.key_import_hkp_import_btn}
+                  </button>
+                }
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    );
   }
 
   render() {
@@ -48,20 +150,25 @@ export default class KeySearch extends React.Component {
           <label className="control-label" htmlFor="keySearchInput"><h4>{l10n.map.key_import_hkp_search}</h4></label>
           <div className="label-subtitle">{l10n.map.key_import_hkp_search_public}</div>
           <div className="input-group">
-            <input id="keySearchInput" type="text" ref={query => this.query = query} className="form-control" placeholder={l10n.map.key_import_hkp_search_ph} />
+            <input id="keySearchInput" type="text" value={this.state.query} onChange={event => this.setState({query: event.target.value})} className="form-control" placeholder={l10n.map.key_import_hkp_search_ph} />
             <span className="input-group-btn">
-              <button className="btn btn-default" type="submit">{l10n.map.key_import_hkp_search_btn}</button>
+              <button className="btn btn-default" type="submit" disabled={this.state.searching}>{l10n.map.key_import_hkp_search_btn}</button>
             </span>
           </div>
           <div className="label-subtitle" style={{marginTop: '5px', marginBottom: '5px'}}>
             {l10n.map.key_import_hkp_server} <a target="_blank" rel="noopener noreferrer" href={hkp_base_url}>{hkp_domain}</a> (<Link to="/settings/key-server"><em>{l10n.map.change_link}</em></Link>)
           </div>
         </div>
+        {this.state.searching && <Spinner delay={0} />}
+        {this.state.error && <Alert header={l10n.map.key_import_hkp_search_error} message={this.state.error} type="danger" />}
+        {!this.state.searching && this.state.results && this.renderResults()}
       </form>
     );
   }
 }
 
 KeySearch.propTypes = {
-  prefs: PropTypes.object
+  prefs: PropTypes.object,
+  keyringId: PropTypes.string,
+  onImport: PropTypes.func.isRequired
 };
@@ -0,0 +1,149 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import mvelo from '../../../mvelo';
+import * as l10n from '../../../lib/l10n';
+import React from 'react';
+import PropTypes from 'prop-types';
+import {port} from '../../app';
+
+import ModalDialog from '../../../components/util/ModalDialog';
+import Alert from '../../../components/util/Alert';
+import Spinner from '../../../components/util/Spinner';
+
+l10n.register([
+  'alert_header_success',
+  'dialog_popup_close',
+  'key_import_error',
+  'keygrid_keyid',
+  'keygrid_user_name',
+  'keyring_transfer',
+  'keyring_transfer_btn',
+  'keyring_transfer_private',
+  'keyring_transfer_private_desc',
+  'keyring_transfer_public_only',
+  'keyring_transfer_status_conflict',
+  'keyring_transfer_status_merge',
+  'keyring_transfer_status_new',
+  'keyring_transfer_to_gnupg',
+  'keyring_transfer_to_main'
+]);
+
+const STATUS_LABEL = {
+  new: 'label-success',
+  merge: 'label-info',
+  conflict: 'label-danger'
+};
+
+/**
+ * Copy keys from the active keyring to the other one of the local Mailvelope keyring and the GnuPG keyring
+ */
+export default class KeyringTransfer extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      keys: null,
+      includePrivate: false,
+      pending: false,
+      alert: []
+    };
+    this.handleTransfer = this.handleTransfer.bind(this);
+  }
+
+  async componentDidMount() {
+    try {
+      const keys = await port.send('check-key-transfer', {keyringId: this.props.keyringId, keyFprs: this.props.keyFprs});
+      this.setState({keys});
+    } catch (error) {
+      this.setState({keys: [], alert: [{header: l10n.map.key_import_error, message: error.message, type: 'danger'}]});
+    }
+  }
+
+  async handleTransfer() {
+    this.setState({pending: true, alert: []});
+    const alert = [];
+    try {
+      const result = await port.send('transfer-keys', {keyringId: this.props.keyringId, keyFprs: this.props.keyFprs, includePrivate: this.state.includePrivate});
+      for (const {type, message} of result) {
+        alert.push(type === 'error' ? {header: l10n.map.key_import_error, message, type: 'danger'} : {header: l10n.map.alert_header_success, message, type});
+      }
+      this.props.onTransfer();
+    } catch (error) {
+      alert.push({header: l10n.map.key_import_error, message: error.message, type: 'danger'});
+    }
+    this.setState({pending: false, alert, keys: []});
+  }
+
+  renderKeys() {
+    return (
+      <table className="table table-condensed">
+        <thead>
+          <tr>
+            <th>{l10n.map.keygrid_user_name}</th>
+            <th>{l10n.map.keygrid_keyid}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {this.state.keys.map(key =>
+            <tr key={key.fingerprint}>
+              <td><span className={key.type === 'public' ? 'publicKey' : 'keyPair'}>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;</span>&nbsp;{key.userId}</td>
+              <td className="monospaced">{key.keyId}</td>
+              <td><span className={`label ${STATUS_LABEL[key.status]}`}>{l10n.map[`keyring_transfer_status_${key.status}`]}</span></td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    );
+  }
+
+  render() {
+    const toGnupg = this.props.keyringId !== mvelo.GNUPG_KEYRING_ID;
+    const keys = this.state.keys || [];
+    const privateKeys = keys.filter(key => key.type === 'private');
+    return (
+      <ModalDialog title={l10n.map.keyring_transfer} onHide={this.props.onHide} footer={
+        <div>
+          <button type="button" className="btn btn-default" data-dismiss="modal" disabled={this.state.pending}>{l10n.map.dialog_popup_close}</button>
+          <button type="button" className="btn btn-primary" onClick={this.handleTransfer} disabled={this.state.pending || !keys.length}>
+            <span className="glyphicon glyphicon-transfer" aria-hidden="true"></span>&nbsp;{l10n.map.keyring_transfer_btn}
+          </button>
+        </div>
+      }>
+        <div>
+          {this.state.alert.map((alert, index) => <Alert header={alert.header} message={alert.message} type={alert.type} key={index} />)}
+          {!this.state.keys && <Spinner delay={0} />}
+          {keys.length > 0 &&
+            <div>
+              <p>{toGnupg ? l10n.map.keyring_transfer_to_gnupg : l10n.map.keyring_transfer_to_main}</p>
+              {this.renderKeys()}
+              {privateKeys.some(key => key.privateExport) &&
+                <div className="checkbox">
+                  <label>
+                    <input type="checkbox" checked={this.state.includePrivate} onChange={event => this.setState({includePrivate: event.target.checked})} disabled={this.state.pending} />
+                    <span>{l10n.map.keyring_transfer_private}</span>
+                  </label>
+                  <p className="help-block">{l10n.map.keyring_transfer_private_desc}</p>
+                </div>
+              }
+              {privateKeys.some(key => !key.privateExport) && <Alert type="info" message={l10n.map.keyring_transfer_public_only} />}
+            </div>
+          }
+        </div>
+      </ModalDialog>
+    );
+  }
+}
+
+KeyringTransfer.propTypes = {
+  keyringId: PropTypes.string.isRequired,
+  keyFprs: PropTypes.array.isRequired,
+  onHide: PropTypes.func,
+  onTransfer: PropTypes.func
+};
+
+KeyringTransfer.defaultProps = {
+  onTransfer: () => {}
+};
@@ -130,7 +130,7 @@ class ImportKeyBase extends React.Component {
         <h3 className="logo-header">
           <span>{l10n.map.keyring_import_keys}</span>
         </h3>
-        {!this.props.demail && <KeySearch prefs={this.props.prefs} />}
+        {!this.props.demail && <KeySearch prefs={this.props.prefs} keyringId={this.props.keyringId} onImport={armored => this.handleImportKey(armored)} />}
         <form className="form" autoComplete="off">
           <div className="form-group">
             <label className="control-label" htmlFor="selectFileButton"><h4>{l10n.map.key_import_file}</h4></label>
@@ -4,6 +4,7 @@
  */
 
 import React from 'react';
+import mvelo from '../../mvelo';
 import {port, AppOptions} from '../app';
 import * as l10n from '../../lib/l10n';
 
@@ -12,9 +13,14 @@ l10n.register([
   'keygrid_default_key',
   'general_default_key_always',
   'general_default_key_auto_sign',
+  'general_editor_type',
+  'general_editor_plain',
+  'general_editor_rich',
+  'general_protected_subject',
   'general_openpgp_preferences',
   'general_prefer_gnupg',
   'general_prefer_gnupg_note',
+  'general_gnupg_trust_marginal',
   'general_prefer_openpgpjs',
   'gnupg_available',
   'gnupg_not_available',
@@ -28,10 +34,14 @@ export default class General extends React.Component {
     this.state = {
       auto_add_primary: false,
       auto_sign_msg: false,
+      editor_type: mvelo.PLAIN_TEXT,
+      protected_subject: false,
       prefer_gnupg: false,
+      gnupg_trust_marginal: true,
       modified: false
     };
     this.handleCheck = this.handleCheck.bind(this);
+    this.handleChange = this.handleChange.bind(this);
     this.handleSave = this.handleSave.bind(this);
     this.handleCancel = this.handleCancel.bind(this);
   }
@@ -45,7 +55,10 @@ export default class General extends React.Component {
     this.setState({
       auto_add_primary: general.auto_add_primary,
       auto_sign_msg: general.auto_sign_msg,
+      editor_type: general.editor_type,
+      protected_subject: general.protected_subject,
       prefer_gnupg: general.prefer_gnupg,
+      gnupg_trust_marginal: general.gnupg_trust_marginal,
       modified: false
     });
   }
@@ -54,12 +67,19 @@ export default class General extends React.Component {
     this.setState({[target.name]: target.checked, modified: true});
   }
 
+  handleChange({target}) {
+    this.setState({[target.name]: target.value, modified: true});
+  }
+
   async handleSave() {
     const update = {
       general: {
         auto_add_primary: this.state.auto_add_primary,
         auto_sign_msg: this.state.auto_sign_msg,
-        prefer_gnupg: this.state.prefer_gnupg
+        editor_type: this.state.editor_type,
+        protected_subject: this.state.protected_subject,
+        prefer_gnupg: this.state.prefer_gnupg,
+        gnupg_trust_marginal: this.state.gnupg_trust_marginal
       }
     };
     await port.send('set-prefs', {prefs: update});
@@ -90,6 +110,27 @@ export default class General extends React.Component {
               </label>
             </div>
           </div>
+          <div className="form-group">
+            <h4 className="control-label">{l10n.map.general_editor_type}</h4>
+            <div className="radio">
+              <label>
+                <input type="radio" name="editor_type" value={mvelo.PLAIN_TEXT} checked={this.state.editor_type === mvelo.PLAIN_TEXT} onChange={this.handleChange} />
+                <span>{l10n.map.general_editor_plain}</span>
+              </label>
+            </div>
+            <div className="radio">
+              <label>
+                <input type="radio" name="editor_type" value={mvelo.RICH_TEXT} checked={this.state.editor_type === mvelo.RICH_TEXT} onChange={this.handleChange} />
+                <span>{l10n.map.general_editor_rich}</span>
+              </label>
+            </div>
+            <div className="checkbox">
+              <label>
+                <input type="checkbox" name="protected_subject" checked={this.state.protected_subject} onChange={this.handleCheck} />
+                <span>{l10n.map.general_protected_subject}</span>
+              </label>
+            </div>
+          </div>
           <AppOptions.Consumer>
             {options => (
               <div className="form-group">
@@ -112,6 +153,14 @@ export default class General extends React.Component {
                     {options.gnupg && <span className="help-block">{l10n.map.general_prefer_gnupg_note}</span>}
                   </label>
                 </div>
+                {options.gnupg &&
+                  <div className="checkbox" style={{marginLeft: '20px'}}>
+                    <label>
+                      <input type="checkbox" name="gnupg_trust_marginal" checked={this.state.gnupg_trust_marginal} onChange={this.handleCheck} disabled={!this.state.prefer_gnupg} />
+                      <span>{l10n.map.general_gnupg_trust_marginal}</span>
+                    </label>
+                  </div>
+                }
               </div>
             )}
           </AppOptions.Consumer>
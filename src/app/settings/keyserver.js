@@ -26,17 +26,32 @@ l10n.register([
   'keyserver_url_warning',
   'keyserver_url_error',
   'keyserver_additionals_label',
+  'keyserver_hkp_lookup',
+  'keyserver_key_refresh',
+  'keyserver_source_down',
+  'keyserver_source_priority',
+  'keyserver_source_up',
   'keyserver_tofu_lookup',
   'keyserver_wkd_lookup',
   'learn_more_link',
   'settings_keyserver'
 ]);
 
+// auto-locate sources: name of the preference to enable the source, id of the checkbox and label
+const SOURCES = {
+  mvelo: {name: 'mvelo_tofu_lookup', id: 'keyserverTOFULookup', label: 'keyserver_tofu_lookup', link: 'https://keys.mailvelope.com'},
+  wkd: {name: 'wkd_lookup', id: 'keyserverWKDLookup', label: 'keyserver_wkd_lookup', link: 'https://wiki.gnupg.org/WKD'},
+  hkp: {name: 'hkp_lookup', id: 'keyserverHKPLookup', label: 'keyserver_hkp_lookup'}
+};
+
 function initialState({prefs}) {
   let hkp_base_url = '';
   let hkp_server_list = [];
   let mvelo_tofu_lookup = false;
   let wkd_lookup = false;
+  let hkp_lookup = false;
+  let key_refresh = false;
+  let source_priority = [];
   if (prefs) {
     hkp_base_url = prefs.keyserver.hkp_base_url;
     hkp_server_list = prefs.keyserver.hkp_server_list.map(server => ({value: server, label: server}));
@@ -45,13 +60,21 @@ function initialState({prefs}) {
     }
     mvelo_tofu_lookup = prefs.keyserver.mvelo_tofu_lookup;
     wkd_lookup = prefs.keyserver.wkd_lookup;
+    hkp_lookup = prefs.keyserver.hkp_lookup;
+    key_refresh = prefs.keyserver.key_refresh;
+    source_priority = (prefs.keyserver.source_priority || []).filter(id => SOURCES[id]);
   }
+  // sources that are not yet part of the settings are appended
+  source_priority = source_priority.concat(Object.keys(SOURCES).filter(id => !source_priority.includes(id)));
   return {
     hkp_base_url,
     valid_base_url: true,
     hkp_server_list,
     mvelo_tofu_lookup,
     wkd_lookup,
+    hkp_lookup,
+    source_priority,
+    key_refresh,
     alert: null,
     modified: false,
     previousPrefs: prefs
@@ -64,6 +87,7 @@ export default class KeyServer extends React.Component {
     this.state = initialState(props);
     this.handleCheck = this.handleCheck.bind(this);
     this.handleServerChange = this.handleServerChange.bind(this);
+    this.handleMoveSource = this.handleMoveSource.bind(this);
   }
 
   static getDerivedStateFromProps(props, state) {
@@ -110,6 +134,20 @@ export default class KeyServer extends React.Component {
     this.setState({[target.name]: target.checked, modified: true});
   }
 
+  /**
+   * Change priority of an auto-locate source
+   * @param  {Number} index - current position of the source
+   * @param  {Number} offset - -1 to move up, 1 to move down
+   */
+  handleMoveSource(index, offset) {
+    this.setState(prevState => {
+      const source_priority = [...prevState.source_priority];
+      const [id] = source_priority.splice(index, 1);
+      source_priority.splice(index + offset, 0, id);
+      return {source_priority, modified: true};
+    });
+  }
+
   /**
    * Save the key server settings.
    */
@@ -121,7 +159,10 @@ export default class KeyServer extends React.Component {
           hkp_base_url: this.state.hkp_base_url,
           hkp_server_list: this.state.hkp_server_list.map(server => server.value),
           mvelo_tofu_lookup: this.state.mvelo_tofu_lookup,
-          wkd_lookup: this.state.wkd_lookup
+          wkd_lookup: this.state.wkd_lookup,
+          hkp_lookup: this.state.hkp_lookup,
+          source_priority: this.state.source_priority,
+          key_refresh: this.state.key_refresh
         }
       };
       this.props.onChangePrefs(update)
@@ -130,6 +171,29 @@ export default class KeyServer extends React.Component {
     .catch(() => this.setState({alert: {header: l10n.map.alert_header_error, message: l10n.map.keyserver_url_error, type: 'danger'}}));
   }
 
+  renderSource(id, index) {
+    const source = SOURCES[id];
+    return (
+      <li className="list-group-item" key={id}>
+        <div className="btn-group btn-group-xs pull-right">
+          <button type="button" className="btn btn-default" title={l10n.map.keyserver_source_up} disabled={index === 0} onClick={() => this.handleMoveSource(index, -1)}>
+            <span className="glyphicon glyphicon-chevron-up" aria-hidden="true"></span>
+          </button>
+          <button type="button" className="btn btn-default" title={l10n.map.keyserver_source_down} disabled={index === this.state.source_priority.length - 1} onClick={() => this.handleMoveSource(index, 1)}>
+            <span className="glyphicon glyphicon-chevron-down" aria-hidden="true"></span>
+          </button>
+        </div>
+        <div className="checkbox" style={{margin: 0}}>
+          <label className="checkbox" htmlFor={source.id} style={{margin: 0}}>
+            <input type="checkbox" name={source.name} checked={Boolean(this.state[source.name])} onChange={this.handleCheck} id={source.id} />
+            <span>{l10n.map[source.label]}</span>
+            {source.link && <span>. <a href={source.link} target="_blank" rel="noopener noreferrer">{l10n.map.learn_more_link}</a></span>}
+          </label>
+        </div>
+      </li>
+    );
+  }
+
   render() {
     return (
       <div>
@@ -143,17 +207,15 @@ export default class KeyServer extends React.Component {
             />
           </div>
           <h4 className="control-label">{l10n.map.keyserver_additionals_label}</h4>
+          <div className="label-subtitle">{l10n.map.keyserver_source_priority}</div>
           <div className="form-group">
+            <ul className="list-group">
+              {this.state.source_priority.map((id, index) => this.renderSource(id, index))}
+            </ul>
             <div className="checkbox">
-              <label className="checkbox" htmlFor="keyserverTOFULookup">
-                <input type="checkbox" name="mvelo_tofu_lookup" checked={this.state.mvelo_tofu_lookup} onChange={this.handleCheck} id="keyserverTOFULookup" />
-                <span>{l10n.map.keyserver_tofu_lookup}</span>. <a href="https://keys.mailvelope.com" target="_blank" rel="noopener noreferrer">{l10n.map.learn_more_link}</a>
-              </label>
-            </div>
-            <div className="checkbox">
-              <label className="checkbox" htmlFor="keyserverWKDLookup">
-                <input type="checkbox" name="wkd_lookup" checked={this.state.wkd_lookup} onChange={this.handleCheck} id="keyserverWKDLookup" />
-                <span>{l10n.map.keyserver_wkd_lookup}</span>. <a href="https://wiki.gnupg.org/WKD" target="_blank" rel="noopener noreferrer">{l10n.map.learn_more_link}</a>
+              <label className="checkbox" htmlFor="keyserverKeyRefresh">
+                <input type="checkbox" name="key_refresh" checked={Boolean(this.state.key_refresh)} onChange={this.handleCheck} id="keyserverKeyRefresh" />
+                <span>{l10n.map.keyserver_key_refresh}</span>
               </label>
             </div>
           </div>
@@ -0,0 +1,143 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Implements the configuration of the trust anchors of the
+ * keyring domains in the settings dialog
+ */
+
+import * as l10n from '../../lib/l10n';
+import mvelo from '../../mvelo';
+import Alert from '../../components/util/Alert';
+import {port} from '../app';
+
+import React from 'react';
+
+l10n.register([
+  'alert_header_error',
+  'keygrid_delete',
+  'keygrid_key_fingerprint',
+  'keygrid_user_name',
+  'settings_trust_anchors',
+  'trust_anchor_add_btn',
+  'trust_anchor_armored_ph',
+  'trust_anchor_builtin',
+  'trust_anchor_delete_confirmation',
+  'trust_anchor_desc',
+  'trust_anchor_domain',
+  'trust_anchor_domain_main',
+  'trust_anchor_source_api'
+]);
+
+const MAIN_DOMAIN = mvelo.MAIN_KEYRING_ID.split(mvelo.KEYRING_DELIMITER)[0];
+
+export default class TrustAnchors extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      anchors: [],
+      domains: [MAIN_DOMAIN],
+      domain: MAIN_DOMAIN,
+      armored: '',
+      pending: false,
+      error: null
+    };
+    this.handleAdd = this.handleAdd.bind(this);
+  }
+
+  componentDidMount() {
+    this.loadAnchors();
+    this.loadDomains();
+  }
+
+  async loadAnchors() {
+    const anchors = await port.send('get-trust-anchors');
+    this.setState({anchors});
+  }
+
+  async loadDomains() {
+    const keyringAttr = await port.send('get-all-keyring-attr');
+    const domains = Object.keys(keyringAttr).map(keyringId => keyringId.split(mvelo.KEYRING_DELIMITER)[0]);
+    this.setState({domains: mvelo.util.deDup([MAIN_DOMAIN, ...domains])});
+  }
+
+  async handleAdd() {
+    this.setState({pending: true, error: null});
+    try {
+      await port.send('add-trust-anchor', {domain: this.state.domain, armored: this.state.armored});
+      this.setState({armored: ''});
+      await this.loadAnchors();
+    } catch (error) {
+      this.setState({error: error.message});
+    }
+    this.setState({pending: false});
+  }
+
+  async handleRemove({domain, fingerprint}) {
+    if (!confirm(l10n.map.trust_anchor_delete_confirmation)) {
+      return;
+    }
+    try {
+      await port.send('remove-trust-anchor', {domain, fingerprint});
+      await this.loadAnchors();
+    } catch (error) {
+      this.setState({error: error.message});
+    }
+  }
+
+  formatDomain(domain) {
+    return domain === MAIN_DOMAIN ? l10n.map.trust_anchor_domain_main : domain;
+  }
+
+  render() {
+    return (
+      <div>
+        <h3>{l10n.map.settings_trust_anchors}</h3>
+        <p className="help-block">{l10n.map.trust_anchor_desc}</p>
+        <table className="table table-striped optionsTable" id="trustAnchorTable">
+          <thead>
+            <tr>
+              <th>{l10n.map.trust_anchor_domain}</th>
+              <th>{l10n.map.keygrid_user_name}</th>
+              <th>{l10n.map.keygrid_key_fingerprint}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {this.state.anchors.map(anchor =>
+              <tr key={`${anchor.domain}${anchor.fingerprint}`}>
+                <td>{this.formatDomain(anchor.domain)}</td>
+                <td>
+                  {anchor.userId}
+                  {anchor.source === 'api' && <span className="label label-info" style={{marginLeft: '5px'}}>{l10n.map.trust_anchor_source_api}</span>}
+                </td>
+                <td><small>{mvelo.ui.formatFpr(anchor.fingerprint)}</small></td>
+                <td className="text-center">
+                  {anchor.builtin ? <span className="label label-default">{l10n.map.trust_anchor_builtin}</span> :
+                    <button type="button" onClick={() => this.handleRemove(anchor)} className="btn btn-default btn-sm"><span className="glyphicon glyphicon-trash"></span>&nbsp;<span>{l10n.map.keygrid_delete}</span></button>
+                  }
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        <div className="form-group">
+          <label htmlFor="trustAnchorDomain">{l10n.map.trust_anchor_domain}</label>
+          <select id="trustAnchorDomain" className="form-control" value={this.state.domain} onChange={event => this.setState({domain: event.target.value})}>
+            {this.state.domains.map(domain => <option key={domain} value={domain}>{this.formatDomain(domain)}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <textarea id="trustAnchorArmored" className="form-control" rows="6" value={this.state.armored} onChange={event => this.setState({armored: event.target.value, error: null})}
+            placeholder={l10n.map.trust_anchor_armored_ph} spellCheck="false" autoComplete="off"></textarea>
+        </div>
+        <button type="button" className="btn btn-default" onClick={this.handleAdd} disabled={this.state.pending || !this.state.armored.trim()}>
+          <span className="glyphicon glyphicon-plus"></span>&nbsp;{l10n.map.trust_anchor_add_btn}
+        </button>
+        {this.state.error && <div style={{marginTop: '10px'}}><Alert header={l10n.map.alert_header_error} message={this.state.error} type="danger" /></div>}
+      </div>
+    );
+  }
+}
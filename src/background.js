@@ -20,6 +20,7 @@ import {init as initModel} from './modules/pgpModel';
 import {init as initKeyring} from './modules/keyring';
 import {initController} from './controller/main.controller';
 import {initScriptInjection} from './lib/inject';
+import {init as initKeyRefresh} from './modules/keyRefresh';
 
 async function main() {
   initBrowserRuntime();
@@ -28,6 +29,7 @@ async function main() {
   await initKeyring();
   await initController();
   initScriptInjection();
+  await initKeyRefresh();
 }
 
 main();
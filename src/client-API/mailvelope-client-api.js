@@ -115,6 +115,12 @@
      * @typedef {Object} EditorContainerOptions
      * @property {number} quota - mail content (text + attachments) limit in kilobytes (default: 20480)
      * @property {boolean} signMsg - if true then the mail will be signed (default: false)
+     * @property {boolean} hiddenRecipients - if true then the key IDs of the recipients are hidden in the encrypted mail,
+     *                                        recipients have to try all their private keys for decryption (default: false)
+     * @property {boolean} protectedSubject - if true then the editor shows a subject input, the subject is encrypted as protected header in the
+     *                                        PGP/MIME message. The web application should use '...' as subject of the outer mail (default: false)
+     * @property {boolean} encryptToSelf - if true then the mail is always encrypted to the default key of the keyring, false can't
+     *                                     disable the encrypt to self setting of the keyring (default: setting of the keyring)
      * @property {AsciiArmored} armoredDraft - a PGP message, signed and encrypted with the default key of the user, will be used to restore a draft in the editor
      *                                         The armoredDraft parameter can't be combined with the parameters: predefinedText, quotedMail... parameters, keepAttachments
      * @property {string} predefinedText - text that will be added to the editor
@@ -296,6 +302,31 @@
       });
     }
 
+    /**
+     * Add a trust anchor for the keyrings of this domain. User IDs certified by the anchor are shown as verified,
+     * keys with a user ID whose certification was revoked by the anchor are not used for encryption.
+     * @param {AsciiArmored} armored - public key of the anchor
+     * @returns {Promise.<String, Error>} fingerprint of the anchor
+     * @throws {Error} error.code = 'TRUST_ANCHOR_INVALID'
+     * @example
+     * keyring.addTrustAnchor('-----BEGIN PGP PUBLIC KEY BLOCK-----...').then(function(fingerprint) {
+     *   // staff keys certified by the anchor are verified
+     * });
+     */
+    addTrustAnchor(armored) {
+      return postMessage('add-trust-anchor', {identifier: this.identifier, armored});
+    }
+
+    /**
+     * Remove a trust anchor of the keyrings of this domain
+     * @param {String} fingerprint - fingerprint of the anchor
+     * @returns {Promise.<undefined, Error>}
+     * @throws {Error} error.code = 'TRUST_ANCHOR_NOT_FOUND'
+     */
+    removeTrustAnchor(fingerprint) {
+      return postMessage('remove-trust-anchor', {identifier: this.identifier, fingerprint});
+    }
+
     /**
      * @typedef {Object} UserId
      * @property {string} email - the email address of the current user
@@ -22,6 +22,7 @@ l10n.register([
   'decrypt_digital_signature',
   'decrypt_digital_signature_failure',
   'decrypt_digital_signature_null',
+  'decrypt_subject',
   'security_background_button_title'
 ]);
 
@@ -30,6 +31,7 @@ export default class DecryptMessage extends React.Component {
     super(props);
     this.state = {
       message: '',
+      subject: '',
       signer: null,
       showSig: false,
       waiting: true,
@@ -56,8 +58,8 @@ export default class DecryptMessage extends React.Component {
     this.port.on('terminate', () => mvelo.ui.terminate(this.port));
   }
 
-  onDecryptedMessage({message}) {
-    this.setState({message, waiting: false});
+  onDecryptedMessage({message, subject = ''}) {
+    this.setState({message, subject, waiting: false});
   }
 
   onDecryptedAttachment({attachment}) {
@@ -172,6 +174,11 @@ export default class DecryptMessage extends React.Component {
               <FileDownloadPanel files={this.state.files} onClickFile={() => this.handleClickFile()} />
             </div>
           </div>
+          {this.state.subject &&
+            <div className="decrypt-msg-subject">
+              <strong>{l10n.map.decrypt_subject}:</strong> <span>{this.state.subject}</span>
+            </div>
+          }
           <div className="decrypt-msg-body">
             <div className="plain-text">
               <ContentSandbox value={this.state.message} />
@@ -31,6 +31,7 @@ export default class ContentSandbox extends React.PureComponent {
           <meta charset="utf-8">
           <meta http-equiv="Content-Security-Policy" content="default-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data:;">
           <link rel="stylesheet" href="../../dep/bootstrap/css/bootstrap.css">
+          <style>img { max-width: 100%; }</style>
         </head>
         <body style="overflow: hidden; margin: 0; height: 100%">
          <div id="content" style="height: 100%; padding: 6px 12px; overflow: auto;">
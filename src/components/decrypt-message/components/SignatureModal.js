@@ -8,6 +8,7 @@ import PropTypes from 'prop-types';
 import * as l10n from '../../../lib/l10n';
 import mvelo from '../../../mvelo';
 import ModalDialog from '../../util/ModalDialog';
+import Alert from '../../util/Alert';
 
 import './SignatureModal.css';
 
@@ -16,17 +17,40 @@ l10n.register([
   'digital_signature_status_false',
   'digital_signature_status_null',
   'digital_signature_status_null_description',
+  'digital_signature_key_conflict',
+  'digital_signature_status_not_trusted',
+  'digital_signature_validity_note',
   'dialog_popup_close',
   'keygrid_key_fingerprint',
   'keygrid_user_email',
   'keygrid_user_name',
-  'keygrid_validity_status'
+  'keygrid_validity_status',
+  'key_validity_gnupg',
+  'key_validity_full',
+  'key_validity_marginal',
+  'key_validity_never',
+  'key_validity_ultimate',
+  'key_validity_undefined',
+  'key_validity_unknown',
+  'key_verification_state',
+  'key_verification_state_conflict',
+  'key_verification_state_tofu',
+  'key_verification_state_unverified',
+  'key_verification_state_verified'
 ]);
 
+// GnuPG validity of the signing key that confirms a valid signature
+const TRUSTED_VALIDITY = ['full', 'ultimate'];
+
 export default function SignatureModal({signer, onHide}) {
   let status;
   let bgClass;
-  if (signer.valid === true) {
+  // signatures from the GnuPG keyring carry the validity of the signing key in the web of trust
+  const untrusted = signer.valid === true && signer.validity && !TRUSTED_VALIDITY.includes(signer.validity);
+  if (untrusted) {
+    bgClass = 'bg-warning';
+    status = l10n.map.digital_signature_status_not_trusted;
+  } else if (signer.valid === true) {
     bgClass = 'bg-success';
     status = l10n.map.digital_signature_status_true;
   } else if (signer.valid === false) {
@@ -54,6 +78,10 @@ export default function SignatureModal({signer, onHide}) {
             <p><b>{l10n.map.keygrid_user_name}:</b> {signer.keyDetails.name}</p>
             <p><b>{l10n.map.keygrid_user_email}:</b> {signer.keyDetails.email}</p>
             <p><b>{l10n.map.keygrid_key_fingerprint}:</b> {mvelo.ui.formatFpr(signer.keyDetails.fingerprint)}</p>
+            {signer.validity && <p><b>{l10n.map.key_validity_gnupg}:</b> {l10n.map[`key_validity_${signer.validity}`]}</p>}
+            {untrusted && <Alert message={l10n.map.digital_signature_validity_note} type="warning" />}
+            {signer.verification && <p><b>{l10n.map.key_verification_state}:</b> {l10n.map[`key_verification_state_${signer.verification}`]}</p>}
+            {signer.verification === 'conflict' && <Alert message={l10n.map.digital_signature_key_conflict} type="warning" />}
           </div>
         ) : (
           <div>
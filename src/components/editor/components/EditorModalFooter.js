@@ -12,7 +12,9 @@ import './EditorModalFooter.css';
 l10n.register([
   'form_cancel',
   'editor_sign_button',
+  'editor_sign_only_rich_text',
   'editor_encrypt_button',
+  'editor_hidden_recipients',
   'options_home',
   'sign_dialog_header',
   'general_default_key_auto_sign'
@@ -35,6 +37,14 @@ class EditorModalFooter extends React.Component {
             {this.props.privKeys.map(key => <option value={key.fingerprint} key={key.fingerprint}>{`${key.userId} - ${key.keyId}`}</option>)}
           </select>
         </div>
+        <div className="form-group">
+          <div className="checkbox">
+            <label className="checkbox" htmlFor="hiddenRecipientsOption">
+              <input checked={this.props.hiddenRecipients} onChange={event => this.props.onChangeHiddenRecipients(event.target.checked)} type="checkbox" id="hiddenRecipientsOption" />
+              <span>{l10n.map.editor_hidden_recipients}</span>
+            </label>
+          </div>
+        </div>
         <div className="form-nav-link pull-right">
           <a role="button" onClick={this.props.onClickSignSetting}>{l10n.map.general_default_key_auto_sign}</a>
         </div>
@@ -50,7 +60,8 @@ class EditorModalFooter extends React.Component {
           <span>{l10n.map.options_home}</span>&nbsp;&nbsp;
           <span className={`glyphicon glyphicon-collapse-${this.props.expanded ? 'down' : 'up'}`} aria-hidden="true"></span>
         </button>
-        <button type="button" onClick={this.props.onSignOnly} className="btn btn-default btn-sm btn-sign-only" disabled={!(this.props.signMsg && this.props.privKeys.length)}>
+        <button type="button" onClick={this.props.onSignOnly} className="btn btn-default btn-sm btn-sign-only" disabled={!(this.props.signMsg && this.props.privKeys.length) || this.props.richText}
+          title={this.props.richText ? l10n.map.editor_sign_only_rich_text : undefined}>
           <span className="glyphicon glyphicon-pencil" aria-hidden="true"></span>&nbsp;
           <span>{l10n.map.editor_sign_button}</span>
         </button>
@@ -70,6 +81,7 @@ class EditorModalFooter extends React.Component {
 EditorModalFooter.propTypes = {
   onCancel: PropTypes.func, // click on cancel button
   onSignOnly: PropTypes.func, // click on sign only button
+  richText: PropTypes.bool, // sign only is not available in rich text mode
   onEncrypt: PropTypes.func, // click on encrypt button
   encryptDisabled: PropTypes.bool, // encrypt action disabled
   onExpand: PropTypes.func, // click on options button in collapsed state
@@ -80,6 +92,8 @@ EditorModalFooter.propTypes = {
   signKey: PropTypes.string, // sign key id
   privKeys: PropTypes.array, // list of private keys for signing
   onChangeSignKey: PropTypes.func, // user selects new key
+  hiddenRecipients: PropTypes.bool, // hide the key IDs of the recipients in the message
+  onChangeHiddenRecipients: PropTypes.func, // receives bool value for current hiddenRecipients state
   onClickSignSetting: PropTypes.func // click on navigation link
 };
 
@@ -20,7 +20,14 @@ import './RecipientInput.css';
 l10n.register([
   'editor_label_add_recipient',
   'editor_key_not_found',
-  'editor_key_not_found_msg'
+  'editor_key_not_found_msg',
+  'editor_autocrypt_encrypt',
+  'editor_autocrypt_available',
+  'editor_autocrypt_discourage',
+  'editor_key_conflict',
+  'editor_key_untrusted',
+  'editor_key_verified',
+  'editor_locked_recipient'
 ]);
 
 /*
@@ -56,9 +63,13 @@ export class RecipientInput extends React.Component {
   shouldComponentUpdate(nextProps) {
     _props = nextProps;
     rInputCtrl.recipients = _props.recipients;
+    rInputCtrl.lockedKeys = _props.lockedKeys;
     // only update input controller if recipients or keys change
     if (this.props.recipients !== nextProps.recipients ||
-        this.props.keys !== nextProps.keys) {
+        this.props.keys !== nextProps.keys ||
+        this.props.lockedKeys !== nextProps.lockedKeys ||
+        this.props.autocrypt !== nextProps.autocrypt ||
+        this.props.verification !== nextProps.verification) {
       rInputCtrl.update();
     }
     // no re-rendering of component due to Angular
@@ -73,6 +84,11 @@ export class RecipientInput extends React.Component {
     };
     return (
       <div className="recipients-input" ref={node => node && contrAttr(node)}>
+        <div className="locked-recipients ng-hide" ref={node => node && node.setAttribute('ng-show', 'rInput.lockedKeys.length')}>
+          <span className="label label-default" title={l10n.map.editor_locked_recipient} ref={node => node && node.setAttribute('ng-repeat', 'key in rInput.lockedKeys track by key.fingerprint')}>
+            <span className="glyphicon glyphicon-lock"></span> {'{{key.userId}}'}
+          </span>
+        </div>
         <tags-input
           ng-model="rInput.recipients"
           type="email"
@@ -104,6 +120,10 @@ export class RecipientInput extends React.Component {
 RecipientInput.propTypes = {
   keys: PropTypes.array,
   recipients: PropTypes.array,
+  lockedKeys: PropTypes.array, // keys that are always added to the recipients and can't be removed
+  autocrypt: PropTypes.object, // Autocrypt recommendations by email address
+  verification: PropTypes.object, // key verification state by email address
+  trustMarginal: PropTypes.bool, // keys of marginal GnuPG validity can be used
   autoLocate: PropTypes.bool,
   encryptDisabled: PropTypes.bool,
   onChangeEncryptStatus: PropTypes.func,
@@ -117,6 +137,7 @@ export class RecipientInputCtrl {
   constructor($timeout) {
     this._timeout = $timeout;
     this.recipients = _props.recipients;
+    this.lockedKeys = _props.lockedKeys || [];
     rInputCtrl = this;
   }
 
@@ -145,8 +166,12 @@ export class RecipientInputCtrl {
     }
     // lookup key in local cache
     recipient.key = this.getKey(recipient);
+    // keys of the GnuPG keyring are not used if rejected by the GnuPG trust model
+    recipient.untrusted = !recipient.key && this.hasUntrustedKey(recipient);
+    recipient.autocrypt = this.getAutocryptRecommendation(recipient);
+    recipient.verification = this.getVerificationState(recipient);
 
-    if (recipient.key || recipient.checkedServer || !_props.autoLocate) {
+    if (recipient.key || recipient.untrusted || recipient.checkedServer || !_props.autoLocate) {
       // color tag only if a local key was found, or after server lookup,
       // or if auto-locate is deactivated
       this.colorTag(recipient);
@@ -159,21 +184,75 @@ export class RecipientInputCtrl {
 
   /**
    * Finds the recipient's corresponding public key and sets it
-   * on the 'key' attribute on the recipient object.
+   * on the 'key' attribute on the recipient object. Keys that GnuPG marks as
+   * never valid are not considered.
    * @param  {Object} recipient   The recipient object
    * @return {Object}             The key object (undefined if none found)
    */
   getKey(recipient) {
-    return _props.keys.find(key => {
-      if (key.email && recipient.email) {
-        return key.email.toLowerCase() === recipient.email.toLowerCase();
-      }
-    });
+    return _props.keys.find(key => this.matchKey(key, recipient) && this.isTrusted(key));
+  }
+
+  /**
+   * Check if the recipient has only keys that are rejected by the GnuPG trust model
+   * @param  {Object} recipient   The recipient object
+   * @return {Boolean}
+   */
+  hasUntrustedKey(recipient) {
+    return _props.keys.some(key => this.matchKey(key, recipient));
+  }
+
+  matchKey(key, recipient) {
+    return Boolean(key.email && recipient.email) && key.email.toLowerCase() === recipient.email.toLowerCase();
+  }
+
+  /**
+   * Check the GnuPG validity of a key, keys without validity are not from the GnuPG keyring.
+   * Keys of unknown validity are not certified in GnuPG and are treated like keys of marginal validity.
+   * @param  {Object} key   The key object
+   * @return {Boolean}      True if the key can be used for encryption
+   */
+  isTrusted(key) {
+    switch (key.validity) {
+      case undefined:
+      case 'full':
+      case 'ultimate':
+        return true;
+      case 'marginal':
+      case 'unknown':
+      case 'undefined':
+        return _props.trustMarginal !== false;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Autocrypt recommendation for the recipient
+   * @param  {Object} recipient   The recipient object
+   * @return {String}             The recommendation (disable, discourage, available or encrypt), undefined if the recipient is no Autocrypt peer
+   */
+  getAutocryptRecommendation(recipient) {
+    if (_props.autocrypt && recipient.email) {
+      return _props.autocrypt[recipient.email.toLowerCase()];
+    }
+  }
+
+  /**
+   * Verification state of the recipient's keys
+   * @param  {Object} recipient   The recipient object
+   * @return {String}             The state (unverified, tofu, verified or conflict)
+   */
+  getVerificationState(recipient) {
+    if (_props.verification && recipient.email) {
+      return _props.verification[recipient.email.toLowerCase()];
+    }
   }
 
   /**
    * Uses jQuery to color the recipient's input tag depending on
-   * whether they have a key or not.
+   * whether they have a key or not. Keys that conflict with the known key
+   * of the recipient or that are only discouraged by Autocrypt are marked as warning.
    * @param  {Object} recipient   The recipient object
    */
   colorTag(recipient) {
@@ -182,11 +261,26 @@ export class RecipientInputCtrl {
         if ($(this).text().indexOf(recipient.email) === -1) {
           return;
         }
-        if (recipient.key) {
+        $(this).removeClass('tag-success tag-warning tag-danger');
+        const conflict = recipient.verification === 'conflict';
+        if (recipient.key && (conflict || recipient.autocrypt === 'discourage')) {
+          $(this).addClass('tag-warning');
+        } else if (recipient.key) {
           $(this).addClass('tag-success');
         } else {
           $(this).addClass('tag-danger');
         }
+        let title;
+        if (recipient.untrusted) {
+          title = l10n.map.editor_key_untrusted;
+        } else if (recipient.key && conflict) {
+          title = l10n.map.editor_key_conflict;
+        } else if (recipient.key && recipient.verification === 'verified') {
+          title = l10n.map.editor_key_verified;
+        } else if (recipient.key && recipient.autocrypt) {
+          title = l10n.map[`editor_autocrypt_${recipient.autocrypt}`];
+        }
+        $(this).attr('title', title || null);
       });
     });
   }
@@ -0,0 +1,117 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import $ from 'jquery';
+import mvelo from '../../../mvelo';
+import * as l10n from '../../../lib/l10n';
+
+import './RichText.css';
+
+l10n.register([
+  'editor_format_bold',
+  'editor_format_italic',
+  'editor_format_underline',
+  'editor_format_list',
+  'editor_format_clear'
+]);
+
+// formatting commands of the toolbar, executed with document.execCommand in the sandbox
+const commands = [
+  {command: 'bold', title: 'editor_format_bold', icon: 'glyphicon-bold'},
+  {command: 'italic', title: 'editor_format_italic', icon: 'glyphicon-italic'},
+  {command: 'underline', title: 'editor_format_underline', label: <u>U</u>},
+  {command: 'insertUnorderedList', title: 'editor_format_list', icon: 'glyphicon-list'},
+  {command: 'removeFormat', title: 'editor_format_clear', icon: 'glyphicon-erase'}
+];
+
+export default class RichText extends React.PureComponent {
+  constructor(props) {
+    super(props);
+    this.sandbox = null;
+    this.editable = null;
+  }
+
+  componentDidUpdate(prevProps) {
+    // if default value is set after rendering, set manually
+    if (this.editable && prevProps.defaultValue !== this.props.defaultValue) {
+      this.editable.innerHTML = mvelo.util.text2html(this.props.defaultValue);
+    }
+  }
+
+  /**
+   * @return {String} - HTML content of the editor, not yet sanitized
+   */
+  getValue() {
+    return this.editable.innerHTML;
+  }
+
+  execCommand(command) {
+    const doc = this.sandbox.contentDocument;
+    this.editable.focus();
+    doc.execCommand(command, false, null);
+    this.props.onChange(this.getValue());
+  }
+
+  createRichText() {
+    const editable = (
+      <div contentEditable={true} suppressContentEditableWarning={true} className="form-control"
+        dangerouslySetInnerHTML={{__html: mvelo.util.text2html(this.props.defaultValue)}}
+        onInput={event => this.props.onChange(event.currentTarget.innerHTML)}
+        onBlur={this.props.onBlur}
+        onMouseUp={this.props.onMouseUp}
+        ref={node => this.editable = node}
+        style={{width: '100%', height: '100%', overflowY: 'auto', color: 'black'}}
+      />
+    );
+    ReactDOM.render(editable, $(this.sandbox).contents().find('#root').get(0));
+    this.editable.focus();
+    this.props.onLoad && this.props.onLoad();
+  }
+
+  render() {
+    const sandboxContent = `
+      <!DOCTYPE html>
+      <html style="height: 100%">
+        <head>
+          <meta charset="utf-8">
+          <meta http-equiv="Content-Security-Policy" content="default-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data:;">
+          <link rel="stylesheet" href="../../dep/bootstrap/css/bootstrap.css">
+          <link rel="stylesheet" href="../../mvelo.css">
+        </head>
+        <body style="overflow: hidden; margin: 0; height: 100%">
+         <div id="root" style="height: 100%">
+         </div>
+        </body>
+      </html>
+    `;
+    return (
+      <div className="rich-text">
+        <div className="btn-toolbar rich-text-toolbar" role="toolbar">
+          <div className="btn-group btn-group-sm">
+            {commands.map(({command, title, icon, label}) =>
+              <button key={command} type="button" className="btn btn-default" title={l10n.map[title]}
+                onMouseDown={event => event.preventDefault()} onClick={() => this.execCommand(command)}>
+                {icon ? <span className={`glyphicon ${icon}`}></span> : label}
+              </button>
+            )}
+          </div>
+        </div>
+        <iframe sandbox="allow-same-origin allow-scripts" srcDoc={sandboxContent} frameBorder={0} style={{overflowY: 'hidden'}}
+          ref={node => this.sandbox = node} onLoad={() => this.createRichText()} />
+      </div>
+    );
+  }
+}
+
+RichText.propTypes = {
+  defaultValue: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  onBlur: PropTypes.func,
+  onMouseUp: PropTypes.func,
+  onLoad: PropTypes.func
+};
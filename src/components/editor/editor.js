@@ -15,9 +15,11 @@ import $ from 'jquery';
 import mvelo from '../../mvelo';
 import * as l10n from '../../lib/l10n';
 import PlainText from './components/PlainText';
+import RichText from './components/RichText';
 import {FileUploadPanel} from '../util/FilePanel';
 import EditorFooter from './components/EditorFooter';
 import EditorModalFooter from './components/EditorModalFooter';
+import PasswordProtection from '../util/PasswordProtection';
 import {RecipientInput} from './components/RecipientInput';
 import BlurWarning from './components/BlurWarning';
 import ModalDialog from '../util/ModalDialog';
@@ -36,7 +38,13 @@ l10n.register([
   'waiting_dialog_prepare_email',
   'upload_quota_warning_headline',
   'security_background_button_title',
+  'editor_draft_restore',
+  'editor_draft_restore_ignore',
+  'editor_draft_restore_msg',
+  'editor_draft_restore_title',
   'editor_header',
+  'editor_subject',
+  'editor_subject_placeholder',
   'form_ok'
 ]);
 
@@ -47,28 +55,41 @@ export default class Editor extends React.Component {
     this.state = {
       hasUserInput: false,
       signMsg: false,
+      hiddenRecipients: false,
+      protectedSubject: false,
+      subject: '',
       signKey: '',
       defaultKey: false,
       privKeys: [],
       optionsExpanded: false,
       defaultPlainText: '',
+      editorType: mvelo.PLAIN_TEXT,
       publicKeys: [],
       recipients: [],
+      lockedKeys: [],
+      autocrypt: {},
+      verification: {},
+      trustMarginal: true,
       autoLocate: true,
       encryptDisabled: true,
+      passwordProtection: {enabled: false, password: null},
       waiting: false,
       error: null,
       pwdDialog: null,
+      restoreDraft: null,
       files: []
     };
     this.port = mvelo.EventHandler.connect(`editor-${this.props.id}`, this);
     // flag to control time slice for input logging
     this.logTextareaInput = true;
     this.registerEventListeners();
-    // ref to PlainText component
+    // ref to PlainText or RichText component
     this.plainText = null;
     // ref to blur warning
     this.blurWarning = null;
+    this.editorInitialized = false;
+    // editor content changed since the last autosave of the draft
+    this.draftModified = false;
   }
 
   componentDidMount() {
@@ -85,6 +106,7 @@ export default class Editor extends React.Component {
 
   registerEventListeners() {
     this.port.on('set-text', ({text}) => this.setState({defaultPlainText: text}));
+    this.port.on('set-subject', ({subject}) => this.setState({subject}));
     this.port.on('set-init-data', this.onSetInitData);
     this.port.on('set-attachment', this.onSetAttachment);
     this.port.on('decrypt-in-progress', this.showWaitingModal);
@@ -100,12 +122,17 @@ export default class Editor extends React.Component {
     this.port.on('terminate', () => mvelo.ui.terminate(this.port));
     this.port.on('public-key-userids', this.onPublicKeyUserids);
     this.port.on('key-update', this.onKeyUpdate);
+    this.port.on('get-draft', this.onGetDraft);
+    this.port.on('show-restore-draft', ({lastModified}) => this.setState({restoreDraft: lastModified}));
   }
 
-  onSetInitData({text = '', signMsg, defaultKeyFpr, privKeys = []}) {
+  onSetInitData({text = '', signMsg, hiddenRecipients, protectedSubject, defaultKeyFpr, privKeys = [], editorType = mvelo.PLAIN_TEXT}) {
     this.setState({
       defaultPlainText: text,
+      editorType,
       signMsg: Boolean(signMsg),
+      hiddenRecipients: Boolean(hiddenRecipients),
+      protectedSubject: Boolean(protectedSubject),
       signKey: defaultKeyFpr,
       defaultKey: Boolean(defaultKeyFpr),
       privKeys
@@ -113,6 +140,11 @@ export default class Editor extends React.Component {
   }
 
   handlePlainTextLoad() {
+    // the editor type is set with the init data, therefore the text component can be loaded a second time
+    if (this.editorInitialized) {
+      return;
+    }
+    this.editorInitialized = true;
     // emit event to backend that editor has initialized
     this.port.emit('editor-init');
   }
@@ -121,18 +153,24 @@ export default class Editor extends React.Component {
    * Remember the available public keys for later and set the recipients proposal gotten from the webmail ui to the editor
    * @param {Array} options.keys         A list of all available public keys from the local keychain
    * @param {Array} options.recipients   recipients gather from the webmail ui
+   * @param {Array} options.lockedKeys   keys that are always added to the recipients according to the keyring policy
    * @param {boolean} options.autoLocate If the editor should try to auto-locate the key
+   * @param {Object} options.autocrypt   Autocrypt recommendations by email address
+   * @param {Object} options.verification   Key verification state by email address
+   * @param {boolean} options.trustMarginal   If keys of marginal GnuPG validity can be used as recipients
    */
-  onPublicKeyUserids({autoLocate, keys, recipients}) {
-    this.setState({autoLocate, publicKeys: keys, recipients});
+  onPublicKeyUserids({autoLocate, keys, recipients, lockedKeys = [], autocrypt = {}, verification = {}, trustMarginal = true}) {
+    this.setState({autoLocate, publicKeys: keys, recipients, lockedKeys, autocrypt, verification, trustMarginal});
   }
 
   /**
    * Event that is triggered after update of the public keyring (e.g. when the key server responded)
    * @param {Array} options.keys   A list of all available public keys from the local keychain
+   * @param {Object} options.autocrypt   Autocrypt recommendations by email address
+   * @param {Object} options.verification   Key verification state by email address
    */
-  onKeyUpdate({keys}) {
-    this.setState({publicKeys: keys});
+  onKeyUpdate({keys, autocrypt = {}, verification = {}}) {
+    this.setState({publicKeys: keys, autocrypt, verification});
   }
 
   showWaitingModal() {
@@ -160,6 +198,8 @@ export default class Editor extends React.Component {
    */
   handleCancel() {
     this.logUserInput('security_log_dialog_cancel');
+    // final save of the draft before the editor is closed
+    this.onGetDraft();
     this.port.emit('editor-cancel');
   }
 
@@ -197,18 +237,56 @@ export default class Editor extends React.Component {
    * @param  {String} action   Either 'sign' or 'encrypt'
    */
   sendPlainText(action, noCache, draft) {
+    const richText = this.state.editorType === mvelo.RICH_TEXT;
+    const value = this.plainText.getValue();
+    const {enabled, password} = this.state.passwordProtection;
+    const usePassword = action === 'encrypt' && !draft && enabled;
     this.port.emit('editor-plaintext', {
-      message: this.plainText.getValue(),
-      keys: this.state.recipients.map(r => r.key),
+      message: richText ? mvelo.util.html2text(value) : value,
+      // HTML content is sanitized in the background and sent as multipart/alternative
+      html: richText ? value : undefined,
+      keys: this.state.recipients.filter(r => r.key).map(r => r.key),
       attachments: this.state.files,
       action,
       signMsg: this.state.signMsg || draft, // draft is always signed
       signKeyFpr: this.state.signKey,
-      noCache
+      noCache,
+      password: usePassword ? password : undefined,
+      recipientsWithoutKey: usePassword ? this.state.recipients.filter(r => !r.key).map(r => ({email: r.email})) : undefined,
+      hiddenRecipients: action === 'encrypt' && !draft && this.state.hiddenRecipients,
+      // the subject is encrypted as protected header, also in drafts
+      subject: action === 'encrypt' && this.state.protectedSubject && this.state.subject.trim() || undefined
     });
   }
 
+  /**
+   * Send the editor content to the background script for the autosave of the draft, attachments are not saved
+   */
+  onGetDraft() {
+    if (!this.draftModified || !this.plainText) {
+      return;
+    }
+    this.draftModified = false;
+    const richText = this.state.editorType === mvelo.RICH_TEXT;
+    const value = this.plainText.getValue();
+    this.port.emit('editor-draft', {
+      message: richText ? mvelo.util.html2text(value) : value,
+      html: richText ? value : undefined,
+      subject: this.state.protectedSubject && this.state.subject.trim() || undefined
+    });
+  }
+
+  /**
+   * With password protection the message can be encrypted for recipients without key
+   * @return {Boolean}
+   */
+  isEncryptDisabled() {
+    const {enabled, password} = this.state.passwordProtection;
+    return enabled ? !password : this.state.encryptDisabled;
+  }
+
   handleTextChange() {
+    this.draftModified = true;
     this.blurWarning && this.blurWarning.startBlurWarnInterval();
     this.logTextInput();
   }
@@ -301,7 +379,9 @@ export default class Editor extends React.Component {
       throw new Error('File is too big');
     }
     this.fileUpload.readFile(file)
-    .then(file => this.setState(prevState => ({files: [...prevState.files, file]})))
+    .then(file => {
+      this.setState(prevState => ({files: [...prevState.files, file]}));
+    })
     .catch(error => console.log(error));
   }
 
@@ -336,18 +416,35 @@ export default class Editor extends React.Component {
           </div>
           { this.props.recipientInput &&
             <div className="editor-recipients">
-              <RecipientInput keys={this.state.publicKeys} recipients={this.state.recipients} autoLocate={this.state.autoLocate} encryptDisabled={this.state.encryptDisabled}
+              <RecipientInput keys={this.state.publicKeys} recipients={this.state.recipients} lockedKeys={this.state.lockedKeys} autocrypt={this.state.autocrypt} verification={this.state.verification} trustMarginal={this.state.trustMarginal} autoLocate={this.state.autoLocate} encryptDisabled={this.state.encryptDisabled}
                 onChangeEncryptStatus={({encryptDisabled}) => this.setState({encryptDisabled})}
                 onAutoLocate={recipient => this.port.emit('auto-locate', {recipient})}
               />
+              <PasswordProtection onChange={passwordProtection => this.setState({passwordProtection})} />
+            </div>
+          }
+          { this.state.protectedSubject &&
+            <div className="editor-subject">
+              <input type="text" className="form-control" value={this.state.subject} maxLength="998" aria-label={l10n.map.editor_subject}
+                placeholder={l10n.map.editor_subject_placeholder} onChange={event => {
+                  this.draftModified = true;
+                  this.setState({subject: event.target.value});
+                }} />
             </div>
           }
           <div className="editor-body">
             <div className="plain-text">
-              <PlainText defaultValue={this.state.defaultPlainText} onChange={() => this.handleTextChange()}
-                onBlur={() => this.blurWarning && this.blurWarning.onBlur()} onMouseUp={element => this.handleTextMouseUp(element)} onLoad={() => this.handlePlainTextLoad()}
-                ref={node => this.plainText = node}
-              />
+              {this.state.editorType === mvelo.RICH_TEXT ? (
+                <RichText defaultValue={this.state.defaultPlainText} onChange={() => this.handleTextChange()}
+                  onBlur={() => this.blurWarning && this.blurWarning.onBlur()} onMouseUp={element => this.handleTextMouseUp(element)} onLoad={() => this.handlePlainTextLoad()}
+                  ref={node => this.plainText = node}
+                />
+              ) : (
+                <PlainText defaultValue={this.state.defaultPlainText} onChange={() => this.handleTextChange()}
+                  onBlur={() => this.blurWarning && this.blurWarning.onBlur()} onMouseUp={element => this.handleTextMouseUp(element)} onLoad={() => this.handlePlainTextLoad()}
+                  ref={node => this.plainText = node}
+                />
+              )}
             </div>
           </div>
           <div className="editor-footer">
@@ -373,8 +470,8 @@ export default class Editor extends React.Component {
             {this.editorBody()}
           </div>
           <div className="modal-footer">
-            <EditorModalFooter expanded={this.state.optionsExpanded} signMsg={this.state.signMsg} signKey={this.state.signKey}
-              privKeys={this.state.privKeys} encryptDisabled={this.state.encryptDisabled}
+            <EditorModalFooter expanded={this.state.optionsExpanded} signMsg={this.state.signMsg} signKey={this.state.signKey} hiddenRecipients={this.state.hiddenRecipients}
+              privKeys={this.state.privKeys} encryptDisabled={this.isEncryptDisabled()} richText={this.state.editorType === mvelo.RICH_TEXT}
               onCancel={() => this.handleCancel()}
               onSignOnly={() => this.handleSign()}
               onEncrypt={() => this.handleEncrypt()}
@@ -382,6 +479,7 @@ export default class Editor extends React.Component {
               onCollapse={() => this.handleOptionsCollapse()}
               onChangeSignMsg={signMsg => this.setState({signMsg})}
               onChangeSignKey={signKey => this.setState({signKey})}
+              onChangeHiddenRecipients={hiddenRecipients => this.setState({hiddenRecipients})}
               onClickSignSetting={() => this.port.emit('open-app', {fragment: '/settings/general'})}
             />
           </div>
@@ -406,6 +504,22 @@ export default class Editor extends React.Component {
     );
   }
 
+  restoreDraftModal() {
+    if (!this.state.restoreDraft) {
+      return null;
+    }
+    return (
+      <ModalDialog title={l10n.map.editor_draft_restore_title} onHide={() => this.setState({restoreDraft: null})} footer={
+        <div>
+          <button type="button" className="btn btn-default" data-dismiss="modal">{l10n.map.editor_draft_restore_ignore}</button>
+          <button type="button" className="btn btn-primary" data-dismiss="modal" onClick={() => this.port.emit('editor-restore-draft')}>{l10n.map.editor_draft_restore}</button>
+        </div>
+      }>
+        <p>{l10n.map.editor_draft_restore_msg.replace('##', new Date(this.state.restoreDraft).toLocaleString())}</p>
+      </ModalDialog>
+    );
+  }
+
   errorModal() {
     if (!this.state.error) {
       return null;
@@ -432,6 +546,7 @@ export default class Editor extends React.Component {
           this.editorPopup()
         )}
         {this.waitingModal()}
+        {this.restoreDraftModal()}
         {this.errorModal()}
       </div>
     );
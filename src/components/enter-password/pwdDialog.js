@@ -25,7 +25,9 @@ var mvelo = mvelo || null; // eslint-disable-line no-var
   const l10n = mvelo.l10n.getMessages([
     'pwd_dialog_pwd_please',
     'pwd_dialog_keyid_tooltip',
+    'pwd_dialog_header_message',
     'pwd_dialog_reason_decrypt',
+    'pwd_dialog_reason_decrypt_message',
     'pwd_dialog_reason_sign',
     'pwd_dialog_reason_editor',
     'pwd_dialog_reason_create_backup',
@@ -70,6 +72,14 @@ var mvelo = mvelo || null; // eslint-disable-line no-var
   }
 
   function setInitData(data) {
+    if (data.message) {
+      // password of a message: no key info and no password cache
+      $('.modal-header h4').text(l10n.pwd_dialog_header_message);
+      $('.modal-header h6').hide();
+      $('#rememberGroup').hide();
+      $('#pwdDialogReason').text(l10n.pwd_dialog_reason_decrypt_message);
+      return;
+    }
     $('#keyId').text(data.keyId);
     $('#userId').text(data.userId);
     $('#pwdDialogReason').text(data.reason !== '' ? l10n[data.reason.toLowerCase()] : '');
@@ -62,12 +62,22 @@ export function FileDownloadPanel(props) {
 }
 
 FileDownloadPanel.propTypes = {
-  files: PropTypes.array, // {id, name}
+  files: PropTypes.array, // {id, name, objectURL, progress}
   onClickFile: PropTypes.func
 };
 
 function FileDownloadElement({file, onClick}) {
   const fileExt = extractFileExtension(file.name);
+  if (!file.objectURL && file.progress !== undefined) {
+    // file that is still processed as stream
+    return (
+      <div className="file-element" title={file.name}>
+        <span className={`label file-extension ${getExtensionClass(fileExt)}`}>{fileExt}</span>
+        <span className="file-name">{extractFileNameWithoutExt(file.name)}</span>
+        <span className="file-progress"><span className="file-progress-bar" style={{width: `${Math.round(file.progress * 100)}%`}}></span></span>
+      </div>
+    );
+  }
   return (
     <a className="file-element" onClick={onClick} title={file.name} download={file.name} href={file.objectURL}>
       <span className={`label file-extension ${getExtensionClass(fileExt)}`}>{fileExt}</span>
@@ -77,6 +87,6 @@ function FileDownloadElement({file, onClick}) {
 }
 
 FileDownloadElement.propTypes = {
-  file: PropTypes.object, // {id, name, objectURL}
+  file: PropTypes.object, // {id, name, objectURL, progress}, progress (0..1) of a file that is processed as stream
   onClick: PropTypes.func
 };
@@ -0,0 +1,66 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import * as l10n from '../../lib/l10n';
+
+l10n.register([
+  'encrypt_password_confirm',
+  'encrypt_password_desc',
+  'encrypt_password_mismatch',
+  'encrypt_password_protect'
+]);
+
+/**
+ * Option to protect a message with a password for recipients without key
+ */
+export default class PasswordProtection extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      enabled: false,
+      password: '',
+      passwordCheck: ''
+    };
+  }
+
+  handleChange(change) {
+    this.setState(change, () => {
+      const {enabled, password, passwordCheck} = this.state;
+      // only a confirmed password is passed on
+      this.props.onChange({enabled, password: enabled && password && password === passwordCheck ? password : null});
+    });
+  }
+
+  render() {
+    const mismatch = this.state.passwordCheck !== '' && this.state.password !== this.state.passwordCheck;
+    return (
+      <div className="password-protection">
+        <div className="checkbox">
+          <label>
+            <input type="checkbox" checked={this.state.enabled} onChange={event => this.handleChange({enabled: event.target.checked})} />
+            <span>{l10n.map.encrypt_password_protect}</span>
+          </label>
+        </div>
+        {this.state.enabled &&
+          <div className={`form-group ${mismatch ? 'has-error' : ''}`}>
+            <div className="form-inline">
+              <input type="password" className="form-control input-sm" value={this.state.password} autoComplete="new-password"
+                onChange={event => this.handleChange({password: event.target.value})} placeholder={l10n.map.encrypt_password_protect} />&nbsp;
+              <input type="password" className="form-control input-sm" value={this.state.passwordCheck} autoComplete="new-password"
+                onChange={event => this.handleChange({passwordCheck: event.target.value})} placeholder={l10n.map.encrypt_password_confirm} />
+            </div>
+            <span className="help-block">{mismatch ? l10n.map.encrypt_password_mismatch : l10n.map.encrypt_password_desc}</span>
+          </div>
+        }
+      </div>
+    );
+  }
+}
+
+PasswordProtection.propTypes = {
+  onChange: PropTypes.func.isRequired // receives {enabled, password}, password is null if not confirmed
+};
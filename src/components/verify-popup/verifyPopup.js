@@ -30,7 +30,9 @@ var mvelo = mvelo || null; // eslint-disable-line no-var
     'verify_result_warning',
     'verify_result_error',
     'alert_header_error',
-    'dialog_keyid_label'
+    'dialog_keyid_label',
+    'keygrid_key_fingerprint',
+    'digital_signature_status_null_description'
   ]);
 
   function init() {
@@ -79,6 +81,14 @@ var mvelo = mvelo || null; // eslint-disable-line no-var
         type = 'danger';
         message.append(l10n.verify_result_error, ' ', userId, ' ', keyId);
       }
+      // signer details as shown in the signature modal of the decrypt dialog
+      const details = $('<small/>');
+      if (signer.keyDetails) {
+        details.text(`${l10n.keygrid_key_fingerprint}: ${mvelo.ui.formatFpr(signer.keyDetails.fingerprint)}`);
+      } else if (signer.valid === null) {
+        details.text(l10n.digital_signature_status_null_description);
+      }
+      message.append('<br>', details);
       header.showAlert('', message, type, true);
     });
     node.find('#content').append(`<pre>${mvelo.util.encodeHTML(msg.message)}</pre>`);
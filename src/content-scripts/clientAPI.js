@@ -89,6 +89,9 @@ const optionsTypes = {
   predefinedText: 'string',
   quotedMail: 'string',
   signMsg: 'boolean',
+  hiddenRecipients: 'boolean',
+  encryptToSelf: 'boolean',
+  protectedSubject: 'boolean',
   quotedMailIndent: 'boolean',
   quotedMailHeader: 'string',
   userIds: 'array',
@@ -234,6 +237,12 @@ function eventListener(event) {
       case 'set-logo':
         setLogo(keyringId, data.dataURL, data.revision, reply.bind(null, event.data.id));
         break;
+      case 'add-trust-anchor':
+        addTrustAnchor(keyringId, data.armored, reply.bind(null, event.data.id));
+        break;
+      case 'remove-trust-anchor':
+        removeTrustAnchor(keyringId, data.fingerprint, reply.bind(null, event.data.id));
+        break;
       case 'add-sync-handler':
         addSyncHandler(keyringId, reply.bind(null, event.data.id));
         break;
@@ -441,6 +450,34 @@ function setLogo(keyringId, dataURL, revision, callback) {
   });
 }
 
+function addTrustAnchor(keyringId, armored, callback) {
+  if (typeof armored !== 'string') {
+    throw new mvelo.Error('Armored key must be a string.', 'TRUST_ANCHOR_INVALID');
+  }
+  mvelo.runtime.sendMessage({
+    event: 'add-trust-anchor',
+    api_event: true,
+    keyringId,
+    armored
+  }, result => {
+    callback(result.error, result.data);
+  });
+}
+
+function removeTrustAnchor(keyringId, fingerprint, callback) {
+  if (typeof fingerprint !== 'string') {
+    throw new mvelo.Error('Fingerprint must be a string.', 'TRUST_ANCHOR_NOT_FOUND');
+  }
+  mvelo.runtime.sendMessage({
+    event: 'remove-trust-anchor',
+    api_event: true,
+    keyringId,
+    fingerprint
+  }, result => {
+    callback(result.error, result.data);
+  });
+}
+
 function addSyncHandler(keyringId, callback) {
   syncHandler = syncHandler || new SyncHandler(keyringId);
   containers.set(syncHandler.id, syncHandler);
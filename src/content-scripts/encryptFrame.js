@@ -5,7 +5,7 @@
 
 import mvelo from '../mvelo';
 import $ from 'jquery';
-import {currentProvider} from './main';
+import {currentProvider, host} from './main';
 
 export default class EncryptFrame {
   constructor() {
@@ -157,6 +157,8 @@ export default class EncryptFrame {
     } else {
       options.text = emailContent;
     }
+    // drafts of the editor are saved per webmail
+    options.host = host;
     this.port.emit('eframe-display-editor', options);
   }
 
@@ -207,6 +209,7 @@ export default class EncryptFrame {
    * email addresses into the webmail interface.
    * @param {String} options.text         The encrypted message body
    * @param {Array}  options.recipients   The recipients to be added
+   * @param {String} [options.subject]    The subject placeholder if the subject is encrypted
    */
   setEditorOutput(options) {
     // set message body
@@ -214,6 +217,9 @@ export default class EncryptFrame {
     this.setMessage(options.text);
     // set recipient email addresses
     this.currentProvider.setRecipients({recipients: options.recipients, editElement: this.editElement});
+    if (options.subject) {
+      this.currentProvider.setSubject({subject: options.subject, editElement: this.editElement});
+    }
   }
 
   /**
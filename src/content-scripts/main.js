@@ -226,7 +226,10 @@ function findEditable() {
 }
 
 export function getMessageType(armored) {
-  if (/END\sPGP\sMESSAGE/.test(armored)) {
+  if (/Content-Type:\s*multipart\/signed/i.test(armored) && /END\sPGP\sSIGNATURE/.test(armored)) {
+    // PGP/MIME signed message (RFC 3156) with detached signature
+    return mvelo.PGP_SIGNATURE;
+  } else if (/END\sPGP\sMESSAGE/.test(armored)) {
     return mvelo.PGP_MESSAGE;
   } else if (/END\sPGP\sSIGNATURE/.test(armored)) {
     return mvelo.PGP_SIGNATURE;
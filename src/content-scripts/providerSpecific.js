@@ -61,6 +61,13 @@ class Default {
    */
 
   setRecipients() { /* do nothing */ }
+
+  /**
+   * Setting the subject in the DOM has not been reliable for generic webmail,
+   * this function does nothing.
+   */
+  setSubject() { /* do nothing */ }
+
   /**
    * Extract sender
    * @return {Promise.<Array>}   sender object in the form { email: 'jon@example.com' }
@@ -107,6 +114,13 @@ class Gmail {
     });
   }
 
+  /**
+   * Set the subject in the Gmail Webmail editor.
+   */
+  setSubject({subject}) {
+    dom.setValue($('.aoT'), subject);
+  }
+
   /**
    * Extract sender
    * @param {jQuery} emailElement DOM element of displayed email content
@@ -149,6 +163,13 @@ class Yahoo {
     });
   }
 
+  /**
+   * Set the subject in the Yahoo Webmail editor.
+   */
+  setSubject({subject}) {
+    dom.setValue($('#subject-field'), subject);
+  }
+
   /**
    * Extract sender
    * @param {jQuery} emailElement DOM element of displayed email content
@@ -224,6 +245,8 @@ class Outlook {
     .then(() => input.val(text));
   }
 
+  setSubject() { /* do nothing */ }
+
   getSender(emailElement) {
     const emailArea = emailElement.parents('.ShowReferenceAttachmentsLinks').first();
     const persona = emailArea.find('.PersonaPaneLauncher').first().get();
@@ -277,6 +300,19 @@ dom.setFocus = function(element) {
   });
 };
 
+/**
+ * Set the value of input elements and trigger the input event.
+ * @param  {jQuery} elements
+ * @param  {String} value
+ */
+dom.setValue = function(elements, value) {
+  elements.val(value).each((index, element) => {
+    const inputEvent = document.createEvent('HTMLEvents');
+    inputEvent.initEvent('input', true, true);
+    element.dispatchEvent(inputEvent);
+  });
+};
+
 dom.waitTick = () => new Promise(resolve => setTimeout(resolve, 0));
 
 dom.focusClick = element => dom.setFocus(element).then(() => element.click());
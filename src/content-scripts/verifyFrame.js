@@ -16,7 +16,8 @@ export default class VerifyFrame extends ExtractFrame {
     this.vPopup = false;
     this.ctrlName = `vFrame-${this.id}`;
     this.typeRegex = /-----BEGIN PGP SIGNED MESSAGE-----[\s\S]+?-----END PGP SIGNATURE-----/;
-    this.pgpStartRegex = /BEGIN\sPGP\sSIGNED/;
+    // cleartext signed message or multipart/signed MIME message
+    this.pgpStartRegex = /BEGIN\sPGP\sSIGNED|Content-Type:\s*multipart\/signed/i;
     this.sigHeight = 128;
   }
 
@@ -8,6 +8,7 @@ import {getById as keyringById, createKeyring, setKeyringAttr, getKeyByAddress}
 import * as sub from './sub.controller';
 import * as openpgp from 'openpgp';
 import {getLastModifiedDate, mapAddressKeyMapToFpr} from '../modules/key';
+import * as trustKey from '../modules/trustKey';
 
 export function handleApiEvent(request, sender, sendResponse) {
   let keyring;
@@ -79,6 +80,17 @@ export function handleApiEvent(request, sender, sendResponse) {
         })
         .catch(err => sendResponse({error: mvelo.util.mapError(err)}));
         return true;
+      case 'add-trust-anchor':
+        // the client API can only configure anchors for the domain of its keyrings
+        trustKey.add({domain: trustKey.getKeyringDomain(request.keyringId), armored: request.armored, source: 'api'})
+        .then(fingerprint => sendResponse({error: null, data: fingerprint}))
+        .catch(err => sendResponse({error: mvelo.util.mapError(err)}));
+        return true;
+      case 'remove-trust-anchor':
+        trustKey.remove({domain: trustKey.getKeyringDomain(request.keyringId), fingerprint: request.fingerprint.toLowerCase().replace(/\s/g, '')})
+        .then(() => sendResponse({error: null, data: null}))
+        .catch(err => sendResponse({error: mvelo.util.mapError(err)}));
+        return true;
       case 'has-private-key':
         if (request.fingerprint) {
           const fingerprint = request.fingerprint.toLowerCase().replace(/\s/g, '');
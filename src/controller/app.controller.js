@@ -5,12 +5,18 @@
 
 import mvelo from '../lib/lib-mvelo';
 import * as sub from './sub.controller';
-import {decryptFile, encryptFile} from '../modules/pgpModel';
-import {getById as keyringById, getAllKeyringAttr, setKeyringAttr, deleteKeyring, getKeyData} from '../modules/keyring';
+import {decryptFile, encryptFile, decryptFileStream, encryptFileStream, signFile, verifyFile} from '../modules/pgpModel';
+import * as fileStream from '../modules/fileStream';
+import {getById as keyringById, getAllKeyringAttr, setKeyringAttr, deleteKeyring, getKeyData, getPreferredKeyring} from '../modules/keyring';
 import {initScriptInjection} from '../lib/inject';
 import * as prefs from '../modules/prefs';
 import * as uiLog from '../modules/uiLog';
+import * as draftStore from '../modules/draftStore';
 import {getVersion} from '../modules/defaults';
+import {search as hkpSearch, lookup as hkpLookup} from '../modules/hkp';
+import {createSubmissionMail, createConfirmationResponse} from '../modules/wks';
+import * as trustKey from '../modules/trustKey';
+import {checkTransfer, transferKeys} from '../modules/keyringTransfer';
 import {gpgme} from '../lib/browser.runtime';
 
 const unlockQueue = new mvelo.util.PromiseQueue();
@@ -25,16 +31,44 @@ export default class AppController extends sub.SubController {
     // register event handlers
     this.on('get-prefs', () => prefs.prefs);
     this.on('set-prefs', this.updatePreferences);
-    this.on('decryptFile', ({encryptedFile}) => decryptFile(encryptedFile, this.unlockKey));
+    this.on('decryptFile', ({encryptedFile}) => decryptFile(encryptedFile, this.unlockKey, this.unlockMessage));
     this.on('encryptFile', encryptFile);
+    this.on('encrypt-file-stream', options => fileStream.create(stream => encryptFileStream({stream, ...options})));
+    this.on('decrypt-file-stream', ({name}) => fileStream.create(stream => decryptFileStream({stream, name, unlockKey: this.unlockKey, unlockMessage: this.unlockMessage})));
+    this.on('file-stream-write', ({streamId, chunk}) => fileStream.get(streamId).write(chunk));
+    this.on('file-stream-close', ({streamId}) => fileStream.get(streamId).close());
+    this.on('file-stream-read', ({streamId}) => fileStream.get(streamId).read());
+    this.on('file-stream-abort', ({streamId}) => fileStream.abort(streamId));
+    this.on('signFile', ({plainFile, signingKeyFpr, armor}) => signFile({plainFile, signingKeyFpr, armor, unlockKey: this.unlockKey}));
+    this.on('verifyFile', verifyFile);
+    this.on('get-signing-keys', this.getSigningKeys);
     this.on('getWatchList', prefs.getWatchList);
     this.on('getKeys', ({keyringId}) => keyringById(keyringId).getKeys());
     this.on('removeKey', this.removeKey);
     this.on('getArmoredKeys', this.getArmoredKeys);
     this.on('getKeyDetails', this.getKeyDetails);
     this.on('generateKey', this.generateKey);
+    this.on('revoke-key', this.revokeKey);
+    this.on('set-key-expiration-date', this.setKeyExpirationDate);
+    this.on('add-user', this.addUser);
+    this.on('set-primary-user', this.setPrimaryUser);
+    this.on('certify-user', this.certifyUser);
+    this.on('upload-key', ({fingerprint, keyringId}) => keyringById(keyringId).uploadKey(fingerprint));
+    this.on('get-wkd-archive', ({keyringId, keyFprs, all, method}) => keyringById(keyringId).getWKDArchive(keyFprs, {all, method}));
+    this.on('wks-create-submission', ({keyringId, fingerprint, email}) => createSubmissionMail({keyring: keyringById(keyringId), fingerprint, email}));
+    this.on('wks-create-confirmation', ({keyringId, armored}) => createConfirmationResponse({keyring: keyringById(keyringId), armored, unlockKey: this.unlockKey}));
+    this.on('get-key-verification', ({keyringId, fingerprint}) => keyringById(keyringId).getKeyVerification(fingerprint));
+    this.on('set-key-verified', ({keyringId, fingerprint}) => keyringById(keyringId).setKeyVerified(fingerprint));
+    this.on('get-revocation-cert', ({fingerprint, keyringId}) => keyringById(keyringId).getRevocationCertificate(fingerprint));
     this.on('importKeys', this.importKeys);
+    this.on('check-key-transfer', checkTransfer);
+    this.on('transfer-keys', this.transferKeys);
+    this.on('search-keyserver', this.searchKeyServer);
+    this.on('lookup-keyserver-key', ({fingerprint, keyId}) => hkpLookup({fingerprint, keyId}));
     this.on('set-watch-list', this.setWatchList);
+    this.on('get-trust-anchors', trustKey.getAll);
+    this.on('add-trust-anchor', ({domain, armored}) => trustKey.add({domain, armored, source: 'user'}));
+    this.on('remove-trust-anchor', trustKey.remove);
     this.on('init-script-injection', initScriptInjection);
     this.on('get-all-keyring-attr', getAllKeyringAttr);
     this.on('set-keyring-attr', ({keyringId, keyringAttr}) => setKeyringAttr(keyringId, keyringAttr));
@@ -42,6 +76,8 @@ export default class AppController extends sub.SubController {
     this.on('set-active-keyring', ({keyringId}) => sub.setActiveKeyringId(keyringId));
     this.on('delete-keyring', this.deleteKeyring);
     this.on('get-ui-log', ({securityLogLength}) => uiLog.getLatest(securityLogLength));
+    this.on('get-drafts', draftStore.getDrafts);
+    this.on('delete-draft', ({id}) => draftStore.deleteDraft(id));
     this.on('get-version', getVersion);
     this.on('get-all-key-data', () => getKeyData({allUsers: false}));
     this.on('open-tab', ({url}) => mvelo.tabs.create(url));
@@ -84,6 +120,31 @@ export default class AppController extends sub.SubController {
     });
   }
 
+  async revokeKey({keyringId, ...options}) {
+    await keyringById(keyringId).revokeKey({...options, unlockKey: this.unlockKey});
+    this.sendKeyUpdate();
+  }
+
+  async setKeyExpirationDate({keyringId, ...options}) {
+    await keyringById(keyringId).setKeyExpirationDate({...options, unlockKey: this.unlockKey});
+    this.sendKeyUpdate();
+  }
+
+  async addUser({keyringId, ...options}) {
+    await keyringById(keyringId).addUser({...options, unlockKey: this.unlockKey});
+    this.sendKeyUpdate();
+  }
+
+  async setPrimaryUser({keyringId, ...options}) {
+    await keyringById(keyringId).setPrimaryUser({...options, unlockKey: this.unlockKey});
+    this.sendKeyUpdate();
+  }
+
+  async certifyUser({keyringId, ...options}) {
+    await keyringById(keyringId).certifyUser({...options, unlockKey: this.unlockKey});
+    this.sendKeyUpdate();
+  }
+
   importKeys({keys, keyringId}) {
     return keyringById(keyringId).importKeys(keys)
     .then(result => {
@@ -92,6 +153,25 @@ export default class AppController extends sub.SubController {
     });
   }
 
+  async transferKeys(options) {
+    const result = await transferKeys({...options, unlockKey: this.unlockKey});
+    this.sendKeyUpdate();
+    return result;
+  }
+
+  async getSigningKeys() {
+    const keyring = getPreferredKeyring();
+    return {
+      privKeys: await keyring.getValidSigningKeys(),
+      defaultKeyFpr: await keyring.getDefaultKeyFpr()
+    };
+  }
+
+  async searchKeyServer({keyringId, query}) {
+    const keys = await hkpSearch(query);
+    return keyringById(keyringId).markKnownKeys(keys);
+  }
+
   sendKeyUpdate() {
     sub.getByMainType('editor').forEach(editorCntrl => editorCntrl.sendKeyUpdate());
   }
@@ -134,4 +214,9 @@ export default class AppController extends sub.SubController {
     const privKey = await unlockQueue.push(sub.factory.get('pwdDialog'), 'unlockKey', [{key}]);
     return privKey.key;
   }
+
+  async unlockMessage({message}) {
+    const {sessionKey} = await unlockQueue.push(sub.factory.get('pwdDialog'), 'unlockMessage', [{message}]);
+    return sessionKey;
+  }
 }
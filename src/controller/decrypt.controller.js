@@ -6,11 +6,12 @@
 import mvelo from '../lib/lib-mvelo';
 import {prefs} from '../modules/prefs';
 import * as model from '../modules/pgpModel';
-import {parseMessage} from '../modules/mime';
+import {parseMessage, isSignedMIME, getProtectedSubject} from '../modules/mime';
 import * as sub from './sub.controller';
 import * as uiLog from '../modules/uiLog';
 import {triggerSync} from './sync.controller';
 import {getPreferredKeyringId} from '../modules/keyring';
+import {processMessage as processAutocrypt} from '../modules/autocrypt';
 
 export default class DecryptController extends sub.SubController {
   constructor(port) {
@@ -63,18 +64,34 @@ export default class DecryptController extends sub.SubController {
 
   async decrypt(armored, keyringId) {
     try {
-      const {data, signatures} = await model.decryptMessage({
+      let {data, signatures} = await model.decryptMessage({
         armored,
         keyringId,
         unlockKey: this.unlockKey.bind(this),
-        senderAddress: this.options.senderAddress
+        unlockMessage: this.unlockMessage.bind(this),
+        senderAddress: this.options.senderAddress,
+        // PGP/MIME content can contain 8bit parts in other charsets than UTF-8
+        format: 'binary'
       });
+      if (!signatures.length && isSignedMIME(data)) {
+        // PGP/MIME message signed and encrypted in separate steps (RFC 3156 section 6.1)
+        try {
+          ({signatures} = await model.verifySignedMIME({rawText: data, keyringId, binary: true}));
+        } catch (e) {
+          console.log('Verification of signed PGP/MIME content failed', e);
+        }
+      }
+      // update Autocrypt peer state in the background
+      processAutocrypt({keyringId, rawText: data, senderAddress: this.options.senderAddress})
+      .catch(e => console.log('Processing of Autocrypt headers failed', e));
       const ports = this.ports;
+      // the real subject of messages with protected headers, it never leaves the decrypt dialog
+      const subject = getProtectedSubject(data, {binary: true});
       const handlers = {
         noEvent: true,
         onMessage(msg) {
           this.noEvent = false;
-          ports.dDialog.emit('decrypted-message', {message: msg});
+          ports.dDialog.emit('decrypted-message', {message: msg, subject});
         },
         onAttachment(attachment) {
           this.noEvent = false;
@@ -84,7 +101,7 @@ export default class DecryptController extends sub.SubController {
       if (this.ports.dDialog && signatures) {
         this.ports.dDialog.emit('signature-verification', {signers: signatures});
       }
-      await parseMessage(data, handlers, 'html');
+      await parseMessage(data, handlers, 'html', {binary: true});
       if (this.ports.decryptCont) {
         this.ports.decryptCont.emit('decrypt-done');
       }
@@ -131,4 +148,12 @@ export default class DecryptController extends sub.SubController {
     triggerSync({keyring: this.keyringId, key: unlockedKey.key, password: unlockedKey.password});
     return unlockedKey.key;
   }
+
+  async unlockMessage({message}) {
+    const pwdControl = sub.factory.get('pwdDialog');
+    const openPopup = this.ports.decryptCont || prefs.security.display_decrypted == mvelo.DISPLAY_INLINE;
+    const beforePasswordRequest = id => this.ports.dPopup && this.ports.dPopup.emit('show-pwd-dialog', {id});
+    const {sessionKey} = await pwdControl.unlockMessage({message, openPopup, beforePasswordRequest});
+    return sessionKey;
+  }
 }
@@ -13,11 +13,17 @@ import {prefs} from '../modules/prefs';
 import * as model from '../modules/pgpModel';
 import * as sub from './sub.controller';
 import * as uiLog from '../modules/uiLog';
-import {parseMessage, buildMail} from '../modules/mime';
+import {parseMessage, buildMail, getProtectedSubject, SUBJECT_PLACEHOLDER} from '../modules/mime';
 import {triggerSync} from './sync.controller';
 import {isEnabled as isAutoLocateEnabled, locate} from '../modules/autoLocate';
 import {getById as getKeyringById, getPreferredKeyringId, getKeyData, getKeyByAddress, syncPublicKeys} from '../modules/keyring';
 import {mapAddressKeyMapToFpr} from '../modules/key';
+import {getRecommendations as getAutocryptRecommendations, getOutgoingHeaders as getAutocryptHeaders} from '../modules/autocrypt';
+import {getAddressStates, observeKeys} from '../modules/keyVerification';
+import * as draftStore from '../modules/draftStore';
+
+// interval of the draft autosave of the editor popup in ms
+const AUTOSAVE_INTERVAL = 30000;
 
 export default class EditorController extends sub.SubController {
   constructor(port) {
@@ -34,6 +40,11 @@ export default class EditorController extends sub.SubController {
     this.pwdControl = null;
     this.pgpMIME = false;
     this.options = {};
+    this.draftId = null;
+    this.restorableDraftId = null;
+    this.autosaveTimer = null;
+    // pending save of the draft
+    this.draftSave = Promise.resolve();
 
     // register event handlers
     this.on('editor-init', this.onEditorInit);
@@ -43,6 +54,8 @@ export default class EditorController extends sub.SubController {
     // standalone editor only
     this.on('editor-cancel', this.onEditorCancel);
     this.on('sign-only', this.onSignOnly);
+    this.on('editor-draft', this.onEditorDraft);
+    this.on('editor-restore-draft', this.onEditorRestoreDraft);
     // API only
     this.on('editor-container-encrypt', this.onEditorContainerEncrypt);
     this.on('editor-container-create-draft', this.onEditorContainerCreateDraft);
@@ -65,7 +78,102 @@ export default class EditorController extends sub.SubController {
         recipients = await this.options.getRecipients();
       }
       await this.setRecipientData(recipients);
+      await this.startAutosave();
+    }
+  }
+
+  /**
+   * Start the periodic autosave of the editor popup in a webmail tab. The user
+   * is asked to restore the most recent draft of the webmail that is not already open.
+   */
+  async startAutosave() {
+    if (!this.options.host) {
+      return;
+    }
+    this.draftId = mvelo.util.getHash();
+    draftStore.setOpen(this.draftId, true);
+    const draft = await draftStore.getRestorableDraft(this.options.host, this.keyringId);
+    if (draft) {
+      this.restorableDraftId = draft.id;
+      this.ports.editor.emit('show-restore-draft', {lastModified: draft.lastModified});
+    }
+    this.autosaveTimer = setInterval(() => this.ports.editor.emit('get-draft'), AUTOSAVE_INTERVAL);
+  }
+
+  /**
+   * Stop the autosave, a pending save of the draft is completed first
+   * @param  {Boolean} deleteDraft - the draft is not required anymore, e.g. the message was encrypted
+   */
+  async stopAutosave(deleteDraft) {
+    clearInterval(this.autosaveTimer);
+    const draftId = this.draftId;
+    if (!draftId) {
+      return;
+    }
+    this.draftId = null;
+    await this.draftSave;
+    draftStore.setOpen(draftId, false);
+    if (deleteDraft) {
+      try {
+        await draftStore.deleteDraft(draftId);
+      } catch (e) {
+        console.log('Deleting of the draft failed', e);
+      }
+    }
+  }
+
+  /**
+   * Encrypt the editor content with the default key and save it as draft, the draft
+   * is deleted if the editor is empty. Saves of the draft are processed in order.
+   * @param {String} options.message - body of the message
+   * @param {String} [options.html] - body of the message as HTML (rich text editor)
+   * @param {String} [options.subject] - subject of the message
+   */
+  onEditorDraft(options) {
+    const draftId = this.draftId;
+    if (!draftId) {
+      return;
+    }
+    this.draftSave = this.draftSave.then(() => this.saveDraft(draftId, options));
+    return this.draftSave;
+  }
+
+  async saveDraft(draftId, {message, html, subject}) {
+    try {
+      if (!message.trim() && !subject) {
+        await draftStore.deleteDraft(draftId);
+        return;
+      }
+      const defaultKeyFpr = await getKeyringById(this.keyringId).getDefaultKeyFpr();
+      if (!defaultKeyFpr) {
+        return;
+      }
+      // attachments are not saved in the draft to limit its size
+      const data = buildMail({message, html, subject, pgpMIME: true});
+      const armored = await model.encryptMessage({data, keyringId: this.keyringId, encryptionKeyFprs: [defaultKeyFpr]});
+      await draftStore.saveDraft({id: draftId, armored, host: this.options.host, keyringId: this.keyringId});
+    } catch (e) {
+      console.log('Autosave of the draft failed', e);
+    }
+  }
+
+  /**
+   * The user accepted to restore the previous draft, the editor continues to save to this draft
+   */
+  async onEditorRestoreDraft() {
+    if (!this.draftId || !this.restorableDraftId) {
+      return;
     }
+    try {
+      const {armored} = await draftStore.getDraft(this.restorableDraftId);
+      draftStore.setOpen(this.draftId, false);
+      this.draftId = this.restorableDraftId;
+      draftStore.setOpen(this.draftId, true);
+      await this.decryptArmored(armored, {restoreDraft: true});
+    } catch (error) {
+      this.ports.editor.emit('decrypt-failed', {error: mvelo.util.mapError(error)});
+    }
+    this.restorableDraftId = null;
   }
 
   /**
@@ -80,7 +188,13 @@ export default class EditorController extends sub.SubController {
     // get all public keys from required keyrings
     const keys = await getKeyData({keyringId: this.keyringId});
     const autoLocate = isAutoLocateEnabled();
-    this.emit('public-key-userids', {keys, recipients, autoLocate});
+    const autocrypt = await getAutocryptRecommendations(this.keyringId);
+    const verification = await getAddressStates(this.keyringId, keys);
+    const trustMarginal = prefs.general.gnupg_trust_marginal;
+    // keys that are always added to the recipients are shown as locked
+    const encryptToKeyFprs = await getKeyringById(this.keyringId).getEncryptToKeyFprs(this.options.encryptToSelf);
+    const lockedKeys = encryptToKeyFprs.map(keyFpr => keys.find(key => key.fingerprint === keyFpr)).filter(key => key);
+    this.emit('public-key-userids', {keys, recipients, lockedKeys, autoLocate, autocrypt, verification, trustMarginal});
   }
 
   async onEditorOptions(msg) {
@@ -90,7 +204,10 @@ export default class EditorController extends sub.SubController {
     const defaultKeyFpr = await keyring.getDefaultKeyFpr();
     const data = {
       signMsg: this.options.signMsg,
-      defaultKeyFpr
+      hiddenRecipients: this.options.hiddenRecipients,
+      protectedSubject: this.options.protectedSubject,
+      defaultKeyFpr,
+      editorType: prefs.general.editor_type
     };
     if (msg.options.privKeys) {
       data.privKeys = await keyring.getValidSigningKeys();
@@ -110,6 +227,8 @@ export default class EditorController extends sub.SubController {
   }
 
   onEditorCancel() {
+    // the draft is kept to be restored later
+    this.stopAutosave(false);
     if (this.editorPopup) {
       this.editorPopup.close();
       this.editorPopup = null;
@@ -134,12 +253,7 @@ export default class EditorController extends sub.SubController {
     msg.recipients.forEach(recipient => {
       keyFprs = keyFprs.concat(keyFprMap[recipient]);
     });
-    if (prefs.general.auto_add_primary) {
-      const defaultKeyFpr = await getKeyringById(this.keyringId).getDefaultKeyFpr();
-      if (defaultKeyFpr) {
-        keyFprs.push(defaultKeyFpr);
-      }
-    }
+    keyFprs.push(...await getKeyringById(this.keyringId).getEncryptToKeyFprs(this.options.encryptToSelf));
     this.keyFprBuffer = mvelo.util.sortAndDeDup(keyFprs);
     // ensure that all keys are available in the API keyring
     syncPublicKeys({keyringId: this.keyringId, keyIds: this.keyFprBuffer});
@@ -192,7 +306,9 @@ export default class EditorController extends sub.SubController {
   async sendKeyUpdate() {
     // send updated key cache to editor
     const keys = await getKeyData({keyringId: this.keyringId});
-    this.ports.editor.emit('key-update', {keys});
+    const autocrypt = await getAutocryptRecommendations(this.keyringId);
+    const verification = await getAddressStates(this.keyringId, keys);
+    this.ports.editor.emit('key-update', {keys, autocrypt, verification});
   }
 
   /**
@@ -203,7 +319,8 @@ export default class EditorController extends sub.SubController {
    * @param {String} quotedMail - mail that should be quoted
    * @param {boolean} quotedMailIndent - if true the quoted mail will be indented
    * @param {Function} getRecipients - retrieve recipient email addresses
-   * @return {Promise<Object>} - {armored, recipients}
+   * @param {Boolean} protectedSubject - show subject input, the subject is encrypted as protected header
+   * @return {Promise<Object>} - {armored, recipients, subject}, subject is the placeholder for the webmail if the subject is encrypted
    */
   encrypt(options) {
     this.options = options;
@@ -250,8 +367,9 @@ export default class EditorController extends sub.SubController {
   /**
    * Decrypt armored message
    * @param {String} armored
+   * @param {Boolean} [options.restoreDraft] - armored is an autosaved draft that replaces the editor content
    */
-  async decryptArmored(armored) {
+  async decryptArmored(armored, {restoreDraft} = {}) {
     try {
       this.options.selfSigned = Boolean(this.options.armoredDraft);
       const unlockKey = async options => {
@@ -267,7 +385,8 @@ export default class EditorController extends sub.SubController {
         unlockKey,
         options: this.options
       });
-      const options = this.options;
+      // quoting options don't apply to a restored draft
+      const options = restoreDraft ? {keepAttachments: true} : this.options;
       const ports = this.ports;
       const handlers = {
         onMessage(msg) {
@@ -296,6 +415,12 @@ export default class EditorController extends sub.SubController {
           throw {message: 'Restoring of the draft failed due to invalid signature.'};
         }
       }
+      if (this.options.armoredDraft || restoreDraft) {
+        const subject = getProtectedSubject(data);
+        if (subject) {
+          this.ports.editor.emit('set-subject', {subject});
+        }
+      }
       await parseMessage(data, handlers, 'text');
       this.ports.editor.emit('decrypt-end');
     } catch (error) {
@@ -308,22 +433,32 @@ export default class EditorController extends sub.SubController {
    * Receive plaintext from editor, initiate encryption
    * @param {String} options.action - 'sign' or 'encrypt'
    * @param {String} options.message - body of the message
+   * @param {String} [options.html] - body of the message as HTML (rich text editor)
    * @param {String} options.keys - key data object (user id, key id, fingerprint, email and name)
    * @param {Array} options.attachments - file attachments
    * @param {Boolen} options.signMsg - indicator if (encrypted) message should be signed
    * @param {Array<String>} options.signKeyFpr - fingerprint of key to sign the message
    * @param {Boolean} options.noCache - do not use password cache, user interaction required
+   * @param {String} [options.password] - password to protect the message with in addition to the keys
+   * @param {Array<Object>} [options.recipientsWithoutKey] - recipients {email} that can only decrypt with the password
+   * @param {Boolean} [options.hiddenRecipients] - hide the key IDs of the recipients in the message
+   * @param {String} [options.subject] - subject that is encrypted as protected header
    */
   async onEditorPlaintext(options) {
     options.keys = options.keys || [];
     try {
       const armored = await this.signAndEncrypt(options);
+      if (options.action === 'encrypt') {
+        // record the keys of the recipients on first use
+        observeKeys(this.keyringId, options.keys)
+        .catch(e => console.log('Recording of key verification state failed', e));
+      }
       this.ports.editor.emit('encrypt-end');
       if (this.editorPopup) {
         this.editorPopup.close();
         this.editorPopup = null;
       }
-      this.transferEncrypted({armored, keys: options.keys});
+      this.transferEncrypted({armored, keys: options.keys, recipientsWithoutKey: options.recipientsWithoutKey, subject: options.subject});
     } catch (err) {
       if (this.editorPopup && err.code === 'PWD_DIALOG_CANCEL') {
         // popup case
@@ -345,17 +480,25 @@ export default class EditorController extends sub.SubController {
    * Encrypt, sign & encrypt, or sign only operation
    * @param {String} options.action - 'sign' or 'encrypt'
    * @param {String} options.message - body of the message
+   * @param {String} [options.html] - body of the message as HTML (rich text editor)
    * @param {String} options.keys - key data object (user id, key id, fingerprint, email and name)
    * @param {Array} options.attachments - file attachments
    * @param {Boolen} options.signMsg - indicator if (encrypted) message should be signed
    * @param {Array<String>} options.signKeyFpr - fingerprint of key to sign the message
    * @param {Boolean} options.noCache - do not use password cache, user interaction required
+   * @param {String} [options.password] - password to protect the message with in addition to the keys
+   * @param {Boolean} [options.hiddenRecipients] - hide the key IDs of the recipients in the message
+   * @param {String} [options.subject] - subject that is encrypted as protected header
    * @return {Promise<String>} - message as armored block
    */
   async signAndEncrypt(options) {
     if (options.action === 'encrypt') {
       let data = null;
-      options.pgpMIME = this.pgpMIME;
+      // HTML content and protected headers are always encrypted as a single PGP/MIME entity
+      options.pgpMIME = this.pgpMIME || Boolean(options.html) || Boolean(options.subject);
+      if (options.pgpMIME) {
+        options.headers = await this.getAutocryptHeaders(options);
+      }
       try {
         data = buildMail(options);
       } catch (error) {
@@ -372,15 +515,23 @@ export default class EditorController extends sub.SubController {
           data,
           keyFprs,
           signKeyFpr: options.signKeyFpr,
-          noCache: options.noCache
+          password: options.password,
+          noCache: options.noCache,
+          hiddenRecipients: options.hiddenRecipients
         });
       } else {
         return this.encryptMessage({
           data,
-          keyFprs
+          keyFprs,
+          password: options.password,
+          hiddenRecipients: options.hiddenRecipients
         });
       }
     } else if (options.action === 'sign') {
+      if (options.html) {
+        // the cleartext signature can only protect the plain text of the message
+        throw new mvelo.Error('Sign only is not supported for rich text messages.', 'SIGN_RICH_TEXT_NOT_SUPPORTED');
+      }
       return this.signMessage({
         data: options.message,
         signKeyFpr: this.signKeyFpr
@@ -388,15 +539,33 @@ export default class EditorController extends sub.SubController {
     }
   }
 
+  /**
+   * Autocrypt headers of the sender and gossip for the recipients
+   * @param {String} options.keys - key data object of the recipients
+   * @param {String} [options.signKeyFpr] - fingerprint of key to sign the message
+   * @return {Promise<Array<Object>>} - {name, value} of the headers
+   */
+  async getAutocryptHeaders({keys, signKeyFpr}) {
+    try {
+      const senderKeyFpr = signKeyFpr || await getKeyringById(this.keyringId).getDefaultKeyFpr();
+      return await getAutocryptHeaders({keyringId: this.keyringId, senderKeyFpr, recipients: keys});
+    } catch (e) {
+      console.log('Creating Autocrypt headers failed', e);
+      return [];
+    }
+  }
+
   /**
    * Sign and encrypt message
    * @param {String} data - message content
    * @param {Array<String>} keyFprs - encryption keys fingerprint
    * @param {String} signKeyFpr - signing key fingerprint
+   * @param {String} [password] - password to protect the message with
    * @param {Boolean} noCache - do not use password cache, user interaction required
+   * @param {Boolean} [hiddenRecipients] - hide the key IDs of the recipients
    * @return {Promise<String>} - message as armored block
    */
-  async signAndEncryptMessage({data, signKeyFpr, keyFprs, noCache}) {
+  async signAndEncryptMessage({data, signKeyFpr, keyFprs, password, noCache, hiddenRecipients}) {
     if (!signKeyFpr) {
       const defaultKeyFpr = await getKeyringById(this.keyringId).getDefaultKeyFpr();
       signKeyFpr = defaultKeyFpr;
@@ -416,8 +585,10 @@ export default class EditorController extends sub.SubController {
       unlockKey,
       encryptionKeyFprs: keyFprs,
       signingKeyFpr: signKeyFpr,
+      password,
       uiLogSource: 'security_log_editor',
-      noCache
+      noCache,
+      hiddenRecipients
     });
   }
 
@@ -425,9 +596,11 @@ export default class EditorController extends sub.SubController {
    * Encrypt only message
    * @param {String} data - message content
    * @param {Array<String>} keyFprs - encryption keys fingerprint
+   * @param {String} [password] - password to protect the message with
+   * @param {Boolean} [hiddenRecipients] - hide the key IDs of the recipients
    * @return {Promise<String>} - message as armored block
    */
-  encryptMessage({data, keyFprs}) {
+  encryptMessage({data, keyFprs, password, hiddenRecipients}) {
     this.encryptTimer = setTimeout(() => {
       this.ports.editor.emit('encrypt-in-progress');
     }, 800);
@@ -435,7 +608,9 @@ export default class EditorController extends sub.SubController {
       data,
       keyringId: this.keyringId,
       encryptionKeyFprs: keyFprs,
-      uiLogSource: 'security_log_editor'
+      password,
+      uiLogSource: 'security_log_editor',
+      hiddenRecipients
     });
   }
 
@@ -461,13 +636,21 @@ export default class EditorController extends sub.SubController {
    * Transfer the encrypted/signed armored message and recipients back to the webmail interface or editor container
    * @param  {String} options.armored   The encrypted/signed message
    * @param  {Array}  options.keys      The keys used to encrypt the message
+   * @param  {Array}  [options.recipientsWithoutKey] Recipients of a password protected message without key
+   * @param  {String} [options.subject]   The subject encrypted as protected header
    */
   transferEncrypted(options) {
     if (this.ports.editorCont) {
       this.ports.editorCont.emit('encrypted-message', {message: options.armored});
     } else {
-      const recipients = (options.keys || []).map(k => ({name: k.name, email: k.email}));
-      this.encryptDone.resolve({armored: options.armored, recipients});
+      this.stopAutosave(true);
+      const recipients = (options.keys || []).map(k => ({name: k.name, email: k.email})).concat(options.recipientsWithoutKey || []);
+      const result = {armored: options.armored, recipients};
+      if (options.subject) {
+        // the real subject is encrypted, the webmail only gets the placeholder
+        result.subject = SUBJECT_PLACEHOLDER;
+      }
+      this.encryptDone.resolve(result);
     }
   }
 
@@ -486,7 +669,7 @@ export default class EditorController extends sub.SubController {
   }
 
   /**
-   * Collect all the key fingerprints to encrypto to, including the sender's key.
+   * Collect all the key fingerprints to encrypto to, including the sender's key and archive keys.
    * @param  {Array<Object>} keys - the public key objects containing the key fingerprint
    * @return {Array<String>} - A collection of all key fingerprints to encrypt to
    */
@@ -497,14 +680,8 @@ export default class EditorController extends sub.SubController {
       keyFprs = this.keyFprBuffer;
     } else {
       keyFprs = keys.map(key => key.fingerprint);
-      // get the sender key fingerprint
-      if (prefs.general.auto_add_primary) {
-        const localKeyring = getKeyringById(this.keyringId);
-        const defaultKeyFpr = await localKeyring.getDefaultKeyFpr();
-        if (defaultKeyFpr) {
-          keyFprs.push(defaultKeyFpr);
-        }
-      }
+      // add the sender key and archive keys according to the keyring policy
+      keyFprs.push(...await getKeyringById(this.keyringId).getEncryptToKeyFprs(this.options.encryptToSelf));
     }
     // deduplicate
     return mvelo.util.sortAndDeDup(keyFprs);
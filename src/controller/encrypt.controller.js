@@ -24,6 +24,7 @@ export default class EncryptController extends sub.SubController {
    * Opens a new editor control and gets the recipients to encrypt plaintext
    * input to their public keys.
    * @param  {String} options.text   The plaintext input to encrypt
+   * @param  {String} options.host   The webmail host
    */
   onEncryptFrameDisplayEditor(options) {
     if (this.editorControl) {
@@ -36,10 +37,12 @@ export default class EncryptController extends sub.SubController {
       predefinedText: options.text,
       quotedMail: options.quotedMail,
       quotedMailIndent: !this.editorContentModified,
-      getRecipients: this.getRecipients.bind(this)
+      getRecipients: this.getRecipients.bind(this),
+      protectedSubject: prefs.general.protected_subject,
+      host: options.host
     })
-    .then(({armored, recipients}) => {
-      this.emit('set-editor-output', {text: armored, recipients});
+    .then(({armored, recipients, subject}) => {
+      this.emit('set-editor-output', {text: armored, recipients, subject});
       this.editorContentModified = true;
       this.editorControl = null;
     })
@@ -9,6 +9,7 @@ import {SubController} from './sub.controller';
 import * as uiLog from '../modules/uiLog';
 import {getUserId} from '../modules/key';
 import * as pwdCache from '../modules/pwdCache';
+import {symDecryptSessionKey} from '../modules/crypto';
 
 export default class PwdController extends SubController {
   constructor(port) {
@@ -30,6 +31,11 @@ export default class PwdController extends SubController {
   }
 
   async onPwdDialogInit() {
+    if (this.options.message) {
+      // password of a message, no key and no password cache involved
+      this.ports.pwdDialog.emit('set-init-data', {message: true});
+      return;
+    }
     // pass over keyId and userId to dialog
     this.ports.pwdDialog.emit('set-init-data', {
       userId: await getUserId(this.options.key, false),
@@ -43,15 +49,15 @@ export default class PwdController extends SubController {
     Promise.resolve()
     .then(() => {
       this.options.password = msg.password;
-      if (msg.cache != prefs.prefs.security.password_cache) {
+      if (!this.options.message && msg.cache != prefs.prefs.security.password_cache) {
         // update pwd cache status
         return prefs.update({security: {password_cache: msg.cache}});
       }
     })
-    .then(() => pwdCache.unlock(this.options))
-    .then(key => {
+    .then(() => this.unlock())
+    .then(result => {
       this.closePopup();
-      this.resolve({key, password: this.options.password});
+      this.resolve({...result, password: this.options.password});
     })
     .catch(err => {
       if (err.code == 'WRONG_PASSWORD') {
@@ -66,6 +72,17 @@ export default class PwdController extends SubController {
     });
   }
 
+  /**
+   * Unlock key or decrypt the session key of the message with the entered password
+   * @return {Promise<Object>} - {key: openpgp.key.Key} or {sessionKey: Object}
+   */
+  async unlock() {
+    if (this.options.message) {
+      return {sessionKey: await symDecryptSessionKey(this.options.message, this.options.password)};
+    }
+    return {key: await pwdCache.unlock(this.options)};
+  }
+
   onCancel() {
     this.closePopup();
     this.reject(new mvelo.Error(mvelo.l10n.getMessage('pwd_dialog_cancel'), 'PWD_DIALOG_CANCEL'));
@@ -110,23 +127,40 @@ export default class PwdController extends SubController {
           return pwdCache.unlock(this.options)
           .then(key => resolve({key, password: this.options.password}));
         }
-        if (this.options.beforePasswordRequest) {
-          this.options.beforePasswordRequest(this.id);
-        }
-        if (this.options.openPopup) {
-          mvelo.windows.openPopup(`components/enter-password/pwdDialog.html?id=${this.id}`, {width: 470, height: 445})
-          .then(popup => {
-            this.pwdPopup = popup;
-            popup.addRemoveListener(() => {
-              this.pwdPopup = null;
-              this.onCancel();
-            });
-          });
-        }
-        this.resolve = resolve;
-        this.reject = reject;
+        this.requestPassword(resolve, reject);
+      });
+    }
+  }
+
+  /**
+   * Request the password of a message that is encrypted with a password
+   * @param {Object} options
+   * @param {Uint8Array} options.message - binary message with symmetric-key encrypted session key packets
+   * @param {Boolean} [options.openPopup=true] - password popup required (false if dialog appears integrated)
+   * @param {Function} [options.beforePasswordRequest] - called before password entry required
+   * @return {Promise<Object, Error>} - resolves with session key and password {sessionKey: Object, password: String}
+   */
+  unlockMessage(options) {
+    this.options = {openPopup: true, ...options};
+    return new Promise((resolve, reject) => this.requestPassword(resolve, reject));
+  }
+
+  requestPassword(resolve, reject) {
+    if (this.options.beforePasswordRequest) {
+      this.options.beforePasswordRequest(this.id);
+    }
+    if (this.options.openPopup) {
+      mvelo.windows.openPopup(`components/enter-password/pwdDialog.html?id=${this.id}`, {width: 470, height: 445})
+      .then(popup => {
+        this.pwdPopup = popup;
+        popup.addRemoveListener(() => {
+          this.pwdPopup = null;
+          this.onCancel();
+        });
       });
     }
+    this.resolve = resolve;
+    this.reject = reject;
   }
 
   /**
@@ -5,12 +5,17 @@
 
 import mvelo from '../mvelo';
 import * as l10n from './l10n';
+import {createZip, readZip} from './zip';
 
 l10n.register([
   'editor_remove_upload',
+  'encrypt_archive_too_big',
   'encrypt_download_file_button'
 ]);
 
+// size of the chunks in which files are transferred to a file stream
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+
 /**
  * @param {File} file
  * @param {Number} file.size
@@ -62,6 +67,138 @@ export function readUploadFile(file, onLoadEnd) {
   });
 }
 
+/**
+ * Process file as stream in the background. The file is read and transferred in chunks, the output is collected
+ * in a Blob which the browser can keep outside of the memory of the page.
+ * @param {File} options.file
+ * @param {String} options.streamId - ID of the file stream in the background
+ * @param {EventHandler} options.port - port to the background
+ * @param {Function} [options.onProgress] - receives the share of the file that was processed (0..1)
+ * @returns {Promise<Object>} - {blob: Blob, filename: String}
+ */
+export async function streamFile({file, streamId, port, onProgress = () => {}}) {
+  const write = async() => {
+    for (let offset = 0; offset < file.size; offset += STREAM_CHUNK_SIZE) {
+      const chunk = mvelo.util.ab2str(await readArrayBuffer(file.slice(offset, offset + STREAM_CHUNK_SIZE)));
+      await port.send('file-stream-write', {streamId, chunk});
+      onProgress(Math.min(offset + STREAM_CHUNK_SIZE, file.size) / file.size);
+    }
+    await port.send('file-stream-close', {streamId});
+  };
+  const read = async() => {
+    const parts = [];
+    let result;
+    do {
+      result = await port.send('file-stream-read', {streamId});
+      if (result.chunk) {
+        parts.push(new Blob([mvelo.util.str2ab(result.chunk)]));
+      }
+    } while (!result.done);
+    return {blob: new Blob(parts, {type: 'application/octet-stream'}), filename: result.filename};
+  };
+  try {
+    const [, result] = await Promise.all([write(), read()]);
+    return result;
+  } catch (e) {
+    port.emit('file-stream-abort', {streamId});
+    throw e;
+  }
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readArrayBuffer(blob) {
+  return new Promise((resolve, reject) => {
+    const fileReader = new FileReader();
+    fileReader.onload = () => resolve(fileReader.result);
+    fileReader.onerror = () => reject(fileReader.error);
+    fileReader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Get the files of a drop event, dropped directories are read recursively
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<Object>>} - {file: File, path: String}, path of the file relative to the drop target
+ */
+export async function getDroppedFiles(dataTransfer) {
+  // entries are only accessible during the drop event
+  const entries = Array.from(dataTransfer.items).map(item => item.webkitGetAsEntry()).filter(entry => entry);
+  const files = [];
+  for (const entry of entries) {
+    files.push(...await readEntry(entry));
+  }
+  return files;
+}
+
+/**
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<Array<Object>>} - {file: File, path: String}
+ */
+async function readEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{file, path: entry.fullPath.replace(/^\//, '')}];
+  }
+  const reader = entry.createReader();
+  const files = [];
+  let entries;
+  // the entries of a directory are returned in batches until an empty batch signals the end
+  do {
+    entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of entries) {
+      files.push(...await readEntry(child));
+    }
+  } while (entries.length);
+  return files;
+}
+
+/**
+ * Bundle files in a ZIP archive. The archive is created in memory, therefore its content
+ * is limited to the size limit of in-memory processing.
+ * @param {Array<Object>} files - {name, path, content, file}, content as data URL, large files as File object
+ * @param {String} name - file name of the archive
+ * @returns {Promise<File>}
+ * @throws {Error} - if the files exceed the size limit
+ */
+export async function createArchive(files, name) {
+  // large files are only processed as stream
+  if (files.some(({file}) => file)) {
+    throw archiveTooBigError();
+  }
+  const entries = files.map(({name, path, content}) => ({name: path || name, content: mvelo.util.str2Uint8Array(mvelo.util.dataURL2str(content))}));
+  const size = entries.reduce((total, {content}) => total + content.length, 0);
+  if (isOversize({size})) {
+    throw archiveTooBigError();
+  }
+  return new File([createZip(entries)], name, {type: 'application/zip'});
+}
+
+function archiveTooBigError() {
+  return new mvelo.Error(l10n.map.encrypt_archive_too_big.replace('##', Math.ceil(mvelo.MAX_FILE_UPLOAD_SIZE / 1024 / 1024)), 'ARCHIVE_TOO_BIG');
+}
+
+/**
+ * Unpack ZIP archive for the download of the contained files. Archives beyond the size limit
+ * of in-memory processing are not unpacked.
+ * @param {Uint8Array|Blob} archive
+ * @returns {Promise<Array<Object>>} - {id, name, objectURL}, name with the path in the archive, directories are omitted
+ * @throws {Error} - if the archive is not supported
+ */
+export async function unpackArchive(archive) {
+  if (isOversize({size: archive instanceof Blob ? archive.size : archive.length})) {
+    throw new mvelo.Error('Archive exceeds the size limit of in-memory processing', 'ARCHIVE_TOO_BIG');
+  }
+  const data = archive instanceof Blob ? new Uint8Array(await readArrayBuffer(archive)) : archive;
+  return readZip(data).filter(({name}) => !name.endsWith('/')).map(({name, content}) => ({
+    id: mvelo.util.getHash(),
+    name,
+    objectURL: window.URL.createObjectURL(new Blob([content], {type: 'application/octet-stream'}))
+  }));
+}
+
 export function createFileElement(file, options) {
   options = options || {};
   const $button = $('<div/>', {
@@ -0,0 +1,188 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Minimal writer and reader for ZIP archives. Files are only stored
+ * without compression, which is sufficient for the small and already
+ * compressed OpenPGP data that Mailvelope exports. Encrypting the archive
+ * compresses it anyway.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+// ZIP specification version 1.0: stored files and directories
+const VERSION = 10;
+// general purpose flag: file names are UTF-8 encoded
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+
+let crcTable;
+
+/**
+ * Calculate CRC-32 checksum as required by the ZIP format
+ * @param  {Uint8Array} data
+ * @return {Number}
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Create ZIP archive
+ * @param  {Array<Object>} files - {name: String, content: Uint8Array|String, date: Date}, names with trailing '/' are directories,
+ *                                 string content is encoded as UTF-8
+ * @return {Uint8Array} - the ZIP archive
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    let content = file.content || new Uint8Array(0);
+    if (typeof content === 'string') {
+      content = encoder.encode(content);
+    }
+    const entry = {
+      name,
+      crc: crc32(content),
+      size: content.length,
+      ...dosDateTime(file.date || new Date())
+    };
+    const localHeader = fileHeader(LOCAL_FILE_HEADER, entry, offset);
+    localParts.push(localHeader, content);
+    centralParts.push(fileHeader(CENTRAL_DIRECTORY_HEADER, entry, offset));
+    offset += localHeader.length + content.length;
+  }
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Read ZIP archive. Only archives with stored files are supported, as created by createZip.
+ * @param  {Uint8Array} data - the ZIP archive
+ * @return {Array<Object>} - {name: String, content: Uint8Array, date: Date}, names with trailing '/' are directories
+ * @throws {Error} - if data is not a supported ZIP archive
+ */
+export function readZip(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const end = data.length - 22;
+  if (end < 0 || view.getUint32(end, true) !== END_OF_CENTRAL_DIRECTORY) {
+    throw new Error('Unsupported ZIP archive: end of central directory not found');
+  }
+  const decoder = new TextDecoder();
+  const files = [];
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > end || view.getUint32(pos, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Unsupported ZIP archive: invalid central directory');
+    }
+    if (view.getUint16(pos + 10, true) !== METHOD_STORED) {
+      throw new Error('Unsupported ZIP archive: compressed files');
+    }
+    const time = view.getUint16(pos + 12, true);
+    const date = view.getUint16(pos + 14, true);
+    const crc = view.getUint32(pos + 16, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(data.subarray(pos + 46, pos + 46 + nameLength));
+    // content starts after local file header whose name and extra field may differ from the central directory
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const content = data.subarray(start, start + size);
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`Unsupported ZIP archive: invalid content of ${name}`);
+    }
+    files.push({name, content, date: fromDosDateTime(time, date)});
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  return files;
+}
+
+/**
+ * Local file header and central directory header share most fields
+ */
+function fileHeader(signature, {name, crc, size, time, date}, offset) {
+  const central = signature === CENTRAL_DIRECTORY_HEADER;
+  const headerLength = central ? 46 : 30;
+  const header = new DataView(new ArrayBuffer(headerLength + name.length));
+  let pos = 0;
+  const uint16 = value => {
+    header.setUint16(pos, value, true);
+    pos += 2;
+  };
+  const uint32 = value => {
+    header.setUint32(pos, value, true);
+    pos += 4;
+  };
+  uint32(signature);
+  if (central) {
+    uint16(VERSION); // version made by
+  }
+  uint16(VERSION); // version needed to extract
+  uint16(FLAG_UTF8);
+  uint16(METHOD_STORED);
+  uint16(time);
+  uint16(date);
+  uint32(crc);
+  uint32(size); // compressed size
+  uint32(size); // uncompressed size
+  uint16(name.length);
+  uint16(0); // extra field length
+  if (central) {
+    uint16(0); // file comment length
+    uint16(0); // disk number start
+    uint16(0); // internal file attributes
+    uint32(0); // external file attributes
+    uint32(offset); // relative offset of local header
+  }
+  const result = new Uint8Array(header.buffer);
+  result.set(name, headerLength);
+  return result;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function fromDosDateTime(time, date) {
+  return new Date((date >> 9) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) << 1);
+}
+
+function concat(arrays) {
+  const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
@@ -7,6 +7,7 @@ import mvelo from '../lib/lib-mvelo';
 import {gpgme} from '../lib/browser.runtime';
 import * as openpgp from 'openpgp';
 import {KeyStoreBase} from './keyStore';
+import {VALIDITY} from './gnupg';
 
 export default class KeyStoreGPG extends KeyStoreBase {
   async load() {
@@ -25,6 +26,8 @@ export default class KeyStoreGPG extends KeyStoreBase {
         this.publicKeys.push(key);
       }
     }
+    this.trust = new Map();
+    await this.loadTrust();
     try {
       const defaultKey = await gpgme.Keyring.getDefaultKey();
       this.defaultKeyFpr = defaultKey.fingerprint.toLowerCase();
@@ -33,6 +36,35 @@ export default class KeyStoreGPG extends KeyStoreBase {
     }
   }
 
+  /**
+   * Load validity and owner trust of the keys as calculated by the GnuPG trust model
+   * @param  {Array<String>} [fprs] - only load trust of these keys
+   */
+  async loadTrust(fprs) {
+    try {
+      const gpgKeys = await gpgme.Keyring.getKeys({pattern: fprs, prepare_sync: true});
+      for (const gpgKey of gpgKeys) {
+        // validity of a key is the highest validity of its user IDs
+        const validity = gpgKey.get('userids').reduce((max, userId) => Math.max(max, VALIDITY.indexOf(userId.get('validity'))), 0);
+        this.trust.set(gpgKey.fingerprint.toLowerCase(), {
+          validity: VALIDITY[validity],
+          ownerTrust: VALIDITY.includes(gpgKey.get('owner_trust')) ? gpgKey.get('owner_trust') : VALIDITY[0]
+        });
+      }
+    } catch (e) {
+      console.log('Loading of GnuPG key validity failed', e);
+    }
+  }
+
+  /**
+   * Get validity and owner trust of a key
+   * @param  {String} fpr - fingerprint of the primary key
+   * @return {Object} - {validity, ownerTrust} with values of gnupg.VALIDITY
+   */
+  getTrust(fpr) {
+    return this.trust.get(fpr) || {validity: VALIDITY[0], ownerTrust: VALIDITY[0]};
+  }
+
   async store() {
     throw new Error('GPGME keyring does not implement store method');
   }
@@ -57,6 +89,7 @@ export default class KeyStoreGPG extends KeyStoreBase {
     const {armored} = await gpgme.Keyring.getKeysArmored({pattern: fprs});
     const {keys} = await openpgp.key.readArmored(armored);
     this.publicKeys.keys.push(...keys);
+    await this.loadTrust(fprs);
   }
 
   async removeKey(fingerprint) {
@@ -52,6 +52,34 @@ export default class KeyStoreLocal extends KeyStoreBase {
   async remove() {
     await mvelo.storage.remove(`mvelo.keyring.${this.id}.publicKeys`);
     await mvelo.storage.remove(`mvelo.keyring.${this.id}.privateKeys`);
+    await mvelo.storage.remove(`mvelo.keyring.${this.id}.revocationCerts`);
+    await mvelo.storage.remove(`mvelo.keyring.${this.id}.autocrypt`);
+    await mvelo.storage.remove(`mvelo.keyring.${this.id}.verification`);
+  }
+
+  /**
+   * Get revocation certificate of a private key
+   * @param  {String} fpr - fingerprint of the primary key
+   * @return {String} - armored revocation certificate or undefined if not available
+   */
+  async getRevocationCertificate(fpr) {
+    const revocationCerts = await mvelo.storage.get(`mvelo.keyring.${this.id}.revocationCerts`) || {};
+    return revocationCerts[fpr];
+  }
+
+  /**
+   * Store revocation certificate of a private key
+   * @param {String} fpr - fingerprint of the primary key
+   * @param {String} [revocationCert] - armored revocation certificate, if not set the stored certificate is removed
+   */
+  async setRevocationCertificate(fpr, revocationCert) {
+    const revocationCerts = await mvelo.storage.get(`mvelo.keyring.${this.id}.revocationCerts`) || {};
+    if (revocationCert) {
+      revocationCerts[fpr] = revocationCert;
+    } else {
+      delete revocationCerts[fpr];
+    }
+    await mvelo.storage.set(`mvelo.keyring.${this.id}.revocationCerts`, revocationCerts);
   }
 
   async getDefaultKeyFpr() {
@@ -5,11 +5,13 @@
 
 import mvelo from '../lib/lib-mvelo';
 import * as openpgp from 'openpgp';
-import {goog} from './closure-library/closure/goog/emailaddress';
+import {prefs} from './prefs';
 import {getKeyringAttr} from './keyring';
-import {mapKeys, mapSubKeys, mapUsers, mapKeyUserIds, getUserId, isValidEncryptionKey, sortKeysByCreationDate} from './key';
+import {mapKeys, mapSubKeys, mapUsers, mapKeyUserIds, getUserId, isValidEncryptionKey, sortKeysByCreationDate, getLastModifiedDate, formatUserId, getExportableKey} from './key';
 import * as trustKey from './trustKey';
 import {upload as mveloKeyServerUpload} from './mveloKeyServer';
+import {createWKDArchive} from './wkdExport';
+import {getKeyVerification, setVerified} from './keyVerification';
 
 export default class KeyringBase {
   constructor(keyringId, keyStore) {
@@ -69,9 +71,10 @@ export default class KeyringBase {
       // subkeys
       await mapSubKeys(key.subKeys, details, key.primaryKey);
       // users
-      await mapUsers(key.users, details, this.keystore, key.primaryKey);
+      await mapUsers(key.users, details, this.keystore, key.primaryKey, this.id);
       // key is valid default key
       details.validDefaultKey = await this.validateDefaultKey(key);
+      details.lastModified = getLastModifiedDate(key).toISOString();
       return details;
     } else {
       throw new Error('Key with this fingerprint not found: ', fingerprint);
@@ -185,7 +188,7 @@ export default class KeyringBase {
     for (const key of keys) {
       const armored = {};
       if (options.pub) {
-        armored.armoredPublic = key.toPublic().armor();
+        armored.armoredPublic = getExportableKey(key).armor();
       }
       if (options.priv && key.isPrivate()) {
         armored.armoredPrivate = key.armor();
@@ -195,6 +198,53 @@ export default class KeyringBase {
     return result;
   }
 
+  /**
+   * Export public keys as Web Key Directory
+   * @param  {Array<String>} keyFprs - fingerprints of the keys
+   * @param  {Boolean} options.all - export all keys of the keyring
+   * @param  {String} options.method - WKD method, 'advanced' or 'direct'
+   * @return {String} - ZIP archive as binary string
+   */
+  getWKDArchive(keyFprs, {all, method}) {
+    let keys;
+    if (all) {
+      keys = this.keystore.getAllKeys();
+    } else {
+      keys = mvelo.util.toArray(keyFprs).map(keyFpr => this.keystore.getKeysForId(keyFpr)[0]);
+    }
+    return mvelo.util.Uint8Array2str(createWKDArchive(keys, method));
+  }
+
+  /**
+   * Get the verification state of a key for the email addresses of its user IDs
+   * @param  {String} fingerprint
+   * @return {Array<Object>} - {email, state, firstSeen}
+   */
+  getKeyVerification(fingerprint) {
+    return getKeyVerification(this.id, fingerprint, this.getKeyEmails(fingerprint));
+  }
+
+  /**
+   * Mark key as verified for the email addresses of its user IDs, the user compared the fingerprint
+   * @param  {String} fingerprint
+   */
+  setKeyVerified(fingerprint) {
+    return setVerified(this.id, fingerprint, this.getKeyEmails(fingerprint));
+  }
+
+  getKeyEmails(fingerprint) {
+    const keys = this.keystore.getKeysForId(fingerprint);
+    if (!keys) {
+      throw new mvelo.Error(`Key with fingerprint ${fingerprint} not found.`, 'NO_KEY_FOUND');
+    }
+    const emails = keys[0].users.filter(user => user.userId).map(user => {
+      const userMapped = {userId: user.userId.userid};
+      mapKeyUserIds(userMapped);
+      return userMapped.email;
+    });
+    return emails.filter(email => email);
+  }
+
   async hasDefaultKey() {
     return Boolean(await this.keystore.getDefaultKeyFpr());
   }
@@ -267,10 +317,56 @@ export default class KeyringBase {
     return keyPacket.getFingerprint();
   }
 
+  /**
+   * Compare keys found on a key server with the keys in the keyring
+   * @param  {Array<Object>} keys - keys as returned by hkp.search, the objects are extended by:
+   *                                known: type of the key in the keyring ('public' or 'private'), null if not in the keyring
+   *                                newUserIds: user IDs that are not yet part of the key in the keyring
+   * @return {Array<Object>}
+   */
+  markKnownKeys(keys) {
+    return keys.map(key => {
+      const localKeys = this.keystore.getKeysForId((key.fingerprint || key.keyId).toLowerCase()) || [];
+      const localKey = localKeys.find(localKey => localKey.isPrivate()) || localKeys[0];
+      if (!localKey) {
+        return {...key, known: null, newUserIds: []};
+      }
+      const localUserIds = localKey.users.filter(user => user.userId).map(user => user.userId.userid);
+      return {
+        ...key,
+        known: localKey.isPrivate() ? 'private' : 'public',
+        newUserIds: key.users.filter(user => !user.revoked && !localUserIds.includes(user.userId)).map(user => user.userId)
+      };
+    });
+  }
+
   getAttributes() {
     return getKeyringAttr(this.id);
   }
 
+  /**
+   * Get the fingerprints of the keys that are always added to the recipients of this keyring:
+   * the default key if encrypt to self is active and the configured archive keys.
+   * The keyring attribute encrypt_to_self overrides the general preference auto_add_primary.
+   * @param  {Boolean} [encryptToSelf] - add the default key in any case, can't disable the keyring policy
+   * @return {Array<String>}
+   */
+  async getEncryptToKeyFprs(encryptToSelf) {
+    const {encrypt_to_self, encrypt_to_keys = []} = this.getAttributes() || {};
+    if (!encryptToSelf) {
+      encryptToSelf = encrypt_to_self !== undefined ? encrypt_to_self : prefs.general.auto_add_primary;
+    }
+    // ignore archive keys that were removed from the keyring
+    const keyFprs = encrypt_to_keys.filter(keyFpr => this.keystore.getKeysForId(keyFpr));
+    if (encryptToSelf) {
+      const defaultKeyFpr = await this.getDefaultKeyFpr();
+      if (defaultKeyFpr) {
+        keyFprs.unshift(defaultKeyFpr);
+      }
+    }
+    return keyFprs;
+  }
+
   removeKey(fingerprint, type) {
     let removedKey;
     if (type === 'public') {
@@ -284,6 +380,19 @@ export default class KeyringBase {
     return removedKey;
   }
 
+  /**
+   * Upload public key to the Mailvelope key server
+   * @param  {String} fingerprint - fingerprint of the key
+   */
+  async uploadKey(fingerprint) {
+    const keyArray = this.keystore.getKeysForId(fingerprint);
+    if (!keyArray) {
+      throw new mvelo.Error(`No key found for ID ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+    }
+    const [key] = keyArray;
+    await mveloKeyServerUpload({publicKeyArmored: getExportableKey(key).armor()});
+  }
+
   /**
    * Generate a new PGP keypair and optionally upload the public key to the
    * key server.
@@ -297,13 +406,7 @@ export default class KeyringBase {
    * @yield {Object} - the generated key pair
    */
   async generateKey({keyAlgo, numBits, userIds, passphrase, uploadPublicKey, keyExpirationTime, unlocked = false}) {
-    userIds = userIds.map(userId => {
-      if (userId.fullName) {
-        return (new goog.format.EmailAddress(userId.email, userId.fullName)).toString();
-      } else {
-        return `<${userId.email}>`;
-      }
-    });
+    userIds = userIds.map(formatUserId);
     const newKey = await this.keystore.generateKey({keyAlgo, userIds, passphrase, numBits: parseInt(numBits), keyExpirationTime, unlocked});
     this.keystore.privateKeys.push(newKey.key);
     // upload public key
@@ -7,6 +7,7 @@ import mvelo from '../lib/lib-mvelo';
 const l10n = mvelo.l10n.getMessage;
 import KeyringBase from './KeyringBase';
 import * as gnupg from './gnupg';
+import {prefs} from './prefs';
 
 export default class KeyringGPG extends KeyringBase {
   getPgpBackend() {
@@ -28,6 +29,25 @@ export default class KeyringGPG extends KeyringBase {
     return this.keystore.getDefaultKeyFpr();
   }
 
+  /**
+   * Keys in UI format extended by GnuPG validity and owner trust
+   */
+  async getKeys() {
+    const keys = await super.getKeys();
+    return keys.map(key => ({...key, ...this.keystore.getTrust(key.fingerprint)}));
+  }
+
+  /**
+   * Key meta data extended by GnuPG validity if GnuPG is preferred, otherwise keys are used as in the other keyrings
+   */
+  async getKeyData(options) {
+    const keyDataArray = await super.getKeyData(options);
+    if (!prefs.general.prefer_gnupg) {
+      return keyDataArray;
+    }
+    return keyDataArray.map(keyData => ({...keyData, validity: this.keystore.getTrust(keyData.fingerprint).validity}));
+  }
+
   /**
    * Import armored keys into the keyring
    * @param  {Object<armored: String, type: String>} armoredKeys - armored keys of type 'public' or 'private'
@@ -70,4 +90,28 @@ export default class KeyringGPG extends KeyringBase {
     await this.keystore.removeKey(fingerprint);
     super.removeKey(fingerprint, type);
   }
+
+  revokeKey() {
+    throw new mvelo.Error('Revocation of keys not supported in GPG Keyring', 'GPG_NOT_SUPPORTED');
+  }
+
+  getRevocationCertificate() {
+    throw new mvelo.Error('Revocation certificates not supported in GPG Keyring', 'GPG_NOT_SUPPORTED');
+  }
+
+  setKeyExpirationDate() {
+    throw new mvelo.Error('Change of expiration date not supported in GPG Keyring', 'GPG_NOT_SUPPORTED');
+  }
+
+  addUser() {
+    throw new mvelo.Error('Adding user IDs not supported in GPG Keyring', 'GPG_NOT_SUPPORTED');
+  }
+
+  setPrimaryUser() {
+    throw new mvelo.Error('Change of primary user ID not supported in GPG Keyring', 'GPG_NOT_SUPPORTED');
+  }
+
+  certifyUser() {
+    throw new mvelo.Error('Certification of user IDs not supported in GPG Keyring', 'GPG_NOT_SUPPORTED');
+  }
 }
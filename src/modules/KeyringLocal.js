@@ -5,11 +5,15 @@
 
 import mvelo from '../lib/lib-mvelo';
 import * as openpgp from 'openpgp';
-import {getUserId, checkKeyId} from './key';
+import {getUserId, checkKeyId, revoke, setExpirationDate, formatUserId, addUser, setPrimaryUser, certifyUser} from './key';
 import KeyringBase from './KeyringBase';
 const l10n = mvelo.l10n.getMessage;
 import * as keyringSync from './keyringSync';
 import * as openpgpjs from './openpgpjs';
+import * as pwdCache from './pwdCache';
+import * as uiLog from './uiLog';
+import {isMveloKeyServerEnabled} from './autoLocate';
+import * as mveloKeyServer from './mveloKeyServer';
 
 export default class KeyringLocal extends KeyringBase {
   constructor(keyringId, keyStore) {
@@ -130,6 +134,35 @@ export default class KeyringLocal extends KeyringBase {
     return result;
   }
 
+  /**
+   * Merge an update of a public key in the keyring, e.g. found with a key refresh on a key server
+   * @param  {String} fingerprint - fingerprint of the public key in the keyring
+   * @param  {String} armored - the updated key
+   * @return {Boolean} - true if the key in the keyring was modified
+   */
+  async refreshPublicKey(fingerprint, armored) {
+    const [key] = this.keystore.getKeysForId(fingerprint) || [];
+    if (!key || key.isPrivate()) {
+      return false;
+    }
+    const {keys: [update]} = await openpgp.key.readArmored(armored);
+    if (!update || update.primaryKey.getFingerprint() !== fingerprint) {
+      return false;
+    }
+    // merge into copy of key to detect modifications
+    const before = key.armor();
+    const {keys: [copy]} = await openpgp.key.readArmored(before);
+    await copy.update(update);
+    if (copy.armor() === before) {
+      return false;
+    }
+    await this.importPublicKey(update.armor());
+    await this.keystore.store();
+    await this.sync.commit();
+    uiLog.push('security_log_keyring', 'security_log_key_refreshed', [fingerprint.toUpperCase()]);
+    return true;
+  }
+
   async importPrivateKey(armored) {
     const result = [];
     const imported = await openpgp.key.readArmored(armored);
@@ -179,6 +212,12 @@ export default class KeyringLocal extends KeyringBase {
     return result;
   }
 
+  async getKeyDetails(fingerprint) {
+    const details = await super.getKeyDetails(fingerprint);
+    details.hasRevocationCert = Boolean(await this.keystore.getRevocationCertificate(fingerprint));
+    return details;
+  }
+
   async removeKey(fingerprint, type) {
     const removedKey = super.removeKey(fingerprint, type);
     if (type === 'private') {
@@ -187,6 +226,7 @@ export default class KeyringLocal extends KeyringBase {
       if (defaultKeyFpr  === removedKey.primaryKey.getFingerprint()) {
         await this.setDefaultKey('');
       }
+      await this.keystore.setRevocationCertificate(removedKey.primaryKey.getFingerprint());
     }
     this.sync.add(removedKey.primaryKey.getFingerprint(), keyringSync.DELETE);
     await this.keystore.store();
@@ -198,10 +238,192 @@ export default class KeyringLocal extends KeyringBase {
     this.sync.add(newKey.key.primaryKey.getFingerprint(), keyringSync.INSERT);
     await this.keystore.store();
     await this.sync.commit();
+    // keep revocation certificate to be able to revoke the key without password
+    await this.keystore.setRevocationCertificate(newKey.key.primaryKey.getFingerprint(), newKey.revocationCertificate);
     // if no default key in the keyring set the generated key as default
     if (!await this.hasDefaultKey()) {
       await this.setDefaultKey(newKey.key.primaryKey.getFingerprint());
     }
     return newKey;
   }
+
+  /**
+   * Get revocation certificate that was created with the private key
+   * @param  {String} fingerprint - fingerprint of the primary key
+   * @return {String} - armored revocation certificate
+   */
+  async getRevocationCertificate(fingerprint) {
+    const revocationCert = await this.keystore.getRevocationCertificate(fingerprint);
+    if (!revocationCert) {
+      throw new mvelo.Error(`No revocation certificate found for key ${fingerprint}`, 'NO_REVOCATION_CERT');
+    }
+    return revocationCert;
+  }
+
+  /**
+   * Revoke the primary key, a subkey or a user ID of a private key in the keyring
+   * @param  {String} options.fingerprint - fingerprint of the primary key
+   * @param  {String} [options.subkeyFpr] - revoke the subkey with this fingerprint
+   * @param  {String} [options.userId] - revoke this user ID
+   * @param  {Number} [options.reason] - reason for revocation, value of openpgp.enums.reasonForRevocation
+   * @param  {String} [options.comment] - explanation of the revocation
+   * @param  {Boolean} [options.revocationCert] - revoke primary key with the stored revocation certificate, no unlocking required
+   * @param  {Function} options.unlockKey - callback to unlock the private key
+   */
+  async revokeKey({fingerprint, subkeyFpr, userId, reason, comment, revocationCert, unlockKey}) {
+    const privateKey = this.getPrivateKeyByFpr(fingerprint);
+    if (!privateKey) {
+      throw new mvelo.Error(`No private key found for fingerprint ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+    }
+    if (revocationCert && !subkeyFpr && !userId) {
+      const revokedKey = await privateKey.applyRevocationCertificate(await this.getRevocationCertificate(fingerprint));
+      privateKey.revocationSignatures = revokedKey.revocationSignatures;
+    } else {
+      const unlockedKey = await unlockKey({key: privateKey});
+      await revoke(privateKey, unlockedKey, {subkeyFpr, userId, reason, comment});
+    }
+    // cached unlocked key is outdated
+    pwdCache.delete(fingerprint);
+    this.sync.add(fingerprint, keyringSync.UPDATE);
+    await this.keystore.store();
+    await this.sync.commit();
+    if (subkeyFpr) {
+      uiLog.push('security_log_keyring', 'security_log_subkey_revoked', [subkeyFpr.toUpperCase()]);
+    } else if (userId) {
+      uiLog.push('security_log_keyring', 'security_log_userid_revoked', [userId]);
+    } else {
+      uiLog.push('security_log_keyring', 'security_log_key_revoked', [fingerprint.toUpperCase()]);
+    }
+  }
+
+  /**
+   * Change expiration date of the primary key or subkeys of a private key in the keyring
+   * @param  {String} options.fingerprint - fingerprint of the primary key
+   * @param  {String} [options.subkeyFpr] - change only the subkey with this fingerprint
+   * @param  {Boolean} [options.includeSubkeys] - change expiration date of the primary key and all valid subkeys
+   * @param  {String} [options.expirationDate] - new expiration date as ISO string, key does not expire if not set
+   * @param  {Function} options.unlockKey - callback to unlock the private key
+   */
+  async setKeyExpirationDate({fingerprint, subkeyFpr, includeSubkeys, expirationDate, unlockKey}) {
+    const privateKey = this.getPrivateKeyByFpr(fingerprint);
+    if (!privateKey) {
+      throw new mvelo.Error(`No private key found for fingerprint ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+    }
+    expirationDate = expirationDate ? new Date(expirationDate) : null;
+    const unlockedKey = await unlockKey({key: privateKey});
+    if (subkeyFpr) {
+      await setExpirationDate(privateKey, unlockedKey, {expirationDate, subkeyFpr});
+    } else {
+      await setExpirationDate(privateKey, unlockedKey, {expirationDate});
+      if (includeSubkeys) {
+        for (const subKey of privateKey.subKeys) {
+          if (!await subKey.isRevoked(privateKey.primaryKey)) {
+            await setExpirationDate(privateKey, unlockedKey, {expirationDate, subkeyFpr: subKey.keyPacket.getFingerprint()});
+          }
+        }
+      }
+    }
+    // cached unlocked key is outdated
+    pwdCache.delete(fingerprint);
+    this.sync.add(fingerprint, keyringSync.UPDATE);
+    await this.keystore.store();
+    await this.sync.commit();
+    uiLog.push('security_log_keyring', 'security_log_key_expiration_changed', [(subkeyFpr || fingerprint).toUpperCase()]);
+    await this.republishKey(privateKey);
+  }
+
+  /**
+   * Add a user ID to a private key in the keyring
+   * @param  {String} options.fingerprint - fingerprint of the primary key
+   * @param  {Object} options.user - {fullName, email}
+   * @param  {Boolean} [options.primary] - set new user ID as primary user ID
+   * @param  {Function} options.unlockKey - callback to unlock the private key
+   */
+  async addUser({fingerprint, user, primary, unlockKey}) {
+    const privateKey = this.getPrivateKeyByFpr(fingerprint);
+    if (!privateKey) {
+      throw new mvelo.Error(`No private key found for fingerprint ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+    }
+    if (!mvelo.util.checkEmail(user.email)) {
+      throw new mvelo.Error(`Invalid email address: ${user.email}`, 'INVALID_EMAIL');
+    }
+    const userId = formatUserId(user);
+    const unlockedKey = await unlockKey({key: privateKey});
+    await addUser(privateKey, unlockedKey, userId, primary);
+    // cached unlocked key is outdated
+    pwdCache.delete(fingerprint);
+    this.sync.add(fingerprint, keyringSync.UPDATE);
+    await this.keystore.store();
+    await this.sync.commit();
+    uiLog.push('security_log_keyring', 'security_log_userid_added', [userId]);
+    if (primary) {
+      uiLog.push('security_log_keyring', 'security_log_userid_primary', [userId]);
+    }
+    await this.republishKey(privateKey);
+  }
+
+  /**
+   * Set primary user ID of a private key in the keyring
+   * @param  {String} options.fingerprint - fingerprint of the primary key
+   * @param  {String} options.userId - user ID that becomes primary
+   * @param  {Function} options.unlockKey - callback to unlock the private key
+   */
+  async setPrimaryUser({fingerprint, userId, unlockKey}) {
+    const privateKey = this.getPrivateKeyByFpr(fingerprint);
+    if (!privateKey) {
+      throw new mvelo.Error(`No private key found for fingerprint ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+    }
+    const unlockedKey = await unlockKey({key: privateKey});
+    await setPrimaryUser(privateKey, unlockedKey, userId);
+    // cached unlocked key is outdated
+    pwdCache.delete(fingerprint);
+    this.sync.add(fingerprint, keyringSync.UPDATE);
+    await this.keystore.store();
+    await this.sync.commit();
+    uiLog.push('security_log_keyring', 'security_log_userid_primary', [userId]);
+    await this.republishKey(privateKey);
+  }
+
+  /**
+   * Certify a user ID of a key in the keyring with the default key
+   * @param  {String} options.fingerprint - fingerprint of the primary key to certify
+   * @param  {String} options.userId - the user ID to certify
+   * @param  {Boolean} [options.exportable=true] - false to create a local certification
+   * @param  {String} [options.expirationDate] - expiration date of the certification as ISO string, does not expire if not set
+   * @param  {Function} options.unlockKey - callback to unlock the private key
+   */
+  async certifyUser({fingerprint, userId, exportable = true, expirationDate, unlockKey}) {
+    const keys = this.keystore.getKeysForId(fingerprint);
+    if (!keys) {
+      throw new mvelo.Error(`No key found for fingerprint ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+    }
+    const defaultKey = await this.getDefaultKey();
+    if (!defaultKey) {
+      throw new mvelo.Error('No default key found', 'NO_DEFAULT_KEY_FOUND');
+    }
+    expirationDate = expirationDate ? new Date(expirationDate) : null;
+    const unlockedKey = await unlockKey({key: defaultKey});
+    await certifyUser(keys[0], unlockedKey, userId, {exportable, expirationDate});
+    this.sync.add(fingerprint, keyringSync.UPDATE);
+    await this.keystore.store();
+    await this.sync.commit();
+    uiLog.push('security_log_keyring', 'security_log_userid_certified', [userId]);
+  }
+
+  /**
+   * Upload modified key to the Mailvelope key server if the key server is enabled and the key is already published
+   * @param  {openpgp.key.Key} key
+   */
+  async republishKey(key) {
+    if (!isMveloKeyServerEnabled()) {
+      return;
+    }
+    try {
+      if (await mveloKeyServer.lookup({fingerprint: key.primaryKey.getFingerprint()})) {
+        await mveloKeyServer.upload({publicKeyArmored: key.toPublic().armor()});
+      }
+    } catch (e) {
+      console.log('Upload of modified key to Mailvelope key server failed', e);
+    }
+  }
 }
@@ -3,48 +3,106 @@
  * Licensed under the GNU Affero General Public License version 3
  */
 
+import * as openpgp from 'openpgp';
 import {prefs} from './prefs';
 import {lookup as mveloKSLookup} from './mveloKeyServer';
 import {lookup as wkdLookup} from './wkdLocate';
+import {lookup as hkpLookup} from './hkp';
 
 /**
  * @fileOverview This file implements a bridge for automated lookup
- * of keys from other sources. E.g. the Mailvelope Key Server and
- * Web Key Directories.
+ * of keys from other sources. E.g. the Mailvelope Key Server,
+ * Web Key Directories and HKP key servers.
  */
 
+/**
+ * Available auto-locate sources. The order in which they are queried
+ * is configured in the key server settings.
+ */
+const sources = {
+  mvelo: {
+    name: 'Mailvelope Server',
+    isEnabled: isMveloKeyServerEnabled,
+    async lookup({email, keyId, fingerprint}) {
+      // the key server prefers the email address in the query
+      const key = await mveloKSLookup(fingerprint ? {fingerprint} : {email, keyId});
+      return key && key.publicKeyArmored;
+    }
+  },
+  wkd: {
+    name: 'WKD',
+    isEnabled: isWKDEnabled,
+    async lookup({email, fingerprint}) {
+      if (!email) {
+        return;
+      }
+      if (fingerprint) {
+        // update of a known key: only the key with this fingerprint
+        return findByFingerprint(await wkdLookup(email) || [], fingerprint);
+      }
+      // For new keys we only want one key.
+      return wkdLookup(email, true);
+    }
+  },
+  hkp: {
+    name: 'HKP',
+    isEnabled: isHKPEnabled,
+    lookup: hkpLookup
+  }
+};
+
 /**
  * Get a verified public key from auto-locate sources by either email address,
  * key id, or fingerprint.
  *
  * @param {String} [options.email] - The user id's email address
  * @param {String} [options.keyId] - The long 16 char key id
- * @param {String} [options.fingerprint] - The 40 char v4 fingerprint
+ * @param {String} [options.fingerprint] - The 40 char v4 fingerprint, has precedence over the other options
+ *                                         as long as the source supports lookup by fingerprint
  * @return {String} - if auto-locate is successful the found armored key
  */
 export async function locate(options) {
-  let armored;
-  if (isMveloKeyServerEnabled()) {
+  for (const id of getSourcePriority()) {
+    const source = sources[id];
+    if (!source.isEnabled()) {
+      continue;
+    }
     try {
-      const key = await mveloKSLookup(options);
-      if (key) {
-        armored = key.publicKeyArmored;
+      const armored = await source.lookup(options);
+      if (armored) {
+        return armored;
       }
     } catch (e) {
       // Failures are not critical so we only info log them.
-      console.log(`Mailvelope Server: Did not find key (Errors are expected): ${e}`);
+      console.log(`${source.name}: Did not find key (Errors are expected): ${e}`);
     }
   }
-  if (!armored && options.email && isWKDEnabled()) {
-    // As we do not (yet) handle key updates through WKD we only want one key.
-    try {
-      armored = await wkdLookup(options.email, true);
-    } catch (e) {
-      // WKD Failures are not critical so we only info log them.
-      console.log(`WKD: Did not find key (Errors are expected): ${e}`);
+}
+
+/**
+ * Find the key with the fingerprint in a list of armored keys
+ * @param  {Array<String>} armoredKeys
+ * @param  {String} fingerprint
+ * @return {String|undefined} - the armored key
+ */
+async function findByFingerprint(armoredKeys, fingerprint) {
+  for (const armored of armoredKeys) {
+    const {keys: [key]} = await openpgp.key.readArmored(armored);
+    if (key && key.primaryKey.getFingerprint() === fingerprint.toLowerCase()) {
+      return armored;
     }
   }
-  return armored;
+}
+
+/**
+ * Get the ids of all auto-locate sources in the order in which they are queried.
+ * Sources that are missing in the settings are appended in the default order.
+ *
+ * @return {Array<String>}
+ */
+export function getSourcePriority() {
+  const priority = (prefs.keyserver.source_priority || []).filter(id => sources[id]);
+  return priority.concat(Object.keys(sources).filter(id => !priority.includes(id)));
 }
 
 /**
@@ -65,11 +123,20 @@ export function isMveloKeyServerEnabled() {
   return prefs.keyserver.mvelo_tofu_lookup === true;
 }
 
+/**
+* Check if lookup on the HKP key server is enabled.
+*
+* @return {Boolean}
+*/
+export function isHKPEnabled() {
+  return prefs.keyserver.hkp_lookup === true;
+}
+
 /**
 * Check if any source is enabled.
 *
 * @return {Boolean}
 */
 export function isEnabled() {
-  return isWKDEnabled() || isMveloKeyServerEnabled();
+  return isWKDEnabled() || isMveloKeyServerEnabled() || isHKPEnabled();
 }
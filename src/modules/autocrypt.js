@@ -0,0 +1,309 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Key exchange with the headers of Autocrypt Level 1 (https://autocrypt.org/level1.html):
+ * process the Autocrypt and Autocrypt-Gossip headers of decrypted messages, maintain the peer state
+ * per keyring and create the headers for outgoing PGP/MIME messages. Mailvelope only handles the
+ * encrypted content of a message, the headers are therefore read from and written to the inner MIME
+ * entity. Autocrypt Level 1 requires the Autocrypt header on the outer message, so this is not
+ * interoperable with Autocrypt clients: only the gossip of other clients is received and the
+ * Autocrypt header is only processed by Mailvelope. Unencrypted messages are not processed at all.
+ */
+
+import * as openpgp from 'openpgp';
+import mvelo from '../lib/lib-mvelo';
+import {getById as getKeyringById} from './keyring';
+import {filterUserIdsByEmail, getExportableKey, isValidEncryptionKey, mapKeyUserIds} from './key';
+import {parseHeaders} from './mime';
+
+// recommendations for the encryption of a message to a peer
+export const DISABLE = 'disable';
+export const DISCOURAGE = 'discourage';
+export const AVAILABLE = 'available';
+export const ENCRYPT = 'encrypt';
+
+const MUTUAL = 'mutual';
+const NOPREFERENCE = 'nopreference';
+// encryption is discouraged if the last Autocrypt header is older than the last seen message
+const DISCOURAGE_INTERVAL = 35 * 24 * 60 * 60 * 1000;
+// every message composed with Mailvelope is encrypted, therefore our preference is always mutual
+const OWN_PREFER_ENCRYPT = MUTUAL;
+
+function storageKey(keyringId) {
+  return `mvelo.keyring.${keyringId}.autocrypt`;
+}
+
+/**
+ * Get the Autocrypt peer states of a keyring
+ * @param  {String} keyringId
+ * @return {Object} - map of email address to peer state {last_seen, autocrypt_timestamp, public_key, prefer_encrypt, gossip_timestamp, gossip_key},
+ *                    timestamps in ms, keys as fingerprint
+ */
+export async function getPeers(keyringId) {
+  return await mvelo.storage.get(storageKey(keyringId)) || {};
+}
+
+function storePeers(keyringId, peers) {
+  return mvelo.storage.set(storageKey(keyringId), peers);
+}
+
+/**
+ * Parse the value of an Autocrypt or Autocrypt-Gossip header
+ * @param  {String} value
+ * @return {Object|null} - {addr, preferEncrypt, keydata: Uint8Array}, null if the header is invalid
+ */
+export function parseHeader(value) {
+  const attributes = {};
+  for (const attribute of value.split(';')) {
+    const index = attribute.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    const name = attribute.slice(0, index).trim().toLowerCase();
+    const attrValue = attribute.slice(index + 1).trim();
+    if (!['addr', 'prefer-encrypt', 'keydata'].includes(name) && !name.startsWith('_')) {
+      // unknown critical attribute
+      return null;
+    }
+    attributes[name] = attrValue;
+  }
+  if (!attributes.addr || !attributes.keydata) {
+    return null;
+  }
+  let keydata;
+  try {
+    keydata = openpgp.util.b64_to_Uint8Array(attributes.keydata.replace(/\s/g, ''));
+  } catch (e) {
+    return null;
+  }
+  return {
+    addr: attributes.addr.toLowerCase(),
+    preferEncrypt: attributes['prefer-encrypt'] === MUTUAL ? MUTUAL : NOPREFERENCE,
+    keydata
+  };
+}
+
+/**
+ * Update the peer states with the headers of a decrypted message and import the received keys.
+ * The From header of the MIME message is controlled by the sender, therefore it has to match
+ * the sender address of the webmail.
+ * @param  {String} options.keyringId
+ * @param  {String} options.rawText - the decrypted MIME message
+ * @param  {String|Array} [options.senderAddress] - sender address of the message from the webmail, message is not processed if not set
+ * @return {Promise<undefined>}
+ */
+export async function processMessage({keyringId, rawText, senderAddress}) {
+  if (keyringId === mvelo.GNUPG_KEYRING_ID) {
+    // keys of the GnuPG keyring are managed by GnuPG
+    return;
+  }
+  const headers = parseHeaders(rawText);
+  const getValues = name => headers.filter(header => header.name === name).map(header => header.value);
+  const senders = mvelo.util.toArray(senderAddress).map(address => address.toLowerCase());
+  const [fromValue] = getValues('from');
+  const [from] = fromValue ? parseAddresses(fromValue) : senders;
+  if (!from || !senders.includes(from)) {
+    return;
+  }
+  const date = getEffectiveDate(getValues('date')[0]);
+  const keyring = getKeyringById(keyringId);
+  const peers = await getPeers(keyringId);
+  // the Autocrypt header is only valid for the sender address, multiple headers are invalid
+  const autocryptHeaders = getValues('autocrypt').map(parseHeader).filter(header => header && header.addr === from);
+  const autocrypt = autocryptHeaders.length === 1 ? autocryptHeaders[0] : null;
+  const peer = peers[from] || {};
+  if (autocrypt && !(peer.autocrypt_timestamp >= date)) {
+    const fingerprint = await importKey(keyring, from, autocrypt.keydata);
+    if (fingerprint) {
+      peer.autocrypt_timestamp = date;
+      peer.public_key = fingerprint;
+      peer.prefer_encrypt = autocrypt.preferEncrypt;
+    }
+  }
+  if (!(peer.last_seen >= date)) {
+    peer.last_seen = date;
+  }
+  peers[from] = peer;
+  // gossip is only accepted for the recipients of the message
+  const recipients = [...getValues('to'), ...getValues('cc')].reduce((addresses, value) => addresses.concat(parseAddresses(value)), []);
+  for (const gossip of getValues('autocrypt-gossip').map(parseHeader)) {
+    if (!gossip || !recipients.includes(gossip.addr)) {
+      continue;
+    }
+    const gossipPeer = peers[gossip.addr] || {};
+    if (gossipPeer.gossip_timestamp >= date) {
+      continue;
+    }
+    // gossip keys are only imported if there is no other key for the address, Autocrypt keys have precedence
+    const hasKey = gossipPeer.public_key || keyring.keystore.getForAddress(gossip.addr).length;
+    const fingerprint = hasKey ? await getFingerprint(gossip.keydata, gossip.addr) : await importKey(keyring, gossip.addr, gossip.keydata);
+    if (fingerprint) {
+      gossipPeer.gossip_timestamp = date;
+      gossipPeer.gossip_key = fingerprint;
+      peers[gossip.addr] = gossipPeer;
+    }
+  }
+  await storePeers(keyringId, peers);
+}
+
+/**
+ * Effective date of a message: the Date header, but not in the future
+ * @param  {String} [dateHeader]
+ * @return {Number} - timestamp in ms
+ */
+function getEffectiveDate(dateHeader) {
+  const now = Date.now();
+  const date = Date.parse(dateHeader);
+  return isNaN(date) ? now : Math.min(date, now);
+}
+
+function parseAddresses(value) {
+  const addresses = value.match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || [];
+  return addresses.map(address => address.toLowerCase());
+}
+
+/**
+ * Read key from keydata, only keys with a user ID for the address that are valid for encryption are accepted
+ * @param  {Uint8Array} keydata
+ * @param  {String} addr
+ * @return {openpgp.key.Key|undefined}
+ */
+async function readKey(keydata, addr) {
+  const {keys: [key]} = await openpgp.key.read(keydata);
+  if (!key || key.isPrivate()) {
+    return;
+  }
+  filterUserIdsByEmail(key, addr);
+  if (!key.users.length || !await isValidEncryptionKey(key)) {
+    return;
+  }
+  return key;
+}
+
+async function getFingerprint(keydata, addr) {
+  const key = await readKey(keydata, addr);
+  return key && key.primaryKey.getFingerprint();
+}
+
+/**
+ * Import key from Autocrypt header into the keyring
+ * @return {String|undefined} - fingerprint of imported key
+ */
+async function importKey(keyring, addr, keydata) {
+  const key = await readKey(keydata, addr);
+  if (!key) {
+    return;
+  }
+  const [result] = await keyring.importKeys([{type: 'public', armored: key.armor()}]);
+  if (result && result.type === 'success') {
+    return key.primaryKey.getFingerprint();
+  }
+}
+
+/**
+ * Get the Autocrypt recommendations for all known peers of the keyring
+ * @param  {String} keyringId
+ * @return {Object} - map of email address to recommendation (DISABLE, DISCOURAGE, AVAILABLE or ENCRYPT)
+ */
+export async function getRecommendations(keyringId) {
+  const result = {};
+  if (keyringId === mvelo.GNUPG_KEYRING_ID) {
+    return result;
+  }
+  const keyring = getKeyringById(keyringId);
+  const peers = await getPeers(keyringId);
+  for (const addr of Object.keys(peers)) {
+    result[addr] = await getRecommendation(peers[addr], keyring, keyringId);
+  }
+  return result;
+}
+
+/**
+ * Recommendation for a peer according to Autocrypt Level 1 section 2.4
+ * @param  {Object} peer - the peer state
+ * @param  {KeyringBase} keyring
+ * @param  {String} keyringId
+ * @return {String}
+ */
+export async function getRecommendation(peer, keyring, keyringId) {
+  const isUsable = async fingerprint => {
+    const [key] = fingerprint && keyring.keystore.getKeysForId(fingerprint) || [];
+    return Boolean(key) && isValidEncryptionKey(key, keyringId);
+  };
+  if (await isUsable(peer.public_key)) {
+    if (peer.autocrypt_timestamp < peer.last_seen - DISCOURAGE_INTERVAL) {
+      return DISCOURAGE;
+    }
+    return peer.prefer_encrypt === MUTUAL && OWN_PREFER_ENCRYPT === MUTUAL ? ENCRYPT : AVAILABLE;
+  }
+  if (await isUsable(peer.gossip_key)) {
+    return DISCOURAGE;
+  }
+  return DISABLE;
+}
+
+/**
+ * Create the Autocrypt header for the sender and the Autocrypt-Gossip headers for the recipients
+ * of an outgoing message. Gossip is only added if the message has more than one recipient.
+ * @param  {String} options.keyringId
+ * @param  {String} options.senderKeyFpr - fingerprint of the private key of the sender
+ * @param  {Array<Object>} options.recipients - {email, fingerprint}
+ * @return {Array<Object>} - {name, value} of the headers
+ */
+export async function getOutgoingHeaders({keyringId, senderKeyFpr, recipients = []}) {
+  const headers = [];
+  const keyring = getKeyringById(keyringId);
+  const [senderKey] = senderKeyFpr && keyring.keystore.getKeysForId(senderKeyFpr) || [];
+  if (senderKey) {
+    const primaryUser = await senderKey.getPrimaryUser();
+    const addr = primaryUser && getEmail(primaryUser.user);
+    const keydata = addr && await getKeydata(senderKey, addr);
+    if (keydata) {
+      headers.push({name: 'Autocrypt', value: `addr=${addr}; prefer-encrypt=${OWN_PREFER_ENCRYPT}; keydata=${keydata}`});
+    }
+  }
+  if (recipients.length > 1) {
+    for (const {email, fingerprint} of recipients) {
+      const [key] = fingerprint && keyring.keystore.getKeysForId(fingerprint) || [];
+      const keydata = key && email && await getKeydata(key, email.toLowerCase());
+      if (keydata) {
+        headers.push({name: 'Autocrypt-Gossip', value: `addr=${email.toLowerCase()}; keydata=${keydata}`});
+      }
+    }
+  }
+  return headers;
+}
+
+function getEmail(user) {
+  if (!user.userId) {
+    return;
+  }
+  const userMapped = {userId: user.userId.userid};
+  mapKeyUserIds(userMapped);
+  return userMapped.email.toLowerCase();
+}
+
+/**
+ * Minimal key for the header: primary key, the user ID of the address and the current encryption subkey,
+ * local certifications are removed
+ * @param  {openpgp.key.Key} key
+ * @param  {String} addr
+ * @return {String|undefined} - base64 encoded, with spaces for folding of the header
+ */
+async function getKeydata(key, addr) {
+  const publicKey = filterUserIdsByEmail(getExportableKey(key), addr);
+  if (!publicKey.users.length) {
+    return;
+  }
+  const encryptionKey = await publicKey.getEncryptionKey();
+  if (!encryptionKey) {
+    return;
+  }
+  publicKey.subKeys = publicKey.subKeys.filter(subKey => subKey === encryptionKey);
+  // line breaks of the encoder are replaced by our own folding
+  const base64 = openpgp.util.Uint8Array_to_b64(publicKey.toPacketlist().write()).replace(/\s/g, '');
+  return base64.match(/.{1,76}/g).join(' ');
+}
@@ -3,6 +3,7 @@
  * Licensed under the GNU Affero General Public License version 3
  */
 
+import mvelo from '../lib/lib-mvelo';
 import * as openpgp from 'openpgp';
 
 export function randomString(length) {
@@ -51,6 +52,55 @@ export async function symEncrypt(msg, passphrase) {
   return new openpgp.message.Message(packetlist);
 }
 
+/**
+ * Decrypt the session key of a message that is symmetrically encrypted with a passphrase.
+ * The passphrase is only accepted if the session key decrypts the message. A message read from a stream
+ * is not consumed, its session key is checked on the first bytes of the encrypted data.
+ * @param {Uint8Array|openpgp.message.Message} binary - message with symmetric-key encrypted session key packets
+ * @param {String} passphrase
+ * @return {Object} - session key {data: Uint8Array, algorithm: String}
+ */
+export async function symDecryptSessionKey(binary, passphrase) {
+  const streamed = binary instanceof openpgp.message.Message;
+  // decryption consumes the encrypted packets, therefore each attempt works on a new message
+  let sessionKeys = [];
+  try {
+    sessionKeys = await (streamed ? binary : await openpgp.message.read(binary)).decryptSessionKeys(null, [passphrase]);
+  } catch (e) {}
+  for (const sessionKey of sessionKeys) {
+    if (streamed) {
+      if (await checkSessionKeyPrefix(binary, sessionKey)) {
+        return sessionKey;
+      }
+      continue;
+    }
+    try {
+      await (await openpgp.message.read(binary)).decrypt(null, null, [sessionKey]);
+      return sessionKey;
+    } catch (e) {}
+  }
+  throw new mvelo.Error('Could not decrypt message: wrong password', 'WRONG_PASSWORD');
+}
+
+/**
+ * Quick check of a session key with the random prefix of the encrypted data, the last two bytes
+ * of the prefix are repeated (RFC 4880 section 5.7). Only the prefix is read from the stream.
+ * @param  {openpgp.message.Message} message - message read from a stream
+ * @param  {Object} sessionKey - {data: Uint8Array, algorithm: String}
+ * @return {Promise<Boolean>} - false if the session key does not decrypt the message
+ */
+async function checkSessionKeyPrefix(message, {data, algorithm}) {
+  const [packet] = message.packets.filterByTag(openpgp.enums.packet.symEncryptedIntegrityProtected, openpgp.enums.packet.symmetricallyEncrypted);
+  if (!packet) {
+    // AEAD encrypted data is authenticated by chunks on decryption
+    return true;
+  }
+  const {blockSize} = openpgp.crypto.cipher[algorithm];
+  const encryptedPrefix = await openpgp.stream.readToEnd(openpgp.stream.slice(openpgp.stream.clone(packet.encrypted), 0, blockSize + 2));
+  const prefix = openpgp.crypto.cfb.mdc(algorithm, data, encryptedPrefix);
+  return prefix[blockSize - 2] === prefix[blockSize] && prefix[blockSize - 1] === prefix[blockSize + 1];
+}
+
 /**
  * Return a secure random number in the specified range
  * @param {Number} from - min of the random number
@@ -3,7 +3,6 @@
  * Licensed under the GNU Affero General Public License version 3
  */
 
-import mvelo from '../lib/lib-mvelo';
 import {getPreferences, setPreferences, getWatchList, setWatchList} from './prefs';
 import {getSecureRandom} from './crypto';
 import defaults from '../res/defaults.json';
@@ -45,7 +44,6 @@ export function init() {
     } else if (prefs.version !== defaults.version) {
       // version changed
       prefs.version = defaults.version;
-      prefs.general.editor_type = mvelo.PLAIN_TEXT;
 
       initSecurityBgnd(prefs);
 
@@ -59,12 +57,30 @@ export function init() {
       if (typeof prefs.keyserver.wkd_lookup == 'undefined') {
         prefs.keyserver.wkd_lookup = defaults.preferences.keyserver.wkd_lookup;
       }
+      if (typeof prefs.keyserver.hkp_lookup == 'undefined') {
+        prefs.keyserver.hkp_lookup = defaults.preferences.keyserver.hkp_lookup;
+      }
+      if (typeof prefs.keyserver.key_refresh == 'undefined') {
+        prefs.keyserver.key_refresh = defaults.preferences.keyserver.key_refresh;
+      }
+      if (typeof prefs.keyserver.source_priority == 'undefined') {
+        prefs.keyserver.source_priority = defaults.preferences.keyserver.source_priority;
+      }
       if (typeof prefs.keyserver.hkp_server_list == 'undefined') {
         prefs.keyserver.hkp_server_list = defaults.preferences.keyserver.hkp_server_list;
       }
       if (typeof prefs.general.prefer_gnupg == 'undefined') {
         prefs.general.prefer_gnupg = defaults.preferences.general.prefer_gnupg;
       }
+      if (typeof prefs.general.gnupg_trust_marginal == 'undefined') {
+        prefs.general.gnupg_trust_marginal = defaults.preferences.general.gnupg_trust_marginal;
+      }
+      if (typeof prefs.general.editor_type == 'undefined') {
+        prefs.general.editor_type = defaults.preferences.general.editor_type;
+      }
+      if (typeof prefs.general.protected_subject == 'undefined') {
+        prefs.general.protected_subject = defaults.preferences.general.protected_subject;
+      }
 
       // merge watchlist on version change
       return mergeWatchlist(defaults)
@@ -0,0 +1,132 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Drafts of the editor popup that are saved periodically in the extension storage.
+ * Every editor session of a webmail tab has its own draft, the content is encrypted with the
+ * default key of the keyring. The index of all drafts and the content of each draft are stored
+ * under separate keys, the number and size of drafts is limited as they share the storage quota
+ * with the keyrings.
+ */
+
+import mvelo from '../lib/lib-mvelo';
+
+const INDEX_KEY = 'mvelo.drafts';
+// max. number of drafts, the oldest draft is removed first
+export const MAX_DRAFTS = 5;
+// max. length of the armored content of a draft
+export const MAX_DRAFT_SIZE = 512 * 1024;
+// drafts that were not modified for 30 days are removed
+export const DRAFT_EXPIRATION = 30 * 24 * 60 * 60 * 1000;
+// drafts of editors that are currently open
+const openDrafts = new Set();
+// read-modify-write operations on the index are serialized
+const indexQueue = new mvelo.util.PromiseQueue();
+
+function contentKey(id) {
+  return `${INDEX_KEY}.${id}`;
+}
+
+const index = {
+  /**
+   * Apply changes to the index and store it, expired drafts are removed
+   * @param  {Function} [modify] - receives the index object, resolves with the IDs of the drafts that are removed
+   * @return {Object} - the updated index
+   */
+  async update(modify) {
+    const records = await mvelo.storage.get(INDEX_KEY) || {};
+    const removed = Object.values(records).filter(draft => draft.lastModified < Date.now() - DRAFT_EXPIRATION).map(draft => draft.id);
+    if (modify) {
+      removed.push(...await modify(records));
+    }
+    removed.forEach(id => delete records[id]);
+    await Promise.all(removed.map(id => mvelo.storage.remove(contentKey(id))));
+    if (modify || removed.length) {
+      await mvelo.storage.set(INDEX_KEY, records);
+    }
+    return records;
+  }
+};
+
+function updateIndex(modify) {
+  return indexQueue.push(index, 'update', [modify]);
+}
+
+/**
+ * Get all drafts without their content
+ * @return {Array<Object>} - {id, host, keyringId, lastModified}, most recent draft first
+ */
+export async function getDrafts() {
+  const records = await updateIndex();
+  return Object.values(records).sort((a, b) => b.lastModified - a.lastModified);
+}
+
+/**
+ * Get the draft by ID
+ * @param  {String} id
+ * @return {Object} - {id, armored, host, keyringId, lastModified}
+ */
+export async function getDraft(id) {
+  const records = await updateIndex();
+  const armored = records[id] && await mvelo.storage.get(contentKey(id));
+  if (!armored) {
+    throw new mvelo.Error(`No draft found for ID ${id}`, 'NO_DRAFT_FOUND');
+  }
+  return {...records[id], armored};
+}
+
+/**
+ * Get the most recent draft of a webmail host that is not open in another editor
+ * @param  {String} host - webmail host
+ * @param  {String} keyringId
+ * @return {Object} - {id, host, keyringId, lastModified}, undefined if no draft exists
+ */
+export async function getRestorableDraft(host, keyringId) {
+  const drafts = await getDrafts();
+  return drafts.find(draft => draft.host === host && draft.keyringId === keyringId && !openDrafts.has(draft.id));
+}
+
+/**
+ * Save the draft, an existing draft with this ID is replaced. If the max. number of drafts is reached,
+ * the oldest draft is removed.
+ * @param  {String} options.id
+ * @param  {String} options.armored - the encrypted content
+ * @param  {String} options.host - webmail host
+ * @param  {String} options.keyringId - keyring of the encryption key
+ */
+export async function saveDraft({id, armored, host, keyringId}) {
+  if (armored.length > MAX_DRAFT_SIZE) {
+    throw new mvelo.Error('The draft exceeds the size limit.', 'DRAFT_TOO_BIG');
+  }
+  await updateIndex(async records => {
+    await mvelo.storage.set(contentKey(id), armored);
+    records[id] = {id, host, keyringId, lastModified: Date.now()};
+    return Object.values(records)
+    .sort((a, b) => b.lastModified - a.lastModified)
+    .slice(MAX_DRAFTS)
+    .map(draft => draft.id);
+  });
+}
+
+/**
+ * Delete the draft
+ * @param  {String} id
+ */
+export async function deleteDraft(id) {
+  await updateIndex(async records => records[id] ? [id] : []);
+}
+
+/**
+ * Mark the draft as open in an editor, open drafts are not offered for restore
+ * @param  {String} id
+ * @param  {Boolean} open
+ */
+export function setOpen(id, open) {
+  if (open) {
+    openDrafts.add(id);
+  } else {
+    openDrafts.delete(id);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Streams of files that are transferred chunk by chunk between the app and the background.
+ * Chunks are sent as JS binary strings as the port messages do not support binary data.
+ */
+
+import mvelo from '../lib/lib-mvelo';
+
+const streams = new Map();
+
+/**
+ * Create a file stream
+ * @param  {Function} process - receives the input stream, returns promise of {data: ReadableStream, filename}
+ * @return {String} - ID of the file stream
+ */
+export function create(process) {
+  const fileStream = new FileStream(process);
+  streams.set(fileStream.id, fileStream);
+  return fileStream.id;
+}
+
+/**
+ * Get file stream by ID
+ * @param  {String} id
+ * @return {FileStream}
+ */
+export function get(id) {
+  const fileStream = streams.get(id);
+  if (!fileStream) {
+    throw new mvelo.Error(`No file stream found for ID ${id}`, 'NO_FILE_STREAM');
+  }
+  return fileStream;
+}
+
+/**
+ * Abort file stream and free its resources
+ * @param  {String} id
+ */
+export function abort(id) {
+  const fileStream = streams.get(id);
+  if (fileStream) {
+    fileStream.abort();
+    streams.delete(id);
+  }
+}
+
+export class FileStream {
+  constructor(process) {
+    this.id = mvelo.util.getHash();
+    this.error = null;
+    this.onPull = null;
+    this.input = new ReadableStream({
+      start: controller => this.controller = controller,
+      pull: () => this.resolvePull()
+    });
+    this.result = process(this.input);
+    this.result.catch(error => {
+      this.error = error;
+      this.resolvePull();
+    });
+    this.reader = null;
+  }
+
+  resolvePull() {
+    if (this.onPull) {
+      this.onPull();
+      this.onPull = null;
+    }
+  }
+
+  /**
+   * Write chunk to the input stream, resolves when the input stream is ready to receive the next chunk
+   * @param  {String} chunk - JS binary string
+   */
+  async write(chunk) {
+    if (this.error) {
+      throw this.error;
+    }
+    this.controller.enqueue(mvelo.util.str2Uint8Array(chunk));
+    if (this.controller.desiredSize <= 0) {
+      await new Promise(resolve => this.onPull = resolve);
+    }
+    if (this.error) {
+      throw this.error;
+    }
+  }
+
+  close() {
+    this.controller.close();
+  }
+
+  /**
+   * Read the next chunk of the output stream
+   * @return {Promise<Object>} - {chunk: String, done: Boolean, filename: String}, chunk as JS binary string
+   */
+  async read() {
+    const {data, filename} = await this.result;
+    if (!this.reader) {
+      this.reader = data.getReader();
+    }
+    const {value, done} = await this.reader.read();
+    if (done) {
+      streams.delete(this.id);
+      return {done, filename};
+    }
+    return {chunk: typeof value === 'string' ? value : mvelo.util.Uint8Array2str(value), done, filename};
+  }
+
+  abort() {
+    const error = new mvelo.Error('File stream aborted', 'FILE_STREAM_ABORT');
+    try {
+      this.controller.error(error);
+    } catch (e) {}
+    if (this.reader) {
+      this.reader.cancel(error).catch(() => {});
+    }
+    this.error = error;
+    this.resolvePull();
+  }
+}
@@ -6,6 +6,10 @@
 import mvelo from '../lib/lib-mvelo';
 const l10n = mvelo.l10n.getMessage;
 import {gpgme} from '../lib/browser.runtime';
+import {prefs} from './prefs';
+
+// GnuPG validity of keys and signatures, the index is the numeric value of GPGME
+export const VALIDITY = ['unknown', 'undefined', 'never', 'marginal', 'full', 'ultimate'];
 
 /**
  * Decrypt message
@@ -33,9 +37,10 @@ export async function decrypt({armored, base64, format}) {
  * @param  {Array<String>} encryptionKeyFprs - fingerprint of encryption keys
  * @param  {Array<String>} signingKeyFpr - fingerprint of signing keys
  * @param  {Boolean} armor - request the output as armored block
+ * @param  {Boolean} [wildcard] - hide the recipients, GnuPG option --throw-keyids
  * @return {String}
  */
-export async function encrypt({data, dataURL, encryptionKeyFprs, signingKeyFpr, armor, filename}) {
+export async function encrypt({data, dataURL, encryptionKeyFprs, signingKeyFpr, armor, filename, wildcard}) {
   const base64 = dataURL ? mvelo.util.dataURL2base64(dataURL) : false;
   const additional = filename ? {file_name: filename} : null;
   try {
@@ -45,6 +50,7 @@ export async function encrypt({data, dataURL, encryptionKeyFprs, signingKeyFpr,
       secretKeys: signingKeyFpr,
       base64: Boolean(base64),
       armor,
+      wildcard,
       additional
     });
     if (result.format === 'base64') {
@@ -61,24 +67,35 @@ export async function encrypt({data, dataURL, encryptionKeyFprs, signingKeyFpr,
 
 /**
  * Sign message
- * @param  {String} data - data to be signed as plaintext
+ * @param  {String} [data] - data to be signed as plaintext
+ * @param  {String} [dataURL] - data to be signed as data URL
  * @param  {String} signingKeyFpr - fingerprint of signing key
- * @return {String}
+ * @param  {Boolean} [detached] - create detached signature instead of cleartext signed message
+ * @return {String} - cleartext signed message or detached signature as armored block
  */
-export async function sign({data, signingKeyFpr}) {
-  const result = await gpgme.sign({data, keys: signingKeyFpr, mode: 'clearsign'});
-  return result.data;
+export async function sign({data, dataURL, signingKeyFpr, detached}) {
+  const base64 = dataURL ? mvelo.util.dataURL2base64(dataURL) : false;
+  const result = await gpgme.sign({data: data || base64, keys: signingKeyFpr, mode: detached ? 'detached' : 'clearsign', base64: Boolean(base64)});
+  return detached ? result.signature : result.data;
 }
 
 /**
  * Verify message
  * @param {String} armored - cleartext signed message
  * @param {String} [options.plaintext] - message to be verified as plaintext
+ * @param {String} [options.dataURL] - message to be verified as data URL
  * @param {String} [detachedSignature] - signature as armored block
+ * @param {Boolean} [options.canonicalized] - plaintext is a binary string with CRLF line endings that is signed as is (PGP/MIME)
  * @return {{data: String, signatures: Array<{keyId: String, fingerprint: String, valid: Boolean}>}}
  */
-export async function verify({armored, plaintext, detachedSignature}) {
-  let {data, signatures} = await gpgme.verify({data: armored || plaintext, signature: detachedSignature});
+export async function verify({armored, plaintext, dataURL, detachedSignature, canonicalized}) {
+  let base64 = dataURL ? mvelo.util.dataURL2base64(dataURL) : false;
+  if (canonicalized) {
+    // binary string of the signed PGP/MIME entity
+    base64 = window.btoa(plaintext);
+    plaintext = null;
+  }
+  let {data, signatures} = await gpgme.verify({data: armored || plaintext || base64, signature: detachedSignature, base64: Boolean(base64)});
   signatures = mapSignatures(signatures);
   return {data, signatures};
 }
@@ -89,7 +106,7 @@ function mapSignatures({signatures} = {}) {
     return sigs;
   }
   for (const good of signatures.good) {
-    sigs.push({valid: true, fingerprint: good.fingerprint.toLowerCase()});
+    sigs.push({valid: true, fingerprint: good.fingerprint.toLowerCase(), validity: getValidity(good)});
   }
   for (const bad of signatures.bad) {
     const sig = {};
@@ -98,11 +115,12 @@ function mapSignatures({signatures} = {}) {
     } catch (e) {}
     if (bad.errorDetails['key-missing'] || bad._rawSigObject.status_code === 9) {
       sig.valid = null;
-    } else if (bad._rawSigObject && bad._rawSigObject.status_code === 0 && bad._rawSigObject.validity === 3) {
-      // status of success (0) and validity of marginal (3) means the signature was verified successfully,
-      // but the trust model of GnuPG considers the public key as unsufficiently trusted. As in the Mailvelope model
-      // all keys in the keyring are trusted, we consider this signature as valid.
-      sig.valid = true;
+    } else if (bad._rawSigObject && bad._rawSigObject.status_code === 0) {
+      // status of success (0) means the signature was verified successfully, but the trust model of GnuPG
+      // considers the public key as not sufficiently valid. The validity is reported with the signature,
+      // keys of marginal validity are accepted according to the preferences.
+      sig.validity = getValidity(bad);
+      sig.valid = isValidSigner(sig.validity);
     } else {
       sig.valid = false;
     }
@@ -117,3 +135,19 @@ function mapSignatures({signatures} = {}) {
   });
   return sigs;
 }
+
+function isValidSigner(validity) {
+  switch (validity) {
+    case 'full':
+    case 'ultimate':
+      return true;
+    case 'marginal':
+      return prefs.general.gnupg_trust_marginal !== false;
+    default:
+      return false;
+  }
+}
+
+function getValidity(signature) {
+  return signature._rawSigObject && VALIDITY[signature._rawSigObject.validity] || VALIDITY[0];
+}
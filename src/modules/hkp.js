@@ -0,0 +1,258 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview A simple client for key servers that implement the
+ * OpenPGP HTTP Keyserver Protocol (HKP), draft-shaw-openpgp-hkp-00.
+ */
+
+import * as openpgp from 'openpgp';
+import {prefs} from './prefs';
+import {filterUserIdsByEmail, getAlgorithmString} from './key';
+
+// Fetch timeout in seconds
+const TIMEOUT = 10;
+
+/**
+ * Get a public key from the HKP server by either email address, key id, or fingerprint.
+ *
+ * As the key server is not trusted, keys that do not match the query are discarded.
+ * If only the email is provided the returned key only contains user IDs that match the email.
+ *
+ * @param {String} [options.email] - The user id's email address
+ * @param {String} [options.keyId] - The long 16 char key id
+ * @param {String} [options.fingerprint] - The 40 char v4 fingerprint
+ * @param {String} [baseUrl] - The base url of the HKP server, by default the server configured in the settings
+ * @return {String|undefined} - The armored key, undefined if no key was found
+ */
+export async function lookup({email, keyId, fingerprint}, baseUrl = prefs.keyserver.hkp_base_url) {
+  let query;
+  if (fingerprint) {
+    query = {search: `0x${fingerprint}`};
+  } else if (keyId) {
+    query = {search: `0x${keyId}`};
+  } else if (email) {
+    query = {search: email, exact: 'on'};
+  } else {
+    throw new Error('HKP: Skipping lookup without search parameter.');
+  }
+  const response = await timeout(TIMEOUT * 1000, window.fetch(url(baseUrl, {op: 'get', ...query})));
+  if (response.status === 404) {
+    return;
+  }
+  checkStatus(response);
+  const {keys, err} = await openpgp.key.readArmored(await response.text());
+  if (err) {
+    throw new Error(`HKP: Failed to parse response: ${err}`);
+  }
+  let matching;
+  if (fingerprint) {
+    matching = keys.filter(key => key.primaryKey.getFingerprint() === fingerprint.toLowerCase());
+  } else if (keyId) {
+    // the index of a key server can list short key IDs
+    matching = keys.filter(key => key.getKeyIds().some(id => id.toHex().endsWith(keyId.toLowerCase())));
+  } else {
+    matching = keys.map(key => filterUserIdsByEmail(key, email)).filter(key => key.users.length);
+  }
+  const key = await selectKey(matching);
+  if (key) {
+    console.log(`HKP: fetched key: '${key.primaryKey.getFingerprint()}'`);
+    return key.armor();
+  }
+}
+
+/**
+ * Search the HKP server with the machine readable index operation. The Mailvelope key server
+ * does not support the index operation, the keys are requested with the get operation instead.
+ * @param {String} query - search string, key IDs and fingerprints must be prefixed with '0x'
+ * @param {String} [baseUrl] - The base url of the HKP server, by default the server configured in the settings
+ * @return {Array<Object>} - the keys as returned by parseIndex, empty if nothing was found
+ */
+export async function search(query, baseUrl = prefs.keyserver.hkp_base_url) {
+  if (baseUrl.includes('keys.mailvelope.com')) {
+    return searchByGet(query, baseUrl);
+  }
+  const response = await timeout(TIMEOUT * 1000, window.fetch(url(baseUrl, {op: 'index', search: query})));
+  if (response.status === 404) {
+    return [];
+  }
+  checkStatus(response);
+  return parseIndex(await response.text());
+}
+
+async function searchByGet(query, baseUrl) {
+  const response = await timeout(TIMEOUT * 1000, window.fetch(url(baseUrl, {op: 'get', search: query})));
+  if (response.status === 404) {
+    return [];
+  }
+  checkStatus(response);
+  const {keys, err} = await openpgp.key.readArmored(await response.text());
+  if (err) {
+    throw new Error(`HKP: Failed to parse response: ${err}`);
+  }
+  return Promise.all(keys.map(mapIndexEntry));
+}
+
+/**
+ * Map a key to the format of an entry of the index operation
+ * @param  {openpgp.key.Key} key
+ * @return {Object} - see parseIndex
+ */
+async function mapIndexEntry(key) {
+  const {algorithm, bits, curve} = key.primaryKey.getAlgorithmInfo();
+  const status = await key.verifyPrimaryKey();
+  let exDate;
+  try {
+    exDate = await key.getExpirationTime();
+  } catch (e) {
+    exDate = null;
+  }
+  return {
+    keyId: key.primaryKey.getKeyId().toHex().toUpperCase(),
+    fingerprint: key.primaryKey.getFingerprint(),
+    algorithm: getAlgorithmString({algorithm, curve}),
+    keySize: bits || null,
+    crDate: key.primaryKey.created.toISOString(),
+    exDate: exDate instanceof Date ? exDate.toISOString() : null,
+    revoked: status === openpgp.enums.keyStatus.revoked,
+    disabled: false,
+    expired: status === openpgp.enums.keyStatus.expired,
+    users: await Promise.all(key.users.filter(user => user.userId).map(async user => {
+      const userStatus = await user.verify(key.primaryKey);
+      return {
+        userId: user.userId.userid,
+        crDate: null,
+        exDate: null,
+        revoked: userStatus === openpgp.enums.keyStatus.revoked,
+        disabled: false,
+        expired: userStatus === openpgp.enums.keyStatus.expired
+      };
+    }))
+  };
+}
+
+/**
+ * Parse the machine readable output of the index operation (draft-shaw-openpgp-hkp-00, 5.2)
+ * @param  {String} text - the response of the HKP server
+ * @return {Array<Object>} - list of keys in the form {keyId, fingerprint, algorithm (display name), keySize, crDate, exDate, revoked, disabled, expired, users: [{userId, crDate, exDate, revoked, disabled, expired}]}
+ */
+export function parseIndex(text) {
+  const keys = [];
+  let key;
+  for (const line of text.split(/\r?\n/)) {
+    const fields = line.trim().split(':');
+    if (fields[0] === 'pub') {
+      const [, id = '', algorithm, keySize, crDate, exDate, flags] = fields;
+      key = {
+        keyId: id.slice(-16).toUpperCase(),
+        fingerprint: id.length === 40 ? id.toLowerCase() : null,
+        algorithm: parseAlgorithm(algorithm),
+        keySize: parseInt(keySize) || null,
+        crDate: parseDate(crDate),
+        exDate: parseDate(exDate),
+        ...parseFlags(flags),
+        users: []
+      };
+      keys.push(key);
+    } else if (fields[0] === 'uid' && key) {
+      const [, userId, crDate, exDate, flags] = fields;
+      key.users.push({
+        userId: decode(userId),
+        crDate: parseDate(crDate),
+        exDate: parseDate(exDate),
+        ...parseFlags(flags)
+      });
+    }
+  }
+  return keys;
+}
+
+function parseAlgorithm(id) {
+  const algorithm = Object.keys(openpgp.enums.publicKey).find(name => openpgp.enums.publicKey[name] === parseInt(id));
+  return getAlgorithmString({algorithm});
+}
+
+function parseDate(seconds) {
+  return seconds ? new Date(parseInt(seconds) * 1000).toISOString() : null;
+}
+
+function parseFlags(flags = '') {
+  return {
+    revoked: flags.includes('r'),
+    disabled: flags.includes('d'),
+    expired: flags.includes('e')
+  };
+}
+
+/**
+ * User IDs in the index are URL encoded, some servers do not encode them as UTF-8
+ * @param  {String} value
+ * @return {String}
+ */
+function decode(value = '') {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return unescape(value);
+  }
+}
+
+/**
+ * Select the best key: the newest valid key or if no key is valid the newest key
+ * @param  {Array<openpgp.key.Key>} keys
+ * @return {openpgp.key.Key|undefined}
+ */
+async function selectKey(keys) {
+  let candidate;
+  let candidateValid;
+  for (const key of keys) {
+    const valid = await key.verifyPrimaryKey() === openpgp.enums.keyStatus.valid;
+    if (!candidate || (valid && !candidateValid) ||
+        (valid === candidateValid && key.primaryKey.created > candidate.primaryKey.created)) {
+      candidate = key;
+      candidateValid = valid;
+    }
+  }
+  return candidate;
+}
+
+/**
+ * Helper function to create the lookup url with the options for machine readable output
+ * @param  {String} baseUrl - The base url of the HKP server
+ * @param  {Object} params - query parameters
+ * @return {String} - The complete request url
+ */
+function url(baseUrl, params) {
+  const query = Object.keys(params).map(name => `${name}=${encodeURIComponent(params[name])}`);
+  return `${baseUrl}/pks/lookup?${query.join('&')}&options=mr`;
+}
+
+/**
+ * Convert a promise into a promise with a timeout.
+ * @param {Number} ms - The timeout in milliseconds.
+ * @param {Promise} promise - The promise to wrap.
+ * @return {Promise} - A promise with a timeout.
+ */
+function timeout(ms, promise) {
+  return new Promise((resolve, reject) => {
+    setTimeout(() => reject(new Error('HKP: Timeout')), ms);
+    promise.then(resolve, reject);
+  });
+}
+
+/**
+ * Helper function to deal with the HTTP response status
+ * @param  {Object} response - The fetch api's response object
+ * @return {Object} - The response object in case of a successful request
+ */
+function checkStatus(response) {
+  if (response.status >= 200 && response.status < 300) {
+    return response;
+  } else {
+    const error = new Error(response.statusText);
+    error.response = response;
+    throw error;
+  }
+}
@@ -7,7 +7,7 @@ import mvelo from '../lib/lib-mvelo';
 import * as openpgp from 'openpgp';
 import {goog} from './closure-library/closure/goog/emailaddress';
 const l10n = mvelo.l10n.getMessage;
-import {isKeyPseudoRevoked} from './trustKey';
+import {isKeyPseudoRevoked, isUserCertified, getTrustKey} from './trustKey';
 
 /**
  * Get primary or first available user id of key
@@ -65,9 +65,12 @@ export async function mapKeys(keys) {
       uiKey.type = 'private';
     }
     try {
-      uiKey.validity = await key.verifyPrimaryKey() === openpgp.enums.keyStatus.valid;
+      const status = await key.verifyPrimaryKey();
+      uiKey.validity = status === openpgp.enums.keyStatus.valid;
+      uiKey.revoked = status === openpgp.enums.keyStatus.revoked;
     } catch (e) {
       uiKey.validity = false;
+      uiKey.revoked = false;
       console.log(`Error in mapKeys on verifyPrimaryKey for key ${key.keyPacket.getFingerprint()}.`, e);
     }
     uiKey.keyId = key.primaryKey.getKeyId().toHex().toUpperCase();
@@ -98,7 +101,13 @@ export async function mapKeys(keys) {
   }));
 }
 
-function getAlgorithmString({algorithm, curve}) {
+/**
+ * Get display name of public key algorithm
+ * @param  {String} options.algorithm - name of the algorithm as in openpgp.enums.publicKey
+ * @param  {String} [options.curve]
+ * @return {String}
+ */
+export function getAlgorithmString({algorithm, curve}) {
   let result = '';
   switch (algorithm) {
     case 'rsa_encrypt_sign':
@@ -151,6 +160,8 @@ export async function mapSubKeys(subkeys = [], toKey, primaryKey) {
       skey.algorithm = getAlgorithmString(keyInfo);
       skey.bitLength = keyInfo.bits;
       skey.fingerprint = subkey.keyPacket.getFingerprint();
+      skey.validity = await subkey.verify(primaryKey) === openpgp.enums.keyStatus.valid;
+      skey.revoked = await subkey.isRevoked(primaryKey);
       toKey.subkeys.push(skey);
     } catch (e) {
       console.log('Exception in mapSubKeys', e);
@@ -158,7 +169,16 @@ export async function mapSubKeys(subkeys = [], toKey, primaryKey) {
   }));
 }
 
-export async function mapUsers(users = [], toKey, keyring, primaryKey) {
+/**
+ * Map user IDs of key to UI format
+ * @param  {Array<openpgp.key.User>} users
+ * @param  {Object} toKey - users are added to this object
+ * @param  {KeyStoreBase} keyring - key store to look up the issuers of certifications
+ * @param  {openpgp.packet.PublicKey} primaryKey
+ * @param  {String} [keyringId] - user IDs certified by a trust anchor of the keyring are verified
+ * User IDs certified by a private key of the keyring are verified as well.
+ */
+export async function mapUsers(users = [], toKey, keyring, primaryKey, keyringId) {
   toKey.users = [];
   await Promise.all(users.map(async user => {
     try {
@@ -168,6 +188,8 @@ export async function mapUsers(users = [], toKey, keyring, primaryKey) {
         return;
       }
       uiUser.userId = user.userId.userid;
+      uiUser.revoked = await user.isRevoked(primaryKey);
+      uiUser.verified = !uiUser.revoked && await isUserCertified(keyringId, user, primaryKey);
       uiUser.signatures = [];
       if (!user.selfCertifications) {
         return;
@@ -182,17 +204,31 @@ export async function mapUsers(users = [], toKey, keyring, primaryKey) {
         sig.crDate = selfCert.created.toISOString();
         uiUser.signatures.push(sig);
       }
-      if (!uiUser.signatures.length || !user.otherCertifications) {
+      // revoked user IDs are listed even without valid self certification
+      if ((!uiUser.signatures.length && !uiUser.revoked) || !user.otherCertifications) {
         return;
       }
       for (const otherCert of user.otherCertifications) {
         const sig = {};
         const keyidHex = otherCert.issuerKeyId.toHex();
         const issuerKeys = keyring.getKeysForId(keyidHex);
-        if (issuerKeys) {
+        const trustKey = keyringId && getTrustKey(keyringId, otherCert.issuerKeyId);
+        if (trustKey) {
+          // certification of trust anchor, the anchor is not necessarily in the keyring
+          if (await verifyUserCertificate(user, primaryKey, otherCert, trustKey.primaryKey) !== openpgp.enums.keyStatus.valid) {
+            continue;
+          }
+          sig.signer = await getUserId(trustKey);
+          sig.trustAnchor = true;
+        } else if (issuerKeys) {
           const [{keyPacket: signingKeyPacket}] = issuerKeys[0].getKeys(otherCert.issuerKeyId);
           if (signingKeyPacket && await verifyUserCertificate(user, primaryKey, otherCert, signingKeyPacket) === openpgp.enums.keyStatus.valid) {
             sig.signer = await getUserId(issuerKeys[0]);
+            if (issuerKeys[0].isPrivate()) {
+              // own certification
+              sig.own = true;
+              uiUser.verified = !uiUser.revoked;
+            }
           } else {
             // invalid signature
             continue;
@@ -202,6 +238,7 @@ export async function mapUsers(users = [], toKey, keyring, primaryKey) {
         }
         sig.keyId = keyidHex.toUpperCase();
         sig.crDate = otherCert.created.toISOString();
+        sig.local = otherCert.exportable === false;
         uiUser.signatures.push(sig);
       }
       toKey.users.push(uiUser);
@@ -211,6 +248,14 @@ export async function mapUsers(users = [], toKey, keyring, primaryKey) {
   }));
 }
 
+/**
+ * Verify self or third-party certification of a user ID
+ * @param  {openpgp.key.User} user
+ * @param  {openpgp.packet.PublicKey} primaryKey - primary key of the certified key
+ * @param  {openpgp.packet.Signature} certificate
+ * @param  {openpgp.packet.PublicKey} [key=primaryKey] - key of the issuer of the certification
+ * @return {Number} - value of openpgp.enums.keyStatus, expired if the expiration date of the certification is exceeded
+ */
 export async function verifyUserCertificate(user, primaryKey, certificate, key = primaryKey) {
   if (!(certificate.verified || await certificate.verify(key, {userId: user.userId, userAttribute: user.userAttribute, key: primaryKey}))) {
     return openpgp.enums.keyStatus.invalid;
@@ -224,6 +269,279 @@ export async function verifyUserCertificate(user, primaryKey, certificate, key =
   return openpgp.enums.keyStatus.valid;
 }
 
+/**
+ * Revoke the primary key, a subkey or a user ID of a private key. The revocation signature
+ * is added to the key, its secret key material remains untouched.
+ * @param  {openpgp.key.Key} key - the private key to revoke
+ * @param  {openpgp.key.Key} unlockedKey - unlocked copy of the key to create the revocation signature
+ * @param  {String} [options.subkeyFpr] - fingerprint of the subkey to revoke
+ * @param  {String} [options.userId] - the user ID to revoke
+ * @param  {Number} [options.reason] - reason for revocation, value of openpgp.enums.reasonForRevocation
+ * @param  {String} [options.comment] - explanation of the revocation
+ */
+export async function revoke(key, unlockedKey, {subkeyFpr, userId, reason = openpgp.enums.reasonForRevocation.no_reason, comment = ''} = {}) {
+  const signatureProperties = {
+    reasonForRevocationFlag: reason,
+    reasonForRevocationString: comment
+  };
+  if (subkeyFpr) {
+    const subKey = getSubkey(key, subkeyFpr);
+    signatureProperties.signatureType = openpgp.enums.signature.subkey_revocation;
+    const dataToSign = {key: key.primaryKey, bind: subKey.keyPacket};
+    subKey.revocationSignatures.push(await openpgp.key.createSignaturePacket(dataToSign, null, unlockedKey.primaryKey, signatureProperties));
+  } else if (userId) {
+    const user = key.users.find(user => user.userId && user.userId.userid === userId);
+    if (!user) {
+      throw new mvelo.Error(`No user ID found: ${userId}`, 'NO_USER_ID_FOUND');
+    }
+    signatureProperties.signatureType = openpgp.enums.signature.cert_revocation;
+    const dataToSign = {key: key.primaryKey, userId: user.userId};
+    user.revocationSignatures.push(await openpgp.key.createSignaturePacket(dataToSign, null, unlockedKey.primaryKey, signatureProperties));
+  } else {
+    signatureProperties.signatureType = openpgp.enums.signature.key_revocation;
+    const dataToSign = {key: key.primaryKey};
+    key.revocationSignatures.push(await openpgp.key.createSignaturePacket(dataToSign, null, unlockedKey.primaryKey, signatureProperties));
+  }
+}
+
+// properties of self-signatures that are taken over when a self-signature is renewed
+const SELF_SIGNATURE_PROPERTIES = [
+  'keyFlags',
+  'preferredSymmetricAlgorithms',
+  'preferredHashAlgorithms',
+  'preferredCompressionAlgorithms',
+  'preferredAeadAlgorithms',
+  'features',
+  'isPrimaryUserID',
+  'keyServerPreferences',
+  'preferredKeyServer',
+  'embeddedSignature',
+  'keyExpirationTime',
+  'keyNeverExpires'
+];
+
+function getSelfSignatureProperties(signature) {
+  const properties = {signatureType: signature.signatureType};
+  for (const property of SELF_SIGNATURE_PROPERTIES) {
+    properties[property] = signature[property];
+  }
+  return properties;
+}
+
+/**
+ * Create a new self-signature that replaces the latest valid self-signature
+ * @param  {Array<openpgp.packet.Signature>} signatures - user certifications or subkey binding signatures
+ * @param  {Object} dataToSign - signed data, e.g. {key, userId} or {key, bind}
+ * @param  {openpgp.key.Key} unlockedKey - unlocked private key
+ * @param  {Object} signatureProperties - properties of the new signature
+ * @return {openpgp.packet.Signature|undefined} - the new signature, undefined if no valid self-signature found
+ */
+async function renewSelfSignature(signatures, dataToSign, unlockedKey, signatureProperties) {
+  let latest;
+  for (const signature of signatures) {
+    if ((!latest || signature.created >= latest.created) && !signature.isExpired() &&
+        (signature.verified || await signature.verify(dataToSign.key, dataToSign))) {
+      latest = signature;
+    }
+  }
+  if (!latest) {
+    return;
+  }
+  await waitForNewerCreationTime(latest);
+  return openpgp.key.createSignaturePacket(dataToSign, null, unlockedKey.primaryKey, {...getSelfSignatureProperties(latest), ...signatureProperties});
+}
+
+/**
+ * Signature creation time has a resolution of seconds and on equal creation time the
+ * first signature in the list is preferred by OpenPGP.js. Therefore make sure that
+ * a new signature is created at least one second after the signature it replaces.
+ * @param  {openpgp.packet.Signature} signature
+ */
+async function waitForNewerCreationTime(signature) {
+  const delay = signature.created.getTime() + 1000 - Date.now();
+  if (delay > 0) {
+    await mvelo.util.wait(delay);
+  }
+}
+
+/**
+ * Change the expiration date of the primary key or a subkey of a private key by renewing its
+ * self-signatures. The secret key material of the key remains untouched.
+ * @param  {openpgp.key.Key} key - the private key
+ * @param  {openpgp.key.Key} unlockedKey - unlocked copy of the key to create the self-signatures
+ * @param  {Date} [options.expirationDate] - the new expiration date, key does not expire if not set
+ * @param  {String} [options.subkeyFpr] - fingerprint of the subkey, if not set the expiration date of the primary key is changed
+ */
+export async function setExpirationDate(key, unlockedKey, {expirationDate, subkeyFpr} = {}) {
+  const subKey = subkeyFpr && getSubkey(key, subkeyFpr);
+  const keyPacket = subKey ? subKey.keyPacket : key.primaryKey;
+  const signatureProperties = {keyExpirationTime: null, keyNeverExpires: null};
+  if (expirationDate) {
+    if (expirationDate <= new Date()) {
+      throw new mvelo.Error('Expiration date must be in the future', 'INVALID_EXPIRATION_DATE');
+    }
+    signatureProperties.keyExpirationTime = Math.floor((expirationDate - keyPacket.created) / 1000);
+    signatureProperties.keyNeverExpires = false;
+  }
+  if (subKey) {
+    const signature = await renewSelfSignature(subKey.bindingSignatures, {key: key.primaryKey, bind: subKey.keyPacket}, unlockedKey, signatureProperties);
+    if (!signature) {
+      throw new mvelo.Error(`No valid binding signature found for subkey ${subkeyFpr}`, 'NO_VALID_SIGNATURE');
+    }
+    subKey.bindingSignatures.push(signature);
+    return;
+  }
+  let renewed = false;
+  for (const user of key.users) {
+    if (!user.userId || await user.isRevoked(key.primaryKey)) {
+      continue;
+    }
+    const signature = await renewSelfSignature(user.selfCertifications, {key: key.primaryKey, userId: user.userId}, unlockedKey, signatureProperties);
+    if (signature) {
+      user.selfCertifications.push(signature);
+      renewed = true;
+    }
+  }
+  if (!renewed) {
+    throw new mvelo.Error('No valid user ID found to renew self-signature', 'NO_VALID_SIGNATURE');
+  }
+}
+
+/**
+ * Format user ID in the form 'Name <email>'
+ * @param  {String} [options.fullName]
+ * @param  {String} options.email
+ * @return {String}
+ */
+export function formatUserId({fullName, email}) {
+  if (fullName) {
+    return (new goog.format.EmailAddress(email, fullName)).toString();
+  } else {
+    return `<${email}>`;
+  }
+}
+
+/**
+ * Add a user ID to a private key. The self-signature of the new user ID takes over
+ * preferences and expiration date of the primary user.
+ * @param  {openpgp.key.Key} key - the private key
+ * @param  {openpgp.key.Key} unlockedKey - unlocked copy of the key to create the self-signature
+ * @param  {String} userId - the new user ID
+ * @param  {Boolean} [primary=false] - set the new user ID as primary user ID
+ */
+export async function addUser(key, unlockedKey, userId, primary = false) {
+  if (key.users.some(user => user.userId && user.userId.userid === userId)) {
+    throw new mvelo.Error(`User ID already exists: ${userId}`, 'USER_ID_EXISTS');
+  }
+  const primaryUser = await key.getPrimaryUser();
+  if (!primaryUser) {
+    throw new mvelo.Error('No valid primary user found', 'NO_VALID_SIGNATURE');
+  }
+  const userIdPacket = new openpgp.packet.Userid();
+  userIdPacket.parse(userId);
+  const signatureProperties = {...getSelfSignatureProperties(primaryUser.selfCertification), isPrimaryUserID: null};
+  const signature = await openpgp.key.createSignaturePacket({key: key.primaryKey, userId: userIdPacket}, null, unlockedKey.primaryKey, signatureProperties);
+  // parse user with signature as new key to create the user structure
+  const packetlist = new openpgp.packet.List();
+  packetlist.push(key.primaryKey);
+  packetlist.push(userIdPacket);
+  packetlist.push(signature);
+  const {users: [user]} = new openpgp.key.Key(packetlist);
+  key.users.push(user);
+  if (primary) {
+    await setPrimaryUser(key, unlockedKey, userId);
+  } else if (!primaryUser.selfCertification.isPrimaryUserID) {
+    // without primary user flag the user ID with the newest self-signature would become primary
+    await setPrimaryUser(key, unlockedKey, primaryUser.user.userId.userid);
+  }
+}
+
+/**
+ * Mark a user ID of a private key as primary by renewing the self-signatures
+ * @param  {openpgp.key.Key} key - the private key
+ * @param  {openpgp.key.Key} unlockedKey - unlocked copy of the key to create the self-signatures
+ * @param  {String} userId - the user ID that becomes primary
+ */
+export async function setPrimaryUser(key, unlockedKey, userId) {
+  const primaryUser = key.users.find(user => user.userId && user.userId.userid === userId);
+  if (!primaryUser) {
+    throw new mvelo.Error(`No user ID found: ${userId}`, 'NO_USER_ID_FOUND');
+  }
+  if (await primaryUser.isRevoked(key.primaryKey)) {
+    throw new mvelo.Error(`User ID is revoked: ${userId}`, 'USER_ID_REVOKED');
+  }
+  for (const user of key.users) {
+    if (!user.userId || (user !== primaryUser && !user.selfCertifications.some(selfCert => selfCert.isPrimaryUserID))) {
+      continue;
+    }
+    const dataToSign = {key: key.primaryKey, userId: user.userId};
+    const signature = await renewSelfSignature(user.selfCertifications, dataToSign, unlockedKey, {isPrimaryUserID: user === primaryUser ? true : null});
+    if (signature) {
+      user.selfCertifications.push(signature);
+    } else if (user === primaryUser) {
+      throw new mvelo.Error(`No valid self-signature found for user ID ${userId}`, 'NO_VALID_SIGNATURE');
+    }
+  }
+}
+
+/**
+ * Certify a user ID of another key with a private key
+ * @param  {openpgp.key.Key} key - the key with the user ID to certify
+ * @param  {openpgp.key.Key} unlockedKey - unlocked private key that creates the certification
+ * @param  {String} userId - the user ID to certify
+ * @param  {Boolean} [options.exportable=true] - false to create a local certification that is not exported
+ * @param  {Date} [options.expirationDate] - expiration date of the certification, does not expire if not set
+ */
+export async function certifyUser(key, unlockedKey, userId, {exportable = true, expirationDate} = {}) {
+  if (key.primaryKey.getFingerprint() === unlockedKey.primaryKey.getFingerprint()) {
+    throw new mvelo.Error('Own user IDs can not be certified', 'CERTIFY_OWN_KEY');
+  }
+  const user = key.users.find(user => user.userId && user.userId.userid === userId);
+  if (!user) {
+    throw new mvelo.Error(`No user ID found: ${userId}`, 'NO_USER_ID_FOUND');
+  }
+  if (await user.isRevoked(key.primaryKey)) {
+    throw new mvelo.Error(`User ID is revoked: ${userId}`, 'USER_ID_REVOKED');
+  }
+  const signatureProperties = {signatureType: openpgp.enums.signature.cert_generic};
+  if (!exportable) {
+    signatureProperties.exportable = false;
+  }
+  if (expirationDate) {
+    if (expirationDate <= new Date()) {
+      throw new mvelo.Error('Expiration date must be in the future', 'INVALID_EXPIRATION_DATE');
+    }
+    signatureProperties.signatureExpirationTime = Math.floor((expirationDate - Date.now()) / 1000);
+    signatureProperties.signatureNeverExpires = false;
+  }
+  const dataToSign = {key: key.primaryKey, userId: user.userId};
+  // certifications are always issued by the primary key
+  user.otherCertifications.push(await openpgp.key.createSignaturePacket(dataToSign, null, unlockedKey.primaryKey, signatureProperties));
+}
+
+/**
+ * Get public key for export, local certifications are removed
+ * @param  {openpgp.key.Key} key
+ * @return {openpgp.key.Key}
+ */
+export function getExportableKey(key) {
+  const publicKey = key.toPublic();
+  for (const user of publicKey.users) {
+    if (user.otherCertifications) {
+      user.otherCertifications = user.otherCertifications.filter(cert => cert.exportable !== false);
+    }
+  }
+  return publicKey;
+}
+
+function getSubkey(key, subkeyFpr) {
+  const subKey = key.subKeys.find(subKey => subKey.keyPacket.getFingerprint() === subkeyFpr);
+  if (!subKey) {
+    throw new mvelo.Error(`No subkey found for fingerprint ${subkeyFpr}`, 'NO_KEY_FOUND_FOR_ID');
+  }
+  return subKey;
+}
+
 export function checkKeyId(sourceKey, keyring) {
   const primaryKeyId = sourceKey.primaryKey.getKeyId();
   const keys = keyring.getKeysForId(primaryKeyId.toHex(), true);
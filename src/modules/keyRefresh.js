@@ -0,0 +1,109 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Scheduled refresh of the public keys in the local keyrings
+ * with the auto-locate sources. Finds new revocations, extended expiration
+ * dates and new subkeys of known keys.
+ */
+
+import mvelo from '../lib/lib-mvelo';
+import {prefs} from './prefs';
+import {getAll as getAllKeyrings} from './keyring';
+import {locate, isEnabled as isAutoLocateEnabled} from './autoLocate';
+
+// refresh all keys once a day
+const REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+// first refresh after startup not before 5 min
+const START_DELAY = 5 * 60 * 1000;
+// delay between lookups of keys to limit the number of requests to the key sources
+const LOOKUP_DELAY = 3 * 1000;
+// timestamp of last refresh
+const STORAGE_KEY = 'mvelo.keyRefresh.lastRun';
+
+let timer = null;
+let running = false;
+
+/**
+ * Schedule the next refresh based on the time of the last refresh
+ */
+export async function init() {
+  const lastRun = await mvelo.storage.get(STORAGE_KEY) || 0;
+  schedule(Math.max(lastRun + REFRESH_INTERVAL - Date.now(), START_DELAY));
+}
+
+function schedule(delay) {
+  clearTimeout(timer);
+  timer = setTimeout(run, delay);
+}
+
+/**
+ * Refresh the keys if enabled and schedule the next run. The time of the last refresh is
+ * only stored if the refresh actually ran, so that it starts soon after it gets enabled.
+ */
+export async function run() {
+  if (isRefreshEnabled() && !running) {
+    running = true;
+    try {
+      await refreshAll();
+    } catch (e) {
+      console.log('Key refresh failed', e);
+    }
+    running = false;
+    await mvelo.storage.set(STORAGE_KEY, Date.now());
+  }
+  schedule(REFRESH_INTERVAL);
+}
+
+/**
+ * Check if the key refresh is enabled in the settings and at least one source to query the keys
+ * @return {Boolean}
+ */
+export function isRefreshEnabled() {
+  return prefs.keyserver.key_refresh === true && isAutoLocateEnabled();
+}
+
+async function refreshAll() {
+  for (const keyring of getAllKeyrings()) {
+    // keys in the GnuPG keyring are managed by GnuPG
+    if (keyring.id === mvelo.GNUPG_KEYRING_ID) {
+      continue;
+    }
+    await refreshKeyring(keyring);
+  }
+}
+
+/**
+ * Query all public keys of the keyring by fingerprint and merge updates
+ * @param  {KeyringLocal} keyring
+ * @return {Array<String>} - fingerprints of the modified keys
+ */
+export async function refreshKeyring(keyring) {
+  const modified = [];
+  const fingerprints = keyring.keystore.publicKeys.keys.map(key => key.primaryKey.getFingerprint());
+  for (const [index, fingerprint] of fingerprints.entries()) {
+    if (index > 0) {
+      await mvelo.util.wait(LOOKUP_DELAY);
+    }
+    const [key] = keyring.keystore.getKeysForId(fingerprint) || [];
+    if (!key) {
+      // key removed in the meantime
+      continue;
+    }
+    // email address is required for WKD, expired keys have no primary user
+    const primaryUser = await key.getPrimaryUser();
+    const user = primaryUser ? primaryUser.user : key.users.find(user => user.userId);
+    const email = user ? user.userId.email : undefined;
+    try {
+      const armored = await locate({fingerprint, email});
+      if (armored && await keyring.refreshPublicKey(fingerprint, armored)) {
+        modified.push(fingerprint);
+      }
+    } catch (e) {
+      console.log(`Key refresh of ${fingerprint} failed`, e);
+    }
+  }
+  return modified;
+}
@@ -0,0 +1,214 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Verification state of the keys of a contact (trust on first use):
+ * the first key that is used for an email address is trusted, a different key
+ * for a known address is a conflict until the user verified its fingerprint.
+ * Keys are used when a message is encrypted to them or a signature is verified.
+ */
+
+import mvelo from '../lib/lib-mvelo';
+
+// no key was used yet for this address
+export const UNVERIFIED = 'unverified';
+// the key was the first key that was used for this address
+export const TOFU = 'tofu';
+// the user compared the fingerprint of the key
+export const VERIFIED = 'verified';
+// a different key is known for this address
+export const CONFLICT = 'conflict';
+
+// order of keys for an address, the known key first
+const STATE_ORDER = [VERIFIED, TOFU, UNVERIFIED, CONFLICT];
+// read-modify-write operations on the records are serialized
+const updateQueue = new mvelo.util.PromiseQueue();
+
+function storageKey(keyringId) {
+  return `mvelo.keyring.${keyringId}.verification`;
+}
+
+/**
+ * Get the verification records of a keyring
+ * @param  {String} keyringId
+ * @return {Object} - map of email address to record {fingerprint, verified, keys}: fingerprint of the
+ *                    trusted key (null if the first use was ambiguous), keys maps fingerprint to first seen timestamp
+ */
+export async function getRecords(keyringId) {
+  return await mvelo.storage.get(storageKey(keyringId)) || {};
+}
+
+const store = {
+  /**
+   * Apply changes to the records of a keyring and store them
+   * @param  {String} keyringId
+   * @param  {Function} modify - receives the records, returns true if they were modified
+   * @return {Object} - the updated records
+   */
+  async update(keyringId, modify) {
+    const records = await getRecords(keyringId);
+    if (modify(records)) {
+      await mvelo.storage.set(storageKey(keyringId), records);
+    }
+    return records;
+  }
+};
+
+function updateRecords(keyringId, modify) {
+  return updateQueue.push(store, 'update', [keyringId, modify]);
+}
+
+/**
+ * Verification state of a key for an address
+ * @param  {Object} [record] - verification record of the address
+ * @param  {String} fingerprint
+ * @return {String}
+ */
+export function getKeyState(record, fingerprint) {
+  if (!record) {
+    return UNVERIFIED;
+  }
+  if (record.fingerprint !== fingerprint) {
+    return CONFLICT;
+  }
+  return record.verified ? VERIFIED : TOFU;
+}
+
+/**
+ * Record the first use of keys for their email addresses. If an address gets
+ * its first record with a single key, this key is trusted on first use. Several unknown
+ * keys for an address are conflicting until the user verifies one of them.
+ * @param  {String} keyringId
+ * @param  {Array<Object>} entries - {email, fingerprint}
+ * @return {Object} - the updated records
+ */
+export function observeKeys(keyringId, entries) {
+  return updateRecords(keyringId, records => {
+    const now = Date.now();
+    let modified = false;
+    for (const [email, fingerprints] of groupByEmail(entries)) {
+      let record = records[email];
+      if (!record) {
+        record = records[email] = {fingerprint: fingerprints.length === 1 ? fingerprints[0] : null, verified: false, keys: {}};
+        modified = true;
+      }
+      for (const fingerprint of fingerprints) {
+        if (!record.keys[fingerprint]) {
+          record.keys[fingerprint] = now;
+          modified = true;
+        }
+      }
+    }
+    return modified;
+  });
+}
+
+/**
+ * Get the verification state for each email address of the entries without recording the keys.
+ * An address is conflicting if one of its keys is conflicting.
+ * @param  {String} keyringId
+ * @param  {Array<Object>} entries - {email, fingerprint}
+ * @return {Object} - map of email address (lower case) to state
+ */
+export async function getAddressStates(keyringId, entries) {
+  const records = await getRecords(keyringId);
+  const result = {};
+  for (const [email, fingerprints] of groupByEmail(entries)) {
+    const states = fingerprints.map(fingerprint => getKeyState(records[email], fingerprint));
+    result[email] = STATE_ORDER.slice().reverse().find(state => states.includes(state));
+  }
+  return result;
+}
+
+/**
+ * Get the verification state of a key for an email address and record the key if it is used for the first time
+ * @param  {String} keyringId
+ * @param  {String} email
+ * @param  {String} fingerprint
+ * @return {String}
+ */
+export async function getVerificationState(keyringId, email, fingerprint) {
+  email = email.toLowerCase();
+  const records = await observeKeys(keyringId, [{email, fingerprint}]);
+  return getKeyState(records[email], fingerprint);
+}
+
+/**
+ * Verification details of a key for the key details view, keys are not recorded
+ * @param  {String} keyringId
+ * @param  {String} fingerprint
+ * @param  {Array<String>} emails - email addresses of the user IDs of the key
+ * @return {Array<Object>} - {email, state, firstSeen: ISO date string or null}
+ */
+export async function getKeyVerification(keyringId, fingerprint, emails) {
+  const records = await getRecords(keyringId);
+  return mvelo.util.deDup(emails.map(email => email.toLowerCase())).map(email => {
+    const record = records[email];
+    const firstSeen = record && record.keys[fingerprint];
+    return {
+      email,
+      state: getKeyState(record, fingerprint),
+      firstSeen: firstSeen ? new Date(firstSeen).toISOString() : null
+    };
+  });
+}
+
+/**
+ * Mark key as verified for email addresses after the user compared the fingerprint,
+ * the key replaces any other key that was trusted for these addresses
+ * @param  {String} keyringId
+ * @param  {String} fingerprint
+ * @param  {Array<String>} emails
+ */
+export async function setVerified(keyringId, fingerprint, emails) {
+  await updateRecords(keyringId, records => {
+    const now = Date.now();
+    for (const email of emails.map(email => email.toLowerCase())) {
+      const record = records[email] || {keys: {}};
+      record.fingerprint = fingerprint;
+      record.verified = true;
+      record.keys[fingerprint] = record.keys[fingerprint] || now;
+      records[email] = record;
+    }
+    return true;
+  });
+}
+
+/**
+ * Sort the keys of an address by verification state, the known key first
+ * @param  {String} keyringId
+ * @param  {String} email
+ * @param  {Array<openpgp.key.Key>} keys
+ * @return {Array<openpgp.key.Key>}
+ */
+export async function sortKeysByState(keyringId, email, keys) {
+  const records = await getRecords(keyringId);
+  const record = records[email.toLowerCase()];
+  const rank = key => STATE_ORDER.indexOf(getKeyState(record, key.primaryKey.getFingerprint()));
+  return keys.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Group the fingerprints of the entries by email address
+ * @param  {Array<Object>} entries - {email, fingerprint}
+ * @return {Map} - email address (lower case) to array of fingerprints
+ */
+function groupByEmail(entries) {
+  const result = new Map();
+  for (const {email, fingerprint} of entries) {
+    if (!email || !fingerprint) {
+      continue;
+    }
+    const address = email.toLowerCase();
+    if (!result.has(address)) {
+      result.set(address, []);
+    }
+    const fingerprints = result.get(address);
+    if (!fingerprints.includes(fingerprint)) {
+      fingerprints.push(fingerprint);
+    }
+  }
+  return result;
+}
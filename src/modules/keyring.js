@@ -11,6 +11,7 @@ import KeyStoreGPG from './KeyStoreGPG';
 import {gpgme} from '../lib/browser.runtime';
 import {prefs} from './prefs';
 import {isValidEncryptionKey, equalKey, getLastModifiedDate, toPublic} from './key';
+import {sortKeysByState} from './keyVerification';
 
 /**
  * Map with all keyrings and their attributes. Data is persisted in local storage.
@@ -278,7 +279,7 @@ export async function getKeyData({keyringId, allUsers = true}) {
 }
 
 /**
- * Query keys in all keyrings by email address
+ * Query keys in all keyrings by email address, the keys of an address are sorted by verification state
  * @param  {String} keyringId - requested keyring, the leading keyring of a scenario
  * @param  {Array<String>|String} emails
  * @return {Object} - map in the form {address: [key1, key2, ..]}
@@ -310,7 +311,8 @@ export async function getKeyByAddress(keyringId, emails) {
     // filter out all invalid keys
     allKeys = await mvelo.util.filterAsync(allKeys, key => isValidEncryptionKey(key, keyringId));
     if (allKeys.length) {
-      result[email] = allKeys;
+      // known keys of the contact first, conflicting keys last
+      result[email] = await sortKeysByState(keyringId, email, allKeys);
     } else {
       result[email] = false;
     }
@@ -352,16 +354,7 @@ function getPreferredKeyringQueue(keyringId) {
  */
 export function getKeyringWithPrivKey(keyIds, keyringId, noCache) {
   keyIds = mvelo.util.toArray(keyIds);
-  let keyrings;
-  if (!keyringId) {
-    keyrings = getAll();
-    if (gpgme) {
-      // sort keyrings according to preference
-      keyrings.sort(compareKeyringsByPreference);
-    }
-  } else {
-    keyrings = getPreferredKeyringQueue(keyringId);
-  }
+  const keyrings = getKeyringsByPriority(keyringId);
   // if no keyIds return first keyring
   if (!keyIds.length) {
     return keyrings[0];
@@ -381,6 +374,27 @@ export function getKeyringWithPrivKey(keyIds, keyringId, noCache) {
   return null;
 }
 
+/**
+ * Get all keyrings that have private keys, in the same priority order as getKeyringWithPrivKey
+ * @param  {String} [keyringId] - requested keyring, the leading keyring of a scenario
+ * @return {Array<KeyringBase>}
+ */
+export function getKeyringsWithPrivKey(keyringId) {
+  return getKeyringsByPriority(keyringId).filter(keyring => keyring.hasPrivateKey());
+}
+
+function getKeyringsByPriority(keyringId) {
+  if (keyringId) {
+    return getPreferredKeyringQueue(keyringId);
+  }
+  const keyrings = getAll();
+  if (gpgme) {
+    // sort keyrings according to preference
+    keyrings.sort(compareKeyringsByPreference);
+  }
+  return keyrings;
+}
+
 /**
  * Get preferred keyring
  * @param  {String} [keyringId] - requested keyring, the leading keyring of a scenario
@@ -0,0 +1,118 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Transfer of keys between the local Mailvelope keyring and the GnuPG keyring
+ */
+
+import mvelo from '../lib/lib-mvelo';
+const l10n = mvelo.l10n.getMessage;
+import {getById} from './keyring';
+import {checkKeyId, getExportableKey, getUserId} from './key';
+
+// the key does not exist in the target keyring
+export const NEW = 'new';
+// the key is merged with the existing key in the target keyring
+export const MERGE = 'merge';
+// key IDs of the key collide with a different key in the target keyring
+export const CONFLICT = 'conflict';
+
+/**
+ * Get keyring ID of the target keyring of a transfer
+ * @param  {String} keyringId - the source keyring
+ * @return {String}
+ */
+export function getTargetKeyringId(keyringId) {
+  return keyringId === mvelo.GNUPG_KEYRING_ID ? mvelo.MAIN_KEYRING_ID : mvelo.GNUPG_KEYRING_ID;
+}
+
+/**
+ * Check keys before the transfer to the target keyring
+ * @param  {String} options.keyringId - the source keyring
+ * @param  {Array<String>} options.keyFprs - fingerprints of the keys to transfer
+ * @return {Array<Object>} - {fingerprint, keyId, userId, type, status, privateExport}, status is one of NEW, MERGE or CONFLICT,
+ *                           privateExport is false if only the public key can be transferred
+ */
+export async function checkTransfer({keyringId, keyFprs}) {
+  const source = getById(keyringId);
+  const target = getById(getTargetKeyringId(keyringId));
+  const result = [];
+  for (const fingerprint of keyFprs) {
+    const key = getSourceKey(source, fingerprint);
+    let status;
+    try {
+      checkKeyId(key, target.keystore);
+      status = target.keystore.getKeysForId(fingerprint) ? MERGE : NEW;
+    } catch (e) {
+      status = CONFLICT;
+    }
+    result.push({
+      fingerprint,
+      keyId: key.primaryKey.getKeyId().toHex().toUpperCase(),
+      userId: await getUserId(key, false),
+      type: key.isPrivate() ? 'private' : 'public',
+      status,
+      // GPGME offers no export of private keys
+      privateExport: key.isPrivate() && keyringId !== mvelo.GNUPG_KEYRING_ID
+    });
+  }
+  return result;
+}
+
+/**
+ * Transfer keys to the target keyring. Private keys are only transferred after the user entered
+ * the passphrase of the key, the key itself remains protected by the passphrase.
+ * @param  {String} options.keyringId - the source keyring
+ * @param  {Array<String>} options.keyFprs - fingerprints of the keys to transfer
+ * @param  {Boolean} [options.includePrivate] - transfer private keys, otherwise only the public keys
+ * @param  {Function} options.unlockKey - callback to unlock a private key
+ * @return {Array<Object>} - import result messages in the form {type, message}, type could be 'error' or 'success'
+ */
+export async function transferKeys({keyringId, keyFprs, includePrivate = false, unlockKey}) {
+  const source = getById(keyringId);
+  const target = getById(getTargetKeyringId(keyringId));
+  const result = [];
+  const armoredKeys = [];
+  for (const {fingerprint, status, privateExport} of await checkTransfer({keyringId, keyFprs})) {
+    if (status === CONFLICT) {
+      result.push({type: 'error', message: l10n('keyring_transfer_conflict', [fingerprint.toUpperCase()])});
+      continue;
+    }
+    const key = getSourceKey(source, fingerprint);
+    if (!(includePrivate && privateExport)) {
+      armoredKeys.push({armored: getExportableKey(key).armor(), type: 'public'});
+      continue;
+    }
+    // armor before the unlock, the private key is transferred protected by its passphrase
+    const armored = key.armor();
+    try {
+      await unlockKey({key});
+    } catch (e) {
+      if (e.code !== 'PWD_DIALOG_CANCEL') {
+        throw e;
+      }
+      result.push({type: 'error', message: l10n('keyring_transfer_canceled', [fingerprint.toUpperCase()])});
+      continue;
+    }
+    armoredKeys.push({armored, type: 'private'});
+  }
+  if (!armoredKeys.length) {
+    return result;
+  }
+  result.push(...await target.importKeys(armoredKeys));
+  if (target.id === mvelo.GNUPG_KEYRING_ID && armoredKeys.some(({type}) => type === 'private')) {
+    // imported private keys are only recognized after reload of the GnuPG keyring
+    await target.keystore.load();
+  }
+  return result;
+}
+
+function getSourceKey(keyring, fingerprint) {
+  const keys = keyring.keystore.getKeysForId(fingerprint);
+  if (!keys) {
+    throw new mvelo.Error(`No key found for fingerprint ${fingerprint}`, 'NO_KEY_FOUND_FOR_ID');
+  }
+  return keys[0];
+}
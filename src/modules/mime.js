@@ -6,57 +6,67 @@
 import mvelo from '../lib/lib-mvelo';
 import mailreader from 'mailreader-parser';
 import mailbuild from 'emailjs-mime-builder';
+import mimecodec from 'emailjs-mime-codec';
+
+// subject of the outer mail if the real subject is encrypted in the protected headers
+export const SUBJECT_PLACEHOLDER = '...';
 
 /**
  * Parse email content
  * @param  {String} rawText
  * @param  {Object<onAttachment, onMessage>} handlers
- * @param  {[type]} encoding 'html' or 'text'
- * @return {[type]}          [description]
+ * @param  {String} encoding 'html' or 'text'
+ * @param  {Boolean} [options.binary] - rawText is a binary string (e.g. decrypted with format 'binary'),
+ *                                      required to handle 8bit MIME parts in charsets other than UTF-8
+ * @return {Promise}
  */
-export async function parseMessage(rawText, handlers, encoding) {
+export async function parseMessage(rawText, handlers, encoding, {binary} = {}) {
   if (/^\s*(MIME-Version|Content-Type|Content-Transfer-Encoding|From|Date):/.test(rawText)) {
+    // mailreader expects rawText in pseudo-binary
+    if (!binary) {
+      rawText = unescape(encodeURIComponent(rawText));
+    }
     await parseMIME(rawText, handlers, encoding);
   } else {
+    if (binary) {
+      rawText = new TextDecoder('utf-8').decode(mvelo.util.str2Uint8Array(rawText)).replace(/\r\n/g, '\n');
+    }
     await parseInline(rawText, handlers, encoding);
   }
 }
 
 function parseMIME(rawText, handlers, encoding) {
   return new Promise(resolve => {
-    // mailreader expects rawText in pseudo-binary
-    rawText = unescape(encodeURIComponent(rawText));
     mailreader.parse([{raw: rawText}], parsed => {
       if (parsed && parsed.length > 0) {
-        const htmlParts = [];
-        const textParts = [];
+        const attachmentParts = filterBodyParts(parsed, 'attachment');
+        // attachments that are referenced as cid: URL in HTML parts (multipart/related)
+        const inlineParts = new Set();
         if (encoding === 'html') {
-          filterBodyParts(parsed, 'html', htmlParts);
+          const htmlParts = filterBodyParts(parsed, 'html');
           if (htmlParts.length) {
-            const sanitized = mvelo.util.sanitizeHTML(htmlParts.map(part => part.content).join('\n<hr>\n'));
-            handlers.onMessage(sanitized);
+            const html = htmlParts.map(part => resolveContentIds(part.content, attachmentParts, inlineParts)).join('\n<hr>\n');
+            handlers.onMessage(mvelo.util.sanitizeHTML(html));
           } else {
-            filterBodyParts(parsed, 'text', textParts);
+            const textParts = filterBodyParts(parsed, 'text');
             if (textParts.length) {
               handlers.onMessage(textParts.map(part => mvelo.util.text2html(part.content)).join('<hr>'));
             }
           }
         } else if (encoding === 'text') {
-          filterBodyParts(parsed, 'text', textParts);
+          const textParts = filterBodyParts(parsed, 'text');
           if (textParts.length) {
             handlers.onMessage(textParts.map(part => part.content).join('\n\n'));
           } else {
-            filterBodyParts(parsed, 'html', htmlParts);
+            const htmlParts = filterBodyParts(parsed, 'html');
             if (htmlParts.length) {
               handlers.onMessage(htmlParts.map(part => mvelo.util.html2text(part.content)).join('\n\n'));
             }
           }
         }
-        const attachmentParts = [];
-        filterBodyParts(parsed, 'attachment', attachmentParts);
-        attachmentParts.forEach(part => {
+        attachmentParts.filter(part => !inlineParts.has(part)).forEach(part => {
           part.filename = mvelo.util.encodeHTML(part.filename);
-          part.content = mvelo.util.ab2str(part.content.buffer);
+          part.content = mvelo.util.Uint8Array2str(part.content);
           handlers.onAttachment(part);
         });
       }
@@ -68,6 +78,132 @@ function parseMIME(rawText, handlers, encoding) {
   });
 }
 
+/**
+ * Replace cid: URLs (RFC 2392) of images in HTML content with data URLs of the referenced MIME part
+ * @param  {String} html
+ * @param  {Array<Object>} attachmentParts - attachment body parts, id is the Content-ID without angle brackets
+ * @param  {Set} resolved - collects the attachment body parts that were embedded in the HTML content
+ * @return {String}
+ */
+function resolveContentIds(html, attachmentParts, resolved) {
+  return html.replace(/(\bsrc\s*=\s*["']?)cid:([^"'\s>]+)/gi, (match, src, cid) => {
+    let contentId;
+    try {
+      contentId = decodeURIComponent(cid);
+    } catch (e) {
+      return match;
+    }
+    const part = attachmentParts.find(part => part.id === contentId && /^image\//i.test(part.mimeType));
+    if (!part) {
+      return match;
+    }
+    resolved.add(part);
+    return `${src}data:${part.mimeType.toLowerCase()};base64,${window.btoa(mvelo.util.Uint8Array2str(part.content))}`;
+  });
+}
+
+/**
+ * Check if rawText is a multipart/signed MIME message (RFC 3156)
+ * @param  {String}  rawText
+ * @return {Boolean}
+ */
+export function isSignedMIME(rawText) {
+  return /^Content-Type:\s*multipart\/signed/im.test(rawText) && /-----BEGIN PGP SIGNATURE-----/.test(rawText);
+}
+
+/**
+ * Split multipart/signed MIME message in signed MIME entity and detached signature
+ * @param  {String} rawText
+ * @param  {Boolean} [options.binary] - rawText is a binary string
+ * @return {Promise<Object>} - {signedMessage: String, signature: String}, signedMessage is the binary string of the signed MIME entity
+ *                              canonicalized to CRLF line endings, it is kept in binary form as 8bit parts can have any charset
+ */
+export function parseSignedMessage(rawText, {binary} = {}) {
+  // ignore any content before the multipart/signed header, e.g. other headers or text extracted from the DOM
+  rawText = rawText.slice(rawText.search(/^Content-Type:\s*multipart\/signed/im));
+  if (!binary) {
+    rawText = unescape(encodeURIComponent(rawText));
+  }
+  return new Promise((resolve, reject) => {
+    mailreader.parse([{raw: rawText}], parsed => {
+      const [signedPart] = filterBodyParts(parsed || [], 'signed');
+      if (!signedPart) {
+        return reject(new mvelo.Error('No PGP/MIME signed content found.', 'NO_SIGNED_MIME'));
+      }
+      resolve({
+        signedMessage: signedPart.signedMessage,
+        signature: signedPart.signature
+      });
+    });
+  });
+}
+
+/**
+ * Parse the header fields of the top level MIME entity
+ * @param  {String} rawText - MIME message
+ * @return {Array<Object>} - {name: String, value: String} in order of appearance, name in lower case, folded values are unfolded
+ */
+export function parseHeaders(rawText) {
+  const headers = [];
+  if (!/^\s*(MIME-Version|Content-Type|Content-Transfer-Encoding|From|To|Cc|Subject|Date|Autocrypt|Autocrypt-Gossip):/i.test(rawText)) {
+    return headers;
+  }
+  const [headerBlock] = rawText.replace(/^\s+/, '').split(/\r?\n\r?\n/);
+  for (const line of headerBlock.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length) {
+      headers[headers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const match = /^([^:\s]+):\s*(.*)$/.exec(line);
+    if (match) {
+      headers.push({name: match[1].toLowerCase(), value: match[2].trim()});
+    }
+  }
+  return headers;
+}
+
+/**
+ * Get the encrypted subject of a message with protected headers (header fields of the encrypted
+ * MIME entity marked with the Content-Type parameter protected-headers="v1")
+ * @param  {String} rawText - MIME message
+ * @param  {Boolean} [options.binary] - rawText is a binary string
+ * @return {String} - the subject, undefined if the message has no protected subject
+ */
+export function getProtectedSubject(rawText, {binary} = {}) {
+  const headers = parseHeaders(rawText);
+  const contentType = headers.find(header => header.name === 'content-type');
+  if (!contentType || !/;\s*protected-headers\s*=\s*"?v1"?/i.test(contentType.value)) {
+    return;
+  }
+  const subject = headers.find(header => header.name === 'subject');
+  if (!subject) {
+    return;
+  }
+  let {value} = subject;
+  if (binary) {
+    value = new TextDecoder('utf-8').decode(mvelo.util.str2Uint8Array(value));
+  }
+  return mimecodec.mimeWordsDecode(value);
+}
+
+/**
+ * Extract the content of MIME body parts with a specific content type
+ * @param  {String} rawText - MIME message as binary string
+ * @param  {String} mimeType - content type of the body parts, e.g. application/vnd.gnupg.wks
+ * @return {Promise<Array<String>>} - content of the matching body parts as binary string
+ */
+export function extractBodyParts(rawText, mimeType) {
+  if (!/^\s*(MIME-Version|Content-Type|Content-Transfer-Encoding|From|Date):/.test(rawText)) {
+    return Promise.resolve([]);
+  }
+  return new Promise(resolve => {
+    mailreader.parse([{raw: rawText}], parsed => {
+      const parts = filterBodyParts(parsed || [], 'attachment').filter(part => part.mimeType.toLowerCase() === mimeType);
+      resolve(parts.map(part => mvelo.util.Uint8Array2str(part.content)));
+    });
+  });
+}
+
 async function parseInline(rawText, handlers, encoding) {
   if (/(<\/a>|<br>|<\/div>|<\/p>|<\/b>|<\/u>|<\/i>|<\/ul>|<\/li>)/.test(rawText)) {
     // legacy html mode
@@ -88,8 +224,7 @@ async function parseInline(rawText, handlers, encoding) {
 }
 
 // attribution: https://github.com/whiteout-io/mail-html5
-function filterBodyParts(bodyParts, type, result) {
-  result = result || [];
+function filterBodyParts(bodyParts, type, result = []) {
   bodyParts.forEach(part => {
     if (part.type === type) {
       result.push(part);
@@ -102,25 +237,36 @@ function filterBodyParts(bodyParts, type, result) {
 
 /**
  * @param {String} message
+ * @param {String} [html] - message as HTML, a text/plain alternative is generated from the sanitized HTML
  * @param {Map} attachments
  * @param {String} attachments.filename
  * @param {String} attachments.content
  * @param {Integer} attachments.size
  * @param {String} attachments.type
+ * @param {Array<Object>} [headers] - additional header fields {name, value} of the MIME message, e.g. Autocrypt
+ * @param {String} [subject] - subject that is encrypted as protected header, the message is always built as MIME
  * @returns {String | null}
  */
-export function buildMail({message, attachments, quota, pgpMIME}) {
-  const mainMessage = new mailbuild("multipart/mixed");
+export function buildMail({message, html, attachments, quota, pgpMIME, headers = [], subject}) {
+  const mainMessage = new mailbuild(subject ? 'multipart/mixed; protected-headers="v1"' : "multipart/mixed");
+  if (subject) {
+    mainMessage.addHeader('Subject', subject);
+  }
+  headers.forEach(({name, value}) => mainMessage.addHeader(name, value));
   let composedMessage = null;
   let hasAttachment;
   let quotaSize = 0;
-  if (message) {
+  if (html) {
+    html = mvelo.util.sanitizeHTML(html);
+    const text = mvelo.util.html2text(html);
+    quotaSize += mvelo.util.byteCount(text) + mvelo.util.byteCount(html);
+    const alternativeMime = new mailbuild("multipart/alternative");
+    alternativeMime.appendChild(createTextMime("text/plain", text));
+    alternativeMime.appendChild(createTextMime("text/html", html));
+    mainMessage.appendChild(alternativeMime);
+  } else if (message) {
     quotaSize += mvelo.util.byteCount(message);
-    const textMime = new mailbuild("text/plain")
-    .setHeader("Content-Type", "text/plain; charset=utf-8")
-    .addHeader("Content-Transfer-Encoding", "quoted-printable")
-    .setContent(message);
-    mainMessage.appendChild(textMime);
+    mainMessage.appendChild(createTextMime("text/plain", message));
   }
   if (attachments && attachments.length > 0) {
     hasAttachment = true;
@@ -138,10 +284,17 @@ export function buildMail({message, attachments, quota, pgpMIME}) {
   if (quota && (quotaSize > quota)) {
     throw new mvelo.Error('Mail content exceeds quota limit.', 'ENCRYPT_QUOTA_SIZE');
   }
-  if (hasAttachment || pgpMIME) {
+  if (hasAttachment || pgpMIME || html || subject) {
     composedMessage = mainMessage.build();
   } else {
     composedMessage = message;
   }
   return composedMessage;
 }
+
+function createTextMime(contentType, content) {
+  return new mailbuild(contentType)
+  .setHeader("Content-Type", `${contentType}; charset=utf-8`)
+  .addHeader("Content-Transfer-Encoding", "quoted-printable")
+  .setContent(content);
+}
@@ -6,20 +6,27 @@
 import mvelo from '../lib/lib-mvelo';
 import * as openpgp from 'openpgp';
 
+// web worker that decrypts streamed messages, created on first use
+let streamWorker;
+
 /**
  * Decrypt message
- * @param  {openppg.message.Message} options.message - message that will be decrypted
+ * @param  {openppg.message.Message} options.message - message that will be decrypted, a message read from a stream is decrypted as stream
  * @param  {KeyringBase} options.keyring - keyring used for decryption
  * @param  {String} options.senderAddress - email address of sender, used for signature verification
  * @param  {Boolean} options.selfSigned - message is signed by user, therefore encryption key used for signature verification
  * @param  {Array<openpgp.Keyid>} options.encryptionKeyIds - message encrypted for keyIds
  * @param  {Function} options.unlockKey - callback that unlocks private key
+ * @param  {Object} [options.sessionKey] - session key of a message encrypted with a password, no private key required
  * @param  {String} options.format - default is 'utf8', other value: 'binary'
  * @return {Object}
  */
-export async function decrypt({message, keyring, senderAddress, selfSigned, encryptionKeyIds, unlockKey, format}) {
-  let privateKey = keyring.getPrivateKeyByIds(encryptionKeyIds);
-  privateKey = await unlockKey({key: privateKey});
+export async function decrypt({message, keyring, senderAddress, selfSigned, encryptionKeyIds, unlockKey, sessionKey, format}) {
+  let privateKey;
+  if (!sessionKey) {
+    privateKey = keyring.getPrivateKeyByIds(encryptionKeyIds);
+    privateKey = await unlockKey({key: privateKey});
+  }
   let signingKeys;
   // normalize sender address to array
   senderAddress = mvelo.util.toArray(senderAddress);
@@ -33,11 +40,16 @@ export async function decrypt({message, keyring, senderAddress, selfSigned, encr
     // if no signing keys found we use decryption key for verification
     // this covers the self signed message (draft) use case
     // also signingKeys parameter in decryptAndVerifyMessage has to contain at least one key
-    if (!signingKeys.length) {
+    if (!signingKeys.length && privateKey) {
       signingKeys = [privateKey];
     }
   }
-  const result = await openpgp.decrypt({message, privateKeys: privateKey, publicKeys: signingKeys, format});
+  if (message.fromStream) {
+    // data of a streamed message is returned as stream of Uint8Array, signatures are not verified
+    const {data, filename} = await decryptStream({message, privateKey, sessionKey, format});
+    return {data, signatures: [], filename};
+  }
+  const result = await openpgp.decrypt({message, privateKeys: privateKey, sessionKeys: sessionKey, publicKeys: signingKeys, format});
   result.signatures = (result.signatures || []).map(signature => {
     signature.keyId = signature.keyid.toHex();
     delete signature.keyid;
@@ -58,18 +70,52 @@ export async function decrypt({message, keyring, senderAddress, selfSigned, encr
   return result;
 }
 
+/**
+ * Decrypt streamed message in a separate web worker. Decrypted data is released before the integrity check at
+ * the end of the stream, a file is only offered for download once the complete stream was decrypted without error.
+ * The configuration of a worker is only transferred on initialization, therefore the worker for streams has its own.
+ * @param  {openpgp.message.Message} options.message - message read from a stream
+ * @param  {openpgp.key.Key} [options.privateKey] - unlocked private key
+ * @param  {Object} [options.sessionKey] - session key of a message encrypted with a password
+ * @param  {String} options.format - 'utf8' or 'binary'
+ * @return {Promise<Object>} - {data: ReadableStream, filename}
+ */
+function decryptStream({message, privateKey, sessionKey, format}) {
+  if (!openpgp.getWorker()) {
+    // without web worker the data is only released after the integrity check
+    return openpgp.decrypt({message, privateKeys: privateKey, sessionKeys: sessionKey, format});
+  }
+  if (!streamWorker) {
+    streamWorker = new openpgp.AsyncProxy({path: 'dep/openpgp.worker.js', config: {...openpgp.config, allow_unauthenticated_stream: true}});
+  }
+  return streamWorker.delegate('decrypt', {
+    message,
+    privateKeys: mvelo.util.toArray(privateKey),
+    passwords: [],
+    sessionKeys: mvelo.util.toArray(sessionKey),
+    publicKeys: [],
+    format,
+    streaming: message.fromStream,
+    signature: null,
+    date: new Date()
+  });
+}
+
 /**
  * Encrypt message
  * @param  {String} options.dataURL - data to be encrypted as dataURL
+ * @param  {ReadableStream} [options.stream] - data to be encrypted as stream of Uint8Array
  * @param  {KeyringBase} options.keyring - keyring used for encryption
  * @param  {Function} options.unlockKey - callback that unlocks private key
  * @param  {Array<String>} options.encryptionKeyFprs - array of fingerprints used for encryption
  * @param  {String} options.signingKeyFpr - fingerprint of signing key
+ * @param  {String} [options.password] - password to encrypt the message with in addition to the encryption keys
  * @param  {String} [filename]
  * @param {Boolean} [armor] - request the output as armored block
- * @return {String|Uint8Array}
+ * @param {Boolean} [wildcard] - hide the recipients by using wildcard key IDs
+ * @return {String|ReadableStream} - JS binary string or armored block, a stream input is encrypted as stream
  */
-export async function encrypt({data, dataURL, keyring, unlockKey, encryptionKeyFprs, signingKeyFpr, filename, armor}) {
+export async function encrypt({data, dataURL, stream, keyring, unlockKey, encryptionKeyFprs, signingKeyFpr, password, filename, armor, wildcard}) {
   let signingKey;
   let message;
   if (data) {
@@ -78,42 +124,56 @@ export async function encrypt({data, dataURL, keyring, unlockKey, encryptionKeyF
     const content = mvelo.util.dataURL2str(dataURL);
     data = mvelo.util.str2Uint8Array(content);
     message = openpgp.message.fromBinary(data, filename);
+  } else if (stream) {
+    message = openpgp.message.fromBinary(stream, filename);
   }
   if (signingKeyFpr) {
     signingKey = keyring.getPrivateKeyByIds(signingKeyFpr);
     signingKey = await unlockKey({key: signingKey});
   }
   const keys = keyring.getKeysByFprs(encryptionKeyFprs);
-  const result = await openpgp.encrypt({message, publicKeys: keys, privateKeys: signingKey, armor});
+  const result = await openpgp.encrypt({message, publicKeys: keys, passwords: password ? [password] : undefined, privateKeys: signingKey, armor, wildcard});
+  if (stream) {
+    return armor ? result.data : result.message.packets.write();
+  }
   return armor ? result.data : mvelo.util.Uint8Array2str(result.message.packets.write());
 }
 
 /**
- * Sign cleartext message
- * @param  {String} options.data - data to be signed as plaintext
+ * Sign message
+ * @param  {String} [options.data] - data to be signed as plaintext
+ * @param  {String} [options.dataURL] - data to be signed as data URL
  * @param  {KeyringBase} options.keyring - keyring used for signing
  * @param  {Function} options.unlockKey - callback that unlocks private key
  * @param  {String} options.signingKeyFpr - fingerprint of signing key
- * @return {String}
+ * @param  {Boolean} [options.detached] - create detached signature instead of cleartext signed message
+ * @return {String} - cleartext signed message or detached signature as armored block
  */
-export async function sign({data, keyring, unlockKey, signingKeyFpr}) {
-  const message = openpgp.cleartext.fromText(data);
+export async function sign({data, dataURL, keyring, unlockKey, signingKeyFpr, detached}) {
+  let message;
+  if (dataURL) {
+    message = openpgp.message.fromBinary(mvelo.util.str2Uint8Array(mvelo.util.dataURL2str(dataURL)));
+  } else {
+    message = detached ? openpgp.message.fromText(data) : openpgp.cleartext.fromText(data);
+  }
   let signingKey = keyring.getPrivateKeyByIds(signingKeyFpr);
   signingKey = await unlockKey({key: signingKey});
-  const result = await openpgp.sign({message, privateKeys: signingKey});
-  return result.data;
+  const result = await openpgp.sign({message, privateKeys: signingKey, detached});
+  return detached ? result.signature : result.data;
 }
 
 /**
  * Verify message
  * @param  {openpgp.message.Message} [options.message] - message to be verified
  * @param {String} [options.plaintext] - message to be verified as plaintext
+ * @param {String} [options.dataURL] - message to be verified as data URL
  * @param {String} [detachedSignature] - signature as armored block
+ * @param {Boolean} [options.canonicalized] - plaintext is a binary string with CRLF line endings that is signed as is (PGP/MIME)
  * @param  {KeyringBase} options.keyring - keyring used for verification
  * @param  {Array<openpgp.key.Keyid|String>} options.signingKeyIds - fingerprints or Keyid objects of signing keys
  * @return {{data: String, signatures: Array<{keyId: String, fingerprint: String, valid: Boolean}>}}
  */
-export async function verify({message, plaintext, detachedSignature, keyring, signingKeyIds}) {
+export async function verify({message, plaintext, dataURL, detachedSignature, canonicalized, keyring, signingKeyIds}) {
   const publicKeys = [];
   for (const keyId of signingKeyIds) {
     const keys = keyring.keystore.getKeysForId(typeof keyId === 'string' ? keyId : keyId.toHex(), true);
@@ -123,9 +183,15 @@ export async function verify({message, plaintext, detachedSignature, keyring, si
     }
   }
   let signature;
-  if (plaintext && detachedSignature) {
+  if ((plaintext || dataURL) && detachedSignature) {
     signature = await openpgp.signature.readArmored(detachedSignature);
-    message = openpgp.message.fromText(plaintext);
+    if (dataURL) {
+      message = openpgp.message.fromBinary(mvelo.util.str2Uint8Array(mvelo.util.dataURL2str(dataURL)));
+    } else if (canonicalized) {
+      message = openpgp.message.fromBinary(mvelo.util.str2Uint8Array(plaintext));
+    } else {
+      message = openpgp.message.fromText(plaintext);
+    }
   }
   let {data, signatures} = await openpgp.verify({message, publicKeys, signature});
   signatures = signatures.map(signature => {
@@ -10,11 +10,14 @@ import * as defaults from './defaults';
 import * as prefs from './prefs';
 import * as pwdCache from './pwdCache';
 import {randomString, symEncrypt} from './crypto';
+import * as openpgpjs from './openpgpjs';
 import * as uiLog from './uiLog';
-import {getById as getKeyringById, getKeyringWithPrivKey, syncPublicKeys, getPreferredKeyring} from './keyring';
+import {getById as getKeyringById, getKeyringWithPrivKey, getKeyringsWithPrivKey, syncPublicKeys, getPreferredKeyring} from './keyring';
 import {getUserId, mapKeys} from './key';
 import * as keyringSync from './keyringSync';
 import * as trustKey from './trustKey';
+import {isSignedMIME, parseSignedMessage, parseMessage} from './mime';
+import {getVerificationState} from './keyVerification';
 
 export async function init() {
   await defaults.init();
@@ -35,24 +38,22 @@ function initOpenPGP() {
  * @param  {String} options.armored - armored PGP message
  * @param  {String} options.keyringId
  * @param  {Function} options.unlockKey - callback to unlock key
+ * @param  {Function} [options.unlockMessage] - callback to request the password of a message that is encrypted with a password
  * @param  {String|Array} options.senderAddress - email address of sender, used to indentify key for signature verification
  * @param  {Boolean} options.selfSigned - message is self signed (decrypt email draft scenario)
+ * @param  {String} [options.format] - default is 'utf8', other value: 'binary'
  * @return {Promise<Object>} - decryption result {data: String, signatures: Array}
  */
-export async function decryptMessage({armored, keyringId, unlockKey, senderAddress, selfSigned}) {
-  const message = await readMessage({armoredText: armored});
-  const encryptionKeyIds = message.getEncryptionKeyIds();
-  const keyring = getKeyringWithPrivKey(encryptionKeyIds, keyringId);
-  if (!keyring) {
-    throw noKeyFoundError(encryptionKeyIds);
-  }
+export async function decryptMessage({armored, keyringId, unlockKey, unlockMessage, senderAddress, selfSigned, format}) {
+  const {message, keyring, encryptionKeyIds, sessionKey} = await prepareDecryption({message: await readMessage({armoredText: armored}), keyringId, unlockKey, unlockMessage});
   try {
-    let {data, signatures} = await keyring.getPgpBackend().decrypt({armored, message, keyring, unlockKey, senderAddress, selfSigned, encryptionKeyIds});
+    const pgpBackend = sessionKey ? openpgpjs : keyring.getPgpBackend();
+    let {data, signatures} = await pgpBackend.decrypt({armored, message, keyring, unlockKey, sessionKey, senderAddress, selfSigned, encryptionKeyIds, format});
     // collect fingerprints or keyIds of signatures
     const sigKeyIds = signatures.map(sig => sig.fingerprint || sig.keyId);
     // sync public keys for the signatures
     await syncPublicKeys({keyring, keyIds: sigKeyIds, keyringId});
-    signatures = await Promise.all(signatures.map(sig => addSigningKeyDetails(sig, keyring)));
+    signatures = await Promise.all(signatures.map(sig => addSigningKeyDetails(sig, keyring, keyringId)));
     return {data, signatures};
   } catch (e) {
     console.log('getPgpBackend().decrypt() error', e);
@@ -60,23 +61,125 @@ export async function decryptMessage({armored, keyringId, unlockKey, senderAddre
   }
 }
 
+/**
+ * Find the keyring with the private key to decrypt the message. If no private key is available but the message
+ * is encrypted with a password, the password is requested and the session key of the message returned.
+ * @param  {openpgp.message.Message} options.message
+ * @param  {String} [options.keyringId]
+ * @param  {Function} [options.unlockKey] - callback to unlock the private keys if the recipients of the message are hidden
+ * @param  {Function} [options.unlockMessage] - callback to request the password of the message
+ * @return {Promise<Object>} - {message, keyring, encryptionKeyIds, sessionKey}, the keyring of a message
+ *                             decrypted with a session key is only used for signature verification
+ */
+async function prepareDecryption({message, keyringId, unlockKey, unlockMessage}) {
+  const encryptionKeyIds = message.getEncryptionKeyIds();
+  const keyring = encryptionKeyIds.length ? getKeyringWithPrivKey(encryptionKeyIds, keyringId) : null;
+  if (keyring) {
+    return {message, keyring, encryptionKeyIds};
+  }
+  if (unlockKey && encryptionKeyIds.some(keyId => keyId.isWildcard())) {
+    const result = await decryptHiddenSessionKey({message, keyringId, unlockKey});
+    if (result) {
+      return {message, encryptionKeyIds, ...result};
+    }
+  }
+  if (!unlockMessage || !message.packets.filterByTag(openpgp.enums.packet.symEncryptedSessionKey).length) {
+    throw noKeyFoundError(encryptionKeyIds);
+  }
+  if (message.fromStream) {
+    // a streamed message is not buffered, its password is only checked on decryption
+    const sessionKey = await unlockMessage({message});
+    return {message, keyring: getPreferredKeyring(keyringId), encryptionKeyIds, sessionKey};
+  }
+  // the packets of a message can only be written once, the password is checked on the binary message
+  const binary = await openpgp.stream.readToEnd(message.packets.write());
+  const sessionKey = await unlockMessage({message: binary});
+  return {message: await openpgp.message.read(binary), keyring: getPreferredKeyring(keyringId), encryptionKeyIds, sessionKey};
+}
+
+/**
+ * Decrypt the session key of a message with hidden recipients (wildcard key IDs) by trying the private keys
+ * of all keyrings. Only private keys with a key of the public key algorithm of the session key packets are unlocked.
+ * GnuPG tries its secret keys itself and can't report a failure before decryption, therefore the GnuPG keyring
+ * is used if no private key of the other keyrings decrypts the message.
+ * @param  {openpgp.message.Message} options.message
+ * @param  {String} [options.keyringId]
+ * @param  {Function} options.unlockKey - callback to unlock key
+ * @return {Promise<Object>} - {keyring, sessionKey} or null if no private key decrypts the message,
+ *                             no session key is returned for the GnuPG keyring
+ * @throws {Error} - PWD_DIALOG_CANCEL if the user canceled the password dialog and no other key decrypts the message
+ */
+async function decryptHiddenSessionKey({message, keyringId, unlockKey}) {
+  const keyrings = getKeyringsWithPrivKey(keyringId);
+  const pkESKPackets = message.packets.filterByTag(openpgp.enums.packet.publicKeyEncryptedSessionKey);
+  const algorithms = pkESKPackets.map(packet => packet.publicKeyAlgorithm);
+  // a failed decryption attempt consumes the session key packets, they are read again for each private key
+  const binary = pkESKPackets.write();
+  let cancelError;
+  for (const keyring of keyrings.filter(keyring => keyring.id !== mvelo.GNUPG_KEYRING_ID)) {
+    for (const privateKey of keyring.keystore.privateKeys.keys) {
+      if (!privateKey.getKeys().some(key => algorithms.includes(key.keyPacket.algorithm))) {
+        continue;
+      }
+      let unlockedKey;
+      try {
+        unlockedKey = await unlockKey({key: privateKey});
+      } catch (e) {
+        if (e.code !== 'PWD_DIALOG_CANCEL') {
+          throw e;
+        }
+        // the user skips a key that is possibly not a recipient, the next key is tried
+        cancelError = e;
+        continue;
+      }
+      try {
+        const [sessionKey] = await (await openpgp.message.read(binary)).decryptSessionKeys([unlockedKey]);
+        return {keyring, sessionKey};
+      } catch (e) {
+        // private key is not a recipient of the message
+      }
+    }
+  }
+  const gnupgKeyring = keyrings.find(keyring => keyring.id === mvelo.GNUPG_KEYRING_ID);
+  if (gnupgKeyring) {
+    return {keyring: gnupgKeyring};
+  }
+  if (cancelError) {
+    throw cancelError;
+  }
+  return null;
+}
+
 /**
  * Add signing key details to signature. Only if fingerprint is available.
+ * The signing key of a valid signature is recorded for the verification state of the signer.
  * @param {Object} signature
  * @param {KeyringBase} keyring
+ * @param {String} keyringId - the requested keyring
  */
-async function addSigningKeyDetails(signature, keyring) {
+async function addSigningKeyDetails(signature, keyring, keyringId) {
   if (signature.valid !== null && signature.fingerprint) {
     const signingKey = keyring.keystore.getKeysForId(signature.fingerprint, true);
     if (!signingKey) {
-      return;
+      return signature;
     }
     [signature.keyDetails] = await mapKeys(signingKey);
+    if (signature.valid && signature.keyDetails.email) {
+      signature.verification = await getVerificationState(keyringId || keyring.id, signature.keyDetails.email, signature.fingerprint);
+    }
   }
   return signature;
 }
 
 function noKeyFoundError(encryptionKeyIds) {
+  if (!encryptionKeyIds.length) {
+    return new mvelo.Error(l10n('message_no_keys_password'), 'NO_KEY_FOUND');
+  }
+  // wildcard key IDs of hidden recipients are not listed
+  encryptionKeyIds = encryptionKeyIds.filter(keyId => !keyId.isWildcard());
+  if (!encryptionKeyIds.length) {
+    return new mvelo.Error(l10n('message_no_keys_hidden'), 'NO_KEY_FOUND');
+  }
   const keyId = encryptionKeyIds[0].toHex();
   let errorMsg = l10n('message_no_keys', [keyId.toUpperCase()]);
   for (let i = 1; i < encryptionKeyIds.length; i++) {
@@ -118,20 +221,22 @@ export async function readMessage({armoredText, binary}) {
  * @param  {Function} options.unlockKey - callback to unlock key
  * @param {Array<String>} options.encryptionKeyFprs - fingerprint of encryption keys
  * @param {String} options.signingKeyFpr - fingerprint of signing key
+ * @param {String} [options.password] - password to encrypt the message with in addition to the encryption keys
  * @param {String} options.uiLogSource - UI source that triggered encryption, used for logging
  * @param {String} [options.filename] - file name set for this message
  * @param {Boolean} [noCache] - if true, no password cache should be used to unlock signing keys
+ * @param {Boolean} [options.hiddenRecipients] - use wildcard key IDs instead of the key IDs of the recipients
  * @return {Promise<String>} - armored PGP message
  */
-export async function encryptMessage({data, keyringId, unlockKey, encryptionKeyFprs, signingKeyFpr, uiLogSource, filename, noCache}) {
+export async function encryptMessage({data, keyringId, unlockKey, encryptionKeyFprs, signingKeyFpr, password, uiLogSource, filename, noCache, hiddenRecipients}) {
   const keyring = getKeyringWithPrivKey(signingKeyFpr, keyringId, noCache);
   if (!keyring) {
     throw new mvelo.Error('No private key found', 'NO_PRIVATE_KEY_FOUND');
   }
   await syncPublicKeys({keyring, keyIds: encryptionKeyFprs, keyringId});
   try {
-    const result = await keyring.getPgpBackend().encrypt({data, keyring, unlockKey, encryptionKeyFprs, signingKeyFpr, armor: true, filename});
-    await logEncryption(uiLogSource, keyring, encryptionKeyFprs);
+    const result = await getEncryptionBackend(keyring, password, signingKeyFpr).encrypt({data, keyring, unlockKey, encryptionKeyFprs, signingKeyFpr, password, armor: true, filename, wildcard: hiddenRecipients});
+    await logEncryption(uiLogSource, keyring, encryptionKeyFprs, password);
     return result;
   } catch (e) {
     console.log('getPgpBackend().encrypt() error', e);
@@ -139,16 +244,38 @@ export async function encryptMessage({data, keyringId, unlockKey, encryptionKeyF
   }
 }
 
+/**
+ * Get PGP backend for encryption. GPGME does not support encryption with a password,
+ * in that case OpenPGP.js encrypts with the public keys of the GnuPG keyring.
+ * @param  {KeyringBase} keyring
+ * @param  {String} [password]
+ * @param  {String} [signingKeyFpr]
+ * @return {Object} - PGP backend module
+ */
+function getEncryptionBackend(keyring, password, signingKeyFpr) {
+  if (!password || keyring.id !== mvelo.GNUPG_KEYRING_ID) {
+    return keyring.getPgpBackend();
+  }
+  if (signingKeyFpr) {
+    throw new mvelo.Error(l10n('encrypt_password_gnupg_sign'), 'GPG_NOT_SUPPORTED');
+  }
+  return openpgpjs;
+}
+
 /**
  * Log encryption operation
  * @param  {String} source - source that triggered encryption operation
  * @param {KeyringBase} keyring
  * @param  {Array<String>} keyFprs - fingerprint of used keys
+ * @param  {String} [password] - message is also encrypted with a password
  */
-async function logEncryption(source, keyring, keyFprs) {
+async function logEncryption(source, keyring, keyFprs, password) {
   if (source) {
     const keys = keyring.getKeysByFprs(keyFprs);
     const recipients = await Promise.all(keys.map(async key => getUserId(key, false)));
+    if (password) {
+      recipients.push(l10n('security_log_password_recipient'));
+    }
     uiLog.push(source, 'security_log_encryption_operation', [recipients.join(', ')]);
   }
 }
@@ -163,6 +290,9 @@ async function readCleartextMessage(armoredText) {
 }
 
 export async function verifyMessage({armored, keyringId}) {
+  if (isSignedMIME(armored)) {
+    return verifySignedMIME({rawText: armored, keyringId});
+  }
   try {
     const message = await readCleartextMessage(armored);
     const signingKeyIds = message.getSigningKeyIds();
@@ -172,7 +302,34 @@ export async function verifyMessage({armored, keyringId}) {
     const keyring = getPreferredKeyring(keyringId);
     await syncPublicKeys({keyring, keyIds: signingKeyIds, keyringId});
     let {data, signatures} = await keyring.getPgpBackend().verify({armored, message, keyring, signingKeyIds});
-    signatures = await Promise.all(signatures.map(sig => addSigningKeyDetails(sig, keyring)));
+    signatures = await Promise.all(signatures.map(sig => addSigningKeyDetails(sig, keyring, keyringId)));
+    return {data, signatures};
+  } catch (e) {
+    throw new mvelo.Error(l10n('verify_error', [e]), 'VERIFY_ERROR');
+  }
+}
+
+/**
+ * Verify multipart/signed MIME message (RFC 3156)
+ * @param  {String} options.rawText - MIME message
+ * @param  {String} options.keyringId
+ * @param  {Boolean} [options.binary] - rawText is a binary string
+ * @return {Promise<Object>} - {data: String, signatures: Array}, data is the text content of the signed MIME entity
+ */
+export async function verifySignedMIME({rawText, keyringId, binary}) {
+  try {
+    const {signedMessage, signature} = await parseSignedMessage(rawText, {binary});
+    const {packets} = await openpgp.signature.readArmored(signature);
+    const signingKeyIds = packets.filterByTag(openpgp.enums.packet.signature).map(sigPacket => sigPacket.issuerKeyId);
+    if (!signingKeyIds.length) {
+      throw new mvelo.Error('No signatures found');
+    }
+    const keyring = getPreferredKeyring(keyringId);
+    await syncPublicKeys({keyring, keyIds: signingKeyIds, keyringId});
+    let {signatures} = await keyring.getPgpBackend().verify({plaintext: signedMessage, detachedSignature: signature, canonicalized: true, keyring, signingKeyIds});
+    signatures = await Promise.all(signatures.map(sig => addSigningKeyDetails(sig, keyring, keyringId)));
+    let data = '';
+    await parseMessage(signedMessage, {onMessage: message => data = message, onAttachment() {}}, 'text', {binary: true});
     return {data, signatures};
   } catch (e) {
     throw new mvelo.Error(l10n('verify_error', [e]), 'VERIFY_ERROR');
@@ -366,15 +523,16 @@ function convertChangeLog(key, changeLog, syncData) {
  * Encrypt file
  * @param  {Object} options.plainFile - {content, name} with contant as dataURL and name as filename
  * @param  {Array<String>} options.encryptionKeyFprs - fingerprint of encryption keys
+ * @param  {String} [options.password] - password to encrypt the file with in addition to the encryption keys
  * @param  {Boolean} options.armor - request the output as armored block
  * @return {String} - encrypted file as armored block or JS binary string
  */
-export async function encryptFile({plainFile, encryptionKeyFprs, armor}) {
+export async function encryptFile({plainFile, encryptionKeyFprs, password, armor}) {
   try {
     const keyring = getPreferredKeyring();
     await syncPublicKeys({keyring, keyIds: encryptionKeyFprs, allKeyrings: true});
-    const result = await keyring.getPgpBackend().encrypt({dataURL: plainFile.content, keyring, encryptionKeyFprs, filename: plainFile.name, armor});
-    await logEncryption('security_log_encrypt_dialog', keyring, encryptionKeyFprs);
+    const result = await getEncryptionBackend(keyring, password).encrypt({dataURL: plainFile.content, keyring, encryptionKeyFprs, password, filename: plainFile.name, armor});
+    await logEncryption('security_log_encrypt_dialog', keyring, encryptionKeyFprs, password);
     return result;
   } catch (error) {
     console.log('pgpmodel.encryptFile() error', error);
@@ -386,9 +544,10 @@ export async function encryptFile({plainFile, encryptionKeyFprs, armor}) {
  * Decrypt File
  * @param  {Object} encryptedFile - {content, name} with contant as dataURL and name as filename
  * @param  {Function} unlockKey - callback to unlock key
+ * @param  {Function} [unlockMessage] - callback to request the password of a file that is encrypted with a password
  * @return {Object<name, content>} - content as JS binary string
  */
-export async function decryptFile(encryptedFile, unlockKey) {
+export async function decryptFile(encryptedFile, unlockKey, unlockMessage) {
   let armoredText;
   let binary;
   try {
@@ -398,13 +557,9 @@ export async function decryptFile(encryptedFile, unlockKey) {
     } else {
       binary = mvelo.util.str2Uint8Array(content);
     }
-    const message = await readMessage({armoredText, binary});
-    const encryptionKeyIds = message.getEncryptionKeyIds();
-    const keyring = getKeyringWithPrivKey(encryptionKeyIds);
-    if (!keyring) {
-      throw noKeyFoundError(encryptionKeyIds);
-    }
-    const result = await keyring.getPgpBackend().decrypt({base64: mvelo.util.dataURL2base64(encryptedFile.content), message, keyring, unlockKey, encryptionKeyIds, format: 'binary'});
+    const {message, keyring, encryptionKeyIds, sessionKey} = await prepareDecryption({message: await readMessage({armoredText, binary}), unlockKey, unlockMessage});
+    const pgpBackend = sessionKey ? openpgpjs : keyring.getPgpBackend();
+    const result = await pgpBackend.decrypt({base64: mvelo.util.dataURL2base64(encryptedFile.content), message, keyring, unlockKey, sessionKey, encryptionKeyIds, format: 'binary'});
     if (!result.filename) {
       result.filename = encryptedFile.name.slice(0, -4);
     }
@@ -414,3 +569,114 @@ export async function decryptFile(encryptedFile, unlockKey) {
     throw error;
   }
 }
+
+/**
+ * Encrypt file as stream, used for files beyond the size limit of in-memory processing.
+ * GPGME offers no streaming, files are always encrypted with OpenPGP.js.
+ * @param  {ReadableStream} options.stream - content of file as stream of Uint8Array
+ * @param  {String} options.name - filename
+ * @param  {Array<String>} options.encryptionKeyFprs - fingerprints of encryption keys
+ * @param  {String} [options.password] - password to encrypt the file with in addition to the encryption keys
+ * @param  {Boolean} options.armor - request the output as armored block
+ * @return {Promise<Object>} - {data: ReadableStream}, encrypted file as stream of armored text or Uint8Array
+ */
+export async function encryptFileStream({stream, name, encryptionKeyFprs, password, armor}) {
+  try {
+    const keyring = getPreferredKeyring();
+    await syncPublicKeys({keyring, keyIds: encryptionKeyFprs, allKeyrings: true});
+    const data = await openpgpjs.encrypt({stream, keyring, encryptionKeyFprs, password, filename: name, armor});
+    await logEncryption('security_log_encrypt_dialog', keyring, encryptionKeyFprs, password);
+    return {data};
+  } catch (error) {
+    console.log('pgpmodel.encryptFileStream() error', error);
+    throw new mvelo.Error(l10n('encrypt_error', [error.message]), 'NO_KEY_FOUND');
+  }
+}
+
+/**
+ * Decrypt file as stream, used for files beyond the size limit of in-memory processing.
+ * Only private keys of the Mailvelope keyrings can decrypt a stream as GPGME offers no streaming.
+ * @param  {ReadableStream} options.stream - content of encrypted file as stream of Uint8Array
+ * @param  {String} options.name - filename of the encrypted file
+ * @param  {Function} options.unlockKey - callback to unlock key
+ * @param  {Function} [options.unlockMessage] - callback to request the password of a file that is encrypted with a password
+ * @return {Promise<Object>} - {data: ReadableStream, filename}, decrypted file as stream of Uint8Array
+ */
+export async function decryptFileStream({stream, name, unlockKey, unlockMessage}) {
+  const reader = openpgp.stream.getReader(stream);
+  const start = mvelo.util.Uint8Array2str(await reader.peekBytes(27));
+  reader.releaseLock();
+  let message;
+  if (/^-----BEGIN PGP MESSAGE-----/.test(start)) {
+    message = await openpgp.message.readArmored(openpgp.stream.transform(stream, chunk => mvelo.util.Uint8Array2str(chunk)));
+  } else {
+    message = await openpgp.message.read(stream);
+  }
+  const {keyring, encryptionKeyIds, sessionKey} = await prepareDecryption({message, unlockKey, unlockMessage});
+  if (!sessionKey && keyring.id === mvelo.GNUPG_KEYRING_ID) {
+    throw new mvelo.Error(l10n('decrypt_file_stream_gnupg'), 'GPG_NOT_SUPPORTED');
+  }
+  const result = await openpgpjs.decrypt({message, keyring, unlockKey, sessionKey, encryptionKeyIds, format: 'binary'});
+  return {data: result.data, filename: result.filename || name.replace(/\.(asc|gpg|pgp)$/i, '')};
+}
+
+/**
+ * Create detached signature of file
+ * @param  {Object} options.plainFile - {content, name} with content as dataURL and name as filename
+ * @param  {Function} options.unlockKey - callback to unlock key
+ * @param  {String} options.signingKeyFpr - fingerprint of sign key
+ * @param  {Boolean} options.armor - request the signature as armored block
+ * @return {String} - signature as armored block or JS binary string
+ */
+export async function signFile({plainFile, unlockKey, signingKeyFpr, armor}) {
+  const keyring = getKeyringWithPrivKey(signingKeyFpr);
+  if (!keyring) {
+    throw new mvelo.Error('No private key found', 'NO_PRIVATE_KEY_FOUND');
+  }
+  try {
+    const signature = await keyring.getPgpBackend().sign({dataURL: plainFile.content, keyring, unlockKey, signingKeyFpr, detached: true});
+    uiLog.push('security_log_encrypt_dialog', 'security_log_sign_operation', [signingKeyFpr.toUpperCase()]);
+    if (armor) {
+      return signature;
+    }
+    const {packets} = await openpgp.signature.readArmored(signature);
+    return mvelo.util.Uint8Array2str(packets.write());
+  } catch (e) {
+    if (e.code === 'PWD_DIALOG_CANCEL') {
+      throw e;
+    }
+    console.log('pgpModel.signFile() error', e);
+    throw new mvelo.Error(l10n('sign_error', [e]), 'SIGN_ERROR');
+  }
+}
+
+/**
+ * Verify file with detached signature
+ * @param  {Object} options.plainFile - {content, name} with content as dataURL and name as filename
+ * @param  {Object} options.signatureFile - {content, name} with the armored or binary signature as dataURL
+ * @param  {String} [options.keyringId]
+ * @return {Promise<Object>} - {signatures: Array}, signatures with details of the signing keys
+ */
+export async function verifyFile({plainFile, signatureFile, keyringId}) {
+  try {
+    const content = mvelo.util.dataURL2str(signatureFile.content);
+    let signature;
+    if (/^-----BEGIN PGP SIGNATURE-----/.test(content)) {
+      signature = await openpgp.signature.readArmored(content);
+    } else {
+      signature = await openpgp.signature.read(mvelo.util.str2Uint8Array(content));
+    }
+    const signingKeyIds = signature.packets.filterByTag(openpgp.enums.packet.signature).map(sigPacket => sigPacket.issuerKeyId);
+    if (!signingKeyIds.length) {
+      throw new mvelo.Error('No signatures found');
+    }
+    const keyring = getPreferredKeyring(keyringId);
+    await syncPublicKeys({keyring, keyIds: signingKeyIds, keyringId});
+    let {signatures} = await keyring.getPgpBackend().verify({dataURL: plainFile.content, detachedSignature: signature.armor(), keyring, signingKeyIds});
+    signatures = await Promise.all(signatures.map(sig => addSigningKeyDetails(sig, keyring, keyringId)));
+    return {signatures};
+  } catch (e) {
+    console.log('pgpModel.verifyFile() error', e);
+    throw new mvelo.Error(l10n('verify_error', [e]), 'VERIFY_ERROR');
+  }
+}
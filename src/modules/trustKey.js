@@ -1,44 +1,190 @@
 /**
- * Copyright (C) 2015-2017 Mailvelope GmbH
+ * Copyright (C) 2015-2018 Mailvelope GmbH
  * Licensed under the GNU Affero General Public License version 3
  */
 
+/**
+ * @fileOverview Trust anchors of keyring domains: keys of a provider or organisation that certify
+ * the user IDs of their users. User IDs certified by an anchor are verified, revocations of
+ * user IDs by an anchor are honoured as pseudo-revocation of the key.
+ */
+
 import mvelo from '../lib/lib-mvelo';
 import * as openpgp from 'openpgp';
 import * as certs from './certs';
 import {verifyUserCertificate} from './key';
 
-const keyMap = new Map();
+const STORAGE_KEY = 'mvelo.trustAnchors';
+// 1&1 marks the revocation of a user ID whose mailbox was deleted with this reason flag
+const REASON_1UND1 = 101;
+const BUILTIN_ANCHORS = [
+  {domains: ['gmx.net', 'web.de'], armored: certs.c1und1, revocationReason: REASON_1UND1}
+];
+
+// map of keyring domain to array of anchors {key, source, builtin, revocationReason}
+const anchorMap = new Map();
 
 export async function init() {
-  const {keys: [key]} = await openpgp.key.readArmored(certs.c1und1);
-  keyMap.set('gmx.net', key);
-  keyMap.set('web.de', key);
+  anchorMap.clear();
+  for (const {domains, armored, revocationReason} of BUILTIN_ANCHORS) {
+    const {keys: [key]} = await openpgp.key.readArmored(armored);
+    if (key) {
+      domains.forEach(domain => addToMap(domain, {key, builtin: true, revocationReason}));
+    }
+  }
+  const stored = await mvelo.storage.get(STORAGE_KEY) || {};
+  for (const domain of Object.keys(stored)) {
+    for (const {armored, source} of stored[domain]) {
+      const {keys: [key]} = await openpgp.key.readArmored(armored);
+      if (key) {
+        addToMap(domain, {key, source});
+      }
+    }
+  }
 }
 
-export function getTrustKey(keyringId) {
-  const domain = keyringId.split(mvelo.KEYRING_DELIMITER)[0];
-  return keyMap.get(domain);
+function addToMap(domain, anchor) {
+  if (!anchorMap.has(domain)) {
+    anchorMap.set(domain, []);
+  }
+  anchorMap.get(domain).push(anchor);
 }
 
-export function isKeyPseudoRevoked(keyringId, key) {
+/**
+ * The domain of a keyring is the first part of the keyring ID, e.g. the host name of the client API
+ * @param  {String} keyringId
+ * @return {String}
+ */
+export function getKeyringDomain(keyringId) {
+  return keyringId.split(mvelo.KEYRING_DELIMITER)[0];
+}
+
+/**
+ * Get trust anchors of a keyring
+ * @param  {String} keyringId
+ * @return {Array<Object>} - {key: openpgp.key.Key, source, builtin, revocationReason}
+ */
+export function getTrustAnchors(keyringId) {
   if (!keyringId) {
+    return [];
+  }
+  return anchorMap.get(getKeyringDomain(keyringId)) || [];
+}
+
+/**
+ * Get trust anchor of a keyring by the key ID of the issuer of a certification
+ * @param  {String} keyringId
+ * @param  {openpgp.Keyid} keyId
+ * @return {openpgp.key.Key|undefined}
+ */
+export function getTrustKey(keyringId, keyId) {
+  const anchor = getTrustAnchors(keyringId).find(({key}) => keyId.equals(key.primaryKey.getKeyId()));
+  return anchor && anchor.key;
+}
+
+/**
+ * List of all configured trust anchors for the settings
+ * @return {Array<Object>} - {domain, fingerprint, userId, source, builtin}
+ */
+export async function getAll() {
+  const result = [];
+  for (const [domain, anchors] of anchorMap) {
+    for (const {key, source, builtin} of anchors) {
+      const {user} = await key.getPrimaryUser() || {};
+      result.push({
+        domain,
+        fingerprint: key.primaryKey.getFingerprint(),
+        userId: user && user.userId ? user.userId.userid : '',
+        source,
+        builtin: Boolean(builtin)
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Add trust anchor for a keyring domain
+ * @param {String} options.domain - keyring domain
+ * @param {String} options.armored - armored public key of the anchor
+ * @param {String} options.source - 'api' if the anchor is set by the client API, 'user' if configured in the settings
+ * @return {String} - fingerprint of the anchor
+ */
+export async function add({domain, armored, source}) {
+  domain = domain && domain.trim().toLowerCase();
+  if (!domain) {
+    throw new mvelo.Error('Domain of trust anchor missing.', 'TRUST_ANCHOR_INVALID');
+  }
+  const {keys, err} = await openpgp.key.readArmored(armored);
+  if (err || keys.length !== 1) {
+    throw new mvelo.Error('Trust anchor must be a single public key.', 'TRUST_ANCHOR_INVALID');
+  }
+  const key = keys[0].toPublic();
+  if (await key.verifyPrimaryKey() !== openpgp.enums.keyStatus.valid) {
+    throw new mvelo.Error('Key of trust anchor is not valid.', 'TRUST_ANCHOR_INVALID');
+  }
+  const fingerprint = key.primaryKey.getFingerprint();
+  const stored = await mvelo.storage.get(STORAGE_KEY) || {};
+  const anchors = (stored[domain] || []).filter(anchor => anchor.fingerprint !== fingerprint);
+  anchors.push({fingerprint, armored: key.armor(), source});
+  stored[domain] = anchors;
+  await mvelo.storage.set(STORAGE_KEY, stored);
+  await init();
+  return fingerprint;
+}
+
+/**
+ * Remove trust anchor of a keyring domain, built-in anchors can't be removed
+ * @param {String} options.domain
+ * @param {String} options.fingerprint
+ */
+export async function remove({domain, fingerprint}) {
+  const stored = await mvelo.storage.get(STORAGE_KEY) || {};
+  const anchors = (stored[domain] || []).filter(anchor => anchor.fingerprint !== fingerprint);
+  if (!stored[domain] || anchors.length === stored[domain].length) {
+    throw new mvelo.Error('Trust anchor not found.', 'TRUST_ANCHOR_NOT_FOUND');
+  }
+  if (anchors.length) {
+    stored[domain] = anchors;
+  } else {
+    delete stored[domain];
+  }
+  await mvelo.storage.set(STORAGE_KEY, stored);
+  await init();
+}
+
+export function isKeyPseudoRevoked(keyringId, key) {
+  const anchors = getTrustAnchors(keyringId);
+  if (!anchors.length) {
     return false;
   }
-  const trustKey = getTrustKey(keyringId);
-  if (!trustKey) {
+  return mvelo.util.someAsync(anchors, anchor => mvelo.util.someAsync(key.users, user => isUserPseudoRevoked(user, anchor, key.primaryKey)));
+}
+
+/**
+ * Check if user ID is certified by a trust anchor of the keyring and the certification is not revoked by the anchor
+ * @param  {String}  keyringId
+ * @param  {openpgp.key.User}  user
+ * @param  {openpgp.packet.PublicKey}  primaryKey
+ * @return {Boolean}
+ */
+export function isUserCertified(keyringId, user, primaryKey) {
+  if (!user.otherCertifications || !user.userId) {
     return false;
   }
-  return mvelo.util.someAsync(key.users, user => isUserPseudoRevoked(user, trustKey, key.primaryKey));
+  return mvelo.util.someAsync(getTrustAnchors(keyringId), async anchor =>
+    await mvelo.util.someAsync(user.otherCertifications, otherCert => verifyCert(otherCert, user, anchor.key, primaryKey)) &&
+    !await isUserPseudoRevoked(user, anchor, primaryKey));
 }
 
-function isUserPseudoRevoked(user, trustKey, primaryKey) {
-  if (!user.revocationCertifications || !user.userId) {
+function isUserPseudoRevoked(user, anchor, primaryKey) {
+  if (!user.revocationSignatures || !user.userId) {
     return false;
   }
-  return mvelo.util.someAsync(user.revocationCertifications, async revCert => revCert.reasonForRevocationFlag === 101 &&
-           await verifyCert(revCert, user, trustKey, primaryKey) &&
-           !await hasNewerCert(user, trustKey, primaryKey, revCert.created));
+  return mvelo.util.someAsync(user.revocationSignatures, async revCert =>
+    (!anchor.revocationReason || revCert.reasonForRevocationFlag === anchor.revocationReason) &&
+    await verifyRevocation(revCert, user, anchor.key, primaryKey) &&
+    !await hasNewerCert(user, anchor.key, primaryKey, revCert.created));
 }
 
 function hasNewerCert(user, trustKey, primaryKey, sigDate) {
@@ -48,6 +194,12 @@ function hasNewerCert(user, trustKey, primaryKey, sigDate) {
   return mvelo.util.someAsync(user.otherCertifications, async otherCert => await verifyCert(otherCert, user, trustKey, primaryKey) && otherCert.created > sigDate);
 }
 
+function verifyRevocation(revCert, user, trustKey, primaryKey) {
+  // verifyUserCertificate would report a revocation signature as revoked by itself
+  return revCert.issuerKeyId.equals(trustKey.primaryKey.getKeyId()) &&
+         (revCert.verified || revCert.verify(trustKey.primaryKey, {userId: user.userId, userAttribute: user.userAttribute, key: primaryKey}));
+}
+
 async function verifyCert(cert, user, trustKey, primaryKey) {
   return cert.issuerKeyId.equals(trustKey.primaryKey.getKeyId()) &&
          await verifyUserCertificate(user, primaryKey, cert, trustKey.primaryKey) === openpgp.enums.keyStatus.valid;
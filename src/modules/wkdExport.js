@@ -0,0 +1,92 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Export of public keys as Web Key Directory that can be
+ * deployed on the web server of the domain of the email addresses.
+ */
+
+import * as openpgp from 'openpgp';
+import mvelo from '../lib/lib-mvelo';
+import {createZip} from '../lib/zip';
+import {mapKeyUserIds, filterUserIdsByEmail, getExportableKey} from './key';
+import {parseEmail, hashLocalPart} from './wkdLocate';
+
+// advanced method: keys are served from https://openpgpkey.<domain>/.well-known/openpgpkey/<domain>/hu/
+export const ADVANCED = 'advanced';
+// direct method: keys are served from https://<domain>/.well-known/openpgpkey/hu/
+export const DIRECT = 'direct';
+
+/**
+ * Build the files of the Web Key Directory for the email addresses of the keys.
+ * For each email address one file with the public keys of this address is
+ * created, the keys only contain the user IDs with the matching address
+ * and no local certifications.
+ * Each domain gets an empty policy file.
+ * @param  {Array<openpgp.key.Key>} keys
+ * @param  {String} method - ADVANCED or DIRECT
+ * @return {Array<Object>} - {name: String, content: Uint8Array} with name as path relative to the document root
+ */
+export function getWKDFiles(keys, method = ADVANCED) {
+  const domains = new Map();
+  for (const key of keys) {
+    for (const email of getEmails(key)) {
+      const {localPart, domain} = parseEmail(email);
+      if (!domains.has(domain)) {
+        domains.set(domain, new Map());
+      }
+      const hashes = domains.get(domain);
+      const hash = hashLocalPart(localPart);
+      if (!hashes.has(hash)) {
+        hashes.set(hash, []);
+      }
+      // filtering modifies the key, the exportable key is always a new copy
+      const publicKey = filterUserIdsByEmail(getExportableKey(key), email);
+      hashes.get(hash).push(publicKey.toPacketlist().write());
+    }
+  }
+  if (!domains.size) {
+    throw new mvelo.Error('No user ID with email address found.', 'NO_EMAIL_FOUND');
+  }
+  const files = [];
+  for (const [domain, hashes] of domains) {
+    const dir = getDirectory(domain, method, domains.size > 1);
+    files.push({name: `${dir}policy`, content: new Uint8Array(0)});
+    for (const [hash, binaryKeys] of hashes) {
+      files.push({name: `${dir}hu/${hash}`, content: openpgp.util.concatUint8Array(binaryKeys)});
+    }
+  }
+  return files;
+}
+
+/**
+ * Create ZIP archive with the Web Key Directory of the keys
+ * @param  {Array<openpgp.key.Key>} keys
+ * @param  {String} method - ADVANCED or DIRECT
+ * @return {Uint8Array}
+ */
+export function createWKDArchive(keys, method) {
+  return createZip(getWKDFiles(keys, method));
+}
+
+/**
+ * The advanced method has a subdirectory per domain, with the direct method
+ * the document root of each domain is only separated if there is more than one.
+ */
+function getDirectory(domain, method, multiDomain) {
+  if (method === DIRECT) {
+    return `${multiDomain ? `${domain}/` : ''}.well-known/openpgpkey/`;
+  }
+  return `.well-known/openpgpkey/${domain}/`;
+}
+
+function getEmails(key) {
+  const emails = key.users.filter(user => user.userId).map(user => {
+    const userMapped = {userId: user.userId.userid};
+    mapKeyUserIds(userMapped);
+    return userMapped.email.toLowerCase();
+  }).filter(email => email);
+  return mvelo.util.deDup(emails);
+}
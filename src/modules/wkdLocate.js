@@ -100,17 +100,34 @@ function isBlacklisted(domain) {
  * @returns {String} The WKD URL according to draft-koch-openpgp-webkey-service-06.
  */
 function buildWKDUrl(email) {
-  const [, localPart, domain] = /(.*)@(.*)/.exec(email);
+  const {localPart, domain} = parseEmail(email);
+  return `https://${domain}/.well-known/openpgpkey/hu/${hashLocalPart(localPart)}`;
+}
+
+/**
+ * Split email address in local part and domain.
+ * @param {String} email  The canonicalized RFC822 addr spec.
+ * @returns {Object}      {localPart, domain}
+ */
+export function parseEmail(email) {
+  const [, localPart, domain] = /(.*)@(.*)/.exec(email) || [];
 
   if (!localPart || !domain) {
     throw new Error(`WKD: failed to parse: ${email}`);
   }
+  return {localPart, domain: domain.toLowerCase()};
+}
+
+/**
+ * Hash the local part of an email address as used in the WKD path.
+ * @param {String} localPart  The local part of the email address.
+ * @returns {String}          The z-base-32 encoded SHA-1 hash of the lowercase local part.
+ */
+export function hashLocalPart(localPart) {
   const shasum = crypto.createHash('sha1');
   shasum.update(localPart.toLowerCase());
   const digest = shasum.digest();
-  const localEncoded = openpgp.util.encodeZBase32(digest);
-
-  return `https://${domain}/.well-known/openpgpkey/hu/${localEncoded}`;
+  return openpgp.util.encodeZBase32(digest);
 }
 
 /** Convert a promise into a promise with a timeout.
@@ -0,0 +1,229 @@
+/**
+ * Copyright (C) 2018 Mailvelope GmbH
+ * Licensed under the GNU Affero General Public License version 3
+ */
+
+/**
+ * @fileOverview Web Key Service: publish own keys in the Web Key Directory of the mail provider
+ * according to draft-koch-openpgp-webkey-service. Mailvelope can not send mails itself, the
+ * submission and confirmation mails are created as RFC 822 messages that the user sends from
+ * their mail account.
+ */
+
+import * as openpgp from 'openpgp';
+import mvelo from '../lib/lib-mvelo';
+import mailbuild from 'emailjs-mime-builder';
+import {filterUserIdsByEmail, mapKeyUserIds} from './key';
+import {parseEmail, lookup as wkdLookup} from './wkdLocate';
+import {extractBodyParts} from './mime';
+import {decryptMessage} from './pgpModel';
+
+// Fetch timeout for the submission address in seconds
+const TIMEOUT = 5;
+const WKS_MIME_TYPE = 'application/vnd.gnupg.wks';
+
+/**
+ * Discover the submission address of the Web Key Service for the domain of the email address.
+ * The advanced method (openpgpkey subdomain) is preferred over the direct method.
+ * @param  {String} email
+ * @return {String|undefined} - the submission address, undefined if the domain has no Web Key Service
+ */
+export async function getSubmissionAddress(email) {
+  const {domain} = parseEmail(email);
+  const urls = [
+    `https://openpgpkey.${domain}/.well-known/openpgpkey/${domain}/submission-address`,
+    `https://${domain}/.well-known/openpgpkey/submission-address`
+  ];
+  for (const url of urls) {
+    try {
+      const response = await timeout(TIMEOUT * 1000, window.fetch(url));
+      if (response.status !== 200) {
+        continue;
+      }
+      const address = (await response.text()).trim().toLowerCase();
+      if (mvelo.util.checkEmail(address)) {
+        return address;
+      }
+    } catch (e) {
+      console.log(`WKS: fetching ${url} failed`, e);
+    }
+  }
+}
+
+/**
+ * Create the mail that submits the public key to the Web Key Service.
+ * The mail is encrypted to the key of the submission address if it is published in the Web Key Directory.
+ * @param  {KeyringBase} keyring
+ * @param  {String} fingerprint - fingerprint of own key
+ * @param  {String} email - the user ID with this email address is published
+ * @return {Object} - {mail: String, submissionAddress: String, encrypted: Boolean}
+ */
+export async function createSubmissionMail({keyring, fingerprint, email}) {
+  const privateKey = keyring.getPrivateKeyByFpr(fingerprint);
+  if (!privateKey) {
+    throw new mvelo.Error('No private key found', 'NO_PRIVATE_KEY_FOUND');
+  }
+  email = email.toLowerCase();
+  const publicKey = filterUserIdsByEmail(privateKey.toPublic(), email);
+  if (!publicKey.users.length) {
+    throw new mvelo.Error(`No user ID with email address ${email} found.`, 'NO_EMAIL_FOUND');
+  }
+  const submissionAddress = await getSubmissionAddress(email);
+  if (!submissionAddress) {
+    throw new mvelo.Error(`The provider of ${email} does not support the Web Key Service.`, 'WKS_NOT_SUPPORTED');
+  }
+  const submissionKey = await getSubmissionKey(submissionAddress);
+  const keyEntity = new mailbuild('application/pgp-keys')
+  .setHeader('Content-Transfer-Encoding', '7bit')
+  .setContent(publicKey.armor());
+  const mail = await buildMail({
+    from: email,
+    to: submissionAddress,
+    subject: 'Key publishing request',
+    entity: keyEntity,
+    encryptionKey: submissionKey
+  });
+  return {mail, submissionAddress, encrypted: Boolean(submissionKey)};
+}
+
+/**
+ * Decrypt the confirmation request of the Web Key Service and create the signed and encrypted confirmation response.
+ * @param  {KeyringBase} keyring
+ * @param  {String} armored - the encrypted confirmation request, can be the complete mail source
+ * @param  {Function} unlockKey - callback to unlock key
+ * @return {Object} - {mail: String, address: String, sender: String}
+ */
+export async function createConfirmationResponse({keyring, armored, unlockKey}) {
+  const [armoredMessage] = /-----BEGIN PGP MESSAGE-----[\s\S]+?-----END PGP MESSAGE-----/.exec(armored) || [];
+  if (!armoredMessage) {
+    throw new mvelo.Error('No encrypted message found.', 'WKS_INVALID_REQUEST');
+  }
+  const {data} = await decryptMessage({armored: armoredMessage, keyringId: keyring.id, unlockKey, format: 'binary'});
+  const request = await parseConfirmationRequest(data);
+  const privateKey = keyring.getPrivateKeyByFpr(request.fingerprint);
+  if (!privateKey || !hasEmail(privateKey, request.address)) {
+    throw new mvelo.Error(`No own key for ${request.address} with fingerprint ${request.fingerprint} found.`, 'WKS_KEY_MISMATCH');
+  }
+  // only the Web Key Service of the domain of the address is allowed to request a confirmation
+  if (request.sender !== await getSubmissionAddress(request.address)) {
+    throw new mvelo.Error(`${request.sender} is not the submission address of ${request.address}.`, 'WKS_SENDER_MISMATCH');
+  }
+  const submissionKey = await getSubmissionKey(request.sender);
+  if (!submissionKey) {
+    throw new mvelo.Error(`No key for the submission address ${request.sender} found.`, 'WKS_NO_SUBMISSION_KEY');
+  }
+  const signingKey = await unlockKey({key: privateKey});
+  const responseEntity = new mailbuild(WKS_MIME_TYPE)
+  .setHeader('Content-Transfer-Encoding', '7bit')
+  .setContent(formatFields({
+    type: 'confirmation-response',
+    sender: request.address,
+    nonce: request.nonce
+  }));
+  const mail = await buildMail({
+    from: request.address,
+    to: request.sender,
+    subject: 'Key publication confirmation',
+    entity: responseEntity,
+    encryptionKey: submissionKey,
+    signingKey
+  });
+  return {mail, address: request.address, sender: request.sender};
+}
+
+/**
+ * Parse the decrypted confirmation request
+ * @param  {String} data - MIME message or the plain request as binary string
+ * @return {Object} - {type, sender, address, fingerprint, nonce}
+ */
+export async function parseConfirmationRequest(data) {
+  let [content] = await extractBodyParts(data, WKS_MIME_TYPE);
+  if (content === undefined) {
+    content = data;
+  }
+  const request = parseFields(content);
+  if (request.type !== 'confirmation-request' || !request.sender || !request.address || !request.fingerprint || !request.nonce) {
+    throw new mvelo.Error('The message is not a valid confirmation request of the Web Key Service.', 'WKS_INVALID_REQUEST');
+  }
+  request.sender = request.sender.toLowerCase();
+  request.address = request.address.toLowerCase();
+  request.fingerprint = request.fingerprint.toLowerCase();
+  return request;
+}
+
+/**
+ * Parse the "name: value" lines of the WKS message format
+ */
+function parseFields(text) {
+  const fields = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^([\w-]+):\s*(.*?)\s*$/.exec(line);
+    if (match) {
+      fields[match[1].toLowerCase()] = match[2];
+    }
+  }
+  return fields;
+}
+
+function formatFields(fields) {
+  return Object.keys(fields).map(name => `${name}: ${fields[name]}\r\n`).join('');
+}
+
+async function getSubmissionKey(submissionAddress) {
+  try {
+    const armored = await wkdLookup(submissionAddress, true);
+    if (armored) {
+      const {keys: [key]} = await openpgp.key.readArmored(armored);
+      return key;
+    }
+  } catch (e) {
+    console.log(`WKS: key lookup for ${submissionAddress} failed`, e);
+  }
+}
+
+function hasEmail(key, email) {
+  return key.users.some(user => {
+    if (!user.userId) {
+      return false;
+    }
+    const userMapped = {userId: user.userId.userid};
+    mapKeyUserIds(userMapped);
+    return userMapped.email.toLowerCase() === email;
+  });
+}
+
+/**
+ * Build the mail, the MIME entity is wrapped in a PGP/MIME encrypted message (RFC 3156) if an encryption key is available.
+ * @param  {mailbuild} options.entity - the MIME entity with the content
+ * @param  {openpgp.key.Key} [options.encryptionKey]
+ * @param  {openpgp.key.Key} [options.signingKey] - unlocked private key
+ * @return {String}
+ */
+async function buildMail({from, to, subject, entity, encryptionKey, signingKey}) {
+  let root = entity;
+  if (encryptionKey) {
+    const {data: encrypted} = await openpgp.encrypt({
+      message: openpgp.message.fromText(entity.build()),
+      publicKeys: [encryptionKey],
+      privateKeys: signingKey ? [signingKey] : undefined
+    });
+    root = new mailbuild('multipart/encrypted; protocol="application/pgp-encrypted"');
+    root.createChild('application/pgp-encrypted')
+    .setHeader('Content-Description', 'PGP/MIME version identification')
+    .setHeader('Content-Transfer-Encoding', '7bit')
+    .setContent('Version: 1\r\n');
+    root.createChild('application/octet-stream; name="encrypted.asc"')
+    .setHeader('Content-Description', 'OpenPGP encrypted message')
+    .setHeader('Content-Transfer-Encoding', '7bit')
+    .setContent(encrypted);
+  }
+  root.setHeader({from, to, subject});
+  return root.build();
+}
+
+function timeout(ms, promise) {
+  return new Promise((resolve, reject) => {
+    setTimeout(() => reject(new Error('WKS: Timeout')), ms);
+    promise.then(resolve, reject);
+  });
+}
@@ -0,0 +1,26 @@
+import {matchSignatureFiles} from '../../../src/app/encryption/verifyFile';
+
+describe('File verification unit tests', () => {
+  describe('matchSignatureFiles', () => {
+    it('should verify a single file against all signature files', () => {
+      const file = {name: 'release.tar.gz'};
+      const signatureFiles = [{name: 'a.asc'}, {name: 'b.sig'}];
+      expect(matchSignatureFiles([file], signatureFiles)).to.eql([
+        {file, signatureFile: signatureFiles[0]},
+        {file, signatureFile: signatureFiles[1]}
+      ]);
+    });
+
+    it('should match signature files by file name', () => {
+      const files = [{name: 'contract.pdf'}, {name: 'release.tar.gz'}, {name: 'notes.txt'}];
+      const signatureFiles = [{name: 'release.tar.gz.sig'}, {name: 'contract.pdf.asc'}, {name: 'other.asc'}, {name: 'release.tar.gz.asc'}];
+      expect(matchSignatureFiles(files, signatureFiles)).to.eql([
+        {file: files[0], signatureFile: signatureFiles[1]},
+        {file: files[1], signatureFile: signatureFiles[0]},
+        {file: files[1], signatureFile: signatureFiles[3]},
+        {file: files[2], signatureFile: null},
+        {file: null, signatureFile: signatureFiles[2]}
+      ]);
+    });
+  });
+});
@@ -14,7 +14,11 @@ describe('Key server settings unit tests', () => {
             'https://keyserver.ubuntu.com',
             'https://keys.mailvelope.com'
           ],
-          mvelo_tofu_lookup: true
+          mvelo_tofu_lookup: true,
+          wkd_lookup: true,
+          hkp_lookup: false,
+          source_priority: ['hkp', 'mvelo'],
+          key_refresh: true
         }
       }
     };
@@ -31,6 +35,10 @@ describe('Key server settings unit tests', () => {
           {value: 'https://keys.mailvelope.com', label: 'https://keys.mailvelope.com'}
         ],
         mvelo_tofu_lookup: true,
+        wkd_lookup: true,
+        hkp_lookup: false,
+        source_priority: ['hkp', 'mvelo', 'wkd'],
+        key_refresh: true,
         alert: null,
         modified: false,
         previousPrefs: props.prefs
@@ -59,6 +67,18 @@ describe('Key server settings unit tests', () => {
     });
   });
 
+  describe('handleMoveSource', () => {
+    it('should change the priority of the source', () => {
+      sinon.stub(keyserver, 'setState');
+      keyserver.handleMoveSource(2, -1);
+      const update = keyserver.setState.args[0][0](keyserver.state);
+      expect(update).to.eql({
+        source_priority: ['hkp', 'wkd', 'mvelo'],
+        modified: true
+      });
+    });
+  });
+
   describe('validateUrl', () => {
     it('should fail for empty string', () => {
       expect(keyserver.validateUrl('')).to.be.false;
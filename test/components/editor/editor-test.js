@@ -1,4 +1,5 @@
 
+import mvelo from '../../../src/mvelo';
 import Editor from '../../../src/components/editor/editor';
 
 describe('Editor UI unit tests', () => {
@@ -18,4 +19,24 @@ describe('Editor UI unit tests', () => {
       expect(editor.setState.withArgs({defaultPlainText: '123', signMsg: true, signKey: 'abc', primaryKey: true, privKeys: []}).calledOnce).to.be.true;
     });
   });
+
+  describe('sendPlainText', () => {
+    beforeEach(() => {
+      sinon.stub(editor.port, 'emit');
+      editor.plainText = {getValue: () => '<p>Hello</p>'};
+    });
+
+    it('should send the text of the plain text editor', () => {
+      editor.sendPlainText('encrypt');
+      expect(editor.port.emit.args[0][1].message).to.equal('<p>Hello</p>');
+      expect(editor.port.emit.args[0][1].html).to.be.undefined;
+    });
+
+    it('should send HTML and generated plain text in rich text mode', () => {
+      editor.state.editorType = mvelo.RICH_TEXT;
+      editor.sendPlainText('encrypt');
+      expect(editor.port.emit.args[0][1].html).to.equal('<p>Hello</p>');
+      expect(editor.port.emit.args[0][1].message).to.equal('Hello\n');
+    });
+  });
 });
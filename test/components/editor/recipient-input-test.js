@@ -40,12 +40,14 @@ describe('RecipientInput component unit tests', () => {
   describe('verify', () => {
     beforeEach(() => {
       sinon.stub(ctrl, 'getKey');
+      sinon.stub(ctrl, 'hasUntrustedKey');
       sinon.stub(ctrl, 'colorTag');
       sinon.stub(ctrl, 'checkEncryptStatus');
       sinon.stub(ctrl, 'lookupKeyOnServer');
     });
     afterEach(() => {
       ctrl.getKey.restore();
+      ctrl.hasUntrustedKey.restore();
       ctrl.colorTag.restore();
       ctrl.checkEncryptStatus.restore();
       ctrl.lookupKeyOnServer.restore();
@@ -151,6 +153,52 @@ describe('RecipientInput component unit tests', () => {
       };
       expect(ctrl.getKey(recipient).keyid).to.equal('a');
     });
+
+    it('should ignore keys that are never valid in GnuPG', () => {
+      props.keys = [{email: 'jon@smith.com', keyid: 'a', validity: 'never'}, {email: 'jon@smith.com', keyid: 'b', validity: 'full'}];
+
+      const recipient = {
+        email: 'jon@smith.com'
+      };
+      expect(ctrl.getKey(recipient).keyid).to.equal('b');
+      props.keys = [{email: 'jon@smith.com', keyid: 'a', validity: 'never'}];
+      expect(ctrl.getKey(recipient)).to.be.undefined;
+      expect(ctrl.hasUntrustedKey(recipient)).to.be.true;
+    });
+
+    it('should use keys of unknown validity only if keys of marginal validity are used', () => {
+      const recipient = {
+        email: 'jon@smith.com'
+      };
+      for (const validity of ['unknown', 'undefined']) {
+        props.keys = [{email: 'jon@smith.com', keyid: 'a', validity}];
+        props.trustMarginal = true;
+        expect(ctrl.getKey(recipient).keyid).to.equal('a');
+        props.trustMarginal = false;
+        expect(ctrl.getKey(recipient)).to.be.undefined;
+      }
+      delete props.trustMarginal;
+    });
+
+    it('should use keys that are not from the GnuPG keyring', () => {
+      props.keys = [{email: 'jon@smith.com', keyid: 'a'}];
+      props.trustMarginal = false;
+      expect(ctrl.getKey({email: 'jon@smith.com'}).keyid).to.equal('a');
+      delete props.trustMarginal;
+    });
+
+    it('should use keys of marginal validity depending on policy', () => {
+      props.keys = [{email: 'jon@smith.com', keyid: 'a', validity: 'marginal'}];
+
+      const recipient = {
+        email: 'jon@smith.com'
+      };
+      props.trustMarginal = true;
+      expect(ctrl.getKey(recipient).keyid).to.equal('a');
+      props.trustMarginal = false;
+      expect(ctrl.getKey(recipient)).to.be.undefined;
+      delete props.trustMarginal;
+    });
   });
 
   describe('colorTag', () => {
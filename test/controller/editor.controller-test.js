@@ -1,6 +1,8 @@
 
 import EditorController from '../../src/controller/editor.controller';
 import * as keyring from '../../src/modules/keyring';
+import * as model from '../../src/modules/pgpModel';
+import * as draftStore from '../../src/modules/draftStore';
 import * as prefs from '../../src/modules/prefs';
 import {Port} from '../util';
 
@@ -103,6 +105,71 @@ describe('Editor controller unit tests', () => {
       });
       expect(ctrl.encryptDone.resolve.withArgs({armored: 'a', recipients: [{name: 'n', email: 'e'}]}).calledOnce).to.be.true;
     });
+
+    it('should add recipients without key of password protected message', () => {
+      ctrl.transferEncrypted({
+        armored: 'a',
+        keys: [{name: 'n', email: 'e'}],
+        recipientsWithoutKey: [{email: 'f'}]
+      });
+      expect(ctrl.encryptDone.resolve.withArgs({armored: 'a', recipients: [{name: 'n', email: 'e'}, {email: 'f'}]}).calledOnce).to.be.true;
+    });
+
+    it('should replace the protected subject with the placeholder', () => {
+      ctrl.transferEncrypted({
+        armored: 'a',
+        keys: [{name: 'n', email: 'e'}],
+        subject: 'secret'
+      });
+      expect(ctrl.encryptDone.resolve.withArgs({armored: 'a', recipients: [{name: 'n', email: 'e'}], subject: '...'}).calledOnce).to.be.true;
+    });
+  });
+
+  describe('onEditorDraft', () => {
+    beforeEach(() => {
+      sinon.stub(keyring, 'getById').returns({getDefaultKeyFpr: () => Promise.resolve('default')});
+      sinon.stub(model, 'encryptMessage').returns(Promise.resolve('armored'));
+      sinon.stub(draftStore, 'saveDraft').returns(Promise.resolve());
+      sinon.stub(draftStore, 'deleteDraft').returns(Promise.resolve());
+      ctrl.keyringId = 'k';
+      ctrl.options = {host: 'mail.com'};
+    });
+
+    afterEach(() => {
+      keyring.getById.restore();
+      model.encryptMessage.restore();
+      draftStore.saveDraft.restore();
+      draftStore.deleteDraft.restore();
+    });
+
+    it('should save the draft encrypted with the default key', async() => {
+      ctrl.draftId = 'd';
+      await ctrl.onEditorDraft({message: 'm'});
+      expect(model.encryptMessage.args[0][0]).to.deep.include({keyringId: 'k', encryptionKeyFprs: ['default']});
+      expect(draftStore.saveDraft.withArgs({id: 'd', armored: 'armored', host: 'mail.com', keyringId: 'k'}).calledOnce).to.be.true;
+    });
+
+    it('should delete the draft if the editor is empty', async() => {
+      ctrl.draftId = 'd';
+      await ctrl.onEditorDraft({message: ' '});
+      expect(draftStore.deleteDraft.withArgs('d').calledOnce).to.be.true;
+      expect(draftStore.saveDraft.called).to.be.false;
+    });
+
+    it('should complete the last save of the draft when the editor is closed', async() => {
+      ctrl.draftId = 'd';
+      ctrl.onEditorDraft({message: 'm'});
+      await ctrl.stopAutosave(false);
+      expect(draftStore.saveDraft.calledOnce).to.be.true;
+      expect(draftStore.deleteDraft.called).to.be.false;
+    });
+
+    it('should delete the draft after a pending save when the message was encrypted', async() => {
+      ctrl.draftId = 'd';
+      ctrl.onEditorDraft({message: 'm'});
+      await ctrl.stopAutosave(true);
+      expect(draftStore.deleteDraft.calledAfter(draftStore.saveDraft)).to.be.true;
+    });
   });
 
   describe('signAndEncrypt', () => {
@@ -174,6 +241,58 @@ describe('Editor controller unit tests', () => {
     });
   });
 
+  describe('signAndEncrypt with hidden recipients', () => {
+    beforeEach(() => {
+      sinon.stub(ctrl, 'getPublicKeyFprs').returns(Promise.resolve(['abc']));
+      sinon.stub(ctrl, 'encryptMessage').returns(Promise.resolve('a'));
+    });
+
+    afterEach(() => {
+      ctrl.getPublicKeyFprs.restore();
+      ctrl.encryptMessage.restore();
+    });
+
+    it('should pass the option to the encryption', async() => {
+      await ctrl.signAndEncrypt({action: 'encrypt', message: 'm', keys: [], hiddenRecipients: true});
+      expect(ctrl.encryptMessage.args[0][0]).to.deep.include({keyFprs: ['abc'], hiddenRecipients: true});
+    });
+  });
+
+  describe('signAndEncrypt in rich text mode', () => {
+    beforeEach(() => {
+      sinon.stub(ctrl, 'signMessage').returns(Promise.resolve('a'));
+    });
+
+    afterEach(() => {
+      ctrl.signMessage.restore();
+    });
+
+    it('should not sign only the plain text of a rich text message', async() => {
+      await expect(ctrl.signAndEncrypt({action: 'sign', message: 'm', html: '<p>m</p>'})).to.eventually.be.rejected.and.have.property('code', 'SIGN_RICH_TEXT_NOT_SUPPORTED');
+      expect(ctrl.signMessage.called).to.be.false;
+    });
+  });
+
+  describe('getPublicKeyFprs', () => {
+    let getEncryptToKeyFprs;
+
+    beforeEach(() => {
+      getEncryptToKeyFprs = sinon.stub().resolves(['default', 'archive']);
+      sinon.stub(keyring, 'getById').returns({getEncryptToKeyFprs});
+      ctrl.keyFprBuffer = null;
+      ctrl.options = {encryptToSelf: false};
+    });
+
+    afterEach(() => {
+      keyring.getById.restore();
+    });
+
+    it('should add the keys of the keyring policy', async() => {
+      expect(await ctrl.getPublicKeyFprs([{fingerprint: 'b'}, {fingerprint: 'archive'}])).to.deep.equal(['archive', 'b', 'default']);
+      expect(getEncryptToKeyFprs.calledWith(false)).to.be.true;
+    });
+  });
+
   describe('getPublicKeyIds', () => {
     const keys = [{keyid: 'b'}, {keyid: 'b'}];
 
@@ -58,6 +58,21 @@ describe('Encrypt controller unit tests', () => {
     });
   });
 
+  describe('onEncryptFrameDisplayEditor', () => {
+    beforeEach(() => {
+      editorCtrlMock.encrypt.returns(Promise.resolve({armored: 'armored', recipients: testRecipients}));
+    });
+
+    it('should encrypt the subject only if enabled in the preferences', async() => {
+      prefs.prefs.general = {protected_subject: false};
+      await ctrl.onEncryptFrameDisplayEditor({text: 'foo'});
+      expect(editorCtrlMock.encrypt.args[0][0].protectedSubject).to.be.false;
+      prefs.prefs.general = {protected_subject: true};
+      await ctrl.onEncryptFrameDisplayEditor({text: 'foo'});
+      expect(editorCtrlMock.encrypt.args[1][0].protectedSubject).to.be.true;
+    });
+  });
+
   describe('getRecipientProposal', () => {
     const callback = function() {};
 
@@ -0,0 +1,70 @@
+import {crc32, createZip, readZip} from '../../src/lib/zip';
+
+describe('ZIP archive unit tests', () => {
+  describe('crc32', () => {
+    it('should calculate the checksum', () => {
+      expect(crc32(new TextEncoder().encode('123456789'))).to.equal(0xcbf43926);
+    });
+  });
+
+  describe('createZip', () => {
+    it('should store the files with local headers and central directory', () => {
+      const zip = createZip([
+        {name: 'dir/', content: null},
+        {name: 'dir/file.txt', content: 'Hello'}
+      ]);
+      const view = new DataView(zip.buffer);
+      // local file header of first file
+      expect(view.getUint32(0, true)).to.equal(0x04034b50);
+      expect(view.getUint16(26, true)).to.equal(4);
+      // local file header of second file after name of first file
+      expect(view.getUint32(34, true)).to.equal(0x04034b50);
+      expect(view.getUint32(34 + 14, true)).to.equal(crc32(new TextEncoder().encode('Hello')));
+      expect(view.getUint32(34 + 18, true)).to.equal(5);
+      expect(new TextDecoder().decode(zip.subarray(34 + 30, 34 + 42))).to.equal('dir/file.txt');
+      expect(new TextDecoder().decode(zip.subarray(34 + 42, 34 + 47))).to.equal('Hello');
+      // end of central directory record
+      const end = zip.length - 22;
+      expect(view.getUint32(end, true)).to.equal(0x06054b50);
+      expect(view.getUint16(end + 10, true)).to.equal(2);
+      const centralOffset = view.getUint32(end + 16, true);
+      expect(centralOffset).to.equal(34 + 47);
+      expect(view.getUint32(centralOffset, true)).to.equal(0x02014b50);
+      expect(view.getUint32(end + 12, true)).to.equal(end - centralOffset);
+    });
+  });
+
+  describe('readZip', () => {
+    it('should read the files of an archive created by createZip', () => {
+      const date = new Date(2018, 9, 16, 13, 37, 42);
+      const files = readZip(createZip([
+        {name: 'dir/', content: null, date},
+        {name: 'dir/file.txt', content: 'Hello', date},
+        {name: 'binary.bin', content: new Uint8Array([0, 255, 128]), date}
+      ]));
+      expect(files.map(({name}) => name)).to.deep.equal(['dir/', 'dir/file.txt', 'binary.bin']);
+      expect(files[0].content.length).to.equal(0);
+      expect(new TextDecoder().decode(files[1].content)).to.equal('Hello');
+      expect(Array.from(files[2].content)).to.deep.equal([0, 255, 128]);
+      expect(files[1].date.getTime()).to.equal(date.getTime());
+    });
+
+    it('should reject data that is not a ZIP archive', () => {
+      expect(() => readZip(new TextEncoder().encode('no archive'))).to.throw(/Unsupported ZIP archive/);
+    });
+
+    it('should reject compressed files', () => {
+      const zip = createZip([{name: 'file.txt', content: 'Hello'}]);
+      const view = new DataView(zip.buffer);
+      const centralOffset = view.getUint32(zip.length - 22 + 16, true);
+      view.setUint16(centralOffset + 10, 8, true);
+      expect(() => readZip(zip)).to.throw(/compressed files/);
+    });
+
+    it('should reject corrupted content', () => {
+      const zip = createZip([{name: 'file.txt', content: 'Hello'}]);
+      zip[30 + 8] ^= 0xff;
+      expect(() => readZip(zip)).to.throw(/invalid content of file.txt/);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import * as openpgp from 'openpgp';
+// keyring module first to resolve the circular dependency with KeyringBase
+import '../../src/modules/keyring';
+import KeyringBase from '../../src/modules/KeyringBase';
+import keyFixtures from '../fixtures/keys';
+import * as prefs from '../../src/modules/prefs';
+
+describe('KeyringBase unit tests', () => {
+  let keyring;
+  let publicKey;
+
+  beforeEach(async() => {
+    ({keys: [publicKey]} = await openpgp.key.readArmored(keyFixtures.public.demo));
+    const keystore = {
+      getKeysForId: sinon.stub().returns(null)
+    };
+    keystore.getKeysForId.withArgs('aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b').returns([publicKey]);
+    keyring = new KeyringBase('test', keystore);
+  });
+
+  describe('markKnownKeys', () => {
+    it('should mark keys that are in the keyring and list new user IDs', () => {
+      const [known, unknown] = keyring.markKnownKeys([
+        {fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b', keyId: 'F11DB1250C3C3F1B', users: [
+          {userId: 'API Test Key <test@mailvelope.com>', revoked: false},
+          {userId: 'New <new@mailvelope.com>', revoked: false},
+          {userId: 'Revoked <revoked@mailvelope.com>', revoked: true}
+        ]},
+        {fingerprint: null, keyId: '0123456789ABCDEF', users: []}
+      ]);
+      expect(known.known).to.equal('public');
+      expect(known.newUserIds).to.eql(['New <new@mailvelope.com>']);
+      expect(unknown.known).to.be.null;
+      expect(unknown.newUserIds).to.be.empty;
+    });
+  });
+
+  describe('uploadKey', () => {
+    it('should reject a key that is not in the keyring', async() => {
+      await expect(keyring.uploadKey('0123456789abcdef0123456789abcdef01234567')).to.eventually.be.rejected.and.have.property('code', 'NO_KEY_FOUND_FOR_ID');
+    });
+  });
+
+  describe('getEncryptToKeyFprs', () => {
+    const general = prefs.prefs.general;
+
+    beforeEach(() => {
+      prefs.prefs.general = {auto_add_primary: false};
+      keyring.getDefaultKeyFpr = sinon.stub().resolves('default');
+    });
+
+    afterEach(() => {
+      prefs.prefs.general = general;
+    });
+
+    it('should fall back to the general preference', async() => {
+      sinon.stub(keyring, 'getAttributes').returns(undefined);
+      expect(await keyring.getEncryptToKeyFprs()).to.be.empty;
+      prefs.prefs.general.auto_add_primary = true;
+      expect(await keyring.getEncryptToKeyFprs()).to.eql(['default']);
+    });
+
+    it('should apply the keyring policy and skip archive keys that are not in the keyring', async() => {
+      sinon.stub(keyring, 'getAttributes').returns({encrypt_to_self: true, encrypt_to_keys: ['aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b', 'deleted']});
+      expect(await keyring.getEncryptToKeyFprs()).to.eql(['default', 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b']);
+    });
+
+    it('should add the default key with the encryptToSelf parameter', async() => {
+      sinon.stub(keyring, 'getAttributes').returns({encrypt_to_self: false});
+      expect(await keyring.getEncryptToKeyFprs(true)).to.eql(['default']);
+    });
+
+    it('should not disable the keyring policy with the encryptToSelf parameter', async() => {
+      sinon.stub(keyring, 'getAttributes').returns({encrypt_to_self: true});
+      expect(await keyring.getEncryptToKeyFprs(false)).to.eql(['default']);
+    });
+  });
+});
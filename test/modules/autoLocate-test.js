@@ -0,0 +1,58 @@
+import {locate, getSourcePriority} from '../../src/modules/autoLocate';
+import {prefs} from '../../src/modules/prefs';
+import keyFixtures from '../fixtures/keys';
+
+describe('Auto-locate unit tests', () => {
+  beforeEach(() => {
+    prefs.keyserver = {
+      hkp_base_url: 'https://keys.example.com',
+      mvelo_tofu_lookup: true,
+      wkd_lookup: false,
+      hkp_lookup: true,
+      source_priority: ['hkp', 'mvelo']
+    };
+    sinon.stub(window, 'fetch');
+  });
+
+  afterEach(() => {
+    window.fetch.restore();
+  });
+
+  describe('getSourcePriority', () => {
+    it('should append sources that are missing in the settings', () => {
+      expect(getSourcePriority()).to.eql(['hkp', 'mvelo', 'wkd']);
+    });
+  });
+
+  describe('locate', () => {
+    it('should query the sources in the configured order', async() => {
+      window.fetch.returns(Promise.resolve({status: 404}));
+      await locate({email: 'test@mailvelope.com'});
+      expect(window.fetch.args[0][0]).to.include('https://keys.example.com/pks/lookup');
+      expect(window.fetch.args[1][0]).to.include('https://keys.mailvelope.com/api/v1/key');
+      expect(window.fetch.calledTwice).to.be.true;
+    });
+
+    it('should return the key from the first source that finds it', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const armored = await locate({email: 'test@mailvelope.com'});
+      expect(armored).to.include('PGP PUBLIC KEY BLOCK');
+      expect(window.fetch.calledOnce).to.be.true;
+    });
+
+    it('should query the Mailvelope key server by fingerprint if available', async() => {
+      prefs.keyserver.hkp_lookup = false;
+      window.fetch.returns(Promise.resolve({status: 404}));
+      await locate({email: 'test@mailvelope.com', fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b'});
+      expect(window.fetch.args[0][0]).to.equal('https://keys.mailvelope.com/api/v1/key?fingerprint=aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b');
+    });
+
+    it('should skip disabled sources', async() => {
+      prefs.keyserver.hkp_lookup = false;
+      window.fetch.returns(Promise.resolve({status: 404}));
+      await locate({email: 'test@mailvelope.com'});
+      expect(window.fetch.calledOnce).to.be.true;
+      expect(window.fetch.args[0][0]).to.include('https://keys.mailvelope.com/api/v1/key');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import * as openpgp from 'openpgp';
+import mvelo from '../../src/lib/lib-mvelo';
+import * as keyring from '../../src/modules/keyring';
+import * as autocrypt from '../../src/modules/autocrypt';
+import {certifyUser} from '../../src/modules/key';
+import keyFixtures from '../fixtures/keys';
+
+const FINGERPRINT = 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Autocrypt unit tests', () => {
+  let keyringMock;
+  let publicKey;
+  let keydata;
+  let storage;
+
+  function message(headers) {
+    return [
+      ...headers,
+      'Content-Type: text/plain',
+      '',
+      'Hello',
+      ''
+    ].join('\r\n');
+  }
+
+  beforeEach(async() => {
+    ({keys: [publicKey]} = await openpgp.key.readArmored(keyFixtures.public.demo));
+    keydata = openpgp.util.Uint8Array_to_b64(publicKey.toPacketlist().write()).replace(/\s/g, '');
+    keyringMock = {
+      keystore: {
+        getKeysForId: sinon.stub().returns(null),
+        getForAddress: sinon.stub().returns([])
+      },
+      importKeys: sinon.stub().returns(Promise.resolve([{type: 'success'}]))
+    };
+    keyringMock.keystore.getKeysForId.withArgs(FINGERPRINT).returns([publicKey]);
+    sinon.stub(keyring, 'getById').returns(keyringMock);
+    storage = {};
+    sinon.stub(mvelo.storage, 'get').callsFake(key => Promise.resolve(storage[key]));
+    sinon.stub(mvelo.storage, 'set').callsFake((key, value) => Promise.resolve(storage[key] = value));
+  });
+
+  afterEach(() => {
+    keyring.getById.restore();
+    mvelo.storage.get.restore();
+    mvelo.storage.set.restore();
+  });
+
+  describe('parseHeader', () => {
+    it('should parse the attributes', () => {
+      const header = autocrypt.parseHeader(`addr=Test@Mailvelope.com; prefer-encrypt=mutual; _extra=1; keydata=${keydata.slice(0, 40)} ${keydata.slice(40)}`);
+      expect(header.addr).to.equal('test@mailvelope.com');
+      expect(header.preferEncrypt).to.equal('mutual');
+      expect(header.keydata).to.eql(publicKey.toPacketlist().write());
+    });
+
+    it('should reject headers with unknown critical attributes', () => {
+      expect(autocrypt.parseHeader(`addr=test@mailvelope.com; critical=1; keydata=${keydata}`)).to.be.null;
+    });
+
+    it('should reject headers without keydata', () => {
+      expect(autocrypt.parseHeader('addr=test@mailvelope.com')).to.be.null;
+    });
+  });
+
+  describe('processMessage', () => {
+    it('should import the key of the sender and update the peer state', async() => {
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'test@mailvelope.com', rawText: message([
+        'From: API Test Key <test@mailvelope.com>',
+        `Autocrypt: addr=test@mailvelope.com; prefer-encrypt=mutual; keydata=${keydata}`
+      ])});
+      expect(keyringMock.importKeys.calledOnce).to.be.true;
+      const peers = await autocrypt.getPeers('test');
+      expect(peers['test@mailvelope.com']).to.include({public_key: FINGERPRINT, prefer_encrypt: 'mutual'});
+      expect(peers['test@mailvelope.com'].last_seen).to.equal(peers['test@mailvelope.com'].autocrypt_timestamp);
+    });
+
+    it('should use the sender address of the mail if the From header is missing', async() => {
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'test@mailvelope.com', rawText: message([
+        `Autocrypt: addr=test@mailvelope.com; keydata=${keydata}`
+      ])});
+      const peers = await autocrypt.getPeers('test');
+      expect(peers['test@mailvelope.com']).to.include({public_key: FINGERPRINT, prefer_encrypt: 'nopreference'});
+    });
+
+    it('should ignore Autocrypt headers for other addresses', async() => {
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'other@mailvelope.com', rawText: message([
+        'From: other@mailvelope.com',
+        `Autocrypt: addr=test@mailvelope.com; keydata=${keydata}`
+      ])});
+      expect(keyringMock.importKeys.called).to.be.false;
+      const peers = await autocrypt.getPeers('test');
+      expect(peers['test@mailvelope.com']).to.not.exist;
+      expect(peers['other@mailvelope.com'].last_seen).to.exist;
+    });
+
+    it('should ignore a From header that does not match the sender of the webmail', async() => {
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'attacker@mailvelope.com', rawText: message([
+        'From: test@mailvelope.com',
+        `Autocrypt: addr=test@mailvelope.com; prefer-encrypt=mutual; keydata=${keydata}`
+      ])});
+      expect(keyringMock.importKeys.called).to.be.false;
+      expect(await autocrypt.getPeers('test')).to.be.empty;
+    });
+
+    it('should not process the message without sender address of the webmail', async() => {
+      await autocrypt.processMessage({keyringId: 'test', rawText: message([
+        'From: test@mailvelope.com',
+        `Autocrypt: addr=test@mailvelope.com; keydata=${keydata}`
+      ])});
+      expect(keyringMock.importKeys.called).to.be.false;
+    });
+
+    it('should only accept gossip for recipients of the message', async() => {
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'other@mailvelope.com', rawText: message([
+        'From: other@mailvelope.com',
+        'To: test@mailvelope.com, third@mailvelope.com',
+        `Autocrypt-Gossip: addr=test@mailvelope.com; keydata=${keydata}`
+      ])});
+      let peers = await autocrypt.getPeers('test');
+      expect(peers['test@mailvelope.com']).to.include({gossip_key: FINGERPRINT});
+      expect(keyringMock.importKeys.calledOnce).to.be.true;
+      storage = {};
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'other@mailvelope.com', rawText: message([
+        'From: other@mailvelope.com',
+        'To: third@mailvelope.com',
+        `Autocrypt-Gossip: addr=test@mailvelope.com; keydata=${keydata}`
+      ])});
+      peers = await autocrypt.getPeers('test');
+      expect(peers['test@mailvelope.com']).to.not.exist;
+    });
+
+    it('should not update the key with older messages', async() => {
+      storage['mvelo.keyring.test.autocrypt'] = {'test@mailvelope.com': {autocrypt_timestamp: Date.now(), last_seen: Date.now(), public_key: 'other', prefer_encrypt: 'mutual'}};
+      await autocrypt.processMessage({keyringId: 'test', senderAddress: 'test@mailvelope.com', rawText: message([
+        'From: test@mailvelope.com',
+        'Date: Thu, 17 Jul 2014 10:25:41 +0000',
+        `Autocrypt: addr=test@mailvelope.com; keydata=${keydata}`
+      ])});
+      expect(keyringMock.importKeys.called).to.be.false;
+      const peers = await autocrypt.getPeers('test');
+      expect(peers['test@mailvelope.com'].public_key).to.equal('other');
+    });
+  });
+
+  describe('getRecommendation', () => {
+    it('should recommend encryption if both prefer mutual', async() => {
+      const peer = {last_seen: Date.now(), autocrypt_timestamp: Date.now(), public_key: FINGERPRINT, prefer_encrypt: 'mutual'};
+      expect(await autocrypt.getRecommendation(peer, keyringMock)).to.equal(autocrypt.ENCRYPT);
+    });
+
+    it('should return available without mutual preference', async() => {
+      const peer = {last_seen: Date.now(), autocrypt_timestamp: Date.now(), public_key: FINGERPRINT, prefer_encrypt: 'nopreference'};
+      expect(await autocrypt.getRecommendation(peer, keyringMock)).to.equal(autocrypt.AVAILABLE);
+    });
+
+    it('should discourage outdated Autocrypt keys and gossip keys', async() => {
+      const peer = {last_seen: Date.now(), autocrypt_timestamp: Date.now() - 36 * DAY, public_key: FINGERPRINT, prefer_encrypt: 'mutual'};
+      expect(await autocrypt.getRecommendation(peer, keyringMock)).to.equal(autocrypt.DISCOURAGE);
+      expect(await autocrypt.getRecommendation({last_seen: Date.now(), gossip_key: FINGERPRINT}, keyringMock)).to.equal(autocrypt.DISCOURAGE);
+    });
+
+    it('should disable without usable key', async() => {
+      const peer = {last_seen: Date.now(), autocrypt_timestamp: Date.now(), public_key: '0123456789abcdef0123456789abcdef01234567', prefer_encrypt: 'mutual'};
+      expect(await autocrypt.getRecommendation(peer, keyringMock)).to.equal(autocrypt.DISABLE);
+    });
+  });
+
+  describe('getOutgoingHeaders', () => {
+    it('should create the Autocrypt header of the sender and gossip for multiple recipients', async() => {
+      const recipients = [{email: 'test@mailvelope.com', fingerprint: FINGERPRINT}, {email: 'test@mailvelope.com', fingerprint: FINGERPRINT}];
+      const headers = await autocrypt.getOutgoingHeaders({keyringId: 'test', senderKeyFpr: FINGERPRINT, recipients});
+      expect(headers.map(header => header.name)).to.eql(['Autocrypt', 'Autocrypt-Gossip', 'Autocrypt-Gossip']);
+      expect(headers[0].value).to.not.match(/[\r\n]/);
+      const header = autocrypt.parseHeader(headers[0].value);
+      expect(header).to.include({addr: 'test@mailvelope.com', preferEncrypt: 'mutual'});
+      const {keys: [key]} = await openpgp.key.read(header.keydata);
+      expect(key.primaryKey.getFingerprint()).to.equal(FINGERPRINT);
+      expect(key.subKeys).to.have.lengthOf(1);
+    });
+
+    it('should not export local certifications', async() => {
+      const {key: certifier} = await openpgp.generateKey({userIds: [{email: 'certifier@example.com'}], curve: 'ed25519'});
+      await certifyUser(publicKey, certifier, 'API Test Key <test@mailvelope.com>', {exportable: false});
+      const [{value}] = await autocrypt.getOutgoingHeaders({keyringId: 'test', senderKeyFpr: FINGERPRINT});
+      const {keys: [key]} = await openpgp.key.read(autocrypt.parseHeader(value).keydata);
+      expect(key.users[0].otherCertifications).to.be.empty;
+      expect(publicKey.users[0].otherCertifications).to.have.lengthOf(1);
+    });
+
+    it('should not add gossip for a single recipient', async() => {
+      const headers = await autocrypt.getOutgoingHeaders({keyringId: 'test', senderKeyFpr: FINGERPRINT, recipients: [{email: 'test@mailvelope.com', fingerprint: FINGERPRINT}]});
+      expect(headers).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import * as openpgp from 'openpgp';
+import {symEncrypt, symDecryptSessionKey} from '../../src/modules/crypto';
+
+describe('Crypto unit tests', () => {
+  describe('symDecryptSessionKey', () => {
+    let binary;
+
+    beforeEach(async() => {
+      const {message} = await openpgp.encrypt({message: openpgp.message.fromText('secret message'), passwords: ['pwd'], armor: false});
+      binary = await openpgp.stream.readToEnd(message.packets.write());
+    });
+
+    it('should return the session key that decrypts the message', async() => {
+      const sessionKey = await symDecryptSessionKey(binary, 'pwd');
+      const {data} = await openpgp.decrypt({message: await openpgp.message.read(binary), sessionKeys: sessionKey});
+      expect(data).to.equal('secret message');
+    });
+
+    it('should reject a wrong password and accept retries', async() => {
+      await expect(symDecryptSessionKey(binary, 'wrong')).to.eventually.be.rejectedWith(/wrong password/);
+      expect(await symDecryptSessionKey(binary, 'pwd')).to.have.property('algorithm');
+    });
+
+    it('should return the session key of a streamed message', async() => {
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(binary);
+          controller.close();
+        }
+      });
+      const message = await openpgp.message.read(stream);
+      const sessionKey = await symDecryptSessionKey(message, 'pwd');
+      const {data} = await openpgp.decrypt({message, sessionKeys: sessionKey});
+      expect(await openpgp.stream.readToEnd(data)).to.equal('secret message');
+    });
+
+    it('should reject a wrong password of a streamed message and accept retries', async() => {
+      // the session key is derived from the password, therefore any password results in a session key
+      const message = await symEncrypt(openpgp.message.fromText('secret message'), 'pwd');
+      const encrypted = await openpgp.stream.readToEnd(message.packets.write());
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(encrypted);
+          controller.close();
+        }
+      });
+      const streamedMessage = await openpgp.message.read(stream);
+      await expect(symDecryptSessionKey(streamedMessage, 'wrong')).to.eventually.be.rejectedWith(/wrong password/);
+      const sessionKey = await symDecryptSessionKey(streamedMessage, 'pwd');
+      const {data} = await openpgp.decrypt({message: streamedMessage, sessionKeys: sessionKey});
+      expect(await openpgp.stream.readToEnd(data)).to.equal('secret message');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import mvelo from '../../src/lib/lib-mvelo';
+import * as draftStore from '../../src/modules/draftStore';
+
+describe('Draft store unit tests', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {
+      'mvelo.drafts': {
+        a: {id: 'a', host: 'mail.com', keyringId: 'k', lastModified: Date.now() - 3000},
+        b: {id: 'b', host: 'mail.com', keyringId: 'k', lastModified: Date.now() - 1000},
+        c: {id: 'c', host: 'web.de', keyringId: 'k', lastModified: Date.now() - 2000}
+      },
+      'mvelo.drafts.a': 'x',
+      'mvelo.drafts.b': 'y',
+      'mvelo.drafts.c': 'z'
+    };
+    sinon.stub(mvelo.storage, 'get').callsFake(key => Promise.resolve(storage[key]));
+    sinon.stub(mvelo.storage, 'set').callsFake((key, value) => Promise.resolve(storage[key] = value));
+    sinon.stub(mvelo.storage, 'remove').callsFake(key => Promise.resolve(delete storage[key]));
+  });
+
+  afterEach(() => {
+    mvelo.storage.get.restore();
+    mvelo.storage.set.restore();
+    mvelo.storage.remove.restore();
+  });
+
+  describe('saveDraft', () => {
+    it('should replace the draft with the same ID', async() => {
+      await draftStore.saveDraft({id: 'a', armored: 'new', host: 'mail.com', keyringId: 'k'});
+      const draft = await draftStore.getDraft('a');
+      expect(draft).to.include({armored: 'new', host: 'mail.com', keyringId: 'k'});
+      expect(draft.lastModified).to.be.above(storage['mvelo.drafts'].b.lastModified);
+    });
+
+    it('should store the content of each draft under its own key', async() => {
+      await draftStore.saveDraft({id: 'd', armored: 'new', host: 'mail.com', keyringId: 'k'});
+      expect(storage['mvelo.drafts.d']).to.equal('new');
+      expect(storage['mvelo.drafts'].d).to.not.have.property('armored');
+    });
+
+    it('should reject a draft that exceeds the size limit', async() => {
+      await expect(draftStore.saveDraft({id: 'd', armored: 'x'.repeat(draftStore.MAX_DRAFT_SIZE + 1), host: 'mail.com', keyringId: 'k'})).to.eventually.be.rejected.and.have.property('code', 'DRAFT_TOO_BIG');
+      expect(storage).to.not.have.property('mvelo.drafts.d');
+    });
+
+    it('should remove the oldest drafts if the max. number of drafts is reached', async() => {
+      for (let i = 0; i < draftStore.MAX_DRAFTS - 2; i++) {
+        await draftStore.saveDraft({id: `new${i}`, armored: 'new', host: 'mail.com', keyringId: 'k'});
+      }
+      expect(Object.keys(storage['mvelo.drafts'])).to.have.lengthOf(draftStore.MAX_DRAFTS);
+      expect(storage['mvelo.drafts']).to.not.have.property('a');
+      expect(storage).to.not.have.property('mvelo.drafts.a');
+    });
+
+    it('should not lose drafts that are saved in parallel', async() => {
+      await Promise.all([
+        draftStore.saveDraft({id: 'd', armored: 'd', host: 'mail.com', keyringId: 'k'}),
+        draftStore.deleteDraft('b'),
+        draftStore.saveDraft({id: 'e', armored: 'e', host: 'mail.com', keyringId: 'k'})
+      ]);
+      expect(Object.keys(storage['mvelo.drafts'])).to.have.members(['a', 'c', 'd', 'e']);
+    });
+  });
+
+  describe('getDrafts', () => {
+    it('should return the drafts without content, most recent first', async() => {
+      expect((await draftStore.getDrafts()).map(({id}) => id)).to.deep.equal(['b', 'c', 'a']);
+    });
+
+    it('should remove expired drafts', async() => {
+      storage['mvelo.drafts'].a.lastModified = Date.now() - draftStore.DRAFT_EXPIRATION - 1;
+      expect((await draftStore.getDrafts()).map(({id}) => id)).to.deep.equal(['b', 'c']);
+      expect(storage).to.not.have.property('mvelo.drafts.a');
+    });
+  });
+
+  describe('getRestorableDraft', () => {
+    afterEach(() => {
+      draftStore.setOpen('b', false);
+    });
+
+    it('should return the most recent draft of the host', async() => {
+      expect((await draftStore.getRestorableDraft('mail.com', 'k')).id).to.equal('b');
+    });
+
+    it('should skip drafts that are open in another editor', async() => {
+      draftStore.setOpen('b', true);
+      expect((await draftStore.getRestorableDraft('mail.com', 'k')).id).to.equal('a');
+    });
+
+    it('should not return drafts of another keyring', async() => {
+      expect(await draftStore.getRestorableDraft('mail.com', 'other')).to.be.undefined;
+    });
+  });
+
+  describe('deleteDraft', () => {
+    it('should delete the draft', async() => {
+      await draftStore.deleteDraft('a');
+      expect(storage).to.not.have.property('mvelo.drafts.a');
+      try {
+        await draftStore.getDraft('a');
+        throw new Error('draft not deleted');
+      } catch (e) {
+        expect(e.code).to.equal('NO_DRAFT_FOUND');
+      }
+    });
+  });
+});
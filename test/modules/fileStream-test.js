@@ -0,0 +1,67 @@
+import * as openpgp from 'openpgp';
+import * as fileStream from '../../src/modules/fileStream';
+
+describe('File stream unit tests', () => {
+  async function readAll(stream) {
+    let content = '';
+    let result;
+    do {
+      result = await stream.read();
+      content += result.chunk || '';
+    } while (!result.done);
+    return {content, filename: result.filename};
+  }
+
+  it('should pass the written chunks through the process', async() => {
+    const id = fileStream.create(async stream => ({data: openpgp.stream.transform(stream, chunk => chunk.map(byte => byte + 1)), filename: 'test.txt'}));
+    const stream = fileStream.get(id);
+    const writing = (async() => {
+      await stream.write('abc');
+      await stream.write('de');
+      stream.close();
+    })();
+    const [{content, filename}] = await Promise.all([readAll(stream), writing]);
+    expect(content).to.equal('bcdef');
+    expect(filename).to.equal('test.txt');
+    expect(() => fileStream.get(id)).to.throw(/No file stream/);
+  });
+
+  it('should encrypt and decrypt a file in chunks', async() => {
+    const encStream = fileStream.get(fileStream.create(async stream => {
+      const {message} = await openpgp.encrypt({message: openpgp.message.fromBinary(stream, 'test.bin'), passwords: ['pwd'], armor: false});
+      return {data: message.packets.write()};
+    }));
+    const decStream = fileStream.get(fileStream.create(async stream => {
+      const {data, filename} = await openpgp.decrypt({message: await openpgp.message.read(stream), passwords: ['pwd'], format: 'binary'});
+      return {data, filename};
+    }));
+    const plaintext = 'x'.repeat(100000);
+    const write = async(stream, content) => {
+      await stream.write(content.slice(0, 50000));
+      await stream.write(content.slice(50000));
+      stream.close();
+    };
+    const [, {content: encrypted}] = await Promise.all([write(encStream, plaintext), readAll(encStream)]);
+    const [, {content, filename}] = await Promise.all([write(decStream, encrypted), readAll(decStream)]);
+    expect(content).to.equal(plaintext);
+    expect(filename).to.equal('test.bin');
+  });
+
+  it('should reject writing and reading if the process fails', async() => {
+    const stream = fileStream.get(fileStream.create(async stream => {
+      await stream.getReader().read();
+      throw new Error('process failed');
+    }));
+    await stream.write('abc').catch(() => {});
+    await expect(stream.write('def')).to.eventually.be.rejectedWith(/process failed/);
+    await expect(stream.read()).to.eventually.be.rejectedWith(/process failed/);
+  });
+
+  it('should reject writing to an aborted stream', async() => {
+    const id = fileStream.create(async stream => ({data: stream}));
+    const stream = fileStream.get(id);
+    fileStream.abort(id);
+    await expect(stream.write('abc')).to.eventually.be.rejectedWith(/aborted/);
+    expect(() => fileStream.get(id)).to.throw(/No file stream/);
+  });
+});
@@ -0,0 +1,112 @@
+import * as hkp from '../../src/modules/hkp';
+import keyFixtures from '../fixtures/keys';
+
+const BASE_URL = 'https://keys.example.com';
+
+describe('Talking to a HKP key server', () => {
+  beforeEach(() => {
+    sinon.stub(window, 'fetch');
+  });
+
+  afterEach(() => {
+    window.fetch.restore();
+  });
+
+  describe('lookup', () => {
+    it('should query for the key by email', async() => {
+      window.fetch.returns(Promise.resolve({status: 404}));
+      await hkp.lookup({email: 'test@mailvelope.com'}, BASE_URL);
+      expect(window.fetch.args[0][0]).to.equal('https://keys.example.com/pks/lookup?op=get&search=test%40mailvelope.com&exact=on&options=mr');
+    });
+
+    it('should query for the key by fingerprint', async() => {
+      window.fetch.returns(Promise.resolve({status: 404}));
+      await hkp.lookup({fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b'}, BASE_URL);
+      expect(window.fetch.args[0][0]).to.equal('https://keys.example.com/pks/lookup?op=get&search=0xaa1e01774bdf7d76a45bdc2df11db1250c3c3f1b&options=mr');
+    });
+
+    it('should return key on success', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const armored = await hkp.lookup({email: 'test@mailvelope.com'}, BASE_URL);
+      expect(armored).to.include('PGP PUBLIC KEY BLOCK');
+    });
+
+    it('should not return keys with other fingerprints', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const armored = await hkp.lookup({fingerprint: '0123456789abcdef0123456789abcdef01234567'}, BASE_URL);
+      expect(armored).to.not.exist;
+    });
+
+    it('should return the key for a short key ID of the index', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const armored = await hkp.lookup({keyId: '0C3C3F1B'}, BASE_URL);
+      expect(armored).to.include('PGP PUBLIC KEY BLOCK');
+    });
+
+    it('should not return keys without matching user ID', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const armored = await hkp.lookup({email: 'other@mailvelope.com'}, BASE_URL);
+      expect(armored).to.not.exist;
+    });
+
+    it('should not return key on 404', async() => {
+      window.fetch.returns(Promise.resolve({status: 404}));
+      expect(await hkp.lookup({email: 'test@mailvelope.com'}, BASE_URL)).to.not.exist;
+    });
+
+    it('should reject on server errors', () => {
+      window.fetch.returns(Promise.resolve({status: 500, statusText: 'Internal Server Error'}));
+      return expect(hkp.lookup({keyId: '0123456789ABCDEF'}, BASE_URL)).to.eventually.be.rejectedWith(/Internal Server Error/);
+    });
+  });
+
+  describe('search', () => {
+    it('should request the machine readable index', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return 'info:1:0'; }}));
+      const keys = await hkp.search('test@mailvelope.com', BASE_URL);
+      expect(window.fetch.args[0][0]).to.equal('https://keys.example.com/pks/lookup?op=index&search=test%40mailvelope.com&options=mr');
+      expect(keys).to.be.empty;
+    });
+
+    it('should get the keys from the Mailvelope key server that has no index operation', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const keys = await hkp.search('test@mailvelope.com', 'https://keys.mailvelope.com');
+      expect(window.fetch.args[0][0]).to.equal('https://keys.mailvelope.com/pks/lookup?op=get&search=test%40mailvelope.com&options=mr');
+      expect(keys).to.have.lengthOf(1);
+      expect(keys[0]).to.include({
+        keyId: 'F11DB1250C3C3F1B',
+        fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b',
+        revoked: false
+      });
+      expect(keys[0].users.map(({userId}) => userId)).to.include('API Test Key <test@mailvelope.com>');
+    });
+  });
+
+  describe('parseIndex', () => {
+    it('should parse keys and user IDs', () => {
+      const index = [
+        'info:1:2',
+        'pub:AA1E01774BDF7D76A45BDC2DF11DB1250C3C3F1B:1:1024:1405592741::',
+        'uid:API Test Key %3Ctest@mailvelope.com%3E:1405592741::',
+        'uid:M%C3%BCller %3Cmueller@mailvelope.com%3E:1405592741:1500000000:r',
+        'pub:0123456789ABCDEF:17:2048:1200000000:1300000000:re',
+        ''
+      ].join('\r\n');
+      const keys = hkp.parseIndex(index);
+      expect(keys).to.have.lengthOf(2);
+      expect(keys[0]).to.include({
+        keyId: 'F11DB1250C3C3F1B',
+        fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b',
+        algorithm: 'RSA (Encrypt or Sign)',
+        keySize: 1024,
+        crDate: '2014-07-17T10:25:41.000Z',
+        exDate: null,
+        revoked: false
+      });
+      expect(keys[0].users).to.have.lengthOf(2);
+      expect(keys[0].users[0].userId).to.equal('API Test Key <test@mailvelope.com>');
+      expect(keys[0].users[1]).to.include({userId: 'Müller <mueller@mailvelope.com>', revoked: true});
+      expect(keys[1]).to.include({keyId: '0123456789ABCDEF', fingerprint: null, revoked: true, expired: true});
+    });
+  });
+});
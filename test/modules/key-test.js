@@ -0,0 +1,165 @@
+import * as openpgp from 'openpgp';
+import {revoke, setExpirationDate, addUser, setPrimaryUser, certifyUser, getExportableKey, verifyUserCertificate, formatUserId, getUserId, mapKeys, mapSubKeys} from '../../src/modules/key';
+import keyFixtures from '../fixtures/keys';
+
+describe('Key unit tests', () => {
+  let key;
+
+  beforeEach(async() => {
+    ({keys: [key]} = await openpgp.key.readArmored(keyFixtures.secret.demo));
+  });
+
+  describe('revoke', () => {
+    it('should revoke the primary key with reason for revocation', async() => {
+      await revoke(key, key, {reason: openpgp.enums.reasonForRevocation.key_compromised, comment: 'lost'});
+      expect(await key.verifyPrimaryKey()).to.equal(openpgp.enums.keyStatus.revoked);
+      const [revocation] = key.revocationSignatures;
+      expect(revocation.reasonForRevocationFlag).to.equal(openpgp.enums.reasonForRevocation.key_compromised);
+      expect(revocation.reasonForRevocationString).to.equal('lost');
+    });
+
+    it('should revoke a subkey', async() => {
+      const [subKey] = key.subKeys;
+      await revoke(key, key, {subkeyFpr: subKey.keyPacket.getFingerprint()});
+      expect(await subKey.verify(key.primaryKey)).to.equal(openpgp.enums.keyStatus.revoked);
+      expect(await key.verifyPrimaryKey()).to.equal(openpgp.enums.keyStatus.valid);
+      const details = {};
+      await mapSubKeys(key.subKeys, details, key.primaryKey);
+      expect(details.subkeys[0].revoked).to.be.true;
+    });
+
+    it('should revoke a user ID', async() => {
+      const [user] = key.users;
+      await revoke(key, key, {userId: user.userId.userid, reason: openpgp.enums.reasonForRevocation.userid_invalid});
+      expect(await user.isRevoked(key.primaryKey)).to.be.true;
+      expect(user.revocationSignatures[0].signatureType).to.equal(openpgp.enums.signature.cert_revocation);
+    });
+
+    it('should be mapped as revoked key', async() => {
+      await revoke(key, key);
+      const [uiKey] = await mapKeys([key]);
+      expect(uiKey.revoked).to.be.true;
+      expect(uiKey.validity).to.be.false;
+    });
+
+    it('should reject unknown subkeys', () => expect(revoke(key, key, {subkeyFpr: '0000'})).to.eventually.be.rejectedWith(/No subkey found/));
+  });
+
+  describe('setExpirationDate', () => {
+    let expirationDate;
+
+    beforeEach(() => {
+      expirationDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should set the expiration date of the primary key', async() => {
+      await setExpirationDate(key, key, {expirationDate});
+      const exDate = await key.getExpirationTime();
+      expect(Math.abs(exDate - expirationDate)).to.be.below(1000);
+      expect(await key.verifyPrimaryKey()).to.equal(openpgp.enums.keyStatus.valid);
+      expect(key.users[0].selfCertifications).to.have.lengthOf(2);
+    });
+
+    it('should remove the expiration date of the primary key', async() => {
+      await setExpirationDate(key, key, {expirationDate});
+      await setExpirationDate(key, key);
+      expect(await key.getExpirationTime()).to.equal(Infinity);
+    });
+
+    it('should set the expiration date of a subkey', async() => {
+      const [subKey] = key.subKeys;
+      await setExpirationDate(key, key, {expirationDate, subkeyFpr: subKey.keyPacket.getFingerprint()});
+      const exDate = await subKey.getExpirationTime(key.primaryKey);
+      expect(Math.abs(exDate - expirationDate)).to.be.below(1000);
+      expect(await key.getExpirationTime()).to.equal(Infinity);
+    });
+
+    it('should keep the expiration date after export', async() => {
+      await setExpirationDate(key, key, {expirationDate});
+      const {keys: [exported]} = await openpgp.key.readArmored(key.toPublic().armor());
+      const exDate = await exported.getExpirationTime();
+      expect(Math.abs(exDate - expirationDate)).to.be.below(1000);
+    });
+
+    it('should reject expiration dates in the past', () => expect(setExpirationDate(key, key, {expirationDate: new Date(Date.now() - 1000)})).to.eventually.be.rejectedWith(/must be in the future/));
+  });
+
+  describe('formatUserId', () => {
+    it('should format name and email', () => {
+      expect(formatUserId({fullName: 'Alice', email: 'alice@example.com'})).to.equal('Alice <alice@example.com>');
+    });
+
+    it('should format email only', () => {
+      expect(formatUserId({email: 'alice@example.com'})).to.equal('<alice@example.com>');
+    });
+  });
+
+  describe('addUser', () => {
+    it('should add a valid user ID that keeps the expiration date of the key', async() => {
+      const expirationDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+      await setExpirationDate(key, key, {expirationDate});
+      await addUser(key, key, 'Alice <alice@example.com>');
+      expect(key.users).to.have.lengthOf(2);
+      const [, user] = key.users;
+      expect(user.userId.email).to.equal('alice@example.com');
+      expect(await user.verify(key.primaryKey)).to.equal(openpgp.enums.keyStatus.valid);
+      expect(await getUserId(key)).to.equal('API Test Key <test@mailvelope.com>');
+      const {keys: [exported]} = await openpgp.key.readArmored(key.toPublic().armor());
+      expect(exported.users).to.have.lengthOf(2);
+      expect(Math.abs(await exported.getExpirationTime() - expirationDate)).to.be.below(1000);
+    });
+
+    it('should reject existing user IDs', () => expect(addUser(key, key, 'API Test Key <test@mailvelope.com>')).to.eventually.be.rejectedWith(/already exists/));
+  });
+
+  describe('setPrimaryUser', () => {
+    it('should set the primary user ID', async() => {
+      await addUser(key, key, 'Alice <alice@example.com>');
+      await setPrimaryUser(key, key, 'Alice <alice@example.com>');
+      expect(await getUserId(key)).to.equal('Alice <alice@example.com>');
+      await setPrimaryUser(key, key, 'API Test Key <test@mailvelope.com>');
+      expect(await getUserId(key)).to.equal('API Test Key <test@mailvelope.com>');
+    });
+
+    it('should reject revoked user IDs', async() => {
+      await addUser(key, key, 'Alice <alice@example.com>');
+      await revoke(key, key, {userId: 'Alice <alice@example.com>'});
+      await expect(setPrimaryUser(key, key, 'Alice <alice@example.com>')).to.eventually.be.rejectedWith(/revoked/);
+    });
+  });
+
+  describe('certifyUser', () => {
+    let certifier;
+
+    beforeEach(async() => {
+      ({key: certifier} = await openpgp.generateKey({userIds: [{email: 'certifier@example.com'}], curve: 'ed25519'}));
+      key = key.toPublic();
+    });
+
+    it('should create a valid certification of the user ID', async() => {
+      await certifyUser(key, certifier, 'API Test Key <test@mailvelope.com>');
+      const [user] = key.users;
+      expect(user.otherCertifications).to.have.lengthOf(1);
+      const [cert] = user.otherCertifications;
+      expect(cert.issuerKeyId.equals(certifier.primaryKey.getKeyId())).to.be.true;
+      expect(await verifyUserCertificate(user, key.primaryKey, cert, certifier.primaryKey)).to.equal(openpgp.enums.keyStatus.valid);
+      const {keys: [exported]} = await openpgp.key.readArmored(getExportableKey(key).armor());
+      expect(exported.users[0].otherCertifications).to.have.lengthOf(1);
+    });
+
+    it('should not export local certifications', async() => {
+      const expirationDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await certifyUser(key, certifier, 'API Test Key <test@mailvelope.com>', {exportable: false, expirationDate});
+      const [cert] = key.users[0].otherCertifications;
+      expect(cert.exportable).to.be.false;
+      expect(Math.abs(cert.getExpirationTime() - expirationDate)).to.be.below(2000);
+      const {keys: [exported]} = await openpgp.key.readArmored(getExportableKey(key).armor());
+      expect(exported.users[0].otherCertifications).to.be.empty;
+      expect(key.users[0].otherCertifications).to.have.lengthOf(1);
+    });
+
+    it('should reject own user IDs', () => expect(certifyUser(certifier, certifier, '<certifier@example.com>')).to.eventually.be.rejectedWith(/can not be certified/));
+
+    it('should reject unknown user IDs', () => expect(certifyUser(key, certifier, 'Alice <alice@example.com>')).to.eventually.be.rejectedWith(/No user ID found/));
+  });
+});
@@ -0,0 +1,91 @@
+import * as openpgp from 'openpgp';
+import mvelo from '../../src/lib/lib-mvelo';
+import {run, refreshKeyring, isRefreshEnabled} from '../../src/modules/keyRefresh';
+import * as keyringModule from '../../src/modules/keyring';
+import {prefs} from '../../src/modules/prefs';
+import keyFixtures from '../fixtures/keys';
+
+describe('Key refresh unit tests', () => {
+  let keyring;
+
+  beforeEach(async() => {
+    prefs.keyserver = {
+      hkp_base_url: 'https://keys.example.com',
+      mvelo_tofu_lookup: false,
+      wkd_lookup: false,
+      hkp_lookup: true,
+      key_refresh: true
+    };
+    const {keys: [publicKey]} = await openpgp.key.readArmored(keyFixtures.public.demo);
+    keyring = {
+      keystore: {
+        publicKeys: {keys: [publicKey]},
+        getKeysForId: sinon.stub().returns([publicKey])
+      },
+      refreshPublicKey: sinon.stub().returns(Promise.resolve(true))
+    };
+    sinon.stub(window, 'fetch');
+  });
+
+  afterEach(() => {
+    window.fetch.restore();
+  });
+
+  describe('isRefreshEnabled', () => {
+    it('should be enabled with setting and enabled source', () => {
+      expect(isRefreshEnabled()).to.be.true;
+    });
+
+    it('should be disabled without enabled source', () => {
+      prefs.keyserver.hkp_lookup = false;
+      expect(isRefreshEnabled()).to.be.false;
+    });
+  });
+
+  describe('run', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      sinon.stub(keyringModule, 'getAll').returns([]);
+      sinon.stub(mvelo.storage, 'set').returns(Promise.resolve());
+    });
+
+    afterEach(() => {
+      clock.restore();
+      keyringModule.getAll.restore();
+      mvelo.storage.set.restore();
+    });
+
+    it('should store the time of the last refresh', async() => {
+      await run();
+      expect(keyringModule.getAll.calledOnce).to.be.true;
+      expect(mvelo.storage.set.calledWith('mvelo.keyRefresh.lastRun')).to.be.true;
+    });
+
+    it('should not store the time of the last refresh if the refresh is disabled', async() => {
+      prefs.keyserver.key_refresh = false;
+      await run();
+      expect(keyringModule.getAll.called).to.be.false;
+      expect(mvelo.storage.set.called).to.be.false;
+    });
+  });
+
+  describe('refreshKeyring', () => {
+    it('should query the key by fingerprint and merge the result', async() => {
+      window.fetch.returns(Promise.resolve({status: 200, text() { return keyFixtures.public.demo; }}));
+      const modified = await refreshKeyring(keyring);
+      expect(window.fetch.args[0][0]).to.include('search=0xaa1e01774bdf7d76a45bdc2df11db1250c3c3f1b');
+      expect(keyring.refreshPublicKey.calledOnce).to.be.true;
+      expect(keyring.refreshPublicKey.args[0][0]).to.equal('aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b');
+      expect(modified).to.eql(['aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b']);
+    });
+
+    it('should not merge if the key was not found', async() => {
+      window.fetch.returns(Promise.resolve({status: 404}));
+      const modified = await refreshKeyring(keyring);
+      expect(keyring.refreshPublicKey.called).to.be.false;
+      expect(modified).to.be.empty;
+    });
+  });
+});
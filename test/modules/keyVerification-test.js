@@ -0,0 +1,109 @@
+import mvelo from '../../src/lib/lib-mvelo';
+import * as verification from '../../src/modules/keyVerification';
+
+const FPR_A = 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b';
+const FPR_B = '0123456789abcdef0123456789abcdef01234567';
+
+describe('Key verification unit tests', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    // the extension storage returns copies of the stored objects
+    sinon.stub(mvelo.storage, 'get').callsFake(key => Promise.resolve(storage[key] && JSON.parse(storage[key])));
+    sinon.stub(mvelo.storage, 'set').callsFake((key, value) => Promise.resolve(storage[key] = JSON.stringify(value)));
+  });
+
+  afterEach(() => {
+    mvelo.storage.get.restore();
+    mvelo.storage.set.restore();
+  });
+
+  describe('getVerificationState', () => {
+    it('should trust the first key on first use', async() => {
+      expect(await verification.getVerificationState('test', 'Test@Mailvelope.com', FPR_A)).to.equal(verification.TOFU);
+      const records = await verification.getRecords('test');
+      expect(records['test@mailvelope.com'].fingerprint).to.equal(FPR_A);
+      expect(records['test@mailvelope.com'].keys[FPR_A]).to.be.a('number');
+    });
+
+    it('should detect a different key for a known address', async() => {
+      await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A);
+      expect(await verification.getVerificationState('test', 'test@mailvelope.com', FPR_B)).to.equal(verification.CONFLICT);
+      expect(await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A)).to.equal(verification.TOFU);
+    });
+
+    it('should not store unchanged records', async() => {
+      await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A);
+      await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A);
+      expect(mvelo.storage.set.calledOnce).to.be.true;
+    });
+  });
+
+  describe('observeKeys', () => {
+    it('should not lose records of parallel updates', async() => {
+      await Promise.all([
+        verification.observeKeys('test', [{email: 'a@mailvelope.com', fingerprint: FPR_A}]),
+        verification.getVerificationState('test', 'b@mailvelope.com', FPR_B),
+        verification.setVerified('test', FPR_A, ['c@mailvelope.com'])
+      ]);
+      const records = await verification.getRecords('test');
+      expect(Object.keys(records)).to.have.members(['a@mailvelope.com', 'b@mailvelope.com', 'c@mailvelope.com']);
+    });
+
+    it('should not trust any key if several keys are used on first use', async() => {
+      const records = await verification.observeKeys('test', [{email: 'test@mailvelope.com', fingerprint: FPR_A}, {email: 'test@mailvelope.com', fingerprint: FPR_B}]);
+      expect(verification.getKeyState(records['test@mailvelope.com'], FPR_A)).to.equal(verification.CONFLICT);
+      expect(verification.getKeyState(records['test@mailvelope.com'], FPR_B)).to.equal(verification.CONFLICT);
+    });
+  });
+
+  describe('setVerified', () => {
+    it('should replace the known key of the addresses', async() => {
+      await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A);
+      await verification.setVerified('test', FPR_B, ['test@mailvelope.com', 'other@mailvelope.com']);
+      expect(await verification.getVerificationState('test', 'test@mailvelope.com', FPR_B)).to.equal(verification.VERIFIED);
+      expect(await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A)).to.equal(verification.CONFLICT);
+      expect(await verification.getVerificationState('test', 'other@mailvelope.com', FPR_B)).to.equal(verification.VERIFIED);
+    });
+  });
+
+  describe('getAddressStates', () => {
+    it('should return the state of the addresses without recording the keys', async() => {
+      await verification.setVerified('test', FPR_A, ['test@mailvelope.com']);
+      await verification.getVerificationState('test', 'known@mailvelope.com', FPR_A);
+      const states = await verification.getAddressStates('test', [
+        {email: 'test@mailvelope.com', fingerprint: FPR_A},
+        {email: 'known@mailvelope.com', fingerprint: FPR_A},
+        {email: 'Known@mailvelope.com', fingerprint: FPR_B},
+        {email: 'new@mailvelope.com', fingerprint: FPR_B}
+      ]);
+      expect(states).to.eql({
+        'test@mailvelope.com': verification.VERIFIED,
+        'known@mailvelope.com': verification.CONFLICT,
+        'new@mailvelope.com': verification.UNVERIFIED
+      });
+      expect((await verification.getRecords('test'))['new@mailvelope.com']).to.not.exist;
+    });
+  });
+
+  describe('getKeyVerification', () => {
+    it('should return the state for each address of the key', async() => {
+      await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A);
+      const result = await verification.getKeyVerification('test', FPR_A, ['test@mailvelope.com', 'TEST@mailvelope.com', 'new@mailvelope.com']);
+      expect(result).to.have.lengthOf(2);
+      expect(result[0]).to.include({email: 'test@mailvelope.com', state: verification.TOFU});
+      expect(result[0].firstSeen).to.be.a('string');
+      expect(result[1]).to.eql({email: 'new@mailvelope.com', state: verification.UNVERIFIED, firstSeen: null});
+    });
+  });
+
+  describe('sortKeysByState', () => {
+    it('should sort the known key first', async() => {
+      await verification.getVerificationState('test', 'test@mailvelope.com', FPR_A);
+      const keyA = {primaryKey: {getFingerprint: () => FPR_A}};
+      const keyB = {primaryKey: {getFingerprint: () => FPR_B}};
+      expect(await verification.sortKeysByState('test', 'test@mailvelope.com', [keyB, keyA])).to.eql([keyA, keyB]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import * as openpgp from 'openpgp';
+import mvelo from '../../src/lib/lib-mvelo';
+import * as keyring from '../../src/modules/keyring';
+import * as keyringTransfer from '../../src/modules/keyringTransfer';
+import keyFixtures from '../fixtures/keys';
+
+const FINGERPRINT = 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b';
+
+describe('Keyring transfer unit tests', () => {
+  let source;
+  let target;
+  let publicKey;
+  let privateKey;
+  let unlockKey;
+
+  beforeEach(async() => {
+    ({keys: [publicKey]} = await openpgp.key.readArmored(keyFixtures.public.demo));
+    ({keys: [privateKey]} = await openpgp.key.readArmored(keyFixtures.secret.demo));
+    source = {
+      keystore: {getKeysForId: sinon.stub().returns(null)}
+    };
+    target = {
+      id: mvelo.GNUPG_KEYRING_ID,
+      keystore: {
+        getKeysForId: sinon.stub().returns(null),
+        load: sinon.stub().returns(Promise.resolve())
+      },
+      importKeys: sinon.stub().returns(Promise.resolve([{type: 'success', message: 'imported'}]))
+    };
+    sinon.stub(keyring, 'getById');
+    keyring.getById.withArgs(mvelo.MAIN_KEYRING_ID).returns(source);
+    keyring.getById.withArgs(mvelo.GNUPG_KEYRING_ID).returns(target);
+    unlockKey = sinon.stub().returns(Promise.resolve(privateKey));
+  });
+
+  afterEach(() => {
+    keyring.getById.restore();
+  });
+
+  describe('checkTransfer', () => {
+    it('should detect new and existing keys', async() => {
+      source.keystore.getKeysForId.withArgs(FINGERPRINT).returns([publicKey]);
+      let [result] = await keyringTransfer.checkTransfer({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT]});
+      expect(result.status).to.equal(keyringTransfer.NEW);
+      expect(result.type).to.equal('public');
+      target.keystore.getKeysForId.withArgs(FINGERPRINT).returns([publicKey]);
+      [result] = await keyringTransfer.checkTransfer({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT]});
+      expect(result.status).to.equal(keyringTransfer.MERGE);
+    });
+
+    it('should detect colliding key IDs', async() => {
+      source.keystore.getKeysForId.withArgs(FINGERPRINT).returns([publicKey]);
+      const otherKey = {primaryKey: {getKeyId: () => ({equals: () => false})}};
+      target.keystore.getKeysForId.withArgs(publicKey.primaryKey.getKeyId().toHex(), true).returns([otherKey]);
+      const [result] = await keyringTransfer.checkTransfer({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT]});
+      expect(result.status).to.equal(keyringTransfer.CONFLICT);
+    });
+
+    it('should throw for unknown keys', () => expect(keyringTransfer.checkTransfer({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT]})).to.eventually.be.rejectedWith(/No key found/));
+  });
+
+  describe('transferKeys', () => {
+    it('should transfer the public key without unlock', async() => {
+      source.keystore.getKeysForId.withArgs(FINGERPRINT).returns([privateKey]);
+      const result = await keyringTransfer.transferKeys({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT], unlockKey});
+      expect(unlockKey.called).to.be.false;
+      const [[[{armored, type}]]] = target.importKeys.args;
+      expect(type).to.equal('public');
+      expect(armored).to.include('PUBLIC KEY BLOCK');
+      expect(target.keystore.load.called).to.be.false;
+      expect(result).to.eql([{type: 'success', message: 'imported'}]);
+    });
+
+    it('should transfer the private key after unlock', async() => {
+      source.keystore.getKeysForId.withArgs(FINGERPRINT).returns([privateKey]);
+      await keyringTransfer.transferKeys({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT], includePrivate: true, unlockKey});
+      expect(unlockKey.calledOnce).to.be.true;
+      const [[[{armored, type}]]] = target.importKeys.args;
+      expect(type).to.equal('private');
+      expect(armored).to.include('PRIVATE KEY BLOCK');
+      expect(target.keystore.load.calledOnce).to.be.true;
+    });
+
+    it('should skip private keys if password entry is canceled', async() => {
+      source.keystore.getKeysForId.withArgs(FINGERPRINT).returns([privateKey]);
+      unlockKey.returns(Promise.reject(new mvelo.Error('Canceled', 'PWD_DIALOG_CANCEL')));
+      const result = await keyringTransfer.transferKeys({keyringId: mvelo.MAIN_KEYRING_ID, keyFprs: [FINGERPRINT], includePrivate: true, unlockKey});
+      expect(target.importKeys.called).to.be.false;
+      expect(result[0].type).to.equal('error');
+    });
+
+    it('should only transfer public keys from GnuPG', async() => {
+      target.keystore.getKeysForId.withArgs(FINGERPRINT).returns([privateKey]);
+      source.id = mvelo.MAIN_KEYRING_ID;
+      source.importKeys = sinon.stub().returns(Promise.resolve([]));
+      await keyringTransfer.transferKeys({keyringId: mvelo.GNUPG_KEYRING_ID, keyFprs: [FINGERPRINT], includePrivate: true, unlockKey});
+      expect(unlockKey.called).to.be.false;
+      expect(source.importKeys.args[0][0][0].type).to.equal('public');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import {parseMessage, isSignedMIME, parseSignedMessage, buildMail, parseHeaders, getProtectedSubject} from '../../src/modules/mime';
+
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const relatedMessage = [
+  'Content-Type: multipart/mixed; boundary="mixed"',
+  '',
+  '--mixed',
+  'Content-Type: multipart/alternative; boundary="alt"',
+  '',
+  '--alt',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Plain text part',
+  '--alt',
+  'Content-Type: multipart/related; boundary="rel"',
+  '',
+  '--rel',
+  'Content-Type: text/html; charset=iso-8859-1',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  '<p>Gr=FC=DFe</p><img src=3D"cid:logo@example.com">',
+  '--rel',
+  'Content-Type: image/png; name="logo.png"',
+  'Content-Transfer-Encoding: base64',
+  'Content-ID: <logo@example.com>',
+  'Content-Disposition: inline; filename="logo.png"',
+  '',
+  PNG_BASE64,
+  '--rel--',
+  '--alt--',
+  '--mixed',
+  'Content-Type: application/pdf; name="doc.pdf"',
+  'Content-Transfer-Encoding: base64',
+  'Content-Disposition: attachment; filename="doc.pdf"',
+  '',
+  'JVBERi0xLjQ=',
+  '--mixed--',
+  ''
+].join('\r\n');
+
+const signedMessage = [
+  'From: Alice <alice@example.com>',
+  'Content-Type: multipart/signed; micalg=pgp-sha256;',
+  ' protocol="application/pgp-signature"; boundary="sig"',
+  '',
+  'This is an OpenPGP/MIME signed message (RFC 4880 and 3156)',
+  '--sig',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Signed text',
+  '--sig',
+  'Content-Type: application/pgp-signature; name="signature.asc"',
+  '',
+  '-----BEGIN PGP SIGNATURE-----',
+  '',
+  'iQEzBAEBCAAdFiEE',
+  '-----END PGP SIGNATURE-----',
+  '',
+  '--sig--',
+  ''
+].join('\n');
+
+describe('MIME parser', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      onMessage: sinon.stub(),
+      onAttachment: sinon.stub()
+    };
+  });
+
+  describe('parseMessage', () => {
+    it('should render the HTML part of a nested multipart/alternative structure', async() => {
+      await parseMessage(relatedMessage, handlers, 'html');
+      expect(handlers.onMessage.calledOnce).to.be.true;
+      const html = handlers.onMessage.args[0][0];
+      expect(html).to.include('<p>Grüße</p>');
+      expect(html).not.to.include('Plain text part');
+    });
+
+    it('should replace cid: references with data URLs of the related image', async() => {
+      await parseMessage(relatedMessage, handlers, 'html');
+      const html = handlers.onMessage.args[0][0];
+      expect(html).to.include(`src="data:image/png;base64,${PNG_BASE64}"`);
+      expect(html).not.to.include('cid:');
+    });
+
+    it('should only emit attachments that are not embedded in the HTML part', async() => {
+      await parseMessage(relatedMessage, handlers, 'html');
+      expect(handlers.onAttachment.calledOnce).to.be.true;
+      expect(handlers.onAttachment.args[0][0].filename).to.equal('doc.pdf');
+      expect(handlers.onAttachment.args[0][0].content).to.equal('%PDF-1.4');
+    });
+
+    it('should prefer the text part in text mode', async() => {
+      await parseMessage(relatedMessage, handlers, 'text');
+      expect(handlers.onMessage.args[0][0]).to.equal('Plain text part');
+    });
+
+    it('should decode 8bit parts in charsets other than UTF-8 from binary input', async() => {
+      const message = [
+        'Content-Type: text/plain; charset=iso-8859-1',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        'Gr\xFC\xDFe',
+        ''
+      ].join('\r\n');
+      await parseMessage(message, handlers, 'text', {binary: true});
+      expect(handlers.onMessage.args[0][0]).to.equal('Grüße');
+    });
+
+    it('should decode binary input of inline messages as UTF-8', async() => {
+      await parseMessage('Gr\xC3\xBC\xC3\x9Fe\r\n', handlers, 'text', {binary: true});
+      expect(handlers.onMessage.args[0][0]).to.equal('Grüße\n');
+    });
+  });
+
+  describe('isSignedMIME', () => {
+    it('should detect multipart/signed messages', () => {
+      expect(isSignedMIME(signedMessage)).to.be.true;
+    });
+
+    it('should not detect cleartext signed messages', () => {
+      expect(isSignedMIME('-----BEGIN PGP SIGNED MESSAGE-----\nHash: SHA256\n\ntext\n-----BEGIN PGP SIGNATURE-----')).to.be.false;
+    });
+  });
+
+  describe('parseSignedMessage', () => {
+    it('should extract the signed MIME entity with CRLF line endings and the signature', async() => {
+      const {signedMessage: signed, signature} = await parseSignedMessage(signedMessage);
+      expect(signed).to.equal('Content-Type: text/plain; charset=utf-8\r\nContent-Transfer-Encoding: quoted-printable\r\n\r\nSigned text');
+      expect(signature).to.include('-----BEGIN PGP SIGNATURE-----');
+    });
+
+    it('should reject messages without multipart/signed content', () => expect(parseSignedMessage(relatedMessage)).to.eventually.be.rejectedWith(/No PGP\/MIME signed content/));
+  });
+
+  describe('buildMail', () => {
+    it('should return plain text messages without MIME structure', () => {
+      expect(buildMail({message: 'Hello'})).to.equal('Hello');
+    });
+
+    it('should build sanitized HTML with generated text/plain alternative', async() => {
+      const mail = buildMail({html: '<p>Hello <b>World</b></p><script>alert(1)</script>'});
+      expect(mail).to.match(/Content-Type: multipart\/alternative/);
+      expect(mail).not.to.include('<script>');
+      await parseMessage(mail, handlers, 'text');
+      expect(handlers.onMessage.args[0][0]).to.equal('Hello World');
+      await parseMessage(mail, handlers, 'html');
+      expect(handlers.onMessage.args[1][0]).to.equal('<p>Hello <b>World</b></p>');
+    });
+
+    it('should add additional headers to PGP/MIME messages', () => {
+      const mail = buildMail({message: 'Hello', pgpMIME: true, headers: [{name: 'Autocrypt', value: 'addr=test@mailvelope.com; keydata=AAAA'}]});
+      expect(parseHeaders(mail)).to.deep.include({name: 'autocrypt', value: 'addr=test@mailvelope.com; keydata=AAAA'});
+    });
+
+    it('should add the subject as protected header', async() => {
+      const mail = buildMail({message: 'Hello', subject: 'Grüße aus Köln'});
+      expect(mail).to.match(/Content-Type: multipart\/mixed; protected-headers="?v1"?/);
+      expect(getProtectedSubject(mail)).to.equal('Grüße aus Köln');
+      await parseMessage(mail, handlers, 'text');
+      expect(handlers.onMessage.args[0][0]).to.equal('Hello');
+    });
+  });
+
+  describe('getProtectedSubject', () => {
+    it('should decode the subject of protected headers from binary input', () => {
+      const mail = unescape(encodeURIComponent('Content-Type: multipart/mixed; boundary="mixed";\r\n protected-headers="v1"\r\nSubject: Grüße\r\n\r\n--mixed\r\n'));
+      expect(getProtectedSubject(mail, {binary: true})).to.equal('Grüße');
+    });
+
+    it('should ignore the subject without protected headers parameter', () => {
+      expect(getProtectedSubject('Content-Type: multipart/mixed; boundary="mixed"\r\nSubject: Hello\r\n\r\n--mixed\r\n')).to.be.undefined;
+    });
+  });
+
+  describe('parseHeaders', () => {
+    it('should unfold header values of the top level entity', () => {
+      const headers = parseHeaders('Content-Type: multipart/mixed;\r\n boundary="mixed"\r\nFrom: Test <test@mailvelope.com>\r\n\r\n--mixed\r\nContent-Type: text/plain\r\n');
+      expect(headers).to.eql([
+        {name: 'content-type', value: 'multipart/mixed; boundary="mixed"'},
+        {name: 'from', value: 'Test <test@mailvelope.com>'}
+      ]);
+    });
+
+    it('should return no headers for plain text', () => {
+      expect(parseHeaders('Hello: World')).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import * as openpgp from 'openpgp';
+import mvelo from '../../src/lib/lib-mvelo';
+import {verify} from '../../src/modules/openpgpjs';
+import {parseSignedMessage} from '../../src/modules/mime';
+
+describe('OpenPGP.js backend unit tests', () => {
+  describe('verify', () => {
+    let key;
+    let keyring;
+
+    before(async() => {
+      ({key} = await openpgp.generateKey({userIds: [{email: 'signer@example.com'}], curve: 'ed25519'}));
+      keyring = {keystore: {getKeysForId: () => [key.toPublic()]}};
+    });
+
+    it('should verify PGP/MIME signed content with a Latin-1 body part', async() => {
+      // 'Grüße' in ISO-8859-1
+      const signedEntity = 'Content-Type: text/plain; charset=iso-8859-1\r\nContent-Transfer-Encoding: 8bit\r\n\r\nGr\xfc\xdfe';
+      const {signature} = await openpgp.sign({message: openpgp.message.fromBinary(mvelo.util.str2Uint8Array(signedEntity)), privateKeys: [key], detached: true});
+      const rawText = [
+        'Content-Type: multipart/signed; micalg=pgp-sha512; protocol="application/pgp-signature"; boundary="sig"',
+        '',
+        '--sig',
+        signedEntity,
+        '--sig',
+        'Content-Type: application/pgp-signature',
+        '',
+        signature,
+        '--sig--',
+        ''
+      ].join('\r\n');
+      const {signedMessage, signature: detachedSignature} = await parseSignedMessage(rawText, {binary: true});
+      const {signatures} = await verify({plaintext: signedMessage, detachedSignature, canonicalized: true, keyring, signingKeyIds: [key.primaryKey.getKeyId()]});
+      expect(signatures[0].valid).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import * as openpgp from 'openpgp';
+import * as keyring from '../../src/modules/keyring';
+import * as openpgpjs from '../../src/modules/openpgpjs';
+import {decryptMessage} from '../../src/modules/pgpModel';
+
+describe('PGP model unit tests', () => {
+  describe('decryptMessage with hidden recipients', () => {
+    let recipientKey;
+    let otherKey;
+    let keyringMock;
+    let armored;
+
+    before(async() => {
+      const generate = email => openpgp.generateKey({userIds: [{email}], curve: 'ed25519'});
+      [{key: otherKey}, {key: recipientKey}] = await Promise.all([generate('other@mailvelope.com'), generate('recipient@mailvelope.com')]);
+      ({data: armored} = await openpgp.encrypt({message: openpgp.message.fromText('secret message'), publicKeys: [recipientKey.toPublic()], wildcard: true}));
+    });
+
+    beforeEach(() => {
+      keyringMock = {
+        id: 'test',
+        keystore: {privateKeys: {keys: [otherKey, recipientKey]}},
+        hasPrivateKey: () => true,
+        getPgpBackend: () => openpgpjs
+      };
+      sinon.stub(keyring, 'getKeyringWithPrivKey').returns(null);
+      sinon.stub(keyring, 'getKeyringsWithPrivKey').callsFake(() => [keyringMock]);
+      sinon.stub(keyring, 'syncPublicKeys').returns(Promise.resolve());
+    });
+
+    afterEach(() => {
+      keyring.getKeyringWithPrivKey.restore();
+      keyring.getKeyringsWithPrivKey.restore();
+      keyring.syncPublicKeys.restore();
+    });
+
+    it('should try the private keys until one decrypts the message', async() => {
+      const unlockKey = sinon.stub().callsFake(({key}) => Promise.resolve(key));
+      const {data} = await decryptMessage({armored, keyringId: 'test', unlockKey});
+      expect(data).to.equal('secret message');
+      expect(unlockKey.calledTwice).to.be.true;
+    });
+
+    it('should continue with the next key if the password dialog is canceled', async() => {
+      const unlockKey = sinon.stub().callsFake(({key}) => key === otherKey ? Promise.reject({code: 'PWD_DIALOG_CANCEL'}) : Promise.resolve(key));
+      const {data} = await decryptMessage({armored, keyringId: 'test', unlockKey});
+      expect(data).to.equal('secret message');
+    });
+
+    it('should try the private keys of keyrings that are not preferred', async() => {
+      const preferredKeyring = {...keyringMock, id: 'preferred', keystore: {privateKeys: {keys: [otherKey]}}};
+      keyringMock.keystore = {privateKeys: {keys: [recipientKey]}};
+      keyring.getKeyringsWithPrivKey.callsFake(() => [preferredKeyring, keyringMock]);
+      const unlockKey = sinon.stub().callsFake(({key}) => Promise.resolve(key));
+      const {data} = await decryptMessage({armored, keyringId: 'preferred', unlockKey});
+      expect(data).to.equal('secret message');
+      expect(unlockKey.calledTwice).to.be.true;
+    });
+
+    it('should reject if the password dialog is canceled for all keys', async() => {
+      const unlockKey = sinon.stub().callsFake(() => Promise.reject({code: 'PWD_DIALOG_CANCEL'}));
+      await expect(decryptMessage({armored, keyringId: 'test', unlockKey})).to.eventually.be.rejected.and.have.property('code', 'PWD_DIALOG_CANCEL');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import * as openpgp from 'openpgp';
+import mvelo from '../../src/lib/lib-mvelo';
+import * as trustKey from '../../src/modules/trustKey';
+
+const KEYRING_ID = `example.org${mvelo.KEYRING_DELIMITER}staff`;
+
+describe('Trust anchor unit tests', () => {
+  let storage;
+  let anchorKey;
+  let userKey;
+
+  async function generateKey(email) {
+    const {key} = await openpgp.generateKey({userIds: [{email}], curve: 'ed25519'});
+    return key;
+  }
+
+  async function revokeUser(key, date) {
+    const [user] = key.users;
+    const signature = new openpgp.packet.Signature(date);
+    signature.signatureType = openpgp.enums.signature.cert_revocation;
+    signature.publicKeyAlgorithm = anchorKey.primaryKey.algorithm;
+    signature.hashAlgorithm = openpgp.enums.hash.sha256;
+    signature.reasonForRevocationFlag = openpgp.enums.reasonForRevocation.user_id_invalid;
+    signature.reasonForRevocationString = '';
+    await signature.sign(anchorKey.primaryKey, {userId: user.userId, key: key.primaryKey});
+    user.revocationSignatures.push(signature);
+  }
+
+  before(async() => {
+    anchorKey = await generateKey('ca@example.org');
+    userKey = await generateKey('staff@example.org');
+  });
+
+  beforeEach(async() => {
+    storage = {};
+    sinon.stub(mvelo.storage, 'get').callsFake(key => Promise.resolve(storage[key]));
+    sinon.stub(mvelo.storage, 'set').callsFake((key, value) => Promise.resolve(storage[key] = value));
+    await trustKey.init();
+  });
+
+  afterEach(() => {
+    mvelo.storage.get.restore();
+    mvelo.storage.set.restore();
+  });
+
+  describe('init', () => {
+    it('should load the stored anchors', async() => {
+      expect(trustKey.getTrustAnchors(KEYRING_ID)).to.be.empty;
+      storage['mvelo.trustAnchors'] = {'example.org': [{fingerprint: anchorKey.primaryKey.getFingerprint(), armored: anchorKey.toPublic().armor(), source: 'user'}]};
+      await trustKey.init();
+      expect(trustKey.getTrustAnchors(KEYRING_ID)).to.have.lengthOf(1);
+      expect(trustKey.getTrustAnchors(mvelo.MAIN_KEYRING_ID)).to.be.empty;
+      expect(trustKey.getTrustAnchors()).to.be.empty;
+    });
+  });
+
+  describe('add', () => {
+    it('should store the public key of the anchor for the domain', async() => {
+      const fingerprint = await trustKey.add({domain: 'Example.org', armored: anchorKey.armor(), source: 'api'});
+      expect(fingerprint).to.equal(anchorKey.primaryKey.getFingerprint());
+      const [anchor] = trustKey.getTrustAnchors(KEYRING_ID);
+      expect(anchor.key.isPrivate()).to.be.false;
+      expect(trustKey.getTrustKey(KEYRING_ID, anchorKey.primaryKey.getKeyId())).to.equal(anchor.key);
+      const anchors = await trustKey.getAll();
+      expect(anchors.find(anchor => anchor.domain === 'example.org')).to.include({fingerprint, userId: 'ca@example.org', source: 'api', builtin: false});
+    });
+
+    it('should reject invalid keys', () => expect(trustKey.add({domain: 'example.org', armored: 'invalid'})).to.eventually.be.rejectedWith(/single public key/));
+  });
+
+  describe('remove', () => {
+    it('should remove the anchor', async() => {
+      await trustKey.add({domain: 'example.org', armored: anchorKey.armor(), source: 'user'});
+      await trustKey.remove({domain: 'example.org', fingerprint: anchorKey.primaryKey.getFingerprint()});
+      expect(trustKey.getTrustAnchors(KEYRING_ID)).to.be.empty;
+      expect(storage['mvelo.trustAnchors']).to.eql({});
+    });
+
+    it('should reject unknown anchors', () => expect(trustKey.remove({domain: 'example.org', fingerprint: anchorKey.primaryKey.getFingerprint()})).to.eventually.be.rejectedWith(/not found/));
+  });
+
+  describe('certifications', () => {
+    let certifiedKey;
+
+    beforeEach(async() => {
+      await trustKey.add({domain: 'example.org', armored: anchorKey.armor(), source: 'user'});
+      certifiedKey = await userKey.toPublic().signAllUsers([anchorKey]);
+    });
+
+    it('should verify user IDs certified by the anchor', async() => {
+      expect(await trustKey.isUserCertified(KEYRING_ID, certifiedKey.users[0], certifiedKey.primaryKey)).to.be.true;
+      expect(await trustKey.isUserCertified(KEYRING_ID, userKey.users[0], userKey.primaryKey)).to.be.false;
+      expect(await trustKey.isUserCertified(mvelo.MAIN_KEYRING_ID, certifiedKey.users[0], certifiedKey.primaryKey)).to.be.false;
+    });
+
+    it('should honour revocations of the anchor', async() => {
+      await revokeUser(certifiedKey, new Date());
+      expect(await trustKey.isKeyPseudoRevoked(KEYRING_ID, certifiedKey)).to.be.true;
+      expect(await trustKey.isKeyPseudoRevoked(mvelo.MAIN_KEYRING_ID, certifiedKey)).to.be.false;
+      expect(await trustKey.isUserCertified(KEYRING_ID, certifiedKey.users[0], certifiedKey.primaryKey)).to.be.false;
+    });
+  });
+});
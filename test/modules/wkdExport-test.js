@@ -0,0 +1,63 @@
+import * as openpgp from 'openpgp';
+import {getWKDFiles, createWKDArchive, DIRECT} from '../../src/modules/wkdExport';
+import {certifyUser} from '../../src/modules/key';
+import keyFixtures from '../fixtures/keys';
+
+describe('Web Key Directory export unit tests', () => {
+  let publicKey;
+  let privateKey;
+
+  beforeEach(async() => {
+    ({keys: [publicKey]} = await openpgp.key.readArmored(keyFixtures.public.demo));
+    ({keys: [privateKey]} = await openpgp.key.readArmored(keyFixtures.secret.demo));
+  });
+
+  describe('getWKDFiles', () => {
+    it('should use the advanced method layout by default', () => {
+      const files = getWKDFiles([publicKey]);
+      expect(files.map(file => file.name)).to.eql([
+        '.well-known/openpgpkey/mailvelope.com/policy',
+        '.well-known/openpgpkey/mailvelope.com/hu/iffe93qcsgp4c8ncbb378rxjo6cn9q6u'
+      ]);
+      expect(files[0].content).to.have.lengthOf(0);
+    });
+
+    it('should use the direct method layout', () => {
+      const files = getWKDFiles([publicKey], DIRECT);
+      expect(files.map(file => file.name)).to.eql([
+        '.well-known/openpgpkey/policy',
+        '.well-known/openpgpkey/hu/iffe93qcsgp4c8ncbb378rxjo6cn9q6u'
+      ]);
+    });
+
+    it('should only export binary public keys', async() => {
+      const [, file] = getWKDFiles([privateKey]);
+      const {keys} = await openpgp.key.read(file.content);
+      expect(keys).to.have.lengthOf(1);
+      expect(keys[0].isPublic()).to.be.true;
+      expect(keys[0].primaryKey.getFingerprint()).to.equal('aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b');
+      expect(privateKey.isPrivate()).to.be.true;
+    });
+
+    it('should not export local certifications', async() => {
+      const {key: certifier} = await openpgp.generateKey({userIds: [{email: 'certifier@example.com'}], curve: 'ed25519'});
+      await certifyUser(publicKey, certifier, 'API Test Key <test@mailvelope.com>', {exportable: false});
+      const [, file] = getWKDFiles([publicKey]);
+      const {keys: [exported]} = await openpgp.key.read(file.content);
+      expect(exported.users[0].otherCertifications).to.be.empty;
+      expect(publicKey.users[0].otherCertifications).to.have.lengthOf(1);
+    });
+
+    it('should reject keys without email address', () => {
+      publicKey.users = [];
+      expect(() => getWKDFiles([publicKey])).to.throw(/No user ID with email address/);
+    });
+  });
+
+  describe('createWKDArchive', () => {
+    it('should create ZIP archive', () => {
+      const zip = createWKDArchive([publicKey]);
+      expect(new DataView(zip.buffer).getUint32(0, true)).to.equal(0x04034b50);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import * as openpgp from 'openpgp';
+import {getSubmissionAddress, createSubmissionMail, parseConfirmationRequest} from '../../src/modules/wks';
+import keyFixtures from '../fixtures/keys';
+
+const confirmationRequest = [
+  'type: confirmation-request',
+  'sender: key-submission@mailvelope.com',
+  'address: test@mailvelope.com',
+  'fingerprint: AA1E01774BDF7D76A45BDC2DF11DB1250C3C3F1B',
+  'nonce: f2a4f4e6b7c8',
+  ''
+].join('\r\n');
+
+describe('Web Key Service unit tests', () => {
+  beforeEach(() => {
+    sinon.stub(window, 'fetch');
+    window.fetch.returns(Promise.resolve({status: 404}));
+  });
+
+  afterEach(() => {
+    window.fetch.restore();
+  });
+
+  describe('getSubmissionAddress', () => {
+    it('should prefer the advanced method', async() => {
+      window.fetch.withArgs('https://openpgpkey.mailvelope.com/.well-known/openpgpkey/mailvelope.com/submission-address')
+      .returns(Promise.resolve({status: 200, text() { return 'Key-Submission@mailvelope.com\n'; }}));
+      expect(await getSubmissionAddress('test@Mailvelope.com')).to.equal('key-submission@mailvelope.com');
+      expect(window.fetch.calledOnce).to.be.true;
+    });
+
+    it('should fall back to the direct method', async() => {
+      window.fetch.withArgs('https://mailvelope.com/.well-known/openpgpkey/submission-address')
+      .returns(Promise.resolve({status: 200, text() { return 'key-submission@mailvelope.com'; }}));
+      expect(await getSubmissionAddress('test@mailvelope.com')).to.equal('key-submission@mailvelope.com');
+    });
+
+    it('should return undefined if the domain has no Web Key Service', async() => {
+      expect(await getSubmissionAddress('test@mailvelope.com')).to.not.exist;
+      expect(window.fetch.calledTwice).to.be.true;
+    });
+  });
+
+  describe('createSubmissionMail', () => {
+    let keyring;
+
+    beforeEach(async() => {
+      const {keys: [privateKey]} = await openpgp.key.readArmored(keyFixtures.secret.demo);
+      keyring = {getPrivateKeyByFpr: sinon.stub().returns(privateKey)};
+    });
+
+    it('should create the mail with the public key', async() => {
+      window.fetch.withArgs('https://openpgpkey.mailvelope.com/.well-known/openpgpkey/mailvelope.com/submission-address')
+      .returns(Promise.resolve({status: 200, text() { return 'key-submission@mailvelope.com'; }}));
+      const {mail, submissionAddress, encrypted} = await createSubmissionMail({keyring, fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b', email: 'test@mailvelope.com'});
+      expect(submissionAddress).to.equal('key-submission@mailvelope.com');
+      expect(encrypted).to.be.false;
+      expect(mail).to.match(/^Content-Type: application\/pgp-keys/m);
+      expect(mail).to.match(/^From: test@mailvelope.com/m);
+      expect(mail).to.match(/^To: key-submission@mailvelope.com/m);
+      expect(mail).to.include('-----BEGIN PGP PUBLIC KEY BLOCK-----');
+      expect(mail).to.not.include('PRIVATE KEY');
+    });
+
+    it('should reject email addresses without Web Key Service', () => expect(createSubmissionMail({keyring, fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b', email: 'test@mailvelope.com'})).to.eventually.be.rejectedWith(/does not support the Web Key Service/));
+
+    it('should reject email addresses that are not in the key', () => expect(createSubmissionMail({keyring, fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b', email: 'other@mailvelope.com'})).to.eventually.be.rejectedWith(/No user ID with email address/));
+  });
+
+  describe('parseConfirmationRequest', () => {
+    it('should parse the plain request', async() => {
+      const request = await parseConfirmationRequest(confirmationRequest);
+      expect(request).to.include({
+        type: 'confirmation-request',
+        sender: 'key-submission@mailvelope.com',
+        address: 'test@mailvelope.com',
+        fingerprint: 'aa1e01774bdf7d76a45bdc2df11db1250c3c3f1b',
+        nonce: 'f2a4f4e6b7c8'
+      });
+    });
+
+    it('should extract the request from the MIME message', async() => {
+      const mime = [
+        'Content-Type: multipart/mixed; boundary="wks"',
+        '',
+        '--wks',
+        'Content-Type: text/plain',
+        '',
+        'This message has been send to confirm your request',
+        '--wks',
+        'Content-Type: application/vnd.gnupg.wks',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        confirmationRequest,
+        '--wks--',
+        ''
+      ].join('\r\n');
+      const request = await parseConfirmationRequest(mime);
+      expect(request.nonce).to.equal('f2a4f4e6b7c8');
+    });
+
+    it('should reject other messages', () => expect(parseConfirmationRequest('type: publication-request')).to.eventually.be.rejectedWith(/not a valid confirmation request/));
+  });
+});
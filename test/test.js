@@ -9,6 +9,7 @@ Enzyme.configure({adapter: new Adapter()});
 const expect = chai.expect;
 
 import './mvelo-test';
+import './app/encryption/verifyFile-test';
 import './app/settings/keyserver-test';
 import './components/editor/editor-test';
 import './components/editor/recipient-input-test';
@@ -19,5 +20,23 @@ import './controller/editor.controller-test';
 import './controller/encrypt.controller-test';
 import './controller/sub.controller-test';
 import './controller/encryptedForm.controller-test';
+import './lib/zip-test';
+import './modules/crypto-test';
+import './modules/autocrypt-test';
+import './modules/autoLocate-test';
+import './modules/draftStore-test';
+import './modules/fileStream-test';
+import './modules/hkp-test';
+import './modules/key-test';
+import './modules/KeyringBase-test';
+import './modules/keyRefresh-test';
 import './modules/keyring-test';
+import './modules/keyringTransfer-test';
+import './modules/keyVerification-test';
+import './modules/mime-test';
 import './modules/mveloKeyServer-test';
+import './modules/openpgpjs-test';
+import './modules/pgpModel-test';
+import './modules/trustKey-test';
+import './modules/wkdExport-test';
+import './modules/wks-test';